@@ -6,9 +6,28 @@
  */
 
 import bwipjs from 'bwip-js'
+import { getAI, calculateCheckDigit, normalizeResolver, DEFAULT_RESOLVER, parseElementString, validateElementString, formatHRI } from './gs1'
 
 const MM_TO_PX = 3.78
 
+// Canvas font sizes (element.font_size) are pixels at 6 px/mm
+const FONT_PX_PER_MM = 6
+
+// Formats whose content is a GS1 element string: validated per AI, passed
+// to bwip-js in the bracketed form (so FNC1 is encoded as a real FNC1) and,
+// for the linear ones, printed with a GS1 HRI line in the element's font
+const GS1_AI_FORMATS = new Set(['GS1_128', 'GS1_DATABAR_EXPANDED', 'GS1_DATAMATRIX', 'GS1_QR'])
+
+// Formats ending in a GS1 mod-10 check digit, by full length (with check digit)
+const CHECK_DIGIT_FORMATS = {
+  'EAN13': 13,
+  'EAN8': 8,
+  'UPC': 12,
+  'ITF14': 14,
+  'GS1_DATABAR': 14,
+  'GS1_DATABAR_STACKED': 14
+}
+
 // Map our format names to bwip-js bcid values
 const FORMAT_MAP = {
   // 1D General
@@ -33,6 +52,8 @@ const FORMAT_MAP = {
   'PDF417': 'pdf417',
   'AZTEC': 'azteccode',
   'MAXICODE': 'maxicode',
+  'GS1_DATAMATRIX': 'gs1datamatrix',
+  'GS1_QR': 'gs1qrcode',
   // Postal
   'POSTNET': 'postnet',
   'PLANET': 'planet',
@@ -40,7 +61,7 @@ const FORMAT_MAP = {
 }
 
 // 2D formats don't have text below and use square-ish placeholders
-const FORMATS_2D = new Set(['DATAMATRIX', 'PDF417', 'AZTEC', 'MAXICODE'])
+const FORMATS_2D = new Set(['DATAMATRIX', 'PDF417', 'AZTEC', 'MAXICODE', 'GS1_DATAMATRIX', 'GS1_QR'])
 
 /**
  * Check if a format is 2D (matrix-type)
@@ -90,6 +111,8 @@ export function getFormatGroups() {
         { value: 'PDF417', label: 'PDF417' },
         { value: 'AZTEC', label: 'Aztec' },
         { value: 'MAXICODE', label: 'MaxiCode' },
+        { value: 'GS1_DATAMATRIX', label: 'GS1 DataMatrix' },
+        { value: 'GS1_QR', label: 'GS1 QR' },
       ]
     },
     {
@@ -258,6 +281,22 @@ export function getFormatInfo(format) {
       usage: 'Paquetería (UPS), clasificación automática',
       extra: 'Tamaño fijo, lectura a alta velocidad'
     },
+    'GS1_DATAMATRIX': {
+      name: 'GS1 DataMatrix', category: '2D',
+      badge: { bg: '#fffbeb', text: '#f59e0b', border: '#fcd34d' },
+      type: 'Código 2D matricial GS1 (FNC1)',
+      capacity: 'AI + datos, hasta ~2335 caracteres',
+      usage: 'Medicamentos (FMD), dispositivos médicos (UDI)',
+      extra: 'FMD exige GTIN (01), serie (21), lote (10) y caducidad (17)'
+    },
+    'GS1_QR': {
+      name: 'GS1 QR', category: '2D',
+      badge: { bg: '#fffbeb', text: '#f59e0b', border: '#fcd34d' },
+      type: 'Código QR GS1 (FNC1)',
+      capacity: 'AI + datos, hasta ~4296 caracteres',
+      usage: 'Trazabilidad, información extendida de producto',
+      extra: 'Codifica AIs GS1 en lugar de texto o URL'
+    },
     // Postal — pink
     'POSTNET': {
       name: 'POSTNET', category: 'Postal',
@@ -288,6 +327,82 @@ export function getFormatInfo(format) {
   return FORMATS[format] || null
 }
 
+/**
+ * QR content modes (element.qr_mode). In "digital_link" the content is a
+ * GS1 Digital Link URI built per row by expression_engine.resolveDigitalLink
+ * from element.digital_link ({ domain, "01": expr, "10": expr, ... }).
+ */
+export const QR_MODES = [
+  { value: 'text', label: 'Texto' },
+  { value: 'digital_link', label: 'GS1 Digital Link' }
+]
+
+/**
+ * Stand-in Digital Link URI for the designer canvas, which has no row data:
+ * the resolver plus each mapped AI with a dummy value of typical length,
+ * so the drawn QR has about the density of the printed one.
+ * @param {Object} config - QR element with digital_link
+ * @returns {string}
+ */
+export function digitalLinkPlaceholder(config) {
+  const { domain, ...mapping } = config.digital_link || {}
+  let resolver
+  try {
+    resolver = normalizeResolver(domain)
+  } catch (_e) {
+    resolver = DEFAULT_RESOLVER
+  }
+  const path = Object.keys(mapping)
+    .filter(ai => mapping[ai])
+    .map(ai => {
+      const def = getAI(ai)
+      return `/${ai}/${def && def.length ? '0'.repeat(def.length) : 'X'.repeat(10)}`
+    })
+    .join('')
+  return resolver + path
+}
+
+/**
+ * Check digit of an EAN/UPC/ITF-14/DataBar code.
+ *   computed - short form (no check digit), `code` has it appended
+ *   valid    - the supplied check digit is right
+ *   mismatch - the supplied check digit is wrong, `code` has the right one
+ * @param {string} content
+ * @param {string} format
+ * @returns {{status: string, code: string, expected: number}|null} null for
+ *   other formats or content that is not a code of the right length
+ */
+export function checkDigitStatus(content, format) {
+  const length = CHECK_DIGIT_FORMATS[format]
+  const digits = String(content == null ? '' : content).trim()
+  if (!length || !/^\d+$/.test(digits)) return null
+
+  if (digits.length === length - 1) {
+    const expected = calculateCheckDigit(digits)
+    return { status: 'computed', code: digits + expected, expected }
+  }
+  if (digits.length !== length) return null
+
+  const payload = digits.slice(0, -1)
+  const expected = calculateCheckDigit(payload)
+  const status = parseInt(digits.slice(-1)) === expected ? 'valid' : 'mismatch'
+  return { status, code: payload + expected, expected }
+}
+
+/**
+ * Content to encode for a barcode element: the short form of a check-digit
+ * format gets its check digit, and a wrong one is replaced when the element
+ * has `barcode_fix_check_digit` (otherwise it is kept, and fails to render).
+ * @param {string} content
+ * @param {Object} config - element with barcode_format, barcode_fix_check_digit
+ * @returns {string}
+ */
+export function barcodeContent(content, config) {
+  const check = checkDigitStatus(content, config.barcode_format || 'CODE128')
+  if (!check || (check.status === 'mismatch' && !config.barcode_fix_check_digit)) return String(content)
+  return check.code
+}
+
 /**
  * Strip '#' from hex color for bwip-js (expects "000000" not "#000000")
  */
@@ -310,18 +425,12 @@ export async function generateQR(content, config, options = {}) {
     const scale = options.scale || 1
     const targetSize = options.sizePx || Math.round((config.width || 20) * MM_TO_PX * scale)
 
-    // Force error level H when logo is present (need max redundancy)
     const hasLogo = config.qr_logo_data
-    const eclevel = hasLogo ? 'H' : (config.qr_error_level || 'M')
-
     const canvas = document.createElement('canvas')
 
     bwipjs.toCanvas(canvas, {
-      bcid: 'qrcode',
-      text: String(content),
+      ...qrOptions(content, config),
       scale: Math.max(1, Math.round(targetSize / 40)),
-      eclevel: eclevel,
-      barcolor: toBwipColor(config.color || '#000000'),
       backgroundcolor: toBwipColor(config.background_color || '#ffffff'),
       padding: 0,
     })
@@ -351,6 +460,17 @@ export async function generateQR(content, config, options = {}) {
   }
 }
 
+// bwip-js options for a QR element, shared by the PNG and vector output
+function qrOptions(content, config) {
+  return {
+    bcid: 'qrcode',
+    text: String(content),
+    // Force error level H when logo is present (need max redundancy)
+    eclevel: config.qr_logo_data ? 'H' : (config.qr_error_level || 'M'),
+    barcolor: toBwipColor(config.color || '#000000'),
+  }
+}
+
 /**
  * Overlay a logo image centered on the QR code
  */
@@ -394,51 +514,321 @@ async function overlayLogo(ctx, logoData, qrSize, logoSizePercent) {
 export function generateBarcode(content, config, options = {}) {
   try {
     const scale = options.scale || 1
-    const format = config.barcode_format || 'CODE128'
-    const bcid = FORMAT_MAP[format]
-    if (!bcid) {
-      console.error(`Unknown barcode format: ${format}`)
-      return null
-    }
-
     const heightPx = options.heightPx || Math.round((config.height || 15) * MM_TO_PX * scale)
     // bwip-js height is in mm, convert from pixels
     const heightMM = heightPx / MM_TO_PX
-    const showText = config.barcode_show_text !== false && !is2DFormat(format)
     const padding = options.margin != null ? options.margin : 0
+    const barcode = barcodeOptions(content, config, heightMM, options.fontSize || 10)
+    if (!barcode) return null
 
     const canvas = document.createElement('canvas')
-
-    const bwipOpts = {
-      bcid: bcid,
-      text: String(content),
-      height: heightMM,
-      includetext: showText,
-      textsize: options.fontSize || 10,
-      barcolor: toBwipColor(config.color || '#000000'),
+    bwipjs.toCanvas(canvas, {
+      ...barcode.opts,
       backgroundcolor: toBwipColor(config.background_color || '#ffffff'),
       padding: Math.round(padding / MM_TO_PX),
-    }
+    })
 
-    // Some formats need specific options
-    if (format === 'GS1_128') {
-      bwipOpts.parse = true
-    }
+    if (barcode.hri) return appendHRI(canvas, barcode.hri, config, canvas.height / heightMM).toDataURL('image/png')
+    return canvas.toDataURL('image/png')
+  } catch (err) {
+    console.error('Error generating barcode:', err)
+    return null
+  }
+}
 
-    bwipjs.toCanvas(canvas, bwipOpts)
+/**
+ * bwip-js options for a barcode element, shared by the PNG and vector output.
+ * GS1 AI formats: raw data (GS separators) is passed to bwip-js in the
+ * bracketed form, and the HRI line is drawn by the caller so its font is
+ * configurable.
+ * @returns {{opts: Object, hri: string|null}|null} null for an unknown format
+ */
+function barcodeOptions(content, config, heightMM, textsize) {
+  const format = config.barcode_format || 'CODE128'
+  const bcid = FORMAT_MAP[format]
+  if (!bcid) {
+    console.error(`Unknown barcode format: ${format}`)
+    return null
+  }
 
-    return canvas.toDataURL('image/png')
+  const showText = config.barcode_show_text !== false && !is2DFormat(format)
+  const gs1Text = GS1_AI_FORMATS.has(format) ? formatHRI(parseElementString(content)) : null
+  const hri = showText ? gs1Text : null
+
+  const opts = {
+    bcid: bcid,
+    text: gs1Text || barcodeContent(content, config),
+    height: heightMM,
+    includetext: showText && !hri,
+    textsize: textsize,
+    barcolor: toBwipColor(config.color || '#000000'),
+  }
+
+  // Some formats need specific options
+  if (format === 'GS1_128') {
+    opts.parse = true
+  }
+
+  return { opts, hri }
+}
+
+/**
+ * Draw the GS1 HRI line centered below a rendered symbol, in the element's
+ * font_family and font_size (shrunk if it would overflow the symbol width).
+ * @param {HTMLCanvasElement} symbol - bwip-js output
+ * @param {string} text - e.g. "(01)09506000134352(10)ABC"
+ * @param {Object} config - element with font_family, font_size, color, background_color
+ * @param {number} pxPerMM - resolution of the symbol canvas
+ * @returns {HTMLCanvasElement}
+ */
+function appendHRI(symbol, text, config, pxPerMM) {
+  const family = config.font_family || 'monospace'
+  let fontPx = Math.max(6, ((config.font_size || 10) / FONT_PX_PER_MM) * pxPerMM)
+
+  const out = document.createElement('canvas')
+  const ctx = out.getContext('2d')
+  ctx.font = `${fontPx}px ${family}`
+  const width = ctx.measureText(text).width
+  if (width > symbol.width) fontPx = Math.max(6, fontPx * symbol.width / width)
+
+  const gap = Math.round(fontPx * 0.3)
+  out.width = symbol.width
+  out.height = symbol.height + gap + Math.ceil(fontPx * 1.2)
+
+  ctx.fillStyle = config.background_color || '#ffffff'
+  ctx.fillRect(0, 0, out.width, out.height)
+  ctx.drawImage(symbol, 0, 0)
+  ctx.fillStyle = config.color || '#000000'
+  ctx.font = `${fontPx}px ${family}`
+  ctx.textAlign = 'center'
+  ctx.textBaseline = 'top'
+  ctx.fillText(text, out.width / 2, symbol.height + gap)
+  return out
+}
+
+// ─── Vector output ────────────────────────────────────────────
+
+// Courier, like bwip-js' OCR-B, advances 0.6 em per character
+const MONOSPACE_ADVANCE = 0.6
+const CAP_HEIGHT = 0.72
+const PT_PER_MM = 72 / 25.4
+
+/**
+ * bwip-js drawing that records the symbol instead of painting it: bars
+ * become rectangles, 2D modules even-odd filled paths, and the human
+ * readable digits text runs, all in bwip-js drawing units.
+ */
+function vectorDrawing() {
+  const shapes = []
+  const texts = []
+  let path = []
+  let size = { width: 0, height: 0 }
+
+  return {
+    setopts() {},
+    scale(sx, sy) { return [sx, sy] },
+    measure(str, _font, fwidth, fheight) {
+      return { width: str.length * fwidth * MONOSPACE_ADVANCE, ascent: fheight * CAP_HEIGHT, descent: 0 }
+    },
+    init(width, height) { size = { width, height } },
+    // Bars: unconnected orthogonal lines without caps
+    line(x0, y0, x1, y1, lw, rgb) {
+      const rect = x0 === x1
+        ? { x: x0 - lw / 2, y: Math.min(y0, y1), w: lw, h: Math.abs(y1 - y0) }
+        : { x: Math.min(x0, x1), y: y0 - lw / 2, w: Math.abs(x1 - x0), h: lw }
+      shapes.push({ type: 'rect', ...rect, color: rgb })
+    },
+    polygon(pts) { path.push({ type: 'polygon', pts }) },
+    hexagon(pts) { path.push({ type: 'polygon', pts }) },
+    ellipse(x, y, rx, ry) { path.push({ type: 'ellipse', x, y, rx, ry }) },
+    fill(rgb) {
+      shapes.push({ type: 'path', items: path, color: rgb })
+      path = []
+    },
+    clip() {},
+    unclip() {},
+    text(x, y, str, rgb, font) {
+      texts.push({ x, y, str, color: rgb, size: font.height, dx: font.dx || 0 })
+    },
+    end() { return { ...size, shapes, texts } }
+  }
+}
+
+/**
+ * Generate a QR code as vector shapes for PDF output (see drawCodePDF),
+ * filling the element box like the PNG of generateQR does.
+ * @param {string} content - The text to encode
+ * @param {Object} config - Element config with width, height, qr_error_level, color, background_color, qr_logo_data, qr_logo_size
+ * @returns {Object|null} Vector drawing or null on error
+ */
+export function generateQRVector(content, config) {
+  try {
+    const width = config.width || 20
+    const height = config.height || width
+    const symbol = bwipjs.render({ ...qrOptions(content, config), padding: 0 }, vectorDrawing())
+    const vector = fitVector(symbol, config, width, height, height)
+
+    if (config.qr_logo_data) {
+      const ratio = (config.qr_logo_size || 25) / 100
+      vector.logo = { data: config.qr_logo_data, width: width * ratio, height: height * ratio }
+    }
+    return vector
+  } catch (err) {
+    console.error('Error generating QR:', err)
+    return null
+  }
+}
+
+/**
+ * Generate a barcode as vector shapes for PDF output (see drawCodePDF),
+ * laid out in the element box like the PNG of generateBarcode, GS1 HRI
+ * line included.
+ * @param {string} content - The text to encode
+ * @param {Object} config - Element config with barcode_format, width, height, barcode_show_text, color, background_color, font_family, font_size
+ * @returns {Object|null} Vector drawing or null on error
+ */
+export function generateBarcodeVector(content, config) {
+  try {
+    const width = config.width || 40
+    const height = config.height || 15
+    const barcode = barcodeOptions(content, config, height, 10)
+    if (!barcode) return null
+
+    // appendHRI adds 1.5 font heights below the symbol before the whole
+    // image is stretched to the element height
+    const fontMM = (config.font_size || 10) / FONT_PX_PER_MM
+    const shrink = barcode.hri ? height / (height + fontMM * 1.5) : 1
+    const symbol = bwipjs.render({ ...barcode.opts, padding: 0 }, vectorDrawing())
+    const vector = fitVector(symbol, config, width, height, height * shrink)
+
+    if (barcode.hri) {
+      vector.hri = {
+        text: barcode.hri,
+        y: height * shrink + fontMM * 0.3 * shrink,
+        size: fontMM * shrink,
+        family: config.font_family || 'monospace',
+        color: config.color || '#000000'
+      }
+    }
+    return vector
   } catch (err) {
     console.error('Error generating barcode:', err)
     return null
   }
 }
 
+// Scale factors from bwip-js drawing units to mm in the element box
+function fitVector(symbol, config, width, height, symbolHeight) {
+  const background = config.background_color || '#ffffff'
+  return {
+    width,
+    height,
+    scaleX: symbol.width ? width / symbol.width : 1,
+    scaleY: symbol.height ? symbolHeight / symbol.height : 1,
+    background: background === 'transparent' ? null : background,
+    shapes: symbol.shapes,
+    texts: symbol.texts
+  }
+}
+
+/**
+ * Draw a generateQRVector/generateBarcodeVector result on a jsPDF page
+ * (unit 'mm') as native rectangles, paths and text, so bars and modules
+ * stay sharp at any printer resolution.
+ * @param {jsPDF} pdf
+ * @param {Object} vector
+ * @param {number} x - Element left edge in mm
+ * @param {number} y - Element top edge in mm
+ */
+export function drawCodePDF(pdf, vector, x, y) {
+  const sx = vector.scaleX
+  const sy = vector.scaleY
+  const font = pdf.getFont()
+
+  if (vector.background) {
+    pdf.setFillColor(vector.background)
+    pdf.rect(x, y, vector.width, vector.height, 'F')
+  }
+
+  for (const shape of vector.shapes) {
+    pdf.setFillColor(`#${shape.color}`)
+    if (shape.type === 'rect') {
+      pdf.rect(x + shape.x * sx, y + shape.y * sy, shape.w * sx, shape.h * sy, 'F')
+      continue
+    }
+    for (const item of shape.items) {
+      if (item.type === 'ellipse') {
+        traceEllipse(pdf, x + item.x * sx, y + item.y * sy, item.rx * sx, item.ry * sy)
+      } else {
+        item.pts.forEach(([px, py], i) => {
+          if (i === 0) pdf.moveTo(x + px * sx, y + py * sy)
+          else pdf.lineTo(x + px * sx, y + py * sy)
+        })
+        pdf.close()
+      }
+    }
+    pdf.fillEvenOdd()
+  }
+
+  if (vector.texts.length > 0) pdf.setFont('courier', 'normal')
+  for (const text of vector.texts) {
+    pdf.setTextColor(`#${text.color}`)
+    pdf.setFontSize(text.size * sy * PT_PER_MM)
+    pdf.text(text.str, x + text.x * sx, y + text.y * sy, { baseline: 'alphabetic', charSpace: text.dx * sx })
+  }
+
+  if (vector.hri) {
+    const hri = vector.hri
+    pdf.setFont(pdfFontName(hri.family), 'normal')
+    pdf.setFontSize(hri.size * PT_PER_MM)
+    const textWidth = pdf.getTextWidth(hri.text)
+    if (textWidth > vector.width) pdf.setFontSize(hri.size * PT_PER_MM * vector.width / textWidth)
+    pdf.setTextColor(hri.color)
+    pdf.text(hri.text, x + vector.width / 2, y + hri.y, { align: 'center', baseline: 'top' })
+  }
+
+  if (vector.logo) {
+    const logo = vector.logo
+    const lx = x + (vector.width - logo.width) / 2
+    const ly = y + (vector.height - logo.height) / 2
+    const padX = logo.width * 0.1
+    const padY = logo.height * 0.1
+
+    // White background behind logo
+    pdf.setFillColor('#ffffff')
+    pdf.rect(lx - padX, ly - padY, logo.width + padX * 2, logo.height + padY * 2, 'F')
+    pdf.addImage(logo.data, 'PNG', lx, ly, logo.width, logo.height)
+  }
+
+  pdf.setFont(font.fontName, font.fontStyle)
+}
+
+// Closed ellipse as four cubic Bézier arcs
+function traceEllipse(pdf, cx, cy, rx, ry) {
+  const kx = rx * 0.5523
+  const ky = ry * 0.5523
+  pdf.moveTo(cx + rx, cy)
+  pdf.curveTo(cx + rx, cy + ky, cx + kx, cy + ry, cx, cy + ry)
+  pdf.curveTo(cx - kx, cy + ry, cx - rx, cy + ky, cx - rx, cy)
+  pdf.curveTo(cx - rx, cy - ky, cx - kx, cy - ry, cx, cy - ry)
+  pdf.curveTo(cx + kx, cy - ry, cx + rx, cy - ky, cx + rx, cy)
+  pdf.close()
+}
+
+// Closest jsPDF standard font to a CSS font family
+function pdfFontName(family) {
+  if (/mono|courier|consolas/i.test(family)) return 'courier'
+  if (/times|georgia|serif/i.test(family) && !/sans/i.test(family)) return 'times'
+  return 'helvetica'
+}
+
 /**
  * Validate barcode content for a specific format
  * @param {string} content - The barcode content
  * @param {string} format - The barcode format (e.g., 'CODE128', 'EAN13')
- * @returns {{ valid: boolean, error?: string }}
+ * @returns {{ valid: boolean, error?: string, errors?: Array<{ai: string|null, message: string}>, expected?: string }}
+ *   GS1 element-string formats also list every invalid AI in `errors`;
+ *   a wrong check digit gives the corrected code in `expected`
  */
 export function validateBarcodeContent(content, format) {
   const digitsOnly = /^\d+$/
@@ -452,7 +842,7 @@ export function validateBarcodeContent(content, format) {
       if (content.length !== 12 && content.length !== 13) {
         return { valid: false, error: 'EAN-13: 12-13 dígitos' }
       }
-      return { valid: true }
+      return verifyCheckDigit(content, format, 'EAN-13')
 
     case 'EAN8':
       if (!digitsOnly.test(content)) {
@@ -461,7 +851,7 @@ export function validateBarcodeContent(content, format) {
       if (content.length !== 7 && content.length !== 8) {
         return { valid: false, error: 'EAN-8: 7-8 dígitos' }
       }
-      return { valid: true }
+      return verifyCheckDigit(content, format, 'EAN-8')
 
     case 'UPC':
       if (!digitsOnly.test(content)) {
@@ -470,7 +860,7 @@ export function validateBarcodeContent(content, format) {
       if (content.length !== 11 && content.length !== 12) {
         return { valid: false, error: 'UPC: 11-12 dígitos' }
       }
-      return { valid: true }
+      return verifyCheckDigit(content, format, 'UPC')
 
     case 'ITF14':
       if (!digitsOnly.test(content)) {
@@ -479,7 +869,7 @@ export function validateBarcodeContent(content, format) {
       if (content.length !== 13 && content.length !== 14) {
         return { valid: false, error: 'ITF-14: 13-14 dígitos' }
       }
-      return { valid: true }
+      return verifyCheckDigit(content, format, 'ITF-14')
 
     case 'CODE39':
       if (!alphanumeric.test(content)) {
@@ -506,10 +896,16 @@ export function validateBarcodeContent(content, format) {
       return { valid: true }
 
     case 'GS1_128':
-      if (!content || content.length < 2) {
-        return { valid: false, error: 'GS1-128: requiere AI + datos' }
-      }
-      return { valid: true }
+    case 'GS1_DATABAR_EXPANDED':
+      return validateGS1Content(content, format === 'GS1_128' ? 'GS1-128' : 'GS1 DataBar Expanded')
+
+    case 'GS1_DATAMATRIX':
+      // The FMD data set (01/21/10/17) is checked by the FMD compliance
+      // validator: UDI and logistics symbols carry other AIs
+      return validateGS1Content(content, 'GS1 DataMatrix')
+
+    case 'GS1_QR':
+      return validateGS1Content(content, 'GS1 QR')
 
     case 'GS1_DATABAR':
     case 'GS1_DATABAR_STACKED':
@@ -519,13 +915,7 @@ export function validateBarcodeContent(content, format) {
       if (content.length !== 13 && content.length !== 14) {
         return { valid: false, error: 'GS1 DataBar: 13-14 dígitos (GTIN)' }
       }
-      return { valid: true }
-
-    case 'GS1_DATABAR_EXPANDED':
-      if (!content || content.length < 2) {
-        return { valid: false, error: 'GS1 DataBar Expanded: requiere AI + datos' }
-      }
-      return { valid: true }
+      return verifyCheckDigit(content, format, 'GS1 DataBar')
 
     case 'POSTNET':
       if (!digitsOnly.test(content)) {
@@ -564,3 +954,24 @@ export function validateBarcodeContent(content, format) {
       return { valid: true }
   }
 }
+
+/**
+ * Parse a GS1 element string and check each AI (length, characters, check
+ * digit, date). The first problem becomes `error`, all of them `errors`.
+ */
+function validateGS1Content(content, label) {
+  const { errors } = validateElementString(content)
+  if (errors.length === 0) return { valid: true }
+  return { valid: false, error: `${label}: ${errors[0].message}`, errors }
+}
+
+// The long form of a check-digit format must end in the right check digit
+function verifyCheckDigit(content, format, label) {
+  const check = checkDigitStatus(content, format)
+  if (!check || check.status !== 'mismatch') return { valid: true }
+  return {
+    valid: false,
+    error: `${label}: dígito de control incorrecto, debería ser ${check.expected}`,
+    expected: check.code
+  }
+}
@@ -10,9 +10,10 @@
  */
 
 import { fabric } from 'fabric'
-import { generateQR as sharedGenerateQR, generateBarcode as sharedGenerateBarcode, validateBarcodeContent as sharedValidateBarcodeContent, getFormatInfo, is2DFormat as sharedIs2DFormat } from './barcode_generator'
-import { isExpression, evaluate, resolveText } from './expression_engine'
+import { generateQR as sharedGenerateQR, generateBarcode as sharedGenerateBarcode, validateBarcodeContent as sharedValidateBarcodeContent, getFormatInfo, is2DFormat as sharedIs2DFormat, digitalLinkPlaceholder, barcodeContent, checkDigitStatus } from './barcode_generator'
+import { isExpression, evaluate, resolveText, analyze, analyzeCondition, createHolidays, visibilityExpression } from './expression_engine'
 import { calcAutoFitFontSize } from './text_utils'
+import { hasMarkup, parseRuns, stripMarkup } from './rich_text'
 
 // Constants
 const PX_PER_MM = 6 // Fixed pixels per mm - good balance between size and usability
@@ -168,6 +169,7 @@ const CanvasDesigner = {
     }
     this._complianceErrors = new Set()
     this._complianceWarnings = new Set()
+    this._expressionDiagnostics = new Map()
   },
 
   /**
@@ -316,10 +318,67 @@ const CanvasDesigner = {
       ctx.restore()
     })
 
+    // Draw expression diagnostic markers ("!" badge at the top-right corner)
+    this.canvas.on('after:render', () => {
+      if (this._expressionDiagnostics.size === 0) return
+      const ctx = this.canvas.getContext()
+      ctx.save()
+      this._expressionDiagnostics.forEach((fields, id) => {
+        const obj = this.elements.get(id)
+        if (!obj || !obj.visible) return
+        const hasError = Object.values(fields).some(found => found.some(d => d.severity === 'error'))
+        const bounds = obj.getBoundingRect(true, true)
+        const r = 7
+        const cx = bounds.left + bounds.width
+        const cy = bounds.top
+        ctx.beginPath()
+        ctx.arc(cx, cy, r, 0, Math.PI * 2)
+        ctx.fillStyle = hasError ? '#ef4444' : '#f59e0b'
+        ctx.fill()
+        ctx.fillStyle = '#ffffff'
+        ctx.font = 'bold 10px Arial'
+        ctx.textAlign = 'center'
+        ctx.textBaseline = 'middle'
+        ctx.fillText('!', cx, cy + 0.5)
+      })
+      ctx.restore()
+    })
+
+    // Draw conditional visibility badge ("SI" at the top-left corner)
+    this.canvas.on('after:render', () => {
+      const ctx = this.canvas.getContext()
+      ctx.save()
+      this.elements.forEach((obj) => {
+        if (!obj.visible || !obj.elementData || !visibilityExpression(obj.elementData)) return
+        const bounds = obj.getBoundingRect(true, true)
+        const w = 16
+        const h = 11
+        const left = bounds.left - w / 2
+        const top = bounds.top - h / 2
+        ctx.fillStyle = '#8b5cf6'
+        ctx.beginPath()
+        ctx.moveTo(left + 3, top)
+        ctx.arcTo(left + w, top, left + w, top + h, 3)
+        ctx.arcTo(left + w, top + h, left, top + h, 3)
+        ctx.arcTo(left, top + h, left, top, 3)
+        ctx.arcTo(left, top, left + w, top, 3)
+        ctx.fill()
+        ctx.fillStyle = '#ffffff'
+        ctx.font = 'bold 8px Arial'
+        ctx.textAlign = 'center'
+        ctx.textBaseline = 'middle'
+        ctx.fillText('SI', left + w / 2, top + h / 2 + 0.5)
+      })
+      ctx.restore()
+    })
+
     this.elements = new Map()
     this.groups = new Map()  // group_id -> {id, name, locked, visible, collapsed}
     this._complianceErrors = new Set()    // element IDs with errors
     this._complianceWarnings = new Set()  // element IDs with warnings
+    this._expressionDiagnostics = new Map() // element ID -> { field: analyze() diagnostics }
+    this._availableColumns = null          // dataset columns (null = no data loaded)
+    this._lastDiagnosticsPayload = '{}'
 
     // Final verification - ensure canvas is interactive
     this.verifyCanvasInteractive()
@@ -734,6 +793,8 @@ const CanvasDesigner = {
           this._translationHints.delete(obj.elementId)
         }
         // Set text to current translation and sync hidden textarea
+        obj.styles = {}
+        obj._richSource = null
         obj.text = currentTranslation
         obj.initDimensions()
         if (obj.hiddenTextarea) {
@@ -743,7 +804,7 @@ const CanvasDesigner = {
         obj.setSelectionEnd(currentTranslation.length)
         this.canvas.renderAll()
       } else if (obj._isPlaceholder) {
-        obj.set('text', '')
+        this._setTextboxText(obj, '')
         obj.set('fill', obj._originalColor || '#000000')
         obj._isPlaceholder = false
         if (obj.hiddenTextarea) {
@@ -752,6 +813,19 @@ const CanvasDesigner = {
         obj.setSelectionStart(0)
         obj.setSelectionEnd(0)
         this.canvas.renderAll()
+      } else if (obj._richSource) {
+        // Edit the markup (**bold**, __italic__), not the styled runs
+        const source = obj._richSource
+        obj.styles = {}
+        obj._richSource = null
+        obj.text = source
+        obj.initDimensions()
+        if (obj.hiddenTextarea) {
+          obj.hiddenTextarea.value = source
+        }
+        obj.setSelectionStart(source.length)
+        obj.setSelectionEnd(source.length)
+        this.canvas.renderAll()
       }
     })
 
@@ -782,7 +856,7 @@ const CanvasDesigner = {
         this._updateCanvasLanguage()
       } else if ((!obj.text || obj.text.trim() === '') && !hasBinding) {
         // Restore placeholder (only for unbound text elements)
-        obj.set('text', 'Completar texto')
+        this._setTextboxText(obj, 'Completar texto')
         obj.set('fill', '#999999')
         obj._isPlaceholder = true
         if (obj.elementData) {
@@ -794,10 +868,10 @@ const CanvasDesigner = {
         const binding = obj.elementData.binding
         if (isExpression(binding)) {
           const preview = evaluate(binding, {}, { rowIndex: 0, batchSize: 1, now: new Date() })
-          obj.set('text', preview || binding)
+          this._setTextboxText(obj, preview || binding)
           obj.set('fontStyle', 'italic')
         } else {
-          obj.set('text', `[${binding}]`)
+          this._setTextboxText(obj, `[${binding}]`)
         }
         obj.set('fill', obj._originalColor || '#000000')
         obj._isPlaceholder = false
@@ -813,6 +887,8 @@ const CanvasDesigner = {
           obj.elementData.text_content = obj.text
         }
         this.pushEvent("update_element", { id: obj.elementId, field: "text_content", value: obj.text })
+        this._setTextboxText(obj, obj.text)
+        this.canvas.renderAll()
       }
     })
 
@@ -820,7 +896,10 @@ const CanvasDesigner = {
     this.setupDragAndDrop()
 
     // LiveView events
-    this.handleEvent("load_design", ({ design }) => {
+    this.handleEvent("load_design", ({ design, columns }) => {
+      // Empty column list = no dataset loaded: skip unknown-column checks
+      if (columns) this._availableColumns = columns.length > 0 ? columns : null
+
       const now = Date.now()
       const timeSinceLastSave = this._lastSaveTime ? (now - this._lastSaveTime) : Infinity
 
@@ -838,6 +917,7 @@ const CanvasDesigner = {
       if (design && !this._isDestroyed) {
         this._isInitialLoad = false
         this.loadDesign(design)
+        this._refreshExpressionDiagnostics(design.elements || [])
       }
     })
 
@@ -856,6 +936,7 @@ const CanvasDesigner = {
         this._restoreImageDataFromCanvas(design)
         console.log("[reload_design] calling loadDesign...")
         this.loadDesign(design)
+        this._refreshExpressionDiagnostics(design.elements || [])
 
         // Re-apply language indicators after reload
         this._updateCanvasLanguage()
@@ -867,12 +948,18 @@ const CanvasDesigner = {
       }
     })
 
-    this.handleEvent("set_preview_language", ({ language, default_language, row, mapping }) => {
+    this.handleEvent("set_preview_language", ({ language, default_language, holidays, time_zone, row, mapping, columns }) => {
       this._previewLanguage = language
       if (default_language) this._defaultLanguage = default_language
+      if (holidays) this._holidays = createHolidays(holidays)
+      this._timeZone = time_zone || null
       if (row) this._previewRow = row
       if (mapping) this._previewMapping = mapping
       this._updateCanvasLanguage()
+      if (columns) {
+        this._availableColumns = columns.length > 0 ? columns : null
+        this._refreshExpressionDiagnostics()
+      }
     })
 
     this.handleEvent("add_element", ({ element }) => {
@@ -1300,8 +1387,11 @@ const CanvasDesigner = {
 
   createQR(element, x, y) {
     const size = (element.width || 20) * PX_PER_MM
-    // Use text_content for single labels, binding for multiple labels with data
-    const content = element.text_content || element.binding || ''
+    // Use text_content for single labels, binding for multiple labels with data;
+    // a Digital Link QR is drawn from a stand-in URI (the real one needs row data)
+    const content = element.qr_mode === 'digital_link'
+      ? digitalLinkPlaceholder(element)
+      : element.text_content || element.binding || ''
 
     // If we have content, generate real QR code
     if (content) {
@@ -1528,7 +1618,8 @@ const CanvasDesigner = {
     // If we have content, generate real barcode
     if (content) {
       // Validate content for format before attempting generation
-      const validation = sharedValidateBarcodeContent(content, format)
+      // (a wrong check digit is fine when the element corrects it)
+      const validation = sharedValidateBarcodeContent(barcodeContent(content, element), format)
       if (!validation.valid) {
         // Show error placeholder with format requirements
         return this.createBarcodeErrorPlaceholder(w, h, x, y, element.rotation, validation.error)
@@ -1749,6 +1840,33 @@ const CanvasDesigner = {
     return element.text_content
   },
 
+  /**
+   * Set a textbox's text, drawing **bold** / __italic__ markup as styled
+   * runs. The marked-up source is kept in `_richSource` for inline editing.
+   */
+  _setTextboxText(textbox, text) {
+    textbox.styles = {}
+    if (!hasMarkup(text)) {
+      textbox._richSource = null
+      textbox.set('text', text)
+      return
+    }
+
+    const runs = parseRuns(text)
+    textbox._richSource = text
+    textbox.set('text', runs.map(r => r.text).join(''))
+    textbox.initDimensions()
+    let index = 0
+    for (const run of runs) {
+      const end = index + run.text.length
+      const style = {}
+      if (run.bold) style.fontWeight = 'bold'
+      if (run.italic) style.fontStyle = 'italic'
+      if (run.bold || run.italic) textbox.setSelectionStyles(style, index, end)
+      index = end
+    }
+  },
+
   // Check if editing this object should modify a translation (not text_content)
   _isTranslationEditMode(obj) {
     if (!obj || !obj.elementData) return false
@@ -1769,7 +1887,7 @@ const CanvasDesigner = {
     let isExpr = false
     if (isExpression(element.binding)) {
       isExpr = true
-      const ctx = { rowIndex: 0, batchSize: 1, now: new Date(), language: this._previewLanguage, defaultLanguage: this._defaultLanguage || 'es' }
+      const ctx = { rowIndex: 0, batchSize: 1, now: new Date(), holidays: this._holidays, timeZone: this._timeZone, language: this._previewLanguage, defaultLanguage: this._defaultLanguage || 'es' }
       const preview = evaluate(element.binding, {}, ctx)
       content = preview || element.binding
     } else if (element.binding) {
@@ -1783,7 +1901,7 @@ const CanvasDesigner = {
     const fontSize = element.font_size || 12
 
     // Create textbox with initial width
-    const textbox = new fabric.Textbox(content, {
+    const textbox = new fabric.Textbox(stripMarkup(content), {
       left: x,
       top: y,
       width: (element.width || 30) * PX_PER_MM,
@@ -1807,13 +1925,15 @@ const CanvasDesigner = {
       textbox.set('fontStyle', 'italic')
     }
 
+    if (hasMarkup(content)) this._setTextboxText(textbox, content)
+
     // Auto-fit font size to bounding box (only when explicitly enabled)
     if (element.text_auto_fit === true && content && element.width && element.height) {
       const boxW = (element.width || 30) * PX_PER_MM
       const boxH = (element.height || 14) * PX_PER_MM
       const minFontSize = element.text_min_font_size || 6
       const { fontSize: fittedSize, overflows } = calcAutoFitFontSize(
-        content, boxW, boxH, fontSize, minFontSize,
+        stripMarkup(content), boxW, boxH, fontSize, minFontSize,
         element.font_family || 'Arial', element.font_weight || 'normal'
       )
       textbox.set('fontSize', fittedSize)
@@ -2026,7 +2146,7 @@ const CanvasDesigner = {
       value = parseFloat(value) || 0
     }
     // Parse boolean values
-    if (['text_auto_fit'].includes(field)) {
+    if (['text_auto_fit', 'barcode_fix_check_digit'].includes(field)) {
       value = value === true || value === 'true'
     }
 
@@ -2105,22 +2225,22 @@ const CanvasDesigner = {
       case 'text_content':
         if (obj.type === 'textbox') {
           if (value && value.trim() !== '') {
-            obj.set('text', value)
+            this._setTextboxText(obj, value)
             obj.set('fill', obj._originalColor || data.color || '#000000')
             obj._isPlaceholder = false
           } else if (data.binding) {
             // text_content cleared but has binding: show binding indicator
             if (isExpression(data.binding)) {
               const preview = evaluate(data.binding, {}, { rowIndex: 0, batchSize: 1, now: new Date() })
-              obj.set('text', preview || data.binding)
+              this._setTextboxText(obj, preview || data.binding)
               obj.set('fontStyle', 'italic')
             } else {
-              obj.set('text', `[${data.binding}]`)
+              this._setTextboxText(obj, `[${data.binding}]`)
             }
             obj.set('fill', obj._originalColor || data.color || '#000000')
             obj._isPlaceholder = false
           } else {
-            obj.set('text', 'Completar texto')
+            this._setTextboxText(obj, 'Completar texto')
             obj.set('fill', '#999999')
             obj._isPlaceholder = true
           }
@@ -2138,9 +2258,16 @@ const CanvasDesigner = {
         }
         break
       case 'font_size':
+      case 'font_family':
+        // GS1 barcodes print their HRI line in the element's font
+        if (obj.elementType === 'barcode') {
+          obj.elementData = data
+          this.recreateCodeElement(obj, data.binding || data.text_content, 'preserve')
+          return // recreateCodeElement handles save
+        }
         if (obj.type === 'textbox') {
-          obj.set('fontSize', value)
-          // Recalculate dimensions after font size change
+          obj.set(field === 'font_size' ? 'fontSize' : 'fontFamily', value)
+          // Recalculate dimensions after font change
           this.updateTextFit(obj)
         }
         break
@@ -2150,12 +2277,6 @@ const CanvasDesigner = {
           this.updateTextFit(obj)
         }
         break
-      case 'font_family':
-        if (obj.type === 'textbox') {
-          obj.set('fontFamily', value)
-          this.updateTextFit(obj)
-        }
-        break
       case 'text_align':
         if (obj.type === 'textbox') {
           obj.set('textAlign', value)
@@ -2207,22 +2328,22 @@ const CanvasDesigner = {
           if (value) {
             if (isExpression(value)) {
               const preview = evaluate(value, {}, { rowIndex: 0, batchSize: 1, now: new Date() })
-              obj.set('text', preview || value)
+              this._setTextboxText(obj, preview || value)
               obj.set('fontStyle', 'italic')
             } else {
-              obj.set('text', `[${value}]`)
+              this._setTextboxText(obj, `[${value}]`)
               obj.set('fontStyle', 'normal')
             }
             obj.set('fill', obj._originalColor || data.color || '#000000')
             obj._isPlaceholder = false
           } else if (data.text_content && data.text_content.trim() !== '') {
             // Binding cleared: restore text_content
-            obj.set('text', data.text_content)
+            this._setTextboxText(obj, data.text_content)
             obj.set('fill', obj._originalColor || data.color || '#000000')
             obj._isPlaceholder = false
           } else {
             // Binding cleared, no text_content: show placeholder
-            obj.set('text', 'Completar texto')
+            this._setTextboxText(obj, 'Completar texto')
             obj.set('fill', '#999999')
             obj._isPlaceholder = true
           }
@@ -2239,8 +2360,18 @@ const CanvasDesigner = {
           return // recreateCodeElement handles save
         }
         break
+      case 'qr_mode':
+      case 'digital_link':
+        // Switching the content mode or the mapped AIs changes the QR data
+        if (obj.elementType === 'qr') {
+          obj.elementData = data
+          this.recreateCodeElement(obj, data.binding || data.text_content, 'preserve')
+          return // recreateCodeElement handles save
+        }
+        break
       case 'barcode_show_text':
-        // Changing barcode show_text requires regenerating the barcode
+      case 'barcode_fix_check_digit':
+        // Changing barcode show_text or check digit correction requires regenerating the barcode
         if (obj.elementType === 'barcode') {
           obj.elementData = data
           this.recreateCodeElement(obj, data.binding || data.text_content, 'preserve')
@@ -2334,16 +2465,16 @@ const CanvasDesigner = {
       let needsTranslation = false
 
       if (isExpression(data.binding)) {
-        const ctx = { rowIndex: 0, batchSize: 1, now: new Date(), language: lang, defaultLanguage: defaultLang }
+        const ctx = { rowIndex: 0, batchSize: 1, now: new Date(), holidays: this._holidays, timeZone: this._timeZone, language: lang, defaultLanguage: defaultLang }
         const preview = evaluate(data.binding, row, ctx)
-        obj.set('text', preview || data.binding)
+        this._setTextboxText(obj, preview || data.binding)
       } else if (hasData && (hasBinding || mapping[obj.elementId])) {
         const resolved = resolveText(data, row, mapping, {
           language: lang,
           defaultLanguage: defaultLang
         })
         const hasContent = resolved && resolved.trim() !== ''
-        obj.set('text', hasContent ? resolved : `[${data.binding || data.name || 'sin datos'}]`)
+        this._setTextboxText(obj, hasContent ? resolved : `[${data.binding || data.name || 'sin datos'}]`)
         obj.set('fill', hasContent ? (obj._originalColor || data.color || '#000000') : '#999999')
       } else if (!hasBinding) {
         const resolved = this._resolveCanvasText(data)
@@ -2352,12 +2483,12 @@ const CanvasDesigner = {
 
         if (needsTranslation) {
           // Show base text in gray
-          obj.set('text', data.text_content)
+          this._setTextboxText(obj, data.text_content)
           obj.set('fill', '#9CA3AF')
           obj.set('fontStyle', data.font_style || 'normal')
         } else {
           const hasContent = resolved && resolved.trim() !== ''
-          obj.set('text', hasContent ? resolved : 'Completar texto')
+          this._setTextboxText(obj, hasContent ? resolved : 'Completar texto')
           obj.set('fill', hasContent ? (obj._originalColor || data.color || '#000000') : '#999999')
           obj.set('fontStyle', data.font_style || 'normal')
         }
@@ -2427,6 +2558,63 @@ const CanvasDesigner = {
     this._translationHints.clear()
   },
 
+  /**
+   * Lint expression bindings, visible_if conditions, style bindings and
+   * fixed GS1 element strings and show the results as canvas markers and in
+   * the properties panel. Only pushes to the server when something changed.
+   * @param {Array} [elements] - element data; defaults to the canvas elements
+   */
+  _refreshExpressionDiagnostics(elements) {
+    if (this._isDestroyed || !this.canvas) return
+
+    const list = elements || Array.from(this.elements.values()).map(obj => obj.elementData || {})
+    const diagnostics = new Map()
+    list.forEach((el) => {
+      if (!el || !el.id) return
+      const fields = this._elementDiagnostics(el)
+      if (Object.keys(fields).length > 0) diagnostics.set(el.id, fields)
+    })
+
+    const payload = Object.fromEntries(diagnostics)
+    const serialized = JSON.stringify(payload)
+    this._expressionDiagnostics = diagnostics
+    this.canvas.requestRenderAll()
+
+    if (serialized !== this._lastDiagnosticsPayload) {
+      this._lastDiagnosticsPayload = serialized
+      this.pushEvent("expression_diagnostics", { diagnostics: payload })
+    }
+  },
+
+  // Diagnostics of one element keyed by field: binding, text_content (fixed
+  // barcode content), visible_if and style_bindings.<property>
+  _elementDiagnostics(el) {
+    const fields = {}
+    const add = (field, found) => { if (found.length > 0) fields[field] = found }
+
+    if (isExpression(el.binding)) {
+      add('binding', analyze(el.binding, this._availableColumns))
+    } else if (el.type === 'barcode' && !el.binding && el.text_content) {
+      // Fixed GS1 element strings: one diagnostic per invalid AI
+      const format = el.barcode_format || 'CODE128'
+      const { errors } = sharedValidateBarcodeContent(el.text_content, format)
+      const check = checkDigitStatus(el.text_content, format)
+      if (errors) {
+        add('text_content', errors.map(e => ({ severity: 'error', message: e.message })))
+      } else if (check && check.status === 'mismatch' && el.barcode_fix_check_digit) {
+        add('text_content', [{ severity: 'warning', message: `Dígito de control corregido: se imprime ${check.code}` }])
+      }
+    }
+
+    add('visible_if', analyzeCondition(el.visible_if, this._availableColumns))
+    if (el.style_bindings && typeof el.style_bindings === 'object') {
+      for (const [property, expression] of Object.entries(el.style_bindings)) {
+        add(`style_bindings.${property}`, analyzeCondition(expression, this._availableColumns))
+      }
+    }
+    return fields
+  },
+
   /**
    * Recreate a group (QR/barcode) at a new size
    * This is needed because scaling groups doesn't persist well
@@ -2954,6 +3142,7 @@ const CanvasDesigner = {
     // Record save time to prevent load_design from reverting changes
     this._lastSaveTime = Date.now()
     this.pushEvent("element_modified", { elements, groups })
+    this._refreshExpressionDiagnostics(elements)
 
     // After saving, recreate any QR/barcode marked for recreation (regenerate at new size)
     this.elements.forEach((obj, id) => {
@@ -0,0 +1,105 @@
+/**
+ * Check Digits
+ * Finds EAN/UPC/ITF-14/DataBar values with a wrong check digit in a batch,
+ * so every output path (PDF, print, ZPL) reports them to the LiveView before
+ * anything is printed or downloaded, and before the run's SERIE() values
+ * are reserved where the codes don't depend on them.
+ *
+ * Used by: print_engine, single_label_print
+ */
+
+import { checkDigitStatus } from './barcode_generator'
+import { resolveCodeValue, isElementVisible, usesSerials } from './expression_engine'
+
+// Check digit problems sent to the server (the rest are counted)
+const MAX_REPORTED_ISSUES = 5
+
+/**
+ * @param {Object} element - barcode element
+ * @param {string} value - resolved content
+ * @param {number} rowIndex - 0-based row of the batch
+ * @returns {Object|null} the issue, or null when the check digit is right
+ *   (or the format has none)
+ */
+export function checkDigitIssue(element, value, rowIndex) {
+  const check = checkDigitStatus(value, element.barcode_format)
+  if (!check || check.status !== 'mismatch') return null
+  return {
+    row: rowIndex + 1,
+    element: element.name || element.barcode_format,
+    value: String(value).trim(),
+    expected: check.code,
+    fixed: !!element.barcode_fix_check_digit
+  }
+}
+
+// Barcodes whose content or visibility depends on SERIE()
+function serialBarcode(element) {
+  return usesSerials(element.binding) || usesSerials(element.visible_if)
+}
+
+/**
+ * Resolve every visible barcode of a batch and collect its check digit issues.
+ * @param {Object} design - design with elements
+ * @param {Array<Object>} rows - batch rows
+ * @param {Array<Object>} contexts - expression context per row
+ * @param {Object|null} mapping - column mapping, as for resolveCodeValue
+ * @param {boolean|null} serials - only the barcodes that use SERIE() (true),
+ *   only the others (false), or all of them (null)
+ * @returns {Array<Object>} issues (see checkDigitIssue)
+ */
+export function findCheckDigitIssues(design, rows, contexts, mapping = null, serials = null) {
+  const barcodes = (design.elements || []).filter(el =>
+    el.type === 'barcode' && (serials === null || serialBarcode(el) === serials))
+  const issues = []
+  rows.forEach((row, rowIndex) => {
+    const context = contexts[rowIndex]
+    for (const element of barcodes) {
+      if (!isElementVisible(element, row, context)) continue
+      const value = resolveCodeValue(element, row, mapping, context)
+      const issue = value && checkDigitIssue(element, value, rowIndex)
+      if (issue) issues.push(issue)
+    }
+  })
+  return issues
+}
+
+/**
+ * Check a run's check digits around the reservation of its SERIE() values:
+ * barcodes that don't use SERIE() first, so a run stopped by a wrong check
+ * digit doesn't use up a serial range, then the others with their reserved
+ * values. Each context gets its row's `serials`.
+ * @param {Object} design - design with elements
+ * @param {Array<Object>} rows - batch rows
+ * @param {Array<Object>} contexts - expression context per row, without serials
+ * @param {Object|null} mapping - column mapping, as for resolveCodeValue
+ * @param {function(): Promise<Object|null>} reserve - reserves the run's
+ *   serials, resolving to reserveSerials()'s result
+ * @returns {Promise<Object>} the report (see buildCheckDigitReport); nothing
+ *   is reserved when it has errors before the reservation
+ */
+export async function checkAndReserveSerials(design, rows, contexts, mapping, reserve) {
+  const issues = findCheckDigitIssues(design, rows, contexts, mapping, false)
+  if (issues.some(issue => !issue.fixed)) return buildCheckDigitReport(issues)
+
+  const serials = await reserve()
+  if (serials) {
+    contexts.forEach((context, rowIndex) => { context.serials = serials.rowSerials[rowIndex] })
+    issues.push(...findCheckDigitIssues(design, rows, contexts, mapping, true))
+  }
+  return buildCheckDigitReport(issues)
+}
+
+/**
+ * Summary of the issues for the LiveView: how many block printing, how many
+ * were corrected, and the first few of them.
+ * @returns {{errors: number, fixed: number, samples: Array<Object>}}
+ */
+export function buildCheckDigitReport(issues = []) {
+  const errors = issues.filter(issue => !issue.fixed)
+  return {
+    errors: errors.length,
+    fixed: issues.length - errors.length,
+    samples: (errors.length > 0 ? errors : issues).slice(0, MAX_REPORTED_ISSUES)
+  }
+}
@@ -3,28 +3,46 @@
  * Reads Excel/CSV files and pasted data client-side, stores in IndexedDB,
  * and pushes metadata to the server.
  * Replaces the old ExcelReader hook.
+ *
+ * With `data-lookup="true"` the file is stored as a named lookup table for
+ * BUSCARV() instead of the design's main dataset; the name comes from the
+ * `lookup_name` input inside the hook element.
  */
 
 import * as XLSX from 'xlsx'
-import { putDataset, associateDataset, clearDataset, getDataset } from './data_store'
+import {
+  putDataset, associateDataset, clearDataset, getDataset,
+  putLookupTable, listLookupTables, deleteLookupTable
+} from './data_store'
+import { detectDateFormat } from './expression_engine'
 
 const MAX_SAMPLE_ROWS = 5
+const LOOKUP_NAME = /^[\p{L}\p{N}_]+$/u
 
 const DataFileReader = {
   mounted() {
     this.userId = parseInt(this.el.dataset.userId)
     this.designId = this.el.dataset.designId ? parseInt(this.el.dataset.designId) : null
+    this.lookupMode = this.el.dataset.lookup === 'true'
 
     // File input change → parse → IndexedDB → push metadata
     const input = this.el.querySelector('input[type="file"]')
     if (input) {
       input.addEventListener('change', (e) => {
         if (e.target.files[0]) {
-          this.handleFile(e.target.files[0])
+          const file = e.target.files[0]
+          // Allow re-selecting the same file after an error
+          e.target.value = ''
+          this.lookupMode ? this.handleLookupFile(file) : this.handleFile(file)
         }
       })
     }
 
+    if (this.lookupMode) {
+      this.setupLookupEvents()
+      return
+    }
+
     // Paste parsing from server
     this.handleEvent("process_paste_client", ({text}) => this.handlePaste(text))
 
@@ -52,18 +70,90 @@ const DataFileReader = {
     })
   },
 
+  setupLookupEvents() {
+    this.pushLookupTables()
+
+    this.handleEvent("delete_lookup_table", async ({name}) => {
+      await deleteLookupTable(this.userId, this.designId, name)
+      this.pushLookupTables()
+    })
+  },
+
+  async pushLookupTables() {
+    const tables = await listLookupTables(this.userId, this.designId)
+    this.pushEvent("lookup_tables_loaded", {
+      tables: tables.map(t => ({ name: t.name, columns: t.columns, total_rows: t.totalRows }))
+    })
+  },
+
   async handleFile(file) {
+    const parsed = await this.readFile(file)
+    if (!parsed) return
+    const { headers, rows } = parsed
+
+    try {
+      // Store in IndexedDB
+      await putDataset(this.userId, this.designId, headers, rows, { dateFormat: this.dateFormat(rows) })
+
+      // Push metadata to server
+      const sampleRows = rows.slice(0, MAX_SAMPLE_ROWS)
+      this.pushEvent("client_file_read", {
+        columns: headers,
+        total_rows: rows.length,
+        sample_rows: sampleRows
+      })
+    } catch (err) {
+      console.error('Error storing dataset:', err)
+      this.pushEvent("file_error", {error: err.message})
+    }
+  },
+
+  // Input date format chosen next to the upload; with "auto" (or none) the
+  // day/month order is decided once for the whole data source
+  dateFormat(rows) {
+    const select = this.el.querySelector('[name="date_format"]')
+    const chosen = select ? select.value : 'auto'
+    return chosen === 'auto' ? detectDateFormat(rows) : chosen
+  },
+
+  async handleLookupFile(file) {
+    const nameInput = this.el.querySelector('input[name="lookup_name"]')
+    const name = (nameInput ? nameInput.value : '').trim()
+    if (!LOOKUP_NAME.test(name)) {
+      this.pushEvent("lookup_error", {error: "Indica un nombre para la tabla (letras, números y _)"})
+      return
+    }
+
+    const parsed = await this.readFile(file, "lookup_error")
+    if (!parsed) return
+
+    try {
+      await putLookupTable(this.userId, this.designId, name, parsed.headers, parsed.rows)
+      if (nameInput) nameInput.value = ''
+      this.pushLookupTables()
+    } catch (err) {
+      console.error('Error storing lookup table:', err)
+      this.pushEvent("lookup_error", {error: "Error al almacenar la tabla"})
+    }
+  },
+
+  /**
+   * Parse the first sheet of an Excel/CSV file.
+   * @returns {Promise<{headers: string[], rows: Object[]}|null>} null after
+   *   pushing `errorEvent` when the file is invalid
+   */
+  async readFile(file, errorEvent = "file_error") {
     // Validate extension
     const ext = file.name.split('.').pop().toLowerCase()
     if (!['xlsx', 'xls', 'csv'].includes(ext)) {
-      this.pushEvent("file_error", {error: "Formato no soportado. Usa .xlsx, .xls o .csv"})
-      return
+      this.pushEvent(errorEvent, {error: "Formato no soportado. Usa .xlsx, .xls o .csv"})
+      return null
     }
 
     // Validate size (10MB)
     if (file.size > 10 * 1024 * 1024) {
-      this.pushEvent("file_error", {error: "El archivo excede el límite de 10MB"})
-      return
+      this.pushEvent(errorEvent, {error: "El archivo excede el límite de 10MB"})
+      return null
     }
 
     try {
@@ -75,8 +165,8 @@ const DataFileReader = {
       const data = XLSX.utils.sheet_to_json(sheet, {header: 1})
 
       if (data.length === 0) {
-        this.pushEvent("file_error", {error: "El archivo está vacío"})
-        return
+        this.pushEvent(errorEvent, {error: "El archivo está vacío"})
+        return null
       }
 
       // First row is headers
@@ -90,23 +180,15 @@ const DataFileReader = {
       }).filter(row => Object.values(row).some(v => v !== ''))
 
       if (rows.length === 0) {
-        this.pushEvent("file_error", {error: "El archivo no contiene datos (solo encabezados)"})
-        return
+        this.pushEvent(errorEvent, {error: "El archivo no contiene datos (solo encabezados)"})
+        return null
       }
 
-      // Store in IndexedDB
-      await putDataset(this.userId, this.designId, headers, rows)
-
-      // Push metadata to server
-      const sampleRows = rows.slice(0, MAX_SAMPLE_ROWS)
-      this.pushEvent("client_file_read", {
-        columns: headers,
-        total_rows: rows.length,
-        sample_rows: sampleRows
-      })
+      return { headers, rows }
     } catch (err) {
       console.error('Error reading file:', err)
-      this.pushEvent("file_error", {error: err.message})
+      this.pushEvent(errorEvent, {error: err.message})
+      return null
     }
   },
 
@@ -159,7 +241,7 @@ const DataFileReader = {
       })
 
       // Store in IndexedDB (async but fire-and-forget for UI responsiveness)
-      putDataset(this.userId, this.designId, columns, rows).then(() => {
+      putDataset(this.userId, this.designId, columns, rows, { dateFormat: this.dateFormat(rows) }).then(() => {
         const sampleRows = rows.slice(0, MAX_SAMPLE_ROWS)
         this.pushEvent("client_file_read", {
           columns,
@@ -2,17 +2,27 @@
  * IndexedDB Data Store
  * Stores CSV/Excel datasets in the browser's IndexedDB.
  * Key: "userId_designId" or "userId_unassigned"
- * Value: { storeKey, columns, rows, totalRows, createdAt }
+ * Value: { storeKey, columns, rows, totalRows, dateFormat, createdAt }
+ *
+ * Also keeps SERIE() counters per design in a second store:
+ * Value: { storeKey, counters: { scope: lastValue }, updatedAt }
+ *
+ * And named lookup tables for BUSCARV() in a third store:
+ * Key: "userId_designId:name" — Value: { storeKey, ownerKey, name, columns, rows, totalRows, createdAt }
  *
  * Feature-detect: Falls back to in-memory Map if IndexedDB is unavailable.
  */
 
 const DB_NAME = 'qr_label_data'
-const DB_VERSION = 1
+const DB_VERSION = 3
 const STORE_NAME = 'datasets'
+const COUNTERS_STORE = 'counters'
+const LOOKUPS_STORE = 'lookups'
 
 let db = null
 let fallbackMap = null
+let fallbackCounters = null
+let fallbackLookups = null
 
 function makeKey(userId, designId) {
   return `${userId}_${designId || 'unassigned'}`
@@ -24,6 +34,8 @@ function openDB() {
   if (typeof indexedDB === 'undefined' || !indexedDB) {
     console.warn('IndexedDB not available, using in-memory fallback')
     fallbackMap = fallbackMap || new Map()
+    fallbackCounters = fallbackCounters || new Map()
+    fallbackLookups = fallbackLookups || new Map()
     return Promise.resolve(null)
   }
 
@@ -35,16 +47,36 @@ function openDB() {
       if (!idb.objectStoreNames.contains(STORE_NAME)) {
         idb.createObjectStore(STORE_NAME, { keyPath: 'storeKey' })
       }
+      if (!idb.objectStoreNames.contains(COUNTERS_STORE)) {
+        idb.createObjectStore(COUNTERS_STORE, { keyPath: 'storeKey' })
+      }
+      if (!idb.objectStoreNames.contains(LOOKUPS_STORE)) {
+        const lookups = idb.createObjectStore(LOOKUPS_STORE, { keyPath: 'storeKey' })
+        lookups.createIndex('ownerKey', 'ownerKey', { unique: false })
+      }
     }
 
     request.onsuccess = (event) => {
       db = event.target.result
+      // Let a newer version opened in another tab upgrade the database;
+      // the next call here reopens it
+      db.onversionchange = () => {
+        db.close()
+        db = null
+      }
       resolve(db)
     }
 
+    // Another tab still holds the previous version open
+    request.onblocked = () => {
+      reject(new Error('Cierra las demás pestañas de la aplicación para actualizar el almacenamiento local'))
+    }
+
     request.onerror = (event) => {
       console.warn('IndexedDB open failed, using in-memory fallback:', event.target.error)
       fallbackMap = fallbackMap || new Map()
+      fallbackCounters = fallbackCounters || new Map()
+      fallbackLookups = fallbackLookups || new Map()
       resolve(null)
     }
   })
@@ -90,10 +122,67 @@ function idbClearAll() {
   })
 }
 
+// Read and update a counters record in one readwrite transaction, so two
+// tabs printing the same design can't reserve the same values.
+function idbReserve(key, counts, baseline) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(COUNTERS_STORE, 'readwrite')
+    const store = tx.objectStore(COUNTERS_STORE)
+    const request = store.get(key)
+    let result = null
+    request.onsuccess = () => {
+      const record = request.result || { storeKey: key, counters: {} }
+      result = applyReservation(record, counts, baseline)
+      store.put(record)
+    }
+    tx.oncomplete = () => resolve(result)
+    tx.onerror = (e) => reject(e.target.error)
+  })
+}
+
+function applyReservation(record, counts, baseline) {
+  for (const [scope, value] of Object.entries(baseline)) {
+    record.counters[scope] = Math.max(record.counters[scope] || 0, parseInt(value) || 0)
+  }
+  const starts = {}
+  for (const [scope, count] of Object.entries(counts)) {
+    const last = record.counters[scope] || 0
+    starts[scope] = last + 1
+    record.counters[scope] = last + count
+  }
+  record.updatedAt = Date.now()
+  return { starts, counters: { ...record.counters } }
+}
+
+function idbLookupsByOwner(ownerKey) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(LOOKUPS_STORE, 'readonly')
+    const index = tx.objectStore(LOOKUPS_STORE).index('ownerKey')
+    const request = index.getAll(ownerKey)
+    request.onsuccess = () => resolve(request.result || [])
+    request.onerror = (e) => reject(e.target.error)
+  })
+}
+
+function idbLookupWrite(method, value) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(LOOKUPS_STORE, 'readwrite')
+    const request = tx.objectStore(LOOKUPS_STORE)[method](value)
+    request.onsuccess = () => resolve()
+    request.onerror = (e) => reject(e.target.error)
+  })
+}
+
+function makeLookupKey(userId, designId, name) {
+  return `${makeKey(userId, designId)}:${String(name).toLowerCase()}`
+}
+
 /**
  * Store a dataset for a user+design.
+ * options.dateFormat: how the source writes dates ("DD/MM/AAAA", ...);
+ * null lets parseDate detect it.
  */
-export async function putDataset(userId, designId, columns, rows) {
+export async function putDataset(userId, designId, columns, rows, options = {}) {
   const idb = await openDB()
   const key = makeKey(userId, designId)
   const record = {
@@ -101,6 +190,7 @@ export async function putDataset(userId, designId, columns, rows) {
     columns,
     rows,
     totalRows: rows.length,
+    dateFormat: options.dateFormat || null,
     createdAt: Date.now()
   }
 
@@ -112,7 +202,7 @@ export async function putDataset(userId, designId, columns, rows) {
 }
 
 /**
- * Get full dataset: { columns, rows, totalRows }
+ * Get full dataset: { columns, rows, totalRows, dateFormat }
  */
 export async function getDataset(userId, designId) {
   const idb = await openDB()
@@ -126,7 +216,7 @@ export async function getDataset(userId, designId) {
   }
 
   if (!record) return null
-  return { columns: record.columns, rows: record.rows, totalRows: record.totalRows }
+  return { columns: record.columns, rows: record.rows, totalRows: record.totalRows, dateFormat: record.dateFormat || null }
 }
 
 /**
@@ -139,7 +229,7 @@ export async function getRow(userId, designId, index) {
 }
 
 /**
- * Get metadata only (no rows): { columns, totalRows }
+ * Get metadata only (no rows): { columns, totalRows, dateFormat }
  */
 export async function getMetadata(userId, designId) {
   const idb = await openDB()
@@ -153,7 +243,7 @@ export async function getMetadata(userId, designId) {
   }
 
   if (!record) return null
-  return { columns: record.columns, totalRows: record.totalRows }
+  return { columns: record.columns, totalRows: record.totalRows, dateFormat: record.dateFormat || null }
 }
 
 /**
@@ -215,3 +305,101 @@ export async function clearAll() {
     fallbackMap.clear()
   }
 }
+
+/**
+ * Atomically reserve consecutive counter values for a print batch. Only
+ * used offline: with a connection the server reserves them (serial_counters.js).
+ * @param {Object} counts - { scope: howManyValues }
+ * @param {Object} baseline - last values known to the server; the higher of
+ *   local and server value wins so another browser's prints are not reused
+ * @returns {Promise<{starts: Object, counters: Object}>} first reserved value
+ *   per scope, and the full local counter state
+ */
+export async function reserveCounters(userId, designId, counts, baseline = {}) {
+  const idb = await openDB()
+  const key = makeKey(userId, designId)
+
+  if (idb) {
+    return idbReserve(key, counts, baseline)
+  }
+
+  const record = fallbackCounters.get(key) || { storeKey: key, counters: {} }
+  const result = applyReservation(record, counts, baseline)
+  fallbackCounters.set(key, record)
+  return result
+}
+
+/**
+ * Raise the local counters to values reserved on the server, so an offline
+ * reservation continues after them.
+ * @param {Object} counters - { scope: lastValue }
+ * @returns {Promise<Object>} the merged local counters
+ */
+export async function mergeCounters(userId, designId, counters) {
+  const { counters: merged } = await reserveCounters(userId, designId, {}, counters || {})
+  return merged
+}
+
+/**
+ * Store (or replace) a named lookup table for a user+design.
+ * Table names are case-insensitive.
+ */
+export async function putLookupTable(userId, designId, name, columns, rows) {
+  const idb = await openDB()
+  const record = {
+    storeKey: makeLookupKey(userId, designId, name),
+    ownerKey: makeKey(userId, designId),
+    name,
+    columns,
+    rows,
+    totalRows: rows.length,
+    createdAt: Date.now()
+  }
+
+  if (idb) {
+    await idbLookupWrite('put', record)
+  } else {
+    fallbackLookups.set(record.storeKey, record)
+  }
+}
+
+async function lookupRecords(userId, designId) {
+  const idb = await openDB()
+  const ownerKey = makeKey(userId, designId)
+
+  if (idb) return idbLookupsByOwner(ownerKey)
+  return [...fallbackLookups.values()].filter(record => record.ownerKey === ownerKey)
+}
+
+/**
+ * Get all lookup tables of a design: { name: { columns, rows } }
+ */
+export async function getLookupTables(userId, designId) {
+  const tables = {}
+  for (const record of await lookupRecords(userId, designId)) {
+    tables[record.name] = { columns: record.columns, rows: record.rows }
+  }
+  return tables
+}
+
+/**
+ * List lookup tables without rows: [{ name, columns, totalRows }]
+ */
+export async function listLookupTables(userId, designId) {
+  const records = await lookupRecords(userId, designId)
+  return records.map(({ name, columns, totalRows }) => ({ name, columns, totalRows }))
+}
+
+/**
+ * Delete a lookup table.
+ */
+export async function deleteLookupTable(userId, designId, name) {
+  const idb = await openDB()
+  const key = makeLookupKey(userId, designId, name)
+
+  if (idb) {
+    await idbLookupWrite('delete', key)
+  } else {
+    fallbackLookups.delete(key)
+  }
+}
@@ -0,0 +1,121 @@
+/**
+ * Decimal Arithmetic
+ * Exact base-10 arithmetic for prices, weights and tax. A value is a BigInt
+ * scaled by a power of ten, so 1.005 rounds to 1.01 instead of the 1.00 that
+ * (1.005).toFixed(2) gives, and 0.1 + 0.2 stays 0.3.
+ *
+ * Rounding is commercial: halves go away from zero.
+ *
+ * Used by: expression_engine (REDONDEAR, FORMATO_NUM, CONVERTIR,
+ *          PRECIO_UNIDAD, IVA; number reading for operators)
+ *
+ * @module decimal
+ */
+
+// BigInt literals (10n) need ES2020; the bundle targets ES2017
+const ZERO = BigInt(0)
+const ONE = BigInt(1)
+const TWO = BigInt(2)
+const TEN = BigInt(10)
+
+function pow10(n) {
+  return TEN ** BigInt(n)
+}
+
+/**
+ * Normalize a number as people type it: "1.234,50", "1,234.50", "1 234,5",
+ * "3,49 €". With both marks the last one is the decimal mark; a single
+ * comma is a decimal comma and repeated marks are thousands separators.
+ */
+export function normalizeNumberText(text) {
+  const str = text.replace(/[\s'’]|\p{Sc}/gu, '')
+  const lastComma = str.lastIndexOf(',')
+  const lastDot = str.lastIndexOf('.')
+
+  if (lastComma !== -1 && lastDot !== -1) {
+    const [group, mark] = lastComma > lastDot ? ['.', ','] : [',', '.']
+    return str.split(group).join('').replace(mark, '.')
+  }
+  if (lastComma !== -1) {
+    return str.indexOf(',') === lastComma ? str.replace(',', '.') : str.split(',').join('')
+  }
+  if (lastDot !== -1 && str.indexOf('.') !== lastDot) return str.split('.').join('')
+  return str
+}
+
+/**
+ * Parse a decimal from a number or text.
+ * Numbers go through 15 significant digits first, hiding float drift.
+ * @returns {{digits: bigint, scale: number}} digits / 10^scale
+ * @throws {Error} if the value is not a number
+ */
+export function parseDecimal(value) {
+  const text = typeof value === 'number'
+    ? String(parseFloat(value.toPrecision(15)))
+    : normalizeNumberText(String(value == null ? '' : value).trim())
+  const m = text.match(/^([-+]?)(\d*)(?:\.(\d*))?(?:e([-+]?\d+))?$/i)
+  if (!m || (m[2] === '' && !m[3])) throw new Error(`No es un número: ${value}`)
+
+  const [, sign, whole, fraction = '', exponent = '0'] = m
+  let digits = BigInt(`${whole}${fraction}` || '0')
+  let scale = fraction.length - parseInt(exponent)
+  if (scale < 0) {
+    digits *= pow10(-scale)
+    scale = 0
+  }
+  return { digits: sign === '-' ? -digits : digits, scale }
+}
+
+function rescale(value, scale) {
+  return { digits: value.digits * pow10(scale - value.scale), scale }
+}
+
+// Integer division rounding halves away from zero
+function divideRounded(numerator, denominator) {
+  if (denominator < ZERO) {
+    numerator = -numerator
+    denominator = -denominator
+  }
+  const negative = numerator < ZERO
+  const abs = negative ? -numerator : numerator
+  let quotient = abs / denominator
+  if ((abs % denominator) * TWO >= denominator) quotient += ONE
+  return negative ? -quotient : quotient
+}
+
+export function add(a, b) {
+  const scale = Math.max(a.scale, b.scale)
+  return { digits: rescale(a, scale).digits + rescale(b, scale).digits, scale }
+}
+
+export function multiply(a, b) {
+  return { digits: a.digits * b.digits, scale: a.scale + b.scale }
+}
+
+/**
+ * a / b rounded once to `decimals` places.
+ * @throws {Error} on division by zero
+ */
+export function divide(a, b, decimals) {
+  if (b.digits === ZERO) throw new Error('División por cero')
+  const numerator = a.digits * pow10(b.scale + decimals)
+  const denominator = b.digits * pow10(a.scale)
+  return { digits: divideRounded(numerator, denominator), scale: decimals }
+}
+
+export function round(value, decimals) {
+  if (value.scale <= decimals) return rescale(value, decimals)
+  return { digits: divideRounded(value.digits, pow10(value.scale - decimals)), scale: decimals }
+}
+
+/**
+ * Plain text with a "." decimal mark and exactly `decimals` places,
+ * e.g. "-1234.50". Never "-0.00".
+ */
+export function toFixedString(value, decimals) {
+  const { digits } = round(value, decimals)
+  const negative = digits < ZERO
+  const abs = (negative ? -digits : digits).toString().padStart(decimals + 1, '0')
+  const text = decimals > 0 ? `${abs.slice(0, -decimals)}.${abs.slice(-decimals)}` : abs
+  return negative && /[1-9]/.test(text) ? `-${text}` : text
+}
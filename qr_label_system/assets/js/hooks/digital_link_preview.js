@@ -0,0 +1,135 @@
+/**
+ * Digital Link Preview Hook
+ * Shows the GS1 Digital Link URI a QR element encodes for the current preview
+ * row, decoded back into its AIs (AI | title | value), or the reason it can't
+ * be built (missing GTIN, wrong check digit, invalid date...).
+ *
+ * The element's mapping travels in data-digital-link; rows are read from
+ * IndexedDB (data_store.js) like the expression editor does.
+ *
+ * Expected markup (phx-update="ignore", owned by the hook):
+ *   [data-role="result"]  URI and AI breakdown
+ *
+ * @module digital_link_preview
+ */
+
+import { resolveDigitalLink, createBatch, createLookups, createHolidays } from './expression_engine'
+import { parseDigitalLink, getAI } from './gs1'
+import { createSeed } from './crypto_utils'
+import { getDataset, getLookupTables } from './data_store'
+
+const DigitalLinkPreview = {
+  mounted() {
+    this._resultEl = this.el.querySelector('[data-role="result"]')
+    this._rows = []
+    this._lookups = null
+    this._seed = createSeed()
+    this._datasetKey = null
+    this.readAttributes()
+    this.loadData().then(() => this.render())
+  },
+
+  updated() {
+    this.readAttributes()
+    this.loadData().then(() => this.render())
+  },
+
+  readAttributes() {
+    const data = this.el.dataset
+    this._userId = parseInt(data.userId)
+    this._designId = data.designId
+    this._previewIndex = parseInt(data.previewIndex) || 0
+    this._totalRows = parseInt(data.totalRows) || 0
+    this._language = data.language || null
+    this._defaultLanguage = data.defaultLanguage || 'es'
+    this._timeZone = data.timeZone || null
+    try {
+      this._mapping = JSON.parse(data.digitalLink || '{}')
+    } catch (_e) {
+      this._mapping = {}
+    }
+    try {
+      this._holidays = createHolidays(JSON.parse(data.holidays || '{}'))
+    } catch (_e) {
+      this._holidays = createHolidays()
+    }
+  },
+
+  // Dataset rows and lookup tables, re-read when a new dataset is loaded
+  async loadData() {
+    const key = `${this._designId}|${this._totalRows}`
+    if (this._datasetKey === key) return
+    this._datasetKey = key
+
+    const [dataset, tables] = await Promise.all([
+      getDataset(this._userId, this._designId),
+      getLookupTables(this._userId, this._designId)
+    ])
+    this._rows = dataset ? dataset.rows || [] : []
+    this._dateFormat = dataset ? dataset.dateFormat : null
+    this._lookups = createLookups(tables)
+  },
+
+  render() {
+    const box = this._resultEl
+    if (!box) return
+    box.innerHTML = ''
+
+    const rows = this._rows
+    const index = Math.min(this._previewIndex, Math.max(rows.length - 1, 0))
+    const row = rows.length > 0 ? rows[index] : {}
+    const context = {
+      rowIndex: index,
+      batchSize: Math.max(rows.length, 1),
+      now: new Date(),
+      seed: this._seed,
+      batch: createBatch(rows),
+      lookups: this._lookups,
+      holidays: this._holidays,
+      dateFormat: this._dateFormat,
+      timeZone: this._timeZone,
+      language: this._language,
+      defaultLanguage: this._defaultLanguage
+    }
+
+    let uri
+    try {
+      uri = resolveDigitalLink({ digital_link: this._mapping }, row, context)
+    } catch (e) {
+      const error = document.createElement('p')
+      error.className = 'text-xs text-red-600 font-medium'
+      error.textContent = e.message
+      box.appendChild(error)
+      return
+    }
+
+    const link = document.createElement('p')
+    link.className = 'text-xs font-mono text-gray-700 break-all'
+    link.textContent = uri
+    box.appendChild(link)
+
+    const table = document.createElement('table')
+    table.className = 'mt-1 w-full text-xs'
+    for (const [ai, value] of parseDigitalLink(uri).pairs) {
+      const tr = document.createElement('tr')
+      const def = getAI(ai)
+      for (const [text, cls] of [[`(${ai})`, 'font-mono text-gray-500 w-12'], [def ? def.title : '', 'text-gray-500'], [value, 'font-mono text-gray-900']]) {
+        const td = document.createElement('td')
+        td.className = `py-0.5 pr-2 ${cls}`
+        td.textContent = text
+        tr.appendChild(td)
+      }
+      table.appendChild(tr)
+    }
+    box.appendChild(table)
+
+    if (rows.length > 0) {
+      const note = document.createElement('p')
+      note.className = 'mt-1 text-xs text-gray-400'
+      note.textContent = `Fila ${index + 1}`
+      box.appendChild(note)
+    }
+  }
+}
+
+export default DigitalLinkPreview
@@ -0,0 +1,520 @@
+/**
+ * Expression Editor Hook
+ * Wraps the binding textarea of the advanced expression mode with:
+ *   - autocomplete of dataset columns and functions (FUNCTION_GROUPS, named
+ *     and documented in the UI language, `<html lang>`)
+ *   - signature help for the function call around the caret
+ *   - syntax highlighting, drawn by a <pre> mirror behind the textarea
+ *   - the evaluated result for the current preview row and the next rows
+ *
+ * Columns and rows are read from IndexedDB (data_store.js), so nothing extra
+ * travels over the socket. The textarea keeps its phx-change form; accepting
+ * a suggestion dispatches an `input` event so LiveView sees the change.
+ *
+ * Expected markup (children marked phx-update="ignore" are owned by the hook):
+ *   [data-role="input"]        the binding textarea
+ *   [data-role="highlight"]    <pre> behind the textarea
+ *   [data-role="suggestions"]  autocomplete list
+ *   [data-role="signature"]    signature help
+ *   [data-role="samples"]      evaluated results
+ */
+
+import { resolveText, describeFunction, functionGroups, createBatch, createLookups, createHolidays } from './expression_engine'
+import { tokenize } from './expression_parser'
+import { hasMarkup, appendRichText } from './rich_text'
+import { createSeed } from './crypto_utils'
+import { getDataset, getLookupTables } from './data_store'
+
+const SAMPLE_ROWS = 4
+const MAX_SUGGESTIONS = 8
+const REFRESH_DELAY_MS = 150
+
+// Styles copied from the textarea so the mirror lines up glyph by glyph
+const MIRROR_STYLES = [
+  'fontFamily', 'fontSize', 'fontWeight', 'lineHeight', 'letterSpacing', 'tabSize',
+  'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+  'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth'
+]
+
+const TOKEN_CLASSES = {
+  function: 'text-blue-700',
+  unknownFunction: 'text-red-600 underline decoration-wavy',
+  column: 'text-emerald-700',
+  unknownColumn: 'text-amber-700',
+  string: 'text-orange-700',
+  number: 'text-purple-700',
+  operator: 'text-pink-700',
+  brace: 'text-gray-400',
+  invalid: 'text-red-600'
+}
+
+// ─── Text analysis ────────────────────────────────────────────
+
+function escapeHTML(str) {
+  return str.replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]))
+}
+
+/**
+ * Split a template into literal text and `{{...}}` segments.
+ * An unclosed `{{` runs to the end of the text.
+ * @returns {Array<{expr: boolean, text: string, start: number, closed?: boolean}>}
+ */
+function splitTemplate(text) {
+  const parts = []
+  let pos = 0
+  while (pos < text.length) {
+    const open = text.indexOf('{{', pos)
+    if (open === -1) {
+      parts.push({ expr: false, text: text.slice(pos), start: pos })
+      break
+    }
+    if (open > pos) parts.push({ expr: false, text: text.slice(pos, open), start: pos })
+    const close = text.indexOf('}}', open + 2)
+    const end = close === -1 ? text.length : close
+    parts.push({ expr: true, text: text.slice(open + 2, end), start: open + 2, closed: close !== -1 })
+    pos = close === -1 ? text.length : close + 2
+  }
+  return parts
+}
+
+/**
+ * What the caret is in: the word being typed and the innermost function call.
+ * @returns {{prefix: string, prefixStart: number, call: {name: string, argIndex: number}|null, inString: boolean}|null}
+ *   null when the caret is outside `{{...}}`
+ */
+function caretContext(text, caret) {
+  const before = text.slice(0, caret)
+  const open = before.lastIndexOf('{{')
+  if (open === -1 || before.lastIndexOf('}}') > open) return null
+
+  const inner = before.slice(open + 2)
+  const tokens = tokenize(inner).filter(t => t.type !== 'eof')
+  const last = tokens[tokens.length - 1]
+  const inString = !!last && last.type === 'unknown' && /^["']/.test(last.value)
+
+  // Open calls up to the caret; a bare '(' is a grouping paren
+  const stack = []
+  tokens.forEach((token, i) => {
+    if (token.type === 'lparen') {
+      const prev = tokens[i - 1]
+      stack.push({ name: prev && prev.type === 'ident' ? prev.value : null, argIndex: 0 })
+    } else if (token.type === 'comma' && stack.length > 0) {
+      stack[stack.length - 1].argIndex++
+    } else if (token.type === 'rparen') {
+      stack.pop()
+    }
+  })
+  const call = [...stack].reverse().find(c => c.name) || null
+
+  const word = inString ? '' : (inner.match(/[\p{L}\p{N}_]*$/u) || [''])[0]
+  const prefix = /^\p{N}/u.test(word) ? '' : word
+  return { prefix, prefixStart: caret - prefix.length, call, inString }
+}
+
+/**
+ * Columns and functions matching a prefix: starts-with matches first.
+ */
+function findSuggestions(prefix, columns, showAll, lang) {
+  const query = prefix.toLowerCase()
+  if (!query && !showAll) return []
+
+  const items = [
+    ...columns.map(col => ({ kind: 'column', label: col, detail: 'columna' })),
+    ...functionGroups(lang).flatMap(group => group.functions.map(fn => ({ kind: 'function', label: fn.name, detail: fn.desc })))
+  ]
+  const starts = items.filter(item => item.label.toLowerCase().startsWith(query))
+  const contains = query ? items.filter(item => !starts.includes(item) && item.label.toLowerCase().includes(query)) : []
+  return [...starts, ...contains]
+    .filter(item => item.label.toLowerCase() !== query)
+    .slice(0, MAX_SUGGESTIONS)
+}
+
+/**
+ * HTML for the highlight mirror.
+ */
+function highlightHTML(text, columns) {
+  const knownColumns = columns.length > 0 ? new Set(columns.map(c => c.toLowerCase())) : null
+  const span = (cls, str) => `<span class="${cls}">${escapeHTML(str)}</span>`
+
+  const html = splitTemplate(text).map(part => {
+    if (!part.expr) return escapeHTML(part.text)
+
+    const tokens = tokenize(part.text)
+    let out = span(TOKEN_CLASSES.brace, '{{')
+    let pos = 0
+    tokens.forEach((token, i) => {
+      if (token.type === 'eof') return
+      out += escapeHTML(part.text.slice(pos, token.start))
+      const source = part.text.slice(token.start, token.end)
+      const next = tokens[i + 1]
+      let cls
+      switch (token.type) {
+        case 'ident':
+          if (next && next.type === 'lparen') {
+            cls = describeFunction(token.value) ? TOKEN_CLASSES.function : TOKEN_CLASSES.unknownFunction
+          } else {
+            cls = !knownColumns || knownColumns.has(token.value.toLowerCase()) ? TOKEN_CLASSES.column : TOKEN_CLASSES.unknownColumn
+          }
+          break
+        case 'string': cls = TOKEN_CLASSES.string; break
+        case 'number': cls = TOKEN_CLASSES.number; break
+        case 'keyword':
+        case 'op': cls = TOKEN_CLASSES.operator; break
+        case 'unknown': cls = TOKEN_CLASSES.invalid; break
+        default: cls = null
+      }
+      out += cls ? span(cls, source) : escapeHTML(source)
+      pos = token.end
+    })
+    out += escapeHTML(part.text.slice(pos))
+    return part.closed ? out + span(TOKEN_CLASSES.brace, '}}') : out
+  }).join('')
+
+  // A trailing newline needs content after it to take up a line in <pre>
+  return text.endsWith('\n') ? html + ' ' : html
+}
+
+// ─── Hook ─────────────────────────────────────────────────────
+
+const ExpressionEditor = {
+  mounted() {
+    this._input = this.el.querySelector('[data-role="input"]')
+    this._highlight = this.el.querySelector('[data-role="highlight"]')
+    this._suggestionsEl = this.el.querySelector('[data-role="suggestions"]')
+    this._signatureEl = this.el.querySelector('[data-role="signature"]')
+    this._samplesEl = this.el.querySelector('[data-role="samples"]')
+    if (!this._input) return
+
+    this._columns = []
+    this._rows = []
+    this._lookups = null
+    this._seed = createSeed()
+    this._datasetKey = null
+    this._suggestions = []
+    this._activeSuggestion = 0
+    this._showAll = false
+    this._uiLanguage = document.documentElement.lang || 'es'
+    this._refreshTimer = null
+    this.readAttributes()
+
+    if (this._highlight) {
+      const style = getComputedStyle(this._input)
+      MIRROR_STYLES.forEach(prop => { this._highlight.style[prop] = style[prop] })
+      this._highlight.style.borderColor = 'transparent'
+      this._input.style.color = 'transparent'
+      this._input.style.background = 'transparent'
+      this._input.style.caretColor = style.color
+    }
+
+    this._onInput = () => {
+      this._showAll = false
+      this.renderAssist()
+      this.scheduleSamples()
+    }
+    this._onCaret = () => this.renderAssist()
+    this._onScroll = () => {
+      if (this._highlight) this._highlight.scrollTop = this._input.scrollTop
+    }
+    this._onKeydown = (e) => this.handleKeydown(e)
+    this._onBlur = () => {
+      // Let a click on a suggestion land before the list goes away
+      setTimeout(() => this.hideSuggestions(), 150)
+    }
+    this._onSuggestionClick = (e) => {
+      const item = e.target.closest('[data-index]')
+      if (!item) return
+      e.preventDefault()
+      this.acceptSuggestion(parseInt(item.dataset.index))
+    }
+
+    this._input.addEventListener('input', this._onInput)
+    this._input.addEventListener('click', this._onCaret)
+    this._input.addEventListener('keyup', this._onCaret)
+    this._input.addEventListener('scroll', this._onScroll)
+    this._input.addEventListener('keydown', this._onKeydown)
+    this._input.addEventListener('blur', this._onBlur)
+    if (this._suggestionsEl) this._suggestionsEl.addEventListener('mousedown', this._onSuggestionClick)
+
+    this.renderHighlight()
+    this.loadData().then(() => this.renderSamples())
+  },
+
+  updated() {
+    if (!this._input) return
+    const previous = `${this._previewIndex}|${this._language}|${this._totalRows}`
+    this.readAttributes()
+    this.renderHighlight()
+    if (`${this._previewIndex}|${this._language}|${this._totalRows}` !== previous) {
+      this.loadData().then(() => this.renderSamples())
+    }
+  },
+
+  destroyed() {
+    if (this._refreshTimer) clearTimeout(this._refreshTimer)
+    if (!this._input) return
+    this._input.removeEventListener('input', this._onInput)
+    this._input.removeEventListener('click', this._onCaret)
+    this._input.removeEventListener('keyup', this._onCaret)
+    this._input.removeEventListener('scroll', this._onScroll)
+    this._input.removeEventListener('keydown', this._onKeydown)
+    this._input.removeEventListener('blur', this._onBlur)
+    if (this._suggestionsEl) this._suggestionsEl.removeEventListener('mousedown', this._onSuggestionClick)
+  },
+
+  readAttributes() {
+    const data = this.el.dataset
+    this._userId = parseInt(data.userId)
+    this._designId = data.designId
+    this._previewIndex = parseInt(data.previewIndex) || 0
+    this._totalRows = parseInt(data.totalRows) || 0
+    this._language = data.language || null
+    this._defaultLanguage = data.defaultLanguage || 'es'
+    this._timeZone = data.timeZone || null
+    try {
+      this._holidays = createHolidays(JSON.parse(data.holidays || '{}'))
+    } catch (_e) {
+      this._holidays = createHolidays()
+    }
+  },
+
+  // Dataset rows and lookup tables, re-read when a new dataset is loaded
+  async loadData() {
+    const key = `${this._designId}|${this._totalRows}`
+    if (this._datasetKey === key) return
+    this._datasetKey = key
+
+    const [dataset, tables] = await Promise.all([
+      getDataset(this._userId, this._designId),
+      getLookupTables(this._userId, this._designId)
+    ])
+    this._columns = dataset ? dataset.columns || [] : []
+    this._rows = dataset ? dataset.rows || [] : []
+    this._dateFormat = dataset ? dataset.dateFormat : null
+    this._lookups = createLookups(tables)
+    this.renderHighlight()
+  },
+
+  // ─── Autocomplete & signature help ──────────────────────────
+
+  handleKeydown(e) {
+    if (e.key === ' ' && e.ctrlKey) {
+      e.preventDefault()
+      this._showAll = true
+      this.renderAssist()
+      return
+    }
+    if (this._suggestions.length === 0) return
+
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault()
+        this._activeSuggestion = (this._activeSuggestion + 1) % this._suggestions.length
+        this.renderSuggestions()
+        break
+      case 'ArrowUp':
+        e.preventDefault()
+        this._activeSuggestion = (this._activeSuggestion - 1 + this._suggestions.length) % this._suggestions.length
+        this.renderSuggestions()
+        break
+      case 'Enter':
+      case 'Tab':
+        e.preventDefault()
+        this.acceptSuggestion(this._activeSuggestion)
+        break
+      case 'Escape':
+        e.preventDefault()
+        e.stopPropagation()
+        this.hideSuggestions()
+        break
+    }
+  },
+
+  // Suggestions and signature help for the caret position
+  renderAssist() {
+    const input = this._input
+    const ctx = input.selectionStart === input.selectionEnd
+      ? caretContext(input.value, input.selectionStart)
+      : null
+
+    const suggestions = ctx && !ctx.inString ? findSuggestions(ctx.prefix, this._columns, this._showAll, this._uiLanguage) : []
+    const changed = suggestions.map(s => s.label).join('|') !== this._suggestions.map(s => s.label).join('|')
+    this._suggestions = suggestions
+    this._caretContext = ctx
+    if (changed) this._activeSuggestion = 0
+    this.renderSuggestions()
+    this.renderSignature(ctx && ctx.call)
+  },
+
+  renderSuggestions() {
+    const list = this._suggestionsEl
+    if (!list) return
+    list.innerHTML = ''
+    list.classList.toggle('hidden', this._suggestions.length === 0)
+
+    this._suggestions.forEach((item, i) => {
+      const row = document.createElement('div')
+      row.dataset.index = i
+      row.className = `flex items-baseline justify-between gap-2 px-2 py-1 cursor-pointer ${i === this._activeSuggestion ? 'bg-indigo-50' : 'hover:bg-gray-50'}`
+
+      const label = document.createElement('span')
+      label.className = `font-mono text-xs ${item.kind === 'function' ? TOKEN_CLASSES.function : TOKEN_CLASSES.column}`
+      label.textContent = item.kind === 'function' ? `${item.label}()` : item.label
+      const detail = document.createElement('span')
+      detail.className = 'text-[10px] text-gray-400 truncate'
+      detail.textContent = item.detail
+
+      row.append(label, detail)
+      list.appendChild(row)
+    })
+  },
+
+  hideSuggestions() {
+    this._suggestions = []
+    this._showAll = false
+    this.renderSuggestions()
+  },
+
+  acceptSuggestion(index) {
+    const item = this._suggestions[index]
+    const ctx = this._caretContext
+    if (!item || !ctx) return
+
+    const input = this._input
+    const text = input.value
+    const caret = input.selectionStart
+    // Replace the whole word under the caret, not just the typed prefix
+    const rest = (text.slice(caret).match(/^[\p{L}\p{N}_]*/u) || [''])[0]
+    const after = text.slice(caret + rest.length)
+
+    let insert = item.label
+    let caretOffset = insert.length
+    if (item.kind === 'function' && !after.startsWith('(')) {
+      const fn = describeFunction(item.label)
+      insert += fn && fn.max === 0 ? '()' : '('
+      caretOffset = insert.length
+    } else if (item.kind === 'function') {
+      caretOffset = insert.length + 1
+    }
+
+    input.value = text.slice(0, ctx.prefixStart) + insert + after
+    const newCaret = ctx.prefixStart + caretOffset
+    input.setSelectionRange(newCaret, newCaret)
+    input.focus()
+    input.dispatchEvent(new Event('input', { bubbles: true }))
+  },
+
+  renderSignature(call) {
+    const box = this._signatureEl
+    if (!box) return
+    box.innerHTML = ''
+    const fn = call && describeFunction(call.name, this._uiLanguage)
+    box.classList.toggle('hidden', !fn)
+    if (!fn) return
+
+    const line = document.createElement('div')
+    line.className = 'font-mono text-xs text-gray-700'
+    // Keep the name as typed: any alias is valid
+    line.append(`${call.name.toUpperCase()}(`)
+    // Variadic functions end in '...', which covers every extra argument
+    const variadic = fn.params[fn.params.length - 1] === '...'
+    const active = variadic ? Math.min(call.argIndex, fn.params.length - 1) : call.argIndex
+    fn.params.forEach((param, i) => {
+      if (i > 0) line.append(', ')
+      const span = document.createElement('span')
+      span.textContent = param
+      if (i === active) span.className = 'font-bold text-indigo-700 underline'
+      else if (i >= fn.min && param !== '...') span.className = 'text-gray-400'
+      line.appendChild(span)
+    })
+    line.append(')')
+
+    const desc = document.createElement('div')
+    desc.className = 'text-[11px] text-gray-500'
+    desc.textContent = call.argIndex >= fn.max
+      ? `${fn.desc} · admite ${fn.max} argumento${fn.max === 1 ? '' : 's'}`
+      : fn.desc
+    if (call.argIndex >= fn.max) desc.className = 'text-[11px] text-red-600'
+
+    box.append(line, desc)
+  },
+
+  // ─── Highlighting & samples ─────────────────────────────────
+
+  renderHighlight() {
+    if (!this._highlight) return
+    this._highlight.innerHTML = highlightHTML(this._input.value, this._columns)
+    this._highlight.scrollTop = this._input.scrollTop
+  },
+
+  scheduleSamples() {
+    this.renderHighlight()
+    if (this._refreshTimer) clearTimeout(this._refreshTimer)
+    this._refreshTimer = setTimeout(() => {
+      this._refreshTimer = null
+      this.renderSamples()
+    }, REFRESH_DELAY_MS)
+  },
+
+  // Evaluated result for the preview row and the following ones
+  renderSamples() {
+    const box = this._samplesEl
+    if (!box) return
+    box.innerHTML = ''
+
+    const binding = this._input.value
+    if (!binding.trim()) return
+
+    const rows = this._rows
+    const first = Math.min(this._previewIndex, Math.max(rows.length - 1, 0))
+    const indices = rows.length > 0
+      ? Array.from({ length: Math.min(SAMPLE_ROWS, rows.length - first) }, (_, i) => first + i)
+      : [null]
+
+    const now = new Date()
+    const batch = createBatch(rows)
+    const element = { type: 'text', binding, text_content: '' }
+
+    for (const index of indices) {
+      const context = {
+        rowIndex: index || 0,
+        batchSize: Math.max(rows.length, 1),
+        now,
+        seed: this._seed,
+        batch,
+        lookups: this._lookups,
+        holidays: this._holidays,
+        dateFormat: this._dateFormat,
+        timeZone: this._timeZone,
+        language: this._language,
+        defaultLanguage: this._defaultLanguage
+      }
+      const row = index === null ? {} : rows[index]
+      const result = resolveText(element, row, null, context)
+
+      const line = document.createElement('div')
+      line.className = 'flex gap-2 text-xs'
+      const label = document.createElement('span')
+      label.className = `flex-shrink-0 w-14 text-gray-400 ${index === first ? 'font-semibold' : ''}`
+      label.textContent = index === null ? 'Sin datos' : `Fila ${index + 1}`
+
+      const value = document.createElement('span')
+      value.className = 'font-mono break-all'
+      if (result === '') {
+        value.classList.add('italic', 'text-gray-400')
+        value.textContent = '(vacío)'
+      } else if (result.includes('#ERR#')) {
+        value.classList.add(...TOKEN_CLASSES.invalid.split(' '))
+        value.textContent = result
+      } else if (hasMarkup(result)) {
+        appendRichText(value, result)
+      } else {
+        value.textContent = result
+      }
+
+      line.append(label, value)
+      box.appendChild(line)
+    }
+  }
+}
+
+export default ExpressionEditor
@@ -6,11 +6,22 @@
  * Otherwise it's a plain column reference (backwards compatible).
  *
  * Functions use Spanish names: HOY(), MAYUS(), CONTADOR(), SI(), etc.
+ * Operators: + - * / % (arithmetic), & (concatenation), == != > < >= <=,
+ * Y / O / NO (boolean), || (default value) and parentheses.
+ * Expressions are parsed into an AST by expression_parser.js; compile() caches
+ * the parsed templates so large batches parse each binding only once.
  * Security: NO eval(). All functions are whitelisted.
  *
  * @module ExpressionEngine
  */
 
+import { parse, tokenize } from './expression_parser'
+import { getAI, calculateCheckDigit, buildElementString, buildDigitalLink } from './gs1'
+import { sha256, byteStream, toHex } from './crypto_utils'
+import { parseDecimal, add, multiply, divide, toFixedString, normalizeNumberText } from './decimal'
+import { spellNumber } from './number_words'
+import { canonicalFunctionName, localizedFunctionName, functionAliases, localizedGroupName, localizedDescription, localizedParam, localizeTemplate } from './function_aliases'
+
 // ─── Core API ─────────────────────────────────────────────────
 
 /**
@@ -25,19 +36,15 @@ export function isExpression(binding) {
  * @param {string} template - e.g. "Lote: {{lote}} - {{HOY()}}"
  * @param {Object} row - CSV row data, e.g. { lote: "A1", nombre: "Test" }
  * @param {Object} context - { rowIndex, batchSize, now }
+ * @param {string} site - where the template sits (element id and field), so
+ *   UUID() and CODIGO_ALEATORIO() differ between elements
  * @returns {string}
  */
-export function evaluate(template, row = {}, context = {}) {
+export function evaluate(template, row = {}, context = {}, site = '') {
   if (!template || typeof template !== 'string') return template || ''
   if (!template.includes('{{')) return template
 
-  return template.replace(/\{\{(.+?)\}\}/g, (_match, expr) => {
-    try {
-      return resolveExpression(expr.trim(), row, context)
-    } catch (_e) {
-      return '#ERR#'
-    }
-  })
+  return compile(template)(row, context, site)
 }
 
 /**
@@ -62,7 +69,7 @@ export function resolveText(element, row = {}, mapping = null, context = {}) {
 
   // 1. Expression mode: binding contains {{
   if (isExpression(binding)) {
-    return evaluate(binding, row, context)
+    return evaluate(binding, row, context, String(element.id || ''))
   }
 
   // 2. Column binding mode (plain binding without {{)
@@ -98,9 +105,18 @@ export function resolveCodeValue(element, row = {}, mapping = null, context = {}
   const isNonDefault = lang && lang !== defaultLang
   const binding = element.binding
 
+  // 0. GS1 Digital Link QR: the URI is built from the mapped AIs
+  if (element.type === 'qr' && element.qr_mode === 'digital_link') {
+    try {
+      return resolveDigitalLink(element, row, context)
+    } catch (_e) {
+      return '#ERR#'
+    }
+  }
+
   // 1. Expression mode
   if (isExpression(binding)) {
-    return evaluate(binding, row, context)
+    return evaluate(binding, row, context, String(element.id || ''))
   }
 
   // 2. Mapped column (with language suffix support)
@@ -122,123 +138,515 @@ export function resolveCodeValue(element, row = {}, mapping = null, context = {}
   return element.text_content || element.binding || ''
 }
 
-// ─── Expression resolver ──────────────────────────────────────
-
-function resolveExpression(expr, row, context) {
-  // Check for default operator: expr || alternative
-  if (expr.includes('||')) {
-    const parts = expr.split('||').map(s => s.trim())
-    const primary = resolveExpression(parts[0], row, context)
-    if (primary && primary !== '' && primary !== '#ERR#') return primary
-    return resolveExpression(parts.slice(1).join('||'), row, context)
+/**
+ * Build the GS1 Digital Link URI of a QR element for a row. `digital_link`
+ * holds the resolver domain and one expression per AI, e.g.
+ * { domain: "https://id.example.com", "01": "gtin", "10": "lote", "17": "caducidad" };
+ * AIs whose expression is empty for the row are left out.
+ * @param {Object} element - QR element with qr_mode "digital_link"
+ * @param {Object} row - CSV row data (may be empty)
+ * @param {Object} context - same context as resolveText
+ * @returns {string}
+ * @throws {Error} on a failing expression or an invalid URI (see buildDigitalLink)
+ */
+export function resolveDigitalLink(element, row = {}, context = {}) {
+  const { domain, ...mapping } = element.digital_link || {}
+  const args = []
+  for (const [ai, expression] of Object.entries(mapping)) {
+    const expr = bareExpression(expression)
+    if (expr) args.push(ai, resolveExpression(expr, row, context, `${element.id || ''}.digital_link.${ai}`))
   }
+  if (args.length === 0) throw new Error('Digital Link: sin AIs asignados')
+  return buildDigitalLink(domain, gs1Pairs(args, context))
+}
 
-  // Function call: NAME(args...)
-  if (expr.includes('(')) {
-    return resolveFunction(expr, row, context)
+/**
+ * Whether an element is drawn for a row: the static `visible` flag, then the
+ * optional `visible_if` condition, e.g. `alergenos != ""` or `{{SI(...)}}`.
+ * A condition that doesn't parse (e.g. `SI(`) or whose evaluation throws
+ * (#ERR# in text) shows the element rather than hiding it, so a broken rule
+ * never drops a warning from the label.
+ * @param {Object} element - design element
+ * @param {Object} row - CSV row data (may be empty)
+ * @param {Object} context - same context as resolveText
+ * @returns {boolean}
+ */
+export function isElementVisible(element, row = {}, context = {}) {
+  if (element.visible === false) return false
+  const condition = visibilityExpression(element)
+  if (!condition) return true
+
+  try {
+    // Unparsable text comes back as a Raw node, read as a column name
+    const ast = compileExpression(condition)
+    if (ast.type === 'Raw' && lookupColumn(row, ast.text, columnKeys(context)) === undefined) return true
+    return isTruthy(resolveExpression(condition, row, context, `${element.id || ''}.visible_if`))
+  } catch (_e) {
+    return true
   }
+}
 
-  // Simple column reference
-  if (row[expr] != null) return String(row[expr])
-
-  // Try case-insensitive match
-  const key = Object.keys(row).find(k => k.toLowerCase() === expr.toLowerCase())
-  if (key && row[key] != null) return String(row[key])
-
-  return ''
+/**
+ * The `visible_if` expression without `{{ }}`, or '' when there is none.
+ */
+export function visibilityExpression(element) {
+  return bareExpression(element.visible_if)
 }
 
-// ─── Function parser ──────────────────────────────────────────
+// Condition/style expressions may be written with or without `{{ }}`
+function bareExpression(value) {
+  const raw = typeof value === 'string' ? value.trim() : ''
+  const wrapped = raw.match(/^\{\{([\s\S]*)\}\}$/)
+  return (wrapped ? wrapped[1] : raw).trim()
+}
 
-function resolveFunction(expr, row, context) {
-  const parenIdx = expr.indexOf('(')
-  const name = expr.substring(0, parenIdx).trim().toUpperCase()
-  const argsStr = expr.substring(parenIdx + 1, expr.lastIndexOf(')'))
-  const args = parseArgs(argsStr, row, context)
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i
 
-  const fn = FUNCTIONS[name]
-  if (!fn) return '#ERR#'
-  return fn(args, row, context)
+// Style properties that can be bound, with the check their value must pass
+const STYLE_PROPERTIES = {
+  color: v => HEX_COLOR.test(v),
+  background_color: v => HEX_COLOR.test(v) || v === 'transparent',
+  border_color: v => HEX_COLOR.test(v),
+  font_weight: v => v === 'bold' || v === 'normal',
+  font_size: v => /^\d+(\.\d+)?$/.test(v) && parseFloat(v) > 0 && parseFloat(v) <= 200
 }
 
 /**
- * Parse function arguments, handling nested functions and quoted strings.
+ * Apply an element's `style_bindings` ({ property: expression }) for a row,
+ * e.g. { color: "SI(peligroso == 'si', '#FF0000', '#000000')" }.
+ * Values that are empty, fail or don't fit the property keep the static style.
+ * @param {Object} element - design element
+ * @param {Object} row - CSV row data (may be empty)
+ * @param {Object} context - same context as resolveText
+ * @returns {Object} the element itself, or a copy with the bound styles
  */
-function parseArgs(argsStr, row, context) {
-  if (!argsStr.trim()) return []
-
-  const args = []
-  let current = ''
-  let depth = 0
-  let inQuote = false
-  let quoteChar = ''
+export function applyStyleBindings(element, row = {}, context = {}) {
+  const bindings = element.style_bindings
+  if (!bindings || typeof bindings !== 'object') return element
 
-  for (let i = 0; i < argsStr.length; i++) {
-    const ch = argsStr[i]
+  let styled = element
+  for (const [property, expression] of Object.entries(bindings)) {
+    const valid = STYLE_PROPERTIES[property]
+    const expr = bareExpression(expression)
+    if (!valid || !expr) continue
 
-    if (inQuote) {
-      if (ch === quoteChar) {
-        inQuote = false
-      } else {
-        current += ch
-      }
+    let value
+    try {
+      value = resolveExpression(expr, row, context, `${element.id || ''}.style_bindings.${property}`).trim()
+    } catch (_e) {
       continue
     }
+    if (property === 'font_weight' || property === 'background_color') value = value.toLowerCase()
+    if (!value || !valid(value)) continue
 
-    if (ch === '"' || ch === "'") {
-      inQuote = true
-      quoteChar = ch
-      continue
+    if (styled === element) styled = { ...element }
+    styled[property] = property === 'font_size' ? parseFloat(value) : value
+  }
+  return styled
+}
+
+// ─── Compilation ──────────────────────────────────────────────
+
+// Functions whose result depends only on their arguments (no row, context
+// or batch state), so calls can be memoized by argument values
+const PURE_FUNCTIONS = new Set([
+  'MAYUS', 'MINUS', 'RECORTAR', 'CONCAT', 'REEMPLAZAR', 'LARGO', 'IZQUIERDA', 'DERECHA',
+  'SUBCADENA', 'BUSCAR', 'POSICION', 'RELLENAR', 'EXTRAER', 'DIVIDIR', 'UNIR', 'ESPACIOS',
+  'RESALTAR', 'REDONDEAR', 'FORMATO_NUM', 'SI', 'VACIO', 'POR_DEFECTO', 'DIGITO_CONTROL',
+  'SSCC', 'SHA256', 'CODIGO_HASH', 'CARACTER_CONTROL'
+])
+
+// Functions drawing from the batch seed (see seededBytes)
+const SEEDED_FUNCTIONS = new Set(['UUID', 'CODIGO_ALEATORIO'])
+
+// Cache bounds: compiled templates/expressions, and results per memoized call
+const MAX_COMPILED = 500
+const MEMO_LIMIT = 1000
+
+const compiledTemplates = new Map()
+const compiledExpressions = new Map()
+
+function remember(cache, key, value) {
+  if (cache.size >= MAX_COMPILED) cache.clear()
+  cache.set(key, value)
+  return value
+}
+
+/**
+ * Compile a binding template into a reusable evaluator. Templates are parsed
+ * once and cached, so evaluating the same binding for every row of a batch
+ * costs no regex scans or parsing; evaluate() goes through here.
+ * @param {string} template - e.g. "Lote: {{lote}} - {{HOY()}}"
+ * @returns {function(Object, Object, string): string} (row, context, site) => text
+ */
+export function compile(template) {
+  const cached = compiledTemplates.get(template)
+  if (cached) return cached
+
+  // Literal text and expression segments, in order
+  const parts = []
+  const pattern = /\{\{(.+?)\}\}/g
+  let last = 0
+  let match
+  while ((match = pattern.exec(template)) !== null) {
+    if (match.index > last) parts.push(template.slice(last, match.index))
+    parts.push({ expr: match[1].trim(), offset: match.index })
+    last = pattern.lastIndex
+  }
+  if (last < template.length) parts.push(template.slice(last))
+
+  const segments = parts.map(part => {
+    if (typeof part === 'string') return () => part
+    let ast
+    try {
+      ast = compileExpression(part.expr)
+    } catch (_e) {
+      return () => '#ERR#'
+    }
+    // Seeded calls also tell apart the segments of one template
+    const offset = ast.seeded ? `:${part.offset}` : null
+    return (row, context, site) => {
+      try {
+        const segmentContext = offset ? { ...context, site: site + offset } : context
+        return toText(evalSegment(ast, row, segmentContext, 'empty'))
+      } catch (_e) {
+        return '#ERR#'
+      }
     }
+  })
 
-    if (ch === '(') { depth++; current += ch; continue }
-    if (ch === ')') { depth--; current += ch; continue }
+  const evaluator = segments.length === 1
+    ? (row = {}, context = {}, site = '') => segments[0](row, context, site)
+    : (row = {}, context = {}, site = '') => segments.map(segment => segment(row, context, site)).join('')
+  return remember(compiledTemplates, template, evaluator)
+}
 
-    if (ch === ',' && depth === 0) {
-      args.push(resolveArg(current.trim(), row, context))
-      current = ''
-      continue
+/**
+ * Parse an expression (no braces) once and prepare its AST for repeated
+ * evaluation. Syntax errors are cached and rethrown.
+ */
+function compileExpression(expr) {
+  let entry = compiledExpressions.get(expr)
+  if (!entry) {
+    try {
+      entry = { ast: prepareNode(parse(expr)) }
+    } catch (err) {
+      entry = { error: err }
+    }
+    remember(compiledExpressions, expr, entry)
+  }
+  if (entry.error) throw entry.error
+  return entry.ast
+}
+
+/**
+ * Mark the sub-expressions that can be reused between rows:
+ *   - constant: no column reads and only pure functions; evaluated once
+ *   - memo: pure function calls whose arguments read columns; results are
+ *     cached by argument values (repeated values across rows hit the cache)
+ * Raw nodes count as row-dependent because they may name a column. Nodes
+ * holding a UUID()/CODIGO_ALEATORIO() call are marked `seeded`.
+ * @returns {Object} the node
+ */
+function prepareNode(node) {
+  let pure
+  switch (node.type) {
+    case 'Number':
+    case 'String':
+      return node
+    case 'Column':
+    case 'Raw':
+      return node
+    case 'Call': {
+      // English / French / German aliases run the same implementation
+      node.name = canonicalFunctionName(node.name) || node.name
+      node.args.forEach(prepareNode)
+      node.seeded = SEEDED_FUNCTIONS.has(node.name) || node.args.some(arg => arg.seeded)
+      if (!PURE_FUNCTIONS.has(node.name)) return node
+      pure = node.args.every(isConstant)
+      if (!pure) node.memo = new Map()
+      break
     }
+    case 'Unary':
+      prepareNode(node.operand)
+      node.seeded = !!node.operand.seeded
+      pure = isConstant(node.operand)
+      break
+    case 'Binary':
+      prepareNode(node.left)
+      prepareNode(node.right)
+      node.seeded = !!(node.left.seeded || node.right.seeded)
+      pure = isConstant(node.left) && isConstant(node.right)
+      break
+    default:
+      return node
+  }
 
-    current += ch
+  if (pure) {
+    try {
+      node.constant = { value: evalNode(node, {}, {}) }
+    } catch (_e) {
+      // Errors are raised again on every evaluation
+    }
   }
+  return node
+}
+
+function isConstant(node) {
+  return node.type === 'Number' || node.type === 'String' || !!node.constant
+}
+
+// ─── Expression resolver ──────────────────────────────────────
 
-  if (current.trim()) {
-    args.push(resolveArg(current.trim(), row, context))
+/**
+ * Thrown when arithmetic is attempted on a name that is not a column.
+ * Argument and `||` segments catch it and re-read their source as a legacy
+ * unquoted literal, e.g. the format in FORMATO_FECHA(HOY(), DD/MM/AAAA).
+ */
+function barewordError(name) {
+  const err = new Error(`Columna desconocida: ${name}`)
+  err.bareword = name
+  return err
+}
+
+/** Marker for an identifier that did not match any column. */
+function Bareword(name) {
+  this.name = name
+}
+
+// `site` as in evaluate(), for the expressions of visible_if, style bindings
+// and Digital Link AIs
+function resolveExpression(expr, row, context, site = '') {
+  const ast = compileExpression(expr)
+  return toText(evalSegment(ast, row, ast.seeded ? { ...context, site } : context, 'empty'))
+}
+
+/**
+ * Look up a column by exact name, then case-insensitively.
+ * @param {Map|null} keys - name → row key cache shared by rows with the same
+ *   columns (`context.batch.columnKeys`); null scans the row every time
+ * @returns {string|undefined}
+ */
+function lookupColumn(row, name, keys = null) {
+  if (row[name] != null) return String(row[name])
+  let key
+  if (keys && keys.has(name)) {
+    key = keys.get(name)
+  } else {
+    key = Object.keys(row).find(k => k.toLowerCase() === name.toLowerCase())
+    if (keys) keys.set(name, key)
   }
+  if (key && row[key] != null) return String(row[key])
+  return undefined
+}
 
-  return args
+function columnKeys(context) {
+  return context.batch ? context.batch.columnKeys : null
+}
+
+/**
+ * Legacy resolution of unparsed text: a column name, or else an empty
+ * string (top level) or the text itself (function argument).
+ */
+function resolveRaw(text, row, context, mode) {
+  if (!text) return ''
+  const value = lookupColumn(row, text, columnKeys(context))
+  if (value !== undefined) return value
+  return mode === 'literal' ? text : ''
 }
 
 /**
- * Resolve a single argument: could be a nested function, column ref, number, or literal.
+ * Evaluate a top-level expression, function argument or `||` operand.
+ * @param {'empty'|'literal'} mode - how unknown names resolve
  */
-function resolveArg(arg, row, context) {
-  if (!arg) return ''
+function evalSegment(node, row, context, mode) {
+  if (node.type === 'Binary' && node.op === '||') {
+    let primary
+    try {
+      primary = toText(evalSegment(node.left, row, context, mode))
+    } catch (_e) {
+      primary = ''
+    }
+    if (primary !== '' && primary !== '#ERR#') return primary
+    return evalSegment(node.right, row, context, mode)
+  }
 
-  // Nested function
-  if (arg.includes('(')) {
-    return resolveFunction(arg, row, context)
+  if (node.type === 'Raw') return resolveRaw(node.text, row, context, mode)
+
+  let value
+  try {
+    value = evalNode(node, row, context)
+  } catch (err) {
+    if (err.bareword === undefined) throw err
+    return resolveRaw(node.raw, row, context, mode)
   }
 
-  // Numeric literal
-  if (/^-?\d+(\.\d+)?$/.test(arg)) {
-    return arg
+  if (value instanceof Bareword) return resolveRaw(value.name, row, context, mode)
+  return value
+}
+
+function evalNode(node, row, context) {
+  if (node.constant) return node.constant.value
+
+  switch (node.type) {
+    case 'Number':
+    case 'String':
+      return node.value
+
+    case 'Raw':
+      return resolveRaw(node.text, row, context, 'literal')
+
+    case 'Column': {
+      const value = lookupColumn(row, node.name, columnKeys(context))
+      return value !== undefined ? value : new Bareword(node.name)
+    }
+
+    case 'Call': {
+      const fn = FUNCTIONS[node.name]
+      if (!fn) throw new Error(`Función desconocida: ${node.name}`)
+      const args = node.args.map(arg => toText(evalSegment(arg, row, context, 'literal')))
+      if (!node.memo) return fn(args, row, context, node)
+
+      const key = args.join('\u0000')
+      if (node.memo.has(key)) return node.memo.get(key)
+      const result = fn(args, row, context, node)
+      if (node.memo.size >= MEMO_LIMIT) node.memo.clear()
+      node.memo.set(key, result)
+      return result
+    }
+
+    case 'Unary': {
+      if (node.op === 'NO') return !isTruthy(evalOperand(node.operand, row, context))
+      const n = toNumber(evalNode(node.operand, row, context))
+      return node.op === '-' ? -n : n
+    }
+
+    case 'Binary':
+      return evalBinary(node, row, context)
+
+    default:
+      throw new Error(`Nodo desconocido: ${node.type}`)
   }
+}
 
-  // Column reference (if exists in row)
-  if (row[arg] != null) return String(row[arg])
-  const key = Object.keys(row).find(k => k.toLowerCase() === arg.toLowerCase())
-  if (key && row[key] != null) return String(row[key])
+/**
+ * Evaluate an operand of a comparison, boolean or concat operator.
+ * Unknown names read as their own text, as in `SI(estado == activo, ...)`.
+ */
+function evalOperand(node, row, context) {
+  if (node.type === 'Binary' && node.op === '||') return evalSegment(node, row, context, 'literal')
+  const value = evalNode(node, row, context)
+  return value instanceof Bareword ? value.name : value
+}
+
+function evalBinary(node, row, context) {
+  const { op } = node
+
+  switch (op) {
+    case '||':
+      return evalSegment(node, row, context, 'empty')
+
+    case 'Y':
+      return isTruthy(evalOperand(node.left, row, context)) && isTruthy(evalOperand(node.right, row, context))
+
+    case 'O':
+      return isTruthy(evalOperand(node.left, row, context)) || isTruthy(evalOperand(node.right, row, context))
+
+    case '&': {
+      const left = evalNode(node.left, row, context)
+      const right = evalNode(node.right, row, context)
+      // Unknown columns concatenate as empty, like a top-level reference
+      return toText(left instanceof Bareword ? '' : left) + toText(right instanceof Bareword ? '' : right)
+    }
+
+    case '==':
+    case '!=':
+    case '>':
+    case '<':
+    case '>=':
+    case '<=':
+      return evalCondition(
+        toText(evalOperand(node.left, row, context)),
+        op,
+        toText(evalOperand(node.right, row, context))
+      )
+
+    default: {
+      const left = toNumber(evalNode(node.left, row, context))
+      const right = toNumber(evalNode(node.right, row, context))
+      switch (op) {
+        case '+': return left + right
+        case '-': return left - right
+        case '*': return left * right
+        case '/':
+          if (right === 0) throw new Error('División por cero')
+          return left / right
+        case '%':
+          if (right === 0) throw new Error('División por cero')
+          return left % right
+        default:
+          throw new Error(`Operador desconocido: ${op}`)
+      }
+    }
+  }
+}
+
+/**
+ * Convert an operand to a number for arithmetic.
+ * Empty cells count as 0; numbers are read as people type them (see
+ * numberFromText).
+ */
+function toNumber(value) {
+  if (value instanceof Bareword) throw barewordError(value.name)
+  if (typeof value === 'number') return value
+  if (typeof value === 'boolean') return value ? 1 : 0
+  const str = String(value).trim()
+  if (str === '') return 0
+  const n = numberFromText(str)
+  if (isNaN(n)) throw new Error(`No es un número: ${str}`)
+  return n
+}
+
+/**
+ * The number in a text, with the thousands and decimal marks decimal.js
+ * accepts ("1.234,50", "1,234.50", "1 500,5", "3,49 €"), or NaN when the
+ * whole text isn't a number (empty text included).
+ */
+function numberFromText(text) {
+  const str = String(text).trim()
+  if (str === '' || !/\d/.test(str)) return NaN
+  return Number(normalizeNumberText(str))
+}
+
+/**
+ * Convert an evaluated value to label text.
+ * Numbers are rounded to 15 significant digits to hide float drift (12.100000000000001 → 12.1).
+ */
+function toText(value) {
+  if (value == null) return ''
+  if (typeof value === 'number') {
+    if (!isFinite(value)) throw new Error('Resultado no numérico')
+    return String(parseFloat(value.toPrecision(15)))
+  }
+  if (typeof value === 'boolean') return value ? 'true' : 'false'
+  return String(value)
+}
 
-  // Return as literal string
-  return arg
+function isTruthy(value) {
+  if (typeof value === 'boolean') return value
+  const str = toText(value)
+  return str !== '' && str !== '0' && str !== 'false'
 }
 
 // ─── Function registry ────────────────────────────────────────
 
+// (args, row, context, node) => string; `node` is the Call AST node, for
+// functions that evaluate an argument against other rows (CONTADOR_GRUPO)
 const FUNCTIONS = {}
 
+// Upper bound for user-supplied regular expressions (EXTRAER)
+const MAX_REGEX_LENGTH = 200
+
 // --- Text functions ---
 
 FUNCTIONS['MAYUS'] = (args) => {
@@ -271,171 +679,1009 @@ FUNCTIONS['LARGO'] = (args) => {
   return String(String(args[0] || '').length)
 }
 
-// --- Date functions ---
+FUNCTIONS['IZQUIERDA'] = (args) => {
+  const val = String(args[0] || '')
+  const len = args[1] !== undefined && args[1] !== '' ? parseInt(args[1]) : 1
+  return isNaN(len) || len < 0 ? '' : val.substring(0, len)
+}
 
-function formatDate(date, fmt) {
-  if (!fmt) fmt = 'DD/MM/AAAA'
-  const d = String(date.getDate()).padStart(2, '0')
-  const m = String(date.getMonth() + 1).padStart(2, '0')
-  const yyyy = String(date.getFullYear())
-  const yy = yyyy.slice(-2)
-  const hh = String(date.getHours()).padStart(2, '0')
-  const mm = String(date.getMinutes()).padStart(2, '0')
-  const ss = String(date.getSeconds()).padStart(2, '0')
-
-  return fmt
-    .replace('DD', d)
-    .replace('MM', m)
-    .replace('AAAA', yyyy)
-    .replace('AA', yy)
-    .replace('hh', hh)
-    .replace('mm', mm)
-    .replace('ss', ss)
+FUNCTIONS['DERECHA'] = (args) => {
+  const val = String(args[0] || '')
+  const len = args[1] !== undefined && args[1] !== '' ? parseInt(args[1]) : 1
+  if (isNaN(len) || len <= 0) return ''
+  return val.substring(Math.max(val.length - len, 0))
 }
 
-function toISODate(date) {
-  const y = String(date.getFullYear())
-  const m = String(date.getMonth() + 1).padStart(2, '0')
-  const d = String(date.getDate()).padStart(2, '0')
-  return `${y}-${m}-${d}`
+// SUBCADENA(texto, inicio, largo) — inicio is 1-based, largo optional (to the end)
+FUNCTIONS['SUBCADENA'] = (args) => {
+  const val = String(args[0] || '')
+  const start = Math.max((parseInt(args[1]) || 1) - 1, 0)
+  if (args[2] === undefined || args[2] === '') return val.substring(start)
+  const len = parseInt(args[2]) || 0
+  return len > 0 ? val.substr(start, len) : ''
 }
 
-function parseDate(str) {
-  if (str instanceof Date) return str
-  // Try ISO format first (YYYY-MM-DD) — reliable cross-browser
-  if (typeof str === 'string') {
-    const isoMatch = str.match(/^(\d{4})-(\d{2})-(\d{2})/)
-    if (isoMatch) return new Date(parseInt(isoMatch[1]), parseInt(isoMatch[2]) - 1, parseInt(isoMatch[3]))
-    // Try DD/MM/YYYY format
-    const dmyMatch = str.match(/^(\d{2})\/(\d{2})\/(\d{4})/)
-    if (dmyMatch) return new Date(parseInt(dmyMatch[3]), parseInt(dmyMatch[2]) - 1, parseInt(dmyMatch[1]))
-  }
-  const d = new Date(str)
-  return isNaN(d.getTime()) ? new Date() : d
+// BUSCAR(texto, buscar) — case-insensitive "contains", for use inside SI()
+FUNCTIONS['BUSCAR'] = (args) => {
+  const val = String(args[0] || '').toLowerCase()
+  const search = String(args[1] || '').toLowerCase()
+  if (!search) return 'false'
+  return val.includes(search) ? 'true' : 'false'
 }
 
-FUNCTIONS['HOY'] = (args, _row, context) => {
-  const now = context.now || new Date()
-  // No format arg = ISO for composability; with format = human-readable
-  return args[0] ? formatDate(now, args[0]) : toISODate(now)
+// POSICION(texto, buscar, desde) — 1-based position of buscar, 0 if not found
+FUNCTIONS['POSICION'] = (args) => {
+  const val = String(args[0] || '')
+  const search = String(args[1] || '')
+  const from = Math.max((parseInt(args[2]) || 1) - 1, 0)
+  if (!search) return '0'
+  return String(val.indexOf(search, from) + 1)
 }
 
-FUNCTIONS['AHORA'] = (args, _row, context) => {
-  const now = context.now || new Date()
-  return formatDate(now, args[0] || 'AAAA-MM-DD hh:mm')
+// RELLENAR(valor, largo, caracter, lado) — lado: "izquierda" (default) or "derecha"
+FUNCTIONS['RELLENAR'] = (args) => {
+  const val = String(args[0] || '')
+  const len = parseInt(args[1]) || 0
+  const fill = args[2] !== undefined && args[2] !== '' ? String(args[2]) : '0'
+  const side = String(args[3] || 'izquierda').toLowerCase()
+  return side.startsWith('d') ? val.padEnd(len, fill) : val.padStart(len, fill)
 }
 
-FUNCTIONS['SUMAR_DIAS'] = (args, _row, context) => {
-  const base = args[0] ? parseDate(args[0]) : (context.now || new Date())
-  const days = parseInt(args[1]) || 0
-  const result = new Date(base)
-  result.setDate(result.getDate() + days)
-  // No explicit format = ISO for composability with FORMATO_FECHA
-  return args[2] ? formatDate(result, args[2]) : toISODate(result)
+// EXTRAER(texto, patron, grupo) — regex match; returns capture group (default 1,
+// or the whole match when the pattern has no groups), empty if no match
+FUNCTIONS['EXTRAER'] = (args) => {
+  const val = String(args[0] || '')
+  const pattern = String(args[1] || '')
+  if (!pattern) return ''
+  if (pattern.length > MAX_REGEX_LENGTH) throw new Error('Patrón demasiado largo')
+  const match = val.match(new RegExp(pattern))
+  if (!match) return ''
+  const group = args[2] !== undefined && args[2] !== '' ? parseInt(args[2]) : (match.length > 1 ? 1 : 0)
+  return match[group] != null ? match[group] : ''
 }
 
-FUNCTIONS['SUMAR_MESES'] = (args, _row, context) => {
-  const base = args[0] ? parseDate(args[0]) : (context.now || new Date())
-  const months = parseInt(args[1]) || 0
-  const result = new Date(base)
-  result.setMonth(result.getMonth() + months)
-  // No explicit format = ISO for composability with FORMATO_FECHA
-  return args[2] ? formatDate(result, args[2]) : toISODate(result)
+// DIVIDIR(lista, separador, n) — n-th item (1-based, negative counts from the end)
+FUNCTIONS['DIVIDIR'] = (args) => {
+  const val = String(args[0] || '')
+  const sep = args[1] !== undefined && args[1] !== '' ? String(args[1]) : ','
+  const items = val.split(sep).map(item => item.trim())
+  let n = parseInt(args[2]) || 1
+  if (n < 0) n = items.length + n + 1
+  return items[n - 1] !== undefined ? items[n - 1] : ''
 }
 
-FUNCTIONS['FORMATO_FECHA'] = (args) => {
-  const date = parseDate(args[0])
-  return formatDate(date, args[1] || 'DD/MM/AAAA')
+// UNIR(separador, v1, v2, ...) — joins the non-empty values
+FUNCTIONS['UNIR'] = (args) => {
+  const sep = String(args[0] || '')
+  return args.slice(1).map(a => String(a || '').trim()).filter(a => a !== '').join(sep)
 }
 
-// --- Counter functions ---
+// ESPACIOS(texto) — trims and collapses runs of whitespace into one space
+FUNCTIONS['ESPACIOS'] = (args) => {
+  return String(args[0] || '').replace(/\s+/g, ' ').trim()
+}
 
-FUNCTIONS['CONTADOR'] = (args, _row, context) => {
-  const start = parseInt(args[0]) || 1
-  const step = parseInt(args[1]) || 1
-  const padding = parseInt(args[2]) || 0
-  const idx = context.rowIndex || 0
-  const value = start + (idx * step)
-  return padding > 0 ? String(value).padStart(padding, '0') : String(value)
+// RESALTAR(texto, alergenos, separador) — wraps each listed term in **bold**
+// markup (whole words, case-insensitive), e.g. allergens in an ingredient list.
+// Terms already in bold are left alone.
+FUNCTIONS['RESALTAR'] = (args) => {
+  const text = String(args[0] || '')
+  const separator = args[2] ? String(args[2]) : /[,;]/
+  const terms = String(args[1] || '')
+    .split(separator)
+    .map(t => t.trim())
+    .filter(Boolean)
+    // Longest first, so "leche de cabra" wins over "leche"
+    .sort((a, b) => b.length - a.length)
+  if (!text || terms.length === 0) return text
+
+  const alternation = terms.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}*])(${alternation})(?![\\p{L}\\p{N}*])`, 'giu')
+  return text.replace(pattern, '**$1**')
 }
 
-FUNCTIONS['LOTE'] = (args, _row, context) => {
-  const fmt = args[0] || 'AAMM-####'
-  const now = context.now || new Date()
-  const yyyy = String(now.getFullYear())
-  const yy = yyyy.slice(-2)
-  const mm = String(now.getMonth() + 1).padStart(2, '0')
-  const dd = String(now.getDate()).padStart(2, '0')
-  const idx = (context.rowIndex || 0) + 1
+// --- Date functions ---
 
-  let result = fmt
-    .replace('AAAA', yyyy)
-    .replace('AA', yy)
-    .replace('MM', mm)
-    .replace('DD', dd)
+// Tokens are matched longest-first, so MMMM wins over MMM and MM
+const DATE_TOKEN_PATTERN = /AAAA|MMMM|DDDD|MMM|DDD|JJJ|AA|MM|DD|SS|hh|mm|ss/g
 
-  // Replace # sequences with counter: #### → 0001
-  result = result.replace(/#+/g, (match) => {
-    return String(idx).padStart(match.length, '0')
-  })
+const intlCache = new Map()
 
-  return result
+/**
+ * Cached Intl.DateTimeFormat for a language, falling back to Spanish when
+ * the code is not a valid locale.
+ */
+function dateFormatter(language, options) {
+  const key = `${language}|${JSON.stringify(options)}`
+  if (!intlCache.has(key)) {
+    let formatter
+    try {
+      formatter = new Intl.DateTimeFormat(language || 'es', options)
+    } catch (_e) {
+      formatter = new Intl.DateTimeFormat('es', options)
+    }
+    intlCache.set(key, formatter)
+  }
+  return intlCache.get(key)
 }
 
-FUNCTIONS['REDONDEAR'] = (args) => {
-  const val = parseFloat(args[0]) || 0
-  const dec = parseInt(args[1]) || 0
-  return val.toFixed(dec)
+// Abbreviated names without trailing dot and in capitals: "ENE", "JAN", "JANV"
+function shortName(date, language, option) {
+  return dateFormatter(language, { [option]: 'short' }).format(date).replace(/\.$/, '').toUpperCase()
 }
 
-FUNCTIONS['FORMATO_NUM'] = (args) => {
-  const val = parseFloat(args[0]) || 0
-  const dec = parseInt(args[1]) || 0
-  const sep = args[2] || '.'
-  const formatted = val.toFixed(dec)
-  if (sep === ',') {
-    return formatted.replace('.', ',')
-  }
-  return formatted
+function dayOfYear(date) {
+  const start = Date.UTC(date.getFullYear(), 0, 0)
+  const current = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate())
+  return Math.round((current - start) / 86400000)
 }
 
-// --- Conditional functions ---
-
-FUNCTIONS['SI'] = (args) => {
-  const condStr = String(args[0] || '')
-  const trueVal = args[1] !== undefined ? args[1] : ''
-  const falseVal = args[2] !== undefined ? args[2] : ''
+function isoWeek(date) {
+  const d = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()))
+  // Thursday of the current week decides the ISO year
+  d.setUTCDate(d.getUTCDate() + 4 - (d.getUTCDay() || 7))
+  const yearStart = Date.UTC(d.getUTCFullYear(), 0, 1)
+  return Math.ceil(((d - yearStart) / 86400000 + 1) / 7)
+}
 
-  // Parse condition: left op right
-  const ops = ['==', '!=', '>=', '<=', '>', '<']
-  for (const op of ops) {
-    const idx = condStr.indexOf(op)
-    if (idx !== -1) {
-      const left = condStr.substring(0, idx).trim()
-      const right = condStr.substring(idx + op.length).trim()
-      return evalCondition(left, op, right) ? trueVal : falseVal
+/**
+ * Format a date with Spanish tokens. Every occurrence is replaced.
+ *   AAAA / AA      year (2026 / 26)
+ *   MMMM / MMM / MM  month name / abbreviation ("ENE", "JAN") / number
+ *   DDDD / DDD / DD  weekday name / abbreviation ("LUN", "MON") / day
+ *   JJJ            day of year (Julian, 001-366)
+ *   SS             ISO week number (01-53)
+ *   hh / mm / ss   hours / minutes / seconds
+ * Names follow `language` (e.g. "es", "en", "fr-CA").
+ */
+function formatDate(date, fmt, language = 'es') {
+  if (!fmt) fmt = 'DD/MM/AAAA'
+  const pad = (n, len = 2) => String(n).padStart(len, '0')
+
+  return fmt.replace(DATE_TOKEN_PATTERN, (token) => {
+    switch (token) {
+      case 'AAAA': return String(date.getFullYear())
+      case 'AA': return String(date.getFullYear()).slice(-2)
+      case 'MMMM': return dateFormatter(language, { month: 'long' }).format(date)
+      case 'MMM': return shortName(date, language, 'month')
+      case 'MM': return pad(date.getMonth() + 1)
+      case 'DDDD': return dateFormatter(language, { weekday: 'long' }).format(date)
+      case 'DDD': return shortName(date, language, 'weekday')
+      case 'DD': return pad(date.getDate())
+      case 'JJJ': return pad(dayOfYear(date), 3)
+      case 'SS': return pad(isoWeek(date))
+      case 'hh': return pad(date.getHours())
+      case 'mm': return pad(date.getMinutes())
+      case 'ss': return pad(date.getSeconds())
+      default: return token
     }
-  }
+  })
+}
 
-  // No operator found: truthy check
-  return condStr && condStr !== '0' && condStr !== 'false' && condStr !== '' ? trueVal : falseVal
+function toISODate(date) {
+  const y = String(date.getFullYear())
+  const m = String(date.getMonth() + 1).padStart(2, '0')
+  const d = String(date.getDate()).padStart(2, '0')
+  return `${y}-${m}-${d}`
 }
 
-function evalCondition(left, op, right) {
-  // Try numeric comparison
-  const numL = parseFloat(left)
-  const numR = parseFloat(right)
-  const isNumeric = !isNaN(numL) && !isNaN(numR)
+// Month names accepted when parsing (es, en, fr, de), without accents
+const MONTH_NAMES = [
+  ['enero', 'january', 'janvier', 'januar', 'jan'],
+  ['febrero', 'february', 'fevrier', 'februar'],
+  ['marzo', 'march', 'mars', 'maerz', 'marz', 'mrz'],
+  ['abril', 'april', 'avril'],
+  ['mayo', 'may', 'mai'],
+  ['junio', 'june', 'juin', 'juni'],
+  ['julio', 'july', 'juillet', 'juli'],
+  ['agosto', 'august', 'aout'],
+  ['septiembre', 'setiembre', 'september', 'septembre'],
+  ['octubre', 'october', 'octobre', 'oktober'],
+  ['noviembre', 'november', 'novembre'],
+  ['diciembre', 'december', 'decembre', 'dezember']
+]
 
-  switch (op) {
-    case '==': return isNumeric ? numL === numR : left === right
-    case '!=': return isNumeric ? numL !== numR : left !== right
-    case '>':  return isNumeric ? numL > numR : left > right
-    case '<':  return isNumeric ? numL < numR : left < right
-    case '>=': return isNumeric ? numL >= numR : left >= right
-    case '<=': return isNumeric ? numL <= numR : left <= right
-    default: return false
-  }
+// Day 0 of Excel's 1900 date system (serial 1 = 1900-01-01, after the
+// phantom 1900-02-29 Excel keeps for Lotus compatibility)
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30)
+const MS_PER_DAY = 86400000
+
+// Serials before 1950-01-01 are read as plain numbers (a year such as
+// "2026" or a quantity), not as dates of the early 1900s
+const MIN_EXCEL_SERIAL = 18264
+
+// 15/01/2026, 01-15-26, 15.01.2026 10:30: day and month as numbers
+const NUMERIC_DATE = /^(\d{1,2})([-/.])(\d{1,2})\2(\d{4}|\d{2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/
+
+function monthFromName(word) {
+  const name = word.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\.$/, '')
+  if (name.length < 3) return -1
+  return MONTH_NAMES.findIndex(names => names.some(n => n.startsWith(name)))
+}
+
+/**
+ * Build a date, rejecting overflow such as 31/02 (which Date would roll over).
+ * Two-digit years are 2000-2069 or 1970-1999.
+ */
+function makeDate(year, month, day, hours = 0, minutes = 0, seconds = 0) {
+  let y = parseInt(year)
+  if (String(year).length <= 2) y += y < 70 ? 2000 : 1900
+  const m = parseInt(month) - 1
+  const d = parseInt(day)
+  const date = new Date(y, m, d, parseInt(hours) || 0, parseInt(minutes) || 0, parseInt(seconds) || 0)
+  if (date.getFullYear() !== y || date.getMonth() !== m || date.getDate() !== d) return null
+  return date
+}
+
+function excelSerialDate(serial) {
+  const utc = new Date(EXCEL_EPOCH + Math.round(serial * MS_PER_DAY))
+  return new Date(utc.getUTCFullYear(), utc.getUTCMonth(), utc.getUTCDate(),
+    utc.getUTCHours(), utc.getUTCMinutes(), utc.getUTCSeconds())
+}
+
+/**
+ * Parse with an explicit input format made of formatDate tokens
+ * (AAAA, AA, MM, MMM, MMMM, DD, hh, mm, ss), e.g. "DD.MM.AAAA".
+ * @returns {Date|null}
+ */
+function parseWithFormat(str, fmt) {
+  const tokens = fmt.match(DATE_TOKEN_PATTERN) || []
+  const literals = fmt.split(DATE_TOKEN_PATTERN).map(s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+  let pattern = literals[0]
+  tokens.forEach((token, i) => {
+    if (token === 'AAAA') pattern += '(\\d{4})'
+    else if (token === 'MMM' || token === 'MMMM') pattern += '(\\p{L}+\\.?)'
+    else pattern += '(\\d{1,2})'
+    pattern += literals[i + 1]
+  })
+  const match = str.match(new RegExp(`^${pattern}$`, 'u'))
+  if (!match) return null
+
+  const parts = { hh: 0, mm: 0, ss: 0 }
+  tokens.forEach((token, i) => {
+    if (token === 'MMM' || token === 'MMMM') parts.MM = monthFromName(match[i + 1]) + 1
+    else parts[token] = match[i + 1]
+  })
+  const year = parts.AAAA || parts.AA
+  if (!year || !parts.MM || !parts.DD) return null
+  return makeDate(year, parts.MM, parts.DD, parts.hh, parts.mm, parts.ss)
+}
+
+/**
+ * Parse a date from data or another function's result.
+ *
+ * Accepted without configuration:
+ *   2026-01-15, 2026/01/15, 2026.01.15 (optionally with " hh:mm[:ss]" or "T...")
+ *   15/01/2026, 15.01.2026, 15-01-26   day first (01/15/2026 is not a date)
+ *   15-Jan-2026, 15 ene 2026, 15 de enero de 2026, Jan 15, 2026
+ *   20260115, 260115                   YYYYMMDD / GS1 YYMMDD
+ *   45672 or 45672.5                   Excel serial date (1900 system),
+ *                                      from 1950 on (MIN_EXCEL_SERIAL)
+ *
+ * `context.dateFormat` is the data source's input format: "auto" (or empty)
+ * for the rules above, or a pattern of formatDate tokens such as
+ * "MM/DD/AAAA" or "DD.MM.AAAA", tried first and deciding the order of
+ * numeric dates. Uploads in "auto" get "MM/DD/AAAA" from detectDateFormat
+ * when their dates are month first, so the order is decided once per
+ * data source and never per value.
+ *
+ * @throws {Error} for text that is not a valid date, so the label shows
+ *   #ERR# instead of silently printing today's date
+ */
+function parseDate(value, context = {}) {
+  if (value instanceof Date) return value
+  const str = String(value == null ? '' : value).trim()
+  const fmt = context.dateFormat && context.dateFormat !== 'auto' ? context.dateFormat : null
+  const invalid = () => new Error(`Fecha no reconocida: "${str}"`)
+  const valid = (date) => {
+    if (!date) throw invalid()
+    return date
+  }
+
+  if (fmt) {
+    const date = parseWithFormat(str, fmt)
+    if (date) return date
+  }
+
+  // Excel serial (up to 99999 = year 2173)
+  if (/^\d{1,5}(\.\d+)?$/.test(str)) {
+    const serial = parseFloat(str)
+    if (serial < MIN_EXCEL_SERIAL) throw invalid()
+    return excelSerialDate(serial)
+  }
+
+  // Compact YYYYMMDD / YYMMDD
+  let m = str.match(/^(\d{4}|\d{2})(\d{2})(\d{2})$/)
+  if (m) return valid(makeDate(m[1], m[2], m[3]))
+
+  // Year first
+  m = str.match(/^(\d{4})([-/.])(\d{1,2})\2(\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2}))?)?/)
+  if (m) return valid(makeDate(m[1], m[3], m[4], m[5], m[6], m[7]))
+
+  // Day and month as numbers, in the configured order or day first
+  m = str.match(NUMERIC_DATE)
+  if (m) {
+    const [, a, , b, year, hh, mm, ss] = m
+    const monthFirst = !!fmt && fmt.indexOf('MM') < fmt.indexOf('DD')
+    return valid(monthFirst ? makeDate(year, a, b, hh, mm, ss) : makeDate(year, b, a, hh, mm, ss))
+  }
+
+  // Month as a name: "15-Jan-2026", "15 de enero de 2026", "15. Januar 2026"
+  m = str.match(/^(\d{1,2})\.?[\s/-]*(?:de\s+)?(\p{L}+\.?)[\s/,-]*(?:de\s+)?(\d{4}|\d{2})$/u)
+  if (m) {
+    const month = monthFromName(m[2])
+    return valid(month !== -1 && makeDate(m[3], month + 1, m[1]))
+  }
+
+  // "Jan 15, 2026"
+  m = str.match(/^(\p{L}+\.?)\s+(\d{1,2}),?\s+(\d{4})$/u)
+  if (m) {
+    const month = monthFromName(m[1])
+    return valid(month !== -1 && makeDate(m[3], month + 1, m[2]))
+  }
+
+  throw invalid()
+}
+
+/**
+ * Input date format for a data source uploaded with "auto": "MM/DD/AAAA"
+ * when its numeric dates can only be read month first (a second number
+ * above 12 and no first one), otherwise "auto" (day first). Values that fit
+ * neither order show #ERR# instead of flipping order between rows.
+ * @param {Array<Object>} rows - the data source's rows
+ * @returns {string}
+ */
+export function detectDateFormat(rows = []) {
+  let dayFirst = false
+  let monthFirst = false
+  for (const row of rows) {
+    for (const value of Object.values(row || {})) {
+      const m = typeof value === 'string' && value.trim().match(NUMERIC_DATE)
+      if (!m) continue
+      if (parseInt(m[1]) > 12) dayFirst = true
+      else if (parseInt(m[3]) > 12) monthFirst = true
+      if (dayFirst) return 'auto'
+    }
+  }
+  return monthFirst ? 'MM/DD/AAAA' : 'auto'
+}
+
+// --- Time zone ---
+
+// Intl formatters per IANA zone (creating one is slow); null for zones this
+// browser doesn't know
+const zoneFormatters = new Map()
+
+function zoneFormatter(timeZone) {
+  if (!zoneFormatters.has(timeZone)) {
+    let formatter = null
+    try {
+      formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23',
+        year: 'numeric', month: 'numeric', day: 'numeric',
+        hour: 'numeric', minute: 'numeric', second: 'numeric'
+      })
+    } catch (_e) {
+      console.warn(`Zona horaria no válida: ${timeZone}; se usa la hora del navegador`)
+    }
+    zoneFormatters.set(timeZone, formatter)
+  }
+  return zoneFormatters.get(timeZone)
+}
+
+// The plant's zone, or null to use the browser's clock (none configured,
+// or one this browser doesn't know — a bad zone must not break every date)
+function plantZone(context) {
+  return context.timeZone && zoneFormatter(context.timeZone) ? context.timeZone : null
+}
+
+// Wall-clock fields of an instant in an IANA zone
+function zoneParts(date, timeZone) {
+  const parts = {}
+  zoneFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => { parts[type] = parseInt(value) })
+  return [parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second]
+}
+
+/**
+ * Current time on the plant's clock: `context.now` as seen in
+ * `context.timeZone` (IANA name such as "Europe/Madrid"), or in the
+ * browser's zone when none is configured or the name is unknown. The result
+ * is a local Date whose getters read the plant's wall clock, so formatDate
+ * and the date arithmetic work unchanged.
+ */
+function localNow(context) {
+  const now = context.now || new Date()
+  const zone = plantZone(context)
+  if (!zone) return now
+  return new Date(...zoneParts(now, zone), now.getMilliseconds())
+}
+
+// Minutes ahead of UTC on the plant's clock at `date`
+function zoneOffsetMinutes(date, context) {
+  const zone = plantZone(context)
+  if (!zone) return -date.getTimezoneOffset()
+  const wall = Date.UTC(...zoneParts(date, zone))
+  return Math.round((wall - Math.floor(date.getTime() / 1000) * 1000) / 60000)
+}
+
+function formatOffset(minutes, separator) {
+  const abs = Math.abs(minutes)
+  const hours = String(Math.floor(abs / 60)).padStart(2, '0')
+  return `${minutes < 0 ? '-' : '+'}${hours}${separator}${String(abs % 60).padStart(2, '0')}`
+}
+
+FUNCTIONS['HOY'] = (args, _row, context) => {
+  const now = localNow(context)
+  // No format arg = ISO for composability; with format = human-readable
+  return args[0] ? formatDate(now, args[0], context.language) : toISODate(now)
+}
+
+FUNCTIONS['AHORA'] = (args, _row, context) => {
+  const now = localNow(context)
+  return formatDate(now, args[0] || 'AAAA-MM-DD hh:mm', context.language)
+}
+
+// ZONA_HORARIA(): UTC offset of the plant's clock, "+02:00";
+// "compacto" → "+0200", "nombre" → "Europe/Madrid"
+FUNCTIONS['ZONA_HORARIA'] = (args, _row, context) => {
+  const style = String(args[0] || '').trim().toLowerCase()
+  if (style === 'nombre') return plantZone(context) || Intl.DateTimeFormat().resolvedOptions().timeZone
+  const offset = zoneOffsetMinutes(context.now || new Date(), context)
+  return formatOffset(offset, style === 'compacto' ? '' : ':')
+}
+
+// AHORA_UTC(): UTC timestamp for traceability, "2026-10-19T06:30:00Z" by default
+FUNCTIONS['AHORA_UTC'] = (args, _row, context) => {
+  const now = context.now || new Date()
+  if (!args[0]) return now.toISOString().replace(/\.\d{3}Z$/, 'Z')
+  return formatDate(new Date(...zoneParts(now, 'UTC')), args[0], context.language)
+}
+
+FUNCTIONS['SUMAR_DIAS'] = (args, _row, context) => {
+  const base = args[0] ? parseDate(args[0], context) : localNow(context)
+  const days = parseInt(args[1]) || 0
+  const result = new Date(base)
+  result.setDate(result.getDate() + days)
+  // No explicit format = ISO for composability with FORMATO_FECHA
+  return args[2] ? formatDate(result, args[2], context.language) : toISODate(result)
+}
+
+FUNCTIONS['SUMAR_MESES'] = (args, _row, context) => {
+  const base = args[0] ? parseDate(args[0], context) : localNow(context)
+  const months = parseInt(args[1]) || 0
+  const result = new Date(base)
+  result.setMonth(result.getMonth() + months)
+  // No explicit format = ISO for composability with FORMATO_FECHA
+  return args[2] ? formatDate(result, args[2], context.language) : toISODate(result)
+}
+
+FUNCTIONS['FORMATO_FECHA'] = (args, _row, context) => {
+  // An empty cell formats as nothing rather than as an error
+  if (String(args[0] || '').trim() === '') return ''
+  const date = parseDate(args[0], context)
+  return formatDate(date, args[1] || 'DD/MM/AAAA', args[2] || context.language)
+}
+
+// --- Shelf-life functions ---
+
+const MAX_BUSINESS_DAYS = 3660
+
+/**
+ * Build the holiday sets for SUMAR_DIAS_HABILES from the workspace's
+ * calendars. The result goes into `context.holidays`; the empty name holds
+ * the union of every calendar.
+ * @param {Object} calendars - { NAME: ["2026-01-01", ...] }
+ * @returns {Object} { NAME: Set<ISO date> }
+ */
+export function createHolidays(calendars = {}) {
+  const holidays = { '': new Set() }
+  for (const [name, dates] of Object.entries(calendars || {})) {
+    const set = new Set(dates || [])
+    holidays[name.toUpperCase()] = set
+    set.forEach(d => holidays[''].add(d))
+  }
+  return holidays
+}
+
+// Calendar name, inline dates ("2026-12-25;2027-01-01") or empty for all
+function holidaySet(spec, context) {
+  const value = String(spec || '').trim()
+  if (/\d{4}-\d{2}-\d{2}/.test(value)) {
+    return new Set(value.split(/[;,\s]+/).filter(Boolean).map(d => toISODate(parseDate(d, context))))
+  }
+  // Canvas previews don't receive the workspace calendars
+  if (!context.holidays) return new Set()
+  const set = context.holidays[value.toUpperCase()]
+  if (!set) throw new Error(`Calendario de festivos desconocido: ${value}`)
+  return set
+}
+
+function isBusinessDay(date, holidays) {
+  const day = date.getDay()
+  return day !== 0 && day !== 6 && !holidays.has(toISODate(date))
+}
+
+function dateResult(date, fmt, context) {
+  // No explicit format = ISO for composability with FORMATO_FECHA
+  return fmt ? formatDate(date, fmt, context.language) : toISODate(date)
+}
+
+// FIN_DE_MES(fecha, meses): last day of the month, `meses` months away
+FUNCTIONS['FIN_DE_MES'] = (args, _row, context) => {
+  const base = args[0] ? parseDate(args[0], context) : localNow(context)
+  const months = parseInt(args[1]) || 0
+  const result = new Date(base.getFullYear(), base.getMonth() + months + 1, 0)
+  return dateResult(result, args[2], context)
+}
+
+// Skips Saturdays, Sundays and holidays; negative `dias` counts backwards
+FUNCTIONS['SUMAR_DIAS_HABILES'] = (args, _row, context) => {
+  const base = args[0] ? parseDate(args[0], context) : localNow(context)
+  const days = parseInt(args[1]) || 0
+  if (Math.abs(days) > MAX_BUSINESS_DAYS) throw new Error(`Días hábiles: máximo ${MAX_BUSINESS_DAYS}`)
+  const holidays = holidaySet(args[2], context)
+  const step = days < 0 ? -1 : 1
+  const result = new Date(base.getFullYear(), base.getMonth(), base.getDate())
+  let remaining = Math.abs(days)
+  while (remaining > 0) {
+    result.setDate(result.getDate() + step)
+    if (isBusinessDay(result, holidays)) remaining--
+  }
+  return dateResult(result, args[3], context)
+}
+
+// Rounds forward to a Monday; a Monday stays as it is
+FUNCTIONS['PROXIMO_LUNES'] = (args, _row, context) => {
+  const base = args[0] ? parseDate(args[0], context) : localNow(context)
+  const result = new Date(base.getFullYear(), base.getMonth(), base.getDate())
+  result.setDate(result.getDate() + (8 - result.getDay()) % 7)
+  return dateResult(result, args[1], context)
+}
+
+// GS1 date: YYMMDD (AIs 11-17) or YYYYMMDD with 8 digits
+FUNCTIONS['FECHA_GS1'] = (args, _row, context) => {
+  const date = args[0] ? parseDate(args[0], context) : localNow(context)
+  const digits = parseInt(args[1]) || 6
+  if (digits !== 6 && digits !== 8) throw new Error('FECHA_GS1: 6 u 8 dígitos')
+  return formatDate(date, digits === 8 ? 'AAAAMMDD' : 'AAMMDD')
+}
+
+// --- Counter functions ---
+
+FUNCTIONS['CONTADOR'] = (args, _row, context) => {
+  const start = parseInt(args[0]) || 1
+  const step = parseInt(args[1]) || 1
+  const padding = parseInt(args[2]) || 0
+  const idx = context.rowIndex || 0
+  const value = start + (idx * step)
+  return padding > 0 ? String(value).padStart(padding, '0') : String(value)
+}
+
+FUNCTIONS['LOTE'] = (args, _row, context) => {
+  const fmt = args[0] || 'AAMM-####'
+  const now = localNow(context)
+  const idx = (context.rowIndex || 0) + 1
+
+  // Date tokens as in FORMATO_FECHA, e.g. AAJJJ for a Julian lot code
+  let result = formatDate(now, fmt, context.language)
+
+  // Replace # sequences with counter: #### → 0001
+  result = result.replace(/#+/g, (match) => {
+    return String(idx).padStart(match.length, '0')
+  })
+
+  return result
+}
+
+// Alphanumeric serials skip I, L and O, which read as 1 and 0 on labels
+const SERIAL_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTUVWXYZ'
+
+/**
+ * Storage scope for SERIE(nombre, digitos, reinicio, tipo).
+ * reinicio: "diario" / "mensual" / "anual" start a new sequence per period;
+ * any other value (e.g. a lot column) starts a new sequence per value.
+ */
+function serialScope(args, context) {
+  const name = String(args[0] || '').trim() || 'serie'
+  const reset = String(args[2] || '').trim()
+  const today = toISODate(localNow(context))
+
+  switch (reset.toLowerCase()) {
+    case '':
+    case 'nunca': return name
+    case 'diario': return `${name}|D${today}`
+    case 'mensual': return `${name}|M${today.slice(0, 7)}`
+    case 'anual': return `${name}|A${today.slice(0, 4)}`
+    default: return `${name}|L${reset}`
+  }
+}
+
+function toSerialAlphabet(value) {
+  const base = SERIAL_ALPHABET.length
+  let n = value
+  let out = ''
+  do {
+    out = SERIAL_ALPHABET[n % base] + out
+    n = Math.floor(n / base)
+  } while (n > 0)
+  return out
+}
+
+FUNCTIONS['SERIE'] = (args, _row, context) => {
+  const scope = serialScope(args, context)
+  if (context.serialScopes) context.serialScopes.add(scope)
+
+  // Values are reserved per batch by serial_counters.js; previews without a
+  // reservation show the row position instead
+  const reserved = context.serials && context.serials[scope]
+  const value = reserved !== undefined ? reserved : (context.rowIndex || 0) + 1
+
+  const digits = parseInt(args[1]) || 0
+  const text = String(args[3] || '').toLowerCase() === 'alfa' ? toSerialAlphabet(value) : String(value)
+  return digits > 0 ? text.padStart(digits, '0') : text
+}
+
+// SERIE() under any of its names
+const SERIE_CALL = new RegExp(`\\b(${functionAliases('SERIE').join('|')})\\s*\\(`, 'i')
+
+/**
+ * Whether a template or expression calls SERIE(), whose values are only
+ * known once serial_counters.js has reserved them.
+ */
+export function usesSerials(text) {
+  return typeof text === 'string' && SERIE_CALL.test(text)
+}
+
+/**
+ * Find the SERIE() scopes each row of a batch will consume, across every
+ * expression the renderers evaluate: bindings, Digital Link AIs, visible_if
+ * conditions and style bindings.
+ * Each scope advances once per label, however many elements show it.
+ * @param {Object} design - design with elements
+ * @param {Array<Object>} rows - batch rows
+ * @param {Object} context - { now, language, ... } shared by the batch
+ * @returns {Array<string[]>|null} scopes per row, or null if SERIE is unused
+ */
+export function collectSerialScopes(design, rows, context = {}) {
+  const templates = []
+  const expressions = []
+  for (const el of design.elements || []) {
+    if (isExpression(el.binding) && usesSerials(el.binding)) templates.push(el.binding)
+    for (const expr of elementExpressions(el)) {
+      if (usesSerials(expr)) expressions.push(expr)
+    }
+  }
+  if (templates.length === 0 && expressions.length === 0) return null
+
+  return rows.map((row, rowIndex) => {
+    const serialScopes = new Set()
+    const rowContext = { ...context, rowIndex, batchSize: rows.length, serialScopes }
+    templates.forEach(template => evaluate(template, row, rowContext))
+    expressions.forEach(expr => {
+      // A failing expression has still recorded the scopes it reached
+      try { resolveExpression(expr, row, rowContext) } catch (_e) { /* ignore */ }
+    })
+    return [...serialScopes]
+  })
+}
+
+/**
+ * Expressions an element evaluates besides its binding (visible_if, style
+ * bindings and Digital Link AIs), without `{{ }}` and skipping empty ones.
+ * @param {Object} el - design element
+ * @returns {string[]}
+ */
+export function elementExpressions(el) {
+  const expressions = [el.visible_if]
+  if (el.style_bindings && typeof el.style_bindings === 'object') {
+    expressions.push(...Object.values(el.style_bindings))
+  }
+  if (el.type === 'qr' && el.qr_mode === 'digital_link') {
+    const { domain, ...mapping } = el.digital_link || {}
+    expressions.push(...Object.values(mapping))
+  }
+  return expressions.map(bareExpression).filter(Boolean)
+}
+
+// --- Batch position functions ---
+
+/**
+ * Batch-wide data for CONTADOR_GRUPO / TOTAL_GRUPO, created once per batch
+ * by the renderers and passed to every label as `context.batch`.
+ * @param {Array<Object>} rows - all rows of the batch, in print order
+ */
+export function createBatch(rows) {
+  return { rows, groups: new Map(), columnKeys: new Map() }
+}
+
+/**
+ * Position of each row within its group and the size of each group, where
+ * rows with the same key value belong together (they need not be adjacent).
+ * Computed on first use per key expression and cached on the batch.
+ */
+function groupStats(keyNode, context) {
+  const { batch } = context
+  if (!batch.groups.has(keyNode.raw)) {
+    const keys = batch.rows.map((row, rowIndex) =>
+      toText(evalSegment(keyNode, row, { ...context, rowIndex }, 'literal')))
+    const totals = new Map()
+    const positions = keys.map(key => {
+      totals.set(key, (totals.get(key) || 0) + 1)
+      return totals.get(key)
+    })
+    batch.groups.set(keyNode.raw, { keys, positions, totals })
+  }
+  return batch.groups.get(keyNode.raw)
+}
+
+function padNumber(value, padding) {
+  const n = parseInt(padding) || 0
+  return n > 0 ? String(value).padStart(n, '0') : String(value)
+}
+
+// Without a batch (single-label previews) every row is its own group
+FUNCTIONS['CONTADOR_GRUPO'] = (args, _row, context, node) => {
+  if (!context.batch || !node || !node.args[0]) return padNumber(1, args[1])
+  const idx = context.rowIndex || 0
+  return padNumber(groupStats(node.args[0], context).positions[idx], args[1])
+}
+
+FUNCTIONS['TOTAL_GRUPO'] = (_args, _row, context, node) => {
+  if (!context.batch || !node || !node.args[0]) return '1'
+  const stats = groupStats(node.args[0], context)
+  return String(stats.totals.get(stats.keys[context.rowIndex || 0]))
+}
+
+FUNCTIONS['ETIQUETA_N'] = (args, _row, context) => {
+  return padNumber((context.rowIndex || 0) + 1, args[0])
+}
+
+FUNCTIONS['TOTAL_ETIQUETAS'] = (_args, _row, context) => {
+  return String(context.batchSize || 1)
+}
+
+// Lenient like parseFloat(x) || 0: text that is not a number counts as 0
+function decimalOrZero(value) {
+  try {
+    return parseDecimal(value)
+  } catch (_e) {
+    return parseDecimal(0)
+  }
+}
+
+// Halves round away from zero on the exact decimal: 1.005 → 1.01
+FUNCTIONS['REDONDEAR'] = (args) => {
+  const dec = parseInt(args[1]) || 0
+  return toFixedString(decimalOrZero(args[0]), dec)
+}
+
+/**
+ * FORMATO_NUM(valor, decimales, separador)
+ * separador "." or "," only sets the decimal mark (no thousands grouping);
+ * any other value is a language code, e.g. FORMATO_NUM(x, 2, IDIOMA()) →
+ * "1.234,50" in "es" or "1,234.50" in "en".
+ */
+FUNCTIONS['FORMATO_NUM'] = (args) => {
+  const dec = parseInt(args[1]) || 0
+  const sep = args[2] || '.'
+  const formatted = toFixedString(decimalOrZero(args[0]), dec)
+  if (sep !== '.' && sep !== ',') {
+    return numberFormatter(sep, dec).format(formatted)
+  }
+  if (sep === ',') {
+    return formatted.replace('.', ',')
+  }
+  return formatted
+}
+
+function numberFormatter(language, decimals) {
+  const key = `num|${language}|${decimals}`
+  if (!intlCache.has(key)) {
+    const options = { minimumFractionDigits: decimals, maximumFractionDigits: decimals, useGrouping: true }
+    let formatter
+    try {
+      formatter = new Intl.NumberFormat(language, options)
+    } catch (_e) {
+      formatter = new Intl.NumberFormat('es', options)
+    }
+    intlCache.set(key, formatter)
+  }
+  return intlCache.get(key)
+}
+
+// --- Units and prices ---
+
+// Factor to the base unit of each dimension (g, ml, mm), exact
+const UNITS = {
+  mg: ['masa', '0.001'], g: ['masa', '1'], kg: ['masa', '1000'],
+  oz: ['masa', '28.349523125'], lb: ['masa', '453.59237'],
+  ml: ['volumen', '1'], cl: ['volumen', '10'], dl: ['volumen', '100'], l: ['volumen', '1000'],
+  floz: ['volumen', '29.5735295625'],
+  mm: ['longitud', '1'], cm: ['longitud', '10'], m: ['longitud', '1000']
+}
+
+const UNIT_ALIASES = { gr: 'g', grs: 'g', kilo: 'kg', kilos: 'kg', lt: 'l', lts: 'l', lbs: 'lb', 'fl oz': 'floz' }
+
+function unitInfo(name) {
+  const key = String(name || '').trim().toLowerCase().replace(/\.$/, '')
+  const unit = UNIT_ALIASES[key] || key
+  if (!UNITS[unit]) throw new Error(`Unidad desconocida: ${name}`)
+  return { unit, dimension: UNITS[unit][0], factor: parseDecimal(UNITS[unit][1]) }
+}
+
+// "250 g", "0,5kg", "100 g", "kg" → { value, unit }; missing parts take the defaults
+function parseAmount(text, defaultUnit, defaultValue) {
+  const m = String(text == null ? '' : text).trim().match(/^([-+]?\d[\d.,\s]*?)?\s*([a-zA-Z][a-zA-Z .]*)?$/)
+  if (!m || (!m[1] && defaultValue === undefined) || (!m[2] && !defaultUnit)) {
+    throw new Error(`Cantidad no válida: ${text}`)
+  }
+  return { value: parseDecimal(m[1] || defaultValue), unit: unitInfo(m[2] || defaultUnit) }
+}
+
+function checkDimensions(from, to) {
+  if (from.dimension !== to.dimension) throw new Error(`No se puede convertir ${from.unit} a ${to.unit}`)
+}
+
+function decimalsArg(value, fallback) {
+  if (value == null || String(value).trim() === '') return fallback
+  const n = parseInt(value)
+  if (isNaN(n) || n < 0 || n > 10) throw new Error('Decimales: entre 0 y 10')
+  return n
+}
+
+function isBlank(value) {
+  return String(value == null ? '' : value).trim() === ''
+}
+
+// Rounded decimal with the label language's separators: "1.234,50" in es, "1,234.50" in en
+function formatLocalized(value, decimals, context) {
+  const language = context.language || context.defaultLanguage || 'es'
+  return numberFormatter(language, decimals).format(toFixedString(value, decimals))
+}
+
+/**
+ * CONVERTIR(valor, desde, hasta, decimales): g, kg, mg, oz, lb; ml, cl, dl,
+ * l, floz; mm, cm, m. Without decimales the result keeps up to 3 and drops
+ * trailing zeros (500 g → 0,5 kg).
+ */
+FUNCTIONS['CONVERTIR'] = (args, _row, context) => {
+  if (isBlank(args[0])) return ''
+  const from = unitInfo(args[1])
+  const to = unitInfo(args[2])
+  checkDimensions(from, to)
+  const decimals = decimalsArg(args[3], null)
+  const result = divide(multiply(parseDecimal(args[0]), from.factor), to.factor, decimals === null ? 3 : decimals)
+  if (decimals !== null) return formatLocalized(result, decimals, context)
+  const fraction = toFixedString(result, 3).split('.')[1].replace(/0+$/, '')
+  return formatLocalized(result, fraction.length, context)
+}
+
+/**
+ * PRECIO_UNIDAD(precio, cantidad, unidad, unidad_cantidad, decimales)
+ * Price per kg, l, "100 g"...: PRECIO_UNIDAD(3.49, "250 g", "kg") → 13,96.
+ * `cantidad` may carry its unit; a bare number is in `unidad_cantidad`, or
+ * in the same unit as `unidad` when that is empty.
+ */
+FUNCTIONS['PRECIO_UNIDAD'] = (args, _row, context) => {
+  if (isBlank(args[0])) return ''
+  const target = parseAmount(args[2] || 'kg', null, 1)
+  const quantity = parseAmount(args[1], args[3] || target.unit.unit)
+  checkDimensions(quantity.unit, target.unit)
+  // precio × target in base units / cantidad in base units, rounded once
+  const numerator = multiply(parseDecimal(args[0]), multiply(target.value, target.unit.factor))
+  const denominator = multiply(quantity.value, quantity.unit.factor)
+  const decimals = decimalsArg(args[4], 2)
+  return formatLocalized(divide(numerator, denominator, decimals), decimals, context)
+}
+
+/**
+ * IVA(precio, porcentaje, decimales, modo), rounded once.
+ * modo: empty adds the tax (10 at 21 → 12,10), "cuota" gives only the tax
+ * (2,10) and "base" removes it from a VAT-inclusive price (12,10 → 10,00).
+ */
+FUNCTIONS['IVA'] = (args, _row, context) => {
+  if (isBlank(args[0])) return ''
+  const price = parseDecimal(args[0])
+  const rate = parseDecimal(String(args[1] == null ? '' : args[1]).replace('%', ''))
+  const hundred = parseDecimal(100)
+  const decimals = decimalsArg(args[2], 2)
+
+  let result
+  switch (String(args[3] || '').trim().toLowerCase()) {
+    case '': result = divide(multiply(price, add(hundred, rate)), hundred, decimals); break
+    case 'cuota': result = divide(multiply(price, rate), hundred, decimals); break
+    case 'base': result = divide(multiply(price, hundred), add(hundred, rate), decimals); break
+    default: throw new Error(`IVA: modo "${args[3]}" no válido (cuota o base)`)
+  }
+  return formatLocalized(result, decimals, context)
+}
+
+/**
+ * NUMERO_A_LETRAS(valor, idioma, moneda): es, en, fr or de; without idioma
+ * the label's language. 12.5 → "doce coma cinco"; with moneda "EUR" →
+ * "doce euros con cincuenta céntimos".
+ */
+FUNCTIONS['NUMERO_A_LETRAS'] = (args, _row, context) => {
+  if (isBlank(args[0])) return ''
+  const language = String(args[1] || '').trim() || context.language || context.defaultLanguage || 'es'
+  return spellNumber(args[0], language, args[2])
+}
+
+// --- Lookup functions ---
+
+/**
+ * Index lookup tables by their first column, once per batch, for
+ * BUSCARV(). The result goes into `context.lookups`.
+ * @param {Object} tables - { name: { columns, rows } } from data_store
+ * @returns {Object} { lowercased name: { columns, index: Map(key → row) } }
+ */
+export function createLookups(tables = {}) {
+  const lookups = {}
+  for (const [name, table] of Object.entries(tables)) {
+    const keyColumn = (table.columns || [])[0]
+    const index = new Map()
+    for (const row of table.rows || []) {
+      const key = String(row[keyColumn] == null ? '' : row[keyColumn]).trim()
+      // First occurrence wins, like a spreadsheet VLOOKUP
+      if (key !== '' && !index.has(key)) index.set(key, row)
+    }
+    lookups[name.toLowerCase()] = { columns: table.columns || [], index }
+  }
+  return lookups
+}
+
+FUNCTIONS['BUSCARV'] = (args, _row, context) => {
+  const fallback = args[3] !== undefined ? args[3] : ''
+  // Canvas previews don't load lookup tables
+  if (!context.lookups) return fallback
+
+  const tableName = String(args[0] || '').trim()
+  const table = context.lookups[tableName.toLowerCase()]
+  if (!table) throw new Error(`Tabla de búsqueda desconocida: ${tableName}`)
+
+  const match = table.index.get(String(args[1] || '').trim())
+  if (!match) return fallback
+  const value = lookupColumn(match, String(args[2] || '').trim())
+  return value !== undefined ? value : fallback
+}
+
+// --- Conditional functions ---
+
+FUNCTIONS['SI'] = (args) => {
+  const condStr = String(args[0] || '')
+  const trueVal = args[1] !== undefined ? args[1] : ''
+  const falseVal = args[2] !== undefined ? args[2] : ''
+
+  // Parse condition: left op right
+  const ops = ['==', '!=', '>=', '<=', '>', '<']
+  for (const op of ops) {
+    const idx = condStr.indexOf(op)
+    if (idx !== -1) {
+      const left = condStr.substring(0, idx).trim()
+      const right = condStr.substring(idx + op.length).trim()
+      return evalCondition(left, op, right) ? trueVal : falseVal
+    }
+  }
+
+  // No operator found: truthy check
+  return condStr && condStr !== '0' && condStr !== 'false' && condStr !== '' ? trueVal : falseVal
+}
+
+function evalCondition(left, op, right) {
+  // Try numeric comparison
+  const numL = numberFromText(left)
+  const numR = numberFromText(right)
+  const isNumeric = !isNaN(numL) && !isNaN(numR)
+
+  switch (op) {
+    case '==': return isNumeric ? numL === numR : left === right
+    case '!=': return isNumeric ? numL !== numR : left !== right
+    case '>':  return isNumeric ? numL > numR : left > right
+    case '<':  return isNumeric ? numL < numR : left < right
+    case '>=': return isNumeric ? numL >= numR : left >= right
+    case '<=': return isNumeric ? numL <= numR : left <= right
+    default: return false
+  }
 }
 
 FUNCTIONS['VACIO'] = (args) => {
@@ -455,8 +1701,519 @@ FUNCTIONS['IDIOMA'] = (_args, _row, context) => {
   return context.language || 'es'
 }
 
+// --- GS1 functions ---
+
+/**
+ * Collect AI/value pairs from GS1(ai1, v1, ai2, v2...) arguments.
+ * Date AIs accept YYMMDD or any date parseDate() reads; empty values are
+ * skipped so optional fields (e.g. a blank serial column) don't break the code.
+ */
+function gs1Pairs(args, context) {
+  if (args.length === 0 || args.length % 2 !== 0) {
+    throw new Error('GS1: se esperan pares AI, valor')
+  }
+  const pairs = []
+  for (let i = 0; i < args.length; i += 2) {
+    const ai = String(args[i]).trim().padStart(2, '0')
+    let value = String(args[i + 1] == null ? '' : args[i + 1]).trim()
+    if (value === '') continue
+    const def = getAI(ai)
+    if (def && def.date && !/^\d{6}$/.test(value)) {
+      try {
+        value = formatDate(parseDate(value, context), 'AAMMDD')
+      } catch (_e) {
+        throw new Error(`AI (${ai}): fecha no válida`)
+      }
+    }
+    pairs.push([ai, value])
+  }
+  return pairs
+}
+
+FUNCTIONS['GS1'] = (args, _row, context) => {
+  return buildElementString(gs1Pairs(args, context))
+}
+
+FUNCTIONS['GS1_CRUDO'] = (args, _row, context) => {
+  return buildElementString(gs1Pairs(args, context), { raw: true })
+}
+
+FUNCTIONS['DIGITO_CONTROL'] = (args) => {
+  const digits = String(args[0] || '').replace(/\s/g, '')
+  return String(calculateCheckDigit(digits))
+}
+
+FUNCTIONS['SSCC'] = (args) => {
+  const prefix = String(args[0] || '').trim()
+  const serial = String(args[1] || '').trim()
+  const extension = args[2] !== undefined && args[2] !== '' ? String(args[2]).trim() : '0'
+  if (!/^\d{1}$/.test(extension) || !/^\d+$/.test(prefix) || !/^\d+$/.test(serial)) {
+    throw new Error('SSCC: solo dígitos')
+  }
+  const serialLength = 16 - prefix.length
+  if (serialLength < serial.length) throw new Error('SSCC: prefijo y serie exceden 17 dígitos')
+  const body = extension + prefix + serial.padStart(serialLength, '0')
+  return body + calculateCheckDigit(body)
+}
+
+// --- Serialization functions ---
+// Random values derive from context.seed (one per print batch), the row, the
+// call's arguments and where the call sits (element, field and position), so
+// a reprint with the same seed yields the same codes, PDF, ZPL and preview
+// agree regardless of element order, and two calls never repeat a value.
+// Calls given a key (UUID's `clave`, CODIGO_ALEATORIO's `nombre`) share
+// their value with every call using the same key.
+
+const MAX_CODE_LENGTH = 128
+
+function seededBytes(name, args, context, node, key) {
+  const site = key ? '' : `${context.site || ''}@${node ? node.start : 0}|`
+  return byteStream(context.seed || '', `${name}|${site}${context.rowIndex || 0}|${args.join('|')}`)
+}
+
+/**
+ * The clock of a print run (`context.now`): the recorded time of the run
+ * being reprinted, so HOY() and UUID(7) come out the same, or else now.
+ * @param {string|null} now - ISO 8601 time sent by the LiveView
+ * @returns {Date}
+ */
+export function createClock(now = null) {
+  const date = now ? new Date(now) : null
+  return date && !isNaN(date.getTime()) ? date : new Date()
+}
+
+// Map bytes onto an alphabet without modulo bias (rejection sampling)
+function encodeBytes(next, length, alphabet) {
+  const chars = [...new Set(Array.from(alphabet))]
+  if (chars.length < 2 || chars.length > 256) throw new Error('Alfabeto: entre 2 y 256 caracteres')
+  const limit = 256 - (256 % chars.length)
+  let out = ''
+  let count = 0
+  while (count < length) {
+    const b = next()
+    if (b < limit) {
+      out += chars[b % chars.length]
+      count++
+    }
+  }
+  return out
+}
+
+function codeLength(value, fallback) {
+  const n = parseInt(value) || fallback
+  if (n < 1 || n > MAX_CODE_LENGTH) throw new Error(`Largo: entre 1 y ${MAX_CODE_LENGTH}`)
+  return n
+}
+
+FUNCTIONS['UUID'] = (args, _row, context, node) => {
+  const version = parseInt(args[0]) || 4
+  if (version !== 4 && version !== 7) throw new Error('UUID: versión 4 o 7')
+  const next = seededBytes('UUID', args, context, node, args[1])
+  const bytes = Array.from({ length: 16 }, next)
+
+  if (version === 7) {
+    // 48-bit Unix time in milliseconds
+    let ms = (context.now || new Date()).getTime()
+    for (let i = 5; i >= 0; i--) {
+      bytes[i] = ms % 256
+      ms = Math.floor(ms / 256)
+    }
+  }
+  bytes[6] = (bytes[6] & 0x0f) | (version << 4)
+  bytes[8] = (bytes[8] & 0x3f) | 0x80
+
+  const hex = toHex(bytes)
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`
+}
+
+FUNCTIONS['SHA256'] = (args) => {
+  return toHex(sha256(String(args[0] || '')))
+}
+
+// Same input → same code; with a key (HMAC) the code can't be recomputed
+// by someone who only knows the row data
+FUNCTIONS['CODIGO_HASH'] = (args) => {
+  const length = codeLength(args[1], 10)
+  return encodeBytes(byteStream(String(args[2] || ''), String(args[0] || '')), length, SERIAL_ALPHABET)
+}
+
+FUNCTIONS['CODIGO_ALEATORIO'] = (args, _row, context, node) => {
+  const length = codeLength(args[0], 8)
+  return encodeBytes(seededBytes('CODIGO_ALEATORIO', args, context, node, args[2]), length, args[1] || SERIAL_ALPHABET)
+}
+
+const MOD37_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ'
+
+/**
+ * Check characters:
+ *   luhn     - digits (cards, IMEI)
+ *   mod11    - ISO 7064 MOD 11-2, digits, "X" for 10
+ *   mod37_36 - ISO 7064 MOD 37,36, alphanumeric (FMD / PPN serials)
+ *   gs1      - GS1 mod 10 (same as DIGITO_CONTROL)
+ */
+const CHECK_METHODS = {
+  luhn(value) {
+    if (!/^\d+$/.test(value)) throw new Error('Luhn: solo dígitos')
+    let sum = 0
+    for (let i = 0; i < value.length; i++) {
+      let d = parseInt(value[value.length - 1 - i])
+      if (i % 2 === 0) {
+        d *= 2
+        if (d > 9) d -= 9
+      }
+      sum += d
+    }
+    return String((10 - (sum % 10)) % 10)
+  },
+
+  mod11(value) {
+    if (!/^\d+$/.test(value)) throw new Error('Mod 11: solo dígitos')
+    let p = 0
+    for (const ch of value) p = ((p + parseInt(ch)) * 2) % 11
+    const check = (12 - p) % 11
+    return check === 10 ? 'X' : String(check)
+  },
+
+  mod37_36(value) {
+    const str = value.toUpperCase()
+    if (!/^[0-9A-Z]+$/.test(str)) throw new Error('Mod 37,36: solo letras y dígitos')
+    let p = 36
+    for (const ch of str) {
+      let sum = (p + MOD37_CHARSET.indexOf(ch)) % 36
+      if (sum === 0) sum = 36
+      p = (sum * 2) % 37
+    }
+    return MOD37_CHARSET[(37 - p) % 36]
+  },
+
+  gs1(value) {
+    return String(calculateCheckDigit(value))
+  }
+}
+
+FUNCTIONS['CARACTER_CONTROL'] = (args) => {
+  const value = String(args[0] || '').replace(/\s/g, '')
+  const method = String(args[1] || 'luhn').trim().toLowerCase()
+  if (!CHECK_METHODS[method]) throw new Error(`Método de control desconocido: ${method}`)
+  return CHECK_METHODS[method](value)
+}
+
+// ─── Diagnostics ──────────────────────────────────────────────
+
+/**
+ * Accepted argument counts, numeric argument positions and parameter names
+ * per function. Used by analyze() to report arity and type problems before
+ * printing, and by describeFunction() for the editor's signature help.
+ */
+const SIGNATURES = {
+  MAYUS: { min: 1, max: 1, params: ['valor'] },
+  MINUS: { min: 1, max: 1, params: ['valor'] },
+  RECORTAR: { min: 1, max: 2, numeric: [1], params: ['valor', 'largo'] },
+  CONCAT: { min: 1, max: Infinity, params: ['v1', 'v2', '...'] },
+  REEMPLAZAR: { min: 3, max: 3, params: ['valor', 'buscar', 'reemplazo'] },
+  LARGO: { min: 1, max: 1, params: ['valor'] },
+  IZQUIERDA: { min: 1, max: 2, numeric: [1], params: ['valor', 'n'] },
+  DERECHA: { min: 1, max: 2, numeric: [1], params: ['valor', 'n'] },
+  SUBCADENA: { min: 2, max: 3, numeric: [1, 2], params: ['valor', 'inicio', 'largo'] },
+  BUSCAR: { min: 2, max: 2, params: ['valor', 'texto'] },
+  POSICION: { min: 2, max: 3, numeric: [2], params: ['valor', 'texto', 'desde'] },
+  RELLENAR: { min: 2, max: 4, numeric: [1], params: ['valor', 'largo', 'relleno', 'lado'] },
+  EXTRAER: { min: 2, max: 3, numeric: [2], params: ['valor', 'patron', 'grupo'] },
+  DIVIDIR: { min: 2, max: 3, numeric: [2], params: ['lista', 'separador', 'n'] },
+  UNIR: { min: 2, max: Infinity, params: ['separador', 'v1', 'v2', '...'] },
+  ESPACIOS: { min: 1, max: 1, params: ['valor'] },
+  RESALTAR: { min: 2, max: 3, params: ['texto', 'terminos', 'separador'] },
+  HOY: { min: 0, max: 1, params: ['formato'] },
+  AHORA: { min: 0, max: 1, params: ['formato'] },
+  ZONA_HORARIA: { min: 0, max: 1, params: ['estilo'] },
+  AHORA_UTC: { min: 0, max: 1, params: ['formato'] },
+  SUMAR_DIAS: { min: 2, max: 3, numeric: [1], params: ['fecha', 'dias', 'formato'] },
+  SUMAR_MESES: { min: 2, max: 3, numeric: [1], params: ['fecha', 'meses', 'formato'] },
+  FORMATO_FECHA: { min: 1, max: 3, params: ['fecha', 'formato', 'idioma'] },
+  CONTADOR: { min: 0, max: 3, numeric: [0, 1, 2], params: ['inicio', 'paso', 'digitos'] },
+  LOTE: { min: 0, max: 1, params: ['formato'] },
+  SERIE: { min: 1, max: 4, numeric: [1], params: ['nombre', 'digitos', 'reinicio', 'tipo'] },
+  CONTADOR_GRUPO: { min: 1, max: 2, numeric: [1], params: ['clave', 'digitos'] },
+  TOTAL_GRUPO: { min: 1, max: 1, params: ['clave'] },
+  ETIQUETA_N: { min: 0, max: 1, numeric: [0], params: ['digitos'] },
+  TOTAL_ETIQUETAS: { min: 0, max: 0, params: [] },
+  BUSCARV: { min: 3, max: 4, params: ['tabla', 'clave', 'columna', 'defecto'] },
+  REDONDEAR: { min: 1, max: 2, numeric: [0, 1], params: ['valor', 'decimales'] },
+  FORMATO_NUM: { min: 1, max: 3, numeric: [0, 1], params: ['valor', 'decimales', 'separador'] },
+  CONVERTIR: { min: 3, max: 4, numeric: [0, 3], params: ['valor', 'desde', 'hasta', 'decimales'] },
+  PRECIO_UNIDAD: { min: 2, max: 5, numeric: [0, 4], params: ['precio', 'cantidad', 'unidad', 'unidad_cantidad', 'decimales'] },
+  IVA: { min: 2, max: 4, numeric: [0, 2], params: ['precio', 'porcentaje', 'decimales', 'modo'] },
+  NUMERO_A_LETRAS: { min: 1, max: 3, numeric: [0], params: ['valor', 'idioma', 'moneda'] },
+  SI: { min: 2, max: 3, params: ['condicion', 'si', 'no'] },
+  VACIO: { min: 1, max: 1, params: ['valor'] },
+  POR_DEFECTO: { min: 2, max: 2, params: ['valor', 'alternativa'] },
+  IDIOMA: { min: 0, max: 0, params: [] },
+  GS1: { min: 2, max: Infinity, params: ['ai', 'valor', '...'] },
+  GS1_CRUDO: { min: 2, max: Infinity, params: ['ai', 'valor', '...'] },
+  DIGITO_CONTROL: { min: 1, max: 1, params: ['valor'] },
+  SSCC: { min: 2, max: 3, numeric: [2], params: ['prefijo', 'serie', 'extension'] },
+  UUID: { min: 0, max: 2, numeric: [0], params: ['version', 'clave'] },
+  SHA256: { min: 1, max: 1, params: ['valor'] },
+  CODIGO_HASH: { min: 1, max: 3, numeric: [1], params: ['valor', 'largo', 'clave'] },
+  CODIGO_ALEATORIO: { min: 0, max: 3, numeric: [0], params: ['largo', 'alfabeto', 'nombre'] },
+  CARACTER_CONTROL: { min: 1, max: 2, params: ['valor', 'metodo'] },
+  FIN_DE_MES: { min: 0, max: 3, numeric: [1], params: ['fecha', 'meses', 'formato'] },
+  SUMAR_DIAS_HABILES: { min: 2, max: 4, numeric: [1], params: ['fecha', 'dias', 'calendario', 'formato'] },
+  PROXIMO_LUNES: { min: 0, max: 2, params: ['fecha', 'formato'] },
+  FECHA_GS1: { min: 0, max: 2, numeric: [1], params: ['fecha', 'digitos'] }
+}
+
+// Unquoted date format tokens, e.g. the DD/MM/AAAA in FORMATO_FECHA(x, DD/MM/AAAA)
+const DATE_FORMAT_TOKEN = /^(AAAA|MMMM|DDDD|MMM|DDD|JJJ|AA|MM|DD|SS|hh|mm|ss)+$/
+
+const ARITHMETIC_OPS = new Set(['+', '-', '*', '/', '%'])
+
+/**
+ * Check a binding template and return structured diagnostics.
+ * Offsets (`start`/`end`) are character positions in the full template.
+ *
+ * Codes: unbalanced_braces, unbalanced_quotes, unbalanced_parens, syntax,
+ * unknown_function, unknown_column, arity, type_mismatch.
+ *
+ * @param {string} template - e.g. "Peso: {{peso / 1000}} kg"
+ * @param {string[]|null} columns - dataset columns; null skips column checks
+ * @returns {Array<{code: string, severity: 'error'|'warning', message: string, start: number, end: number}>}
+ */
+export function analyze(template, columns = null) {
+  const diagnostics = []
+  if (!template || typeof template !== 'string') return diagnostics
+
+  const knownColumns = columns ? new Set(columns.map(c => String(c).toLowerCase())) : null
+
+  let i = 0
+  while (i < template.length) {
+    const open = template.indexOf('{{', i)
+    const strayClose = template.indexOf('}}', i)
+
+    if (strayClose !== -1 && (open === -1 || strayClose < open)) {
+      diagnostics.push(diagnostic('unbalanced_braces', 'error', 'Cierre "}}" sin apertura "{{"', strayClose, strayClose + 2))
+      i = strayClose + 2
+      continue
+    }
+    if (open === -1) break
+
+    const close = template.indexOf('}}', open + 2)
+    if (close === -1) {
+      diagnostics.push(diagnostic('unbalanced_braces', 'error', 'Falta cerrar la expresión con "}}"', open, template.length))
+      break
+    }
+
+    analyzeExpression(template.slice(open + 2, close), open + 2, knownColumns, diagnostics)
+    i = close + 2
+  }
+
+  return diagnostics
+}
+
+/**
+ * analyze() for `visible_if` conditions and `style_bindings`, which may be
+ * written with or without `{{ }}`. Offsets are positions in `value`.
+ * @param {string} value - e.g. `alergenos != ""` or `{{SI(...)}}`
+ * @param {string[]|null} columns - dataset columns; null skips column checks
+ * @returns {Array<Object>} same diagnostics as analyze()
+ */
+export function analyzeCondition(value, columns = null) {
+  if (typeof value !== 'string' || !value.trim()) return []
+  if (/^\s*\{\{[\s\S]*\}\}\s*$/.test(value)) return analyze(value, columns)
+
+  const knownColumns = columns ? new Set(columns.map(c => String(c).toLowerCase())) : null
+  const diagnostics = []
+  analyzeExpression(value, 0, knownColumns, diagnostics)
+  return diagnostics
+}
+
+function diagnostic(code, severity, message, start, end) {
+  return { code, severity, message, start, end }
+}
+
+function analyzeExpression(expr, offset, knownColumns, diagnostics) {
+  if (!expr.trim()) {
+    diagnostics.push(diagnostic('syntax', 'error', 'Expresión vacía', offset - 2, offset + expr.length + 2))
+    return
+  }
+
+  // Token-level checks: quotes and parentheses
+  const openParens = []
+  let structural = false
+  for (const tok of tokenize(expr)) {
+    if (tok.type === 'unknown' && (tok.value[0] === '"' || tok.value[0] === "'")) {
+      diagnostics.push(diagnostic('unbalanced_quotes', 'error', 'Comillas sin cerrar', offset + tok.start, offset + tok.end))
+      structural = true
+    } else if (tok.type === 'lparen') {
+      openParens.push(tok)
+    } else if (tok.type === 'rparen') {
+      if (openParens.length === 0) {
+        diagnostics.push(diagnostic('unbalanced_parens', 'error', 'Paréntesis ")" sin apertura', offset + tok.start, offset + tok.end))
+        structural = true
+      } else {
+        openParens.pop()
+      }
+    }
+  }
+  for (const tok of openParens) {
+    diagnostics.push(diagnostic('unbalanced_parens', 'error', 'Falta cerrar el paréntesis', offset + tok.start, offset + tok.end))
+    structural = true
+  }
+  if (structural) return
+
+  let ast
+  try {
+    ast = parse(expr)
+  } catch (err) {
+    diagnostics.push(diagnostic('syntax', 'error', err.message, offset + (err.start || 0), offset + (err.end || expr.length)))
+    return
+  }
+
+  walkDiagnostics(ast, 'top', false, offset, knownColumns, diagnostics)
+}
+
+/**
+ * @param {'top'|'arg'|'operand'|'arith'} role - how the node is used, which
+ *   decides whether an unknown name is an error or a legacy literal
+ * @param {boolean} inArg - inside a function argument, where unparsed or
+ *   unknown text falls back to a literal at runtime
+ */
+function walkDiagnostics(node, role, inArg, offset, knownColumns, diagnostics) {
+  const walk = (child, childRole, childInArg = inArg) =>
+    walkDiagnostics(child, childRole, childInArg, offset, knownColumns, diagnostics)
+
+  switch (node.type) {
+    case 'Column': {
+      if (!knownColumns || knownColumns.has(node.name.toLowerCase())) return
+      if (role === 'arith' && inArg && DATE_FORMAT_TOKEN.test(node.name)) return
+      if (role === 'top' || role === 'arith') {
+        diagnostics.push(diagnostic('unknown_column', inArg ? 'warning' : 'error',
+          `Columna desconocida "${node.name}"`, offset + node.start, offset + node.end))
+      } else {
+        diagnostics.push(diagnostic('unknown_column', 'warning',
+          `"${node.name}" no es una columna; se usará como texto`, offset + node.start, offset + node.end))
+      }
+      return
+    }
+
+    case 'Raw': {
+      if (inArg || !knownColumns || !node.text) return
+      if (knownColumns.has(node.text.toLowerCase())) return
+      if (/^[\p{L}\p{N}_ .-]+$/u.test(node.text)) {
+        diagnostics.push(diagnostic('unknown_column', 'error', `Columna desconocida "${node.text}"`, offset + node.start, offset + node.end))
+      } else {
+        diagnostics.push(diagnostic('syntax', 'error', `Expresión no válida "${node.text}"`, offset + node.start, offset + node.end))
+      }
+      return
+    }
+
+    case 'Call': {
+      const nameStart = offset + node.start
+      const nameEnd = offset + node.nameEnd
+      const canonical = canonicalFunctionName(node.name)
+      if (!canonical || !FUNCTIONS[canonical]) {
+        diagnostics.push(diagnostic('unknown_function', 'error', `Función desconocida "${node.name}"`, nameStart, nameEnd))
+      } else {
+        const sig = SIGNATURES[canonical]
+        if (sig && (node.args.length < sig.min || node.args.length > sig.max)) {
+          const expected = sig.min === sig.max ? `${sig.min}` : (sig.max === Infinity ? `${sig.min} o más` : `${sig.min}-${sig.max}`)
+          diagnostics.push(diagnostic('arity', 'error',
+            `${node.name} espera ${expected} argumento(s), recibió ${node.args.length}`, nameStart, offset + node.end))
+        }
+        if (sig && sig.numeric) {
+          sig.numeric.forEach(idx => {
+            const arg = node.args[idx]
+            if (arg && arg.type === 'String' && !isNumericText(arg.value)) {
+              diagnostics.push(diagnostic('type_mismatch', 'error',
+                `${node.name}: el argumento ${idx + 1} debe ser un número`, offset + arg.start, offset + arg.end))
+            }
+          })
+        }
+      }
+      node.args.forEach(arg => walk(arg, 'arg', true))
+      return
+    }
+
+    case 'Unary':
+      if (node.op !== 'NO') checkNumericOperand(node.operand, offset, diagnostics)
+      walk(node.operand, node.op === 'NO' ? 'operand' : 'arith')
+      return
+
+    case 'Binary': {
+      if (ARITHMETIC_OPS.has(node.op)) {
+        checkNumericOperand(node.left, offset, diagnostics)
+        checkNumericOperand(node.right, offset, diagnostics)
+        walk(node.left, 'arith')
+        walk(node.right, 'arith')
+        return
+      }
+      const childRole = node.op === '||' ? role : (node.op === '&' ? 'top' : 'operand')
+      walk(node.left, childRole)
+      walk(node.right, childRole)
+      return
+    }
+
+    default:
+      return
+  }
+}
+
+function checkNumericOperand(node, offset, diagnostics) {
+  if (node.type === 'String' && !isNumericText(node.value)) {
+    diagnostics.push(diagnostic('type_mismatch', 'error',
+      `"${node.value}" no es un número`, offset + node.start, offset + node.end))
+  }
+}
+
+function isNumericText(str) {
+  const s = String(str).trim()
+  return s === '' || !isNaN(numberFromText(s))
+}
+
 // ─── Available functions list (for UI) ────────────────────────
 
+/**
+ * Everything the expression editor shows about a function.
+ * @param {string} name - function name or alias, any case
+ * @param {string} [lang='es'] - UI language for the documentation
+ * @returns {{name, canonical, aliases: string[], template, desc, group, params: string[], min: number, max: number}|null}
+ */
+export function describeFunction(name, lang = 'es') {
+  const canonical = canonicalFunctionName(name)
+  const sig = canonical && SIGNATURES[canonical]
+  if (!sig) return null
+  for (const group of functionGroups(lang)) {
+    const fn = group.functions.find(f => f.canonical === canonical)
+    if (fn) {
+      return {
+        ...fn,
+        aliases: functionAliases(canonical),
+        group: group.name,
+        params: sig.params.map(param => localizedParam(param, lang)),
+        min: sig.min,
+        max: sig.max
+      }
+    }
+  }
+  return null
+}
+
+/**
+ * FUNCTION_GROUPS with names, examples and descriptions in a UI language
+ * ('es', 'en', 'fr', 'de'). Each function keeps its `canonical` name.
+ */
+export function functionGroups(lang = 'es') {
+  return FUNCTION_GROUPS.map(group => ({
+    name: localizedGroupName(group.name, lang),
+    functions: group.functions.map(fn => ({
+      name: localizedFunctionName(fn.name, lang),
+      canonical: fn.name,
+      template: localizeTemplate(fn.template, lang),
+      desc: localizedDescription(fn.name, lang) || fn.desc
+    }))
+  }))
+}
+
 export const FUNCTION_GROUPS = [
   {
     name: 'Texto',
@@ -467,6 +2224,17 @@ export const FUNCTION_GROUPS = [
       { name: 'CONCAT', template: 'CONCAT(v1, v2)', desc: 'Concatena valores' },
       { name: 'REEMPLAZAR', template: 'REEMPLAZAR(valor, buscar, reemplazo)', desc: 'Reemplaza texto' },
       { name: 'LARGO', template: 'LARGO(valor)', desc: 'Largo del texto' },
+      { name: 'IZQUIERDA', template: 'IZQUIERDA(valor, 3)', desc: 'Primeros N caracteres' },
+      { name: 'DERECHA', template: 'DERECHA(valor, 3)', desc: 'Últimos N caracteres' },
+      { name: 'SUBCADENA', template: 'SUBCADENA(valor, inicio, largo)', desc: 'Extrae parte del texto' },
+      { name: 'BUSCAR', template: 'BUSCAR(valor, "texto")', desc: 'Contiene el texto (true/false)' },
+      { name: 'POSICION', template: 'POSICION(valor, "texto")', desc: 'Posición del texto (0 si no está)' },
+      { name: 'RELLENAR', template: 'RELLENAR(valor, 6, "0")', desc: 'Rellena hasta un largo' },
+      { name: 'EXTRAER', template: 'EXTRAER(valor, "(\\d+)")', desc: 'Extrae con expresión regular' },
+      { name: 'DIVIDIR', template: 'DIVIDIR(lista, ",", 1)', desc: 'Elemento N de una lista' },
+      { name: 'UNIR', template: 'UNIR(", ", v1, v2)', desc: 'Une valores no vacíos' },
+      { name: 'ESPACIOS', template: 'ESPACIOS(valor)', desc: 'Quita espacios sobrantes' },
+      { name: 'RESALTAR', template: 'RESALTAR(ingredientes, alergenos)', desc: 'Pone en **negrita** los términos de la lista' },
       { name: 'IDIOMA', template: 'IDIOMA()', desc: 'Código del idioma activo' }
     ]
   },
@@ -475,9 +2243,15 @@ export const FUNCTION_GROUPS = [
     functions: [
       { name: 'HOY', template: 'HOY()', desc: 'Fecha actual' },
       { name: 'AHORA', template: 'AHORA()', desc: 'Fecha y hora actual' },
+      { name: 'ZONA_HORARIA', template: 'ZONA_HORARIA()', desc: 'Desfase horario de la planta (+02:00, o "nombre")' },
+      { name: 'AHORA_UTC', template: 'AHORA_UTC()', desc: 'Marca de tiempo UTC (trazabilidad)' },
       { name: 'SUMAR_DIAS', template: 'SUMAR_DIAS(HOY(), 30)', desc: 'Suma días a fecha' },
       { name: 'SUMAR_MESES', template: 'SUMAR_MESES(HOY(), 6)', desc: 'Suma meses a fecha' },
-      { name: 'FORMATO_FECHA', template: 'FORMATO_FECHA(valor, DD/MM/AAAA)', desc: 'Formatea fecha' }
+      { name: 'FORMATO_FECHA', template: 'FORMATO_FECHA(valor, DD/MM/AAAA)', desc: 'Formatea fecha (MMM mes, DDD día, JJJ juliano, SS semana)' },
+      { name: 'FIN_DE_MES', template: 'FIN_DE_MES(HOY(), 6)', desc: 'Último día del mes (consumo preferente)' },
+      { name: 'SUMAR_DIAS_HABILES', template: 'SUMAR_DIAS_HABILES(HOY(), 5, "ES")', desc: 'Suma días laborables (sin fines de semana ni festivos)' },
+      { name: 'PROXIMO_LUNES', template: 'PROXIMO_LUNES(SUMAR_DIAS(HOY(), 10))', desc: 'Redondea al lunes siguiente' },
+      { name: 'FECHA_GS1', template: 'FECHA_GS1(fecha)', desc: 'Fecha AAMMDD (o AAAAMMDD con 8)' }
     ]
   },
   {
@@ -485,8 +2259,28 @@ export const FUNCTION_GROUPS = [
     functions: [
       { name: 'CONTADOR', template: 'CONTADOR(1, 1, 4)', desc: 'Contador secuencial' },
       { name: 'LOTE', template: 'LOTE(AAMM-####)', desc: 'Código de lote' },
+      { name: 'SERIE', template: 'SERIE("caja", 6)', desc: 'Serie que continúa entre impresiones' },
+      { name: 'CONTADOR_GRUPO', template: 'CONTADOR_GRUPO(pedido)', desc: 'Posición dentro del grupo' },
+      { name: 'TOTAL_GRUPO', template: 'TOTAL_GRUPO(pedido)', desc: 'Etiquetas del grupo' },
+      { name: 'ETIQUETA_N', template: 'ETIQUETA_N()', desc: 'Número de etiqueta en el lote' },
+      { name: 'TOTAL_ETIQUETAS', template: 'TOTAL_ETIQUETAS()', desc: 'Total de etiquetas del lote' },
       { name: 'REDONDEAR', template: 'REDONDEAR(valor, 2)', desc: 'Redondea número' },
-      { name: 'FORMATO_NUM', template: 'FORMATO_NUM(valor, 2, ",")', desc: 'Formatea número' }
+      { name: 'FORMATO_NUM', template: 'FORMATO_NUM(valor, 2, ",")', desc: 'Formatea número (idioma, p.ej. "en", agrupa miles)' }
+    ]
+  },
+  {
+    name: 'Precios',
+    functions: [
+      { name: 'PRECIO_UNIDAD', template: 'PRECIO_UNIDAD(precio, peso, "kg")', desc: 'Precio por kg, l o "100 g"' },
+      { name: 'CONVERTIR', template: 'CONVERTIR(peso, "g", "oz")', desc: 'Convierte peso, volumen o longitud' },
+      { name: 'IVA', template: 'IVA(precio, 21)', desc: 'Precio con IVA (o "cuota", "base")' },
+      { name: 'NUMERO_A_LETRAS', template: 'NUMERO_A_LETRAS(importe, "", "EUR")', desc: 'Importe o cantidad en letras (es, en, fr, de)' }
+    ]
+  },
+  {
+    name: 'Búsqueda',
+    functions: [
+      { name: 'BUSCARV', template: 'BUSCARV("productos", sku, "descripcion")', desc: 'Valor de una tabla de búsqueda' }
     ]
   },
   {
@@ -496,5 +2290,24 @@ export const FUNCTION_GROUPS = [
       { name: 'VACIO', template: 'VACIO(valor)', desc: 'Verifica si está vacío' },
       { name: 'POR_DEFECTO', template: 'POR_DEFECTO(valor, alternativa)', desc: 'Valor por defecto' }
     ]
+  },
+  {
+    name: 'GS1',
+    functions: [
+      { name: 'GS1', template: 'GS1("01", gtin, "17", caducidad, "10", lote)', desc: 'Cadena GS1 con AIs (GS1-128, DataBar)' },
+      { name: 'GS1_CRUDO', template: 'GS1_CRUDO("01", gtin, "10", lote)', desc: 'Cadena GS1 con separadores GS (DataMatrix, QR)' },
+      { name: 'DIGITO_CONTROL', template: 'DIGITO_CONTROL(valor)', desc: 'Dígito de control GTIN/SSCC/GLN' },
+      { name: 'SSCC', template: 'SSCC(prefijo, serie)', desc: 'SSCC de 18 dígitos con control' }
+    ]
+  },
+  {
+    name: 'Serialización',
+    functions: [
+      { name: 'UUID', template: 'UUID()', desc: 'Identificador único (v4, o UUID(7))' },
+      { name: 'CODIGO_ALEATORIO', template: 'CODIGO_ALEATORIO(10)', desc: 'Código aleatorio reproducible por lote' },
+      { name: 'CODIGO_HASH', template: 'CODIGO_HASH(lote & serie, 10, "clave")', desc: 'Código corto derivado de los datos' },
+      { name: 'SHA256', template: 'SHA256(valor)', desc: 'Huella SHA-256 (hex)' },
+      { name: 'CARACTER_CONTROL', template: 'CARACTER_CONTROL(valor, "mod37_36")', desc: 'Control luhn / mod11 / mod37_36 / gs1' }
+    ]
   }
 ]
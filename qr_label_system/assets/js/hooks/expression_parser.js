@@ -0,0 +1,343 @@
+/**
+ * Expression Parser
+ * Tokenizer and recursive-descent parser for the contents of `{{...}}`.
+ *
+ * Grammar (lowest to highest precedence):
+ *   chain      := segment ('||' segment)*          default operator
+ *   or         := and ('O' and)*
+ *   and        := not ('Y' not)*
+ *   not        := 'NO' not | comparison
+ *   comparison := concat (('==' | '=' | '!=' | '<>' | '>' | '<' | '>=' | '<=') concat)?
+ *   concat     := additive ('&' additive)*
+ *   additive   := term (('+' | '-') term)*
+ *   term       := unary (('*' | '/' | '%') unary)*
+ *   unary      := ('-' | '+') unary | primary
+ *   primary    := number | string | NAME '(' args ')' | NAME | '(' chain ')'
+ *
+ * Backwards compatibility: bindings written before the parser existed use
+ * unquoted literals such as `FORMATO_FECHA(HOY(), DD/MM/AAAA)`, `LOTE(AAMM-####)`
+ * or column names with spaces. A function argument or `||` operand that does
+ * not parse becomes a `Raw` node holding its source text, which the engine
+ * resolves as a column name or literal exactly like the old string splitter.
+ *
+ * Every node carries `start`/`end` character offsets into the expression.
+ *
+ * @module ExpressionParser
+ */
+
+// ─── Tokenizer ────────────────────────────────────────────────
+
+const OPERATORS = ['||', '==', '!=', '<>', '>=', '<=', '>', '<', '=', '+', '-', '*', '/', '%', '&']
+const KEYWORDS = new Set(['Y', 'O', 'NO'])
+
+const IDENT_START = /[\p{L}_]/u
+const IDENT_PART = /[\p{L}\p{N}_]/u
+
+/**
+ * Split an expression into tokens.
+ * Never throws: unexpected characters and unterminated strings become
+ * `unknown` tokens so the parser can fall back to raw text.
+ * @param {string} src - Expression without the surrounding braces
+ * @returns {Array<{type: string, value: string, start: number, end: number}>}
+ */
+export function tokenize(src) {
+  const tokens = []
+  let i = 0
+
+  while (i < src.length) {
+    const ch = src[i]
+
+    if (/\s/.test(ch)) { i++; continue }
+
+    const start = i
+
+    // Numbers: 12, 1.21, .5
+    if (/\d/.test(ch) || (ch === '.' && /\d/.test(src[i + 1] || ''))) {
+      while (i < src.length && /\d/.test(src[i])) i++
+      if (src[i] === '.' && /\d/.test(src[i + 1] || '')) {
+        i++
+        while (i < src.length && /\d/.test(src[i])) i++
+      }
+      tokens.push({ type: 'number', value: src.slice(start, i), start, end: i })
+      continue
+    }
+
+    // Strings: "..." or '...' (no escapes, matching the legacy syntax)
+    if (ch === '"' || ch === "'") {
+      const close = src.indexOf(ch, i + 1)
+      if (close === -1) {
+        tokens.push({ type: 'unknown', value: src.slice(i), start, end: src.length })
+        i = src.length
+      } else {
+        tokens.push({ type: 'string', value: src.slice(i + 1, close), start, end: close + 1 })
+        i = close + 1
+      }
+      continue
+    }
+
+    if (IDENT_START.test(ch)) {
+      while (i < src.length && IDENT_PART.test(src[i])) i++
+      const value = src.slice(start, i)
+      const type = KEYWORDS.has(value) ? 'keyword' : 'ident'
+      tokens.push({ type, value, start, end: i })
+      continue
+    }
+
+    if (ch === '(') { tokens.push({ type: 'lparen', value: ch, start, end: ++i }); continue }
+    if (ch === ')') { tokens.push({ type: 'rparen', value: ch, start, end: ++i }); continue }
+    if (ch === ',') { tokens.push({ type: 'comma', value: ch, start, end: ++i }); continue }
+
+    const op = OPERATORS.find(o => src.startsWith(o, i))
+    if (op) {
+      i += op.length
+      tokens.push({ type: 'op', value: op, start, end: i })
+      continue
+    }
+
+    tokens.push({ type: 'unknown', value: ch, start, end: ++i })
+  }
+
+  tokens.push({ type: 'eof', value: '', start: src.length, end: src.length })
+  return tokens
+}
+
+// ─── Parser ───────────────────────────────────────────────────
+
+/**
+ * Build a syntax error carrying the offending character range.
+ */
+function syntaxError(message, token) {
+  const err = new Error(message)
+  err.name = 'ExpressionSyntaxError'
+  err.start = token.start
+  err.end = token.end
+  return err
+}
+
+/**
+ * Parse an expression into an AST.
+ *
+ * Node shapes:
+ *   { type: 'Number', value: '1.21' }
+ *   { type: 'String', value: 'kg' }
+ *   { type: 'Column', name: 'precio' }
+ *   { type: 'Call', name: 'SI', nameEnd, args: [node] }
+ *   { type: 'Binary', op: '*', left, right }
+ *   { type: 'Unary', op: '-' | 'NO', operand }
+ *   { type: 'Raw', text: 'DD/MM/AAAA' }
+ *
+ * Function arguments and `||` operands also get `raw` (their trimmed source
+ * text) so the engine can fall back to legacy resolution at runtime.
+ *
+ * @param {string} src - Expression without the surrounding braces
+ * @returns {Object} AST root
+ * @throws {Error} ExpressionSyntaxError when the top level cannot be parsed
+ */
+export function parse(src) {
+  const parser = createParser(src)
+  const node = parser.parseChain(['eof'])
+  parser.expect('eof')
+  return node
+}
+
+function createParser(src) {
+  const tokens = tokenize(src)
+  let pos = 0
+
+  const peek = () => tokens[pos]
+  const next = () => tokens[pos++]
+  const isOp = (tok, ...ops) => tok.type === 'op' && ops.includes(tok.value)
+  const isKeyword = (tok, kw) => tok.type === 'keyword' && tok.value === kw
+
+  function expect(type) {
+    const tok = peek()
+    if (tok.type !== type) {
+      throw syntaxError(tok.type === 'eof' ? 'Expresión incompleta' : `Símbolo inesperado "${tok.value}"`, tok)
+    }
+    return next()
+  }
+
+  function isStop(tok, stops) {
+    if (stops.includes(tok.type)) return true
+    return stops.includes('||') && isOp(tok, '||')
+  }
+
+  // segment ('||' segment)*
+  function parseChain(stops) {
+    let left = parseSegment([...stops, '||'])
+    while (isOp(peek(), '||')) {
+      next()
+      const right = parseSegment([...stops, '||'])
+      left = { type: 'Binary', op: '||', left, right, start: left.start, end: right.end }
+    }
+    return left
+  }
+
+  // Parse one argument / operand; on failure, swallow tokens up to the next
+  // stop at depth 0 and keep the source text as a Raw node.
+  function parseSegment(stops) {
+    const startPos = pos
+    const startTok = peek()
+    let node = null
+
+    try {
+      node = parseOr()
+      if (!isStop(peek(), stops)) node = null
+    } catch (_e) {
+      node = null
+    }
+
+    if (!node) {
+      pos = startPos
+      let depth = 0
+      while (peek().type !== 'eof') {
+        const tok = peek()
+        if (depth === 0 && isStop(tok, stops)) break
+        if (tok.type === 'lparen') depth++
+        if (tok.type === 'rparen') {
+          if (depth === 0) break
+          depth--
+        }
+        next()
+      }
+      // Empty argument, e.g. CONCAT(a, , b)
+      const end = pos === startPos ? startTok.start : tokens[pos - 1].end
+      node = { type: 'Raw', text: src.slice(startTok.start, end).trim(), start: startTok.start, end }
+    }
+
+    node.raw = src.slice(node.start, node.end).trim()
+    return node
+  }
+
+  function parseOr() {
+    let left = parseAnd()
+    while (isKeyword(peek(), 'O')) {
+      next()
+      const right = parseAnd()
+      left = { type: 'Binary', op: 'O', left, right, start: left.start, end: right.end }
+    }
+    return left
+  }
+
+  function parseAnd() {
+    let left = parseNot()
+    while (isKeyword(peek(), 'Y')) {
+      next()
+      const right = parseNot()
+      left = { type: 'Binary', op: 'Y', left, right, start: left.start, end: right.end }
+    }
+    return left
+  }
+
+  function parseNot() {
+    if (isKeyword(peek(), 'NO')) {
+      const tok = next()
+      const operand = parseNot()
+      return { type: 'Unary', op: 'NO', operand, start: tok.start, end: operand.end }
+    }
+    return parseComparison()
+  }
+
+  function parseComparison() {
+    const left = parseConcat()
+    const tok = peek()
+    if (isOp(tok, '==', '=', '!=', '<>', '>', '<', '>=', '<=')) {
+      next()
+      const right = parseConcat()
+      const op = tok.value === '=' ? '==' : (tok.value === '<>' ? '!=' : tok.value)
+      return { type: 'Binary', op, left, right, start: left.start, end: right.end, opStart: tok.start }
+    }
+    return left
+  }
+
+  function parseConcat() {
+    let left = parseAdditive()
+    while (isOp(peek(), '&')) {
+      const tok = next()
+      const right = parseAdditive()
+      left = { type: 'Binary', op: '&', left, right, start: left.start, end: right.end, opStart: tok.start }
+    }
+    return left
+  }
+
+  function parseAdditive() {
+    let left = parseTerm()
+    while (isOp(peek(), '+', '-')) {
+      const tok = next()
+      const right = parseTerm()
+      left = { type: 'Binary', op: tok.value, left, right, start: left.start, end: right.end, opStart: tok.start }
+    }
+    return left
+  }
+
+  function parseTerm() {
+    let left = parseUnary()
+    while (isOp(peek(), '*', '/', '%')) {
+      const tok = next()
+      const right = parseUnary()
+      left = { type: 'Binary', op: tok.value, left, right, start: left.start, end: right.end, opStart: tok.start }
+    }
+    return left
+  }
+
+  function parseUnary() {
+    if (isOp(peek(), '-', '+')) {
+      const tok = next()
+      const operand = parseUnary()
+      return { type: 'Unary', op: tok.value, operand, start: tok.start, end: operand.end }
+    }
+    return parsePrimary()
+  }
+
+  function parsePrimary() {
+    const tok = peek()
+
+    switch (tok.type) {
+      case 'number':
+        next()
+        return { type: 'Number', value: tok.value, start: tok.start, end: tok.end }
+
+      case 'string':
+        next()
+        return { type: 'String', value: tok.value, start: tok.start, end: tok.end }
+
+      case 'ident':
+        next()
+        if (peek().type === 'lparen') return parseCall(tok)
+        return { type: 'Column', name: tok.value, start: tok.start, end: tok.end }
+
+      case 'lparen': {
+        next()
+        const inner = parseChain(['rparen'])
+        const close = expect('rparen')
+        return { ...inner, start: tok.start, end: close.end, parenthesized: true }
+      }
+
+      default:
+        throw syntaxError(tok.type === 'eof' ? 'Expresión incompleta' : `Símbolo inesperado "${tok.value}"`, tok)
+    }
+  }
+
+  function parseCall(nameTok) {
+    next() // (
+    const args = []
+    if (peek().type !== 'rparen') {
+      args.push(parseChain(['comma', 'rparen']))
+      while (peek().type === 'comma') {
+        next()
+        args.push(parseChain(['comma', 'rparen']))
+      }
+    }
+    const close = expect('rparen')
+    return {
+      type: 'Call',
+      name: nameTok.value.toUpperCase(),
+      args,
+      start: nameTok.start,
+      nameEnd: nameTok.end,
+      end: close.end
+    }
+  }
+
+  return { parseChain, expect }
+}
@@ -0,0 +1,206 @@
+/**
+ * Function Aliases
+ * English, French and German names for the expression functions, plus the
+ * English documentation shown by the editor. Expressions may use any alias:
+ * {{UPPER(nombre)}} and {{MAJUSCULE(nombre)}} both run MAYUS. Designs keep
+ * whatever name the user typed.
+ *
+ * Used by: expression_engine (resolution, localized FUNCTION_GROUPS),
+ *          template_download (column extraction)
+ *
+ * @module function_aliases
+ */
+
+// Canonical (Spanish) name → [en, fr, de]
+const NAMES = {
+  MAYUS: ['UPPER', 'MAJUSCULE', 'GROSS'],
+  MINUS: ['LOWER', 'MINUSCULE', 'KLEIN'],
+  RECORTAR: ['TRUNCATE', 'TRONQUER', 'KUERZEN'],
+  CONCAT: ['CONCAT', 'CONCAT', 'VERKETTEN'],
+  REEMPLAZAR: ['REPLACE', 'REMPLACER', 'ERSETZEN'],
+  LARGO: ['LEN', 'NBCAR', 'LAENGE'],
+  IZQUIERDA: ['LEFT', 'GAUCHE', 'LINKS'],
+  DERECHA: ['RIGHT', 'DROITE', 'RECHTS'],
+  SUBCADENA: ['MID', 'STXT', 'TEIL'],
+  BUSCAR: ['CONTAINS', 'CONTIENT', 'ENTHAELT'],
+  POSICION: ['FIND', 'TROUVE', 'FINDEN'],
+  RELLENAR: ['PAD', 'COMPLETER', 'AUFFUELLEN'],
+  EXTRAER: ['EXTRACT', 'EXTRAIRE', 'EXTRAHIEREN'],
+  DIVIDIR: ['SPLIT', 'DIVISER', 'AUFTEILEN'],
+  UNIR: ['JOIN', 'JOINDRE', 'VERBINDEN'],
+  ESPACIOS: ['TRIM', 'SUPPRESPACE', 'GLAETTEN'],
+  RESALTAR: ['HIGHLIGHT', 'SURLIGNER', 'HERVORHEBEN'],
+  IDIOMA: ['LANGUAGE', 'LANGUE', 'SPRACHE'],
+  HOY: ['TODAY', 'AUJOURDHUI', 'HEUTE'],
+  AHORA: ['NOW', 'MAINTENANT', 'JETZT'],
+  ZONA_HORARIA: ['TIMEZONE', 'FUSEAU_HORAIRE', 'ZEITZONE'],
+  AHORA_UTC: ['NOW_UTC', 'MAINTENANT_UTC', 'JETZT_UTC'],
+  SUMAR_DIAS: ['ADD_DAYS', 'AJOUTER_JOURS', 'TAGE_ADDIEREN'],
+  SUMAR_MESES: ['ADD_MONTHS', 'AJOUTER_MOIS', 'MONATE_ADDIEREN'],
+  FORMATO_FECHA: ['FORMAT_DATE', 'FORMAT_DATE', 'DATUM_FORMAT'],
+  FIN_DE_MES: ['END_OF_MONTH', 'FIN_MOIS', 'MONATSENDE'],
+  SUMAR_DIAS_HABILES: ['ADD_WORKDAYS', 'AJOUTER_JOURS_OUVRES', 'ARBEITSTAGE_ADDIEREN'],
+  PROXIMO_LUNES: ['NEXT_MONDAY', 'LUNDI_SUIVANT', 'NAECHSTER_MONTAG'],
+  FECHA_GS1: ['GS1_DATE', 'DATE_GS1', 'GS1_DATUM'],
+  CONTADOR: ['COUNTER', 'COMPTEUR', 'ZAEHLER'],
+  LOTE: ['LOT', 'LOT', 'CHARGE'],
+  SERIE: ['SERIAL', 'SERIE', 'SERIE'],
+  CONTADOR_GRUPO: ['GROUP_COUNTER', 'COMPTEUR_GROUPE', 'GRUPPEN_ZAEHLER'],
+  TOTAL_GRUPO: ['GROUP_TOTAL', 'TOTAL_GROUPE', 'GRUPPEN_GESAMT'],
+  ETIQUETA_N: ['LABEL_N', 'ETIQUETTE_N', 'ETIKETT_N'],
+  TOTAL_ETIQUETAS: ['TOTAL_LABELS', 'TOTAL_ETIQUETTES', 'ETIKETTEN_GESAMT'],
+  REDONDEAR: ['ROUND', 'ARRONDI', 'RUNDEN'],
+  FORMATO_NUM: ['FORMAT_NUM', 'FORMAT_NOMBRE', 'ZAHL_FORMAT'],
+  CONVERTIR: ['CONVERT', 'CONVERTIR', 'UMRECHNEN'],
+  PRECIO_UNIDAD: ['UNIT_PRICE', 'PRIX_UNITAIRE', 'GRUNDPREIS'],
+  IVA: ['VAT', 'TVA', 'MWST'],
+  NUMERO_A_LETRAS: ['NUMBER_TO_WORDS', 'NOMBRE_EN_LETTRES', 'ZAHL_IN_WORTEN'],
+  BUSCARV: ['VLOOKUP', 'RECHERCHEV', 'SVERWEIS'],
+  SI: ['IF', 'SI', 'WENN'],
+  VACIO: ['IS_EMPTY', 'EST_VIDE', 'IST_LEER'],
+  POR_DEFECTO: ['DEFAULT', 'PAR_DEFAUT', 'STANDARDWERT'],
+  GS1: ['GS1', 'GS1', 'GS1'],
+  GS1_CRUDO: ['GS1_RAW', 'GS1_BRUT', 'GS1_ROH'],
+  DIGITO_CONTROL: ['CHECK_DIGIT', 'CLE_CONTROLE', 'PRUEFZIFFER'],
+  SSCC: ['SSCC', 'SSCC', 'SSCC'],
+  UUID: ['UUID', 'UUID', 'UUID'],
+  SHA256: ['SHA256', 'SHA256', 'SHA256'],
+  CODIGO_HASH: ['HASH_CODE', 'CODE_HASH', 'HASH_CODE'],
+  CODIGO_ALEATORIO: ['RANDOM_CODE', 'CODE_ALEATOIRE', 'ZUFALLSCODE'],
+  CARACTER_CONTROL: ['CHECK_CHAR', 'CARACTERE_CONTROLE', 'PRUEFZEICHEN']
+}
+
+const LANGUAGES = ['en', 'fr', 'de']
+
+// Alias (any language) → canonical name
+const CANONICAL = new Map()
+for (const [canonical, aliases] of Object.entries(NAMES)) {
+  CANONICAL.set(canonical, canonical)
+  aliases.forEach(alias => CANONICAL.set(alias, canonical))
+}
+
+const GROUP_NAMES = {
+  en: { 'Texto': 'Text', 'Fechas': 'Dates', 'Contadores': 'Counters', 'Búsqueda': 'Lookup', 'Condicionales': 'Conditionals', 'Precios': 'Prices', 'GS1': 'GS1', 'Serialización': 'Serialization' },
+  fr: { 'Texto': 'Texte', 'Fechas': 'Dates', 'Contadores': 'Compteurs', 'Búsqueda': 'Recherche', 'Condicionales': 'Conditions', 'Precios': 'Prix', 'GS1': 'GS1', 'Serialización': 'Sérialisation' },
+  de: { 'Texto': 'Text', 'Fechas': 'Datum', 'Contadores': 'Zähler', 'Búsqueda': 'Suche', 'Condicionales': 'Bedingungen', 'Precios': 'Preise', 'GS1': 'GS1', 'Serialización': 'Serialisierung' }
+}
+
+// English descriptions; French and German fall back to these
+const DESCRIPTIONS_EN = {
+  MAYUS: 'Converts to upper case',
+  MINUS: 'Converts to lower case',
+  RECORTAR: 'Truncates text',
+  CONCAT: 'Concatenates values',
+  REEMPLAZAR: 'Replaces text',
+  LARGO: 'Text length',
+  IZQUIERDA: 'First N characters',
+  DERECHA: 'Last N characters',
+  SUBCADENA: 'Extracts part of the text',
+  BUSCAR: 'Contains the text (true/false)',
+  POSICION: 'Position of the text (0 if missing)',
+  RELLENAR: 'Pads to a length',
+  EXTRAER: 'Extracts with a regular expression',
+  DIVIDIR: 'Item N of a list',
+  UNIR: 'Joins non-empty values',
+  ESPACIOS: 'Removes extra spaces',
+  RESALTAR: 'Makes the listed terms **bold**',
+  IDIOMA: 'Active language code',
+  HOY: 'Current date',
+  AHORA: 'Current date and time',
+  ZONA_HORARIA: 'Plant UTC offset (+02:00, or "nombre")',
+  AHORA_UTC: 'UTC timestamp (traceability)',
+  SUMAR_DIAS: 'Adds days to a date',
+  SUMAR_MESES: 'Adds months to a date',
+  FORMATO_FECHA: 'Formats a date (MMM month, DDD weekday, JJJ Julian, SS week)',
+  FIN_DE_MES: 'Last day of the month (best before)',
+  SUMAR_DIAS_HABILES: 'Adds working days (no weekends or holidays)',
+  PROXIMO_LUNES: 'Rounds up to the next Monday',
+  FECHA_GS1: 'YYMMDD date (or YYYYMMDD with 8)',
+  CONTADOR: 'Sequential counter',
+  LOTE: 'Batch code',
+  SERIE: 'Serial that continues across print runs',
+  CONTADOR_GRUPO: 'Position within the group',
+  TOTAL_GRUPO: 'Labels in the group',
+  ETIQUETA_N: 'Label number in the batch',
+  TOTAL_ETIQUETAS: 'Total labels in the batch',
+  REDONDEAR: 'Rounds a number',
+  FORMATO_NUM: 'Formats a number (language, e.g. "en", groups thousands)',
+  CONVERTIR: 'Converts weight, volume or length',
+  PRECIO_UNIDAD: 'Price per kg, l or "100 g"',
+  IVA: 'Price including VAT (or "cuota", "base")',
+  NUMERO_A_LETRAS: 'Amount or quantity in words (es, en, fr, de)',
+  BUSCARV: 'Value from a lookup table',
+  SI: 'IF/ELSE condition',
+  VACIO: 'Checks whether it is empty',
+  POR_DEFECTO: 'Default value',
+  GS1: 'GS1 string with AIs (GS1-128, DataBar)',
+  GS1_CRUDO: 'GS1 string with GS separators (DataMatrix, QR)',
+  DIGITO_CONTROL: 'GTIN/SSCC/GLN check digit',
+  SSCC: '18-digit SSCC with check digit',
+  UUID: 'Unique identifier (v4, or UUID(7))',
+  CODIGO_ALEATORIO: 'Random code, reproducible per batch',
+  CODIGO_HASH: 'Short code derived from the data',
+  SHA256: 'SHA-256 fingerprint (hex)',
+  CARACTER_CONTROL: 'Check character luhn / mod11 / mod37_36 / gs1'
+}
+
+const PARAMS_EN = {
+  valor: 'value', largo: 'length', buscar: 'search', reemplazo: 'replacement', inicio: 'start',
+  texto: 'text', desde: 'from', relleno: 'fill', lado: 'side', patron: 'pattern', grupo: 'group',
+  lista: 'list', separador: 'separator', terminos: 'terms', formato: 'format', fecha: 'date',
+  dias: 'days', meses: 'months', idioma: 'language', paso: 'step', digitos: 'digits',
+  nombre: 'name', reinicio: 'reset', tipo: 'type', clave: 'key', tabla: 'table', columna: 'column',
+  defecto: 'default', decimales: 'decimals', condicion: 'condition', si: 'then', no: 'else',
+  alternativa: 'alternative', prefijo: 'prefix', serie: 'serial',
+  extension: 'extension', version: 'version', alfabeto: 'alphabet', metodo: 'method',
+  calendario: 'calendar', estilo: 'style', precio: 'price', cantidad: 'quantity', unidad: 'unit',
+  unidad_cantidad: 'quantity_unit', hasta: 'to', porcentaje: 'rate', modo: 'mode', moneda: 'currency', n: 'n'
+}
+
+/**
+ * Canonical function name for any alias, or null if unknown.
+ * @param {string} name - any case
+ */
+export function canonicalFunctionName(name) {
+  return CANONICAL.get(String(name || '').toUpperCase()) || null
+}
+
+/**
+ * Name of a function in a UI language ('es' and unknown languages keep the
+ * canonical name).
+ */
+export function localizedFunctionName(canonical, lang) {
+  const idx = LANGUAGES.indexOf(lang)
+  return idx !== -1 && NAMES[canonical] ? NAMES[canonical][idx] : canonical
+}
+
+/**
+ * Every alias of a function, canonical name first.
+ */
+export function functionAliases(canonical) {
+  return NAMES[canonical] ? [canonical, ...new Set(NAMES[canonical].filter(a => a !== canonical))] : []
+}
+
+export function localizedGroupName(group, lang) {
+  return (GROUP_NAMES[lang] && GROUP_NAMES[lang][group]) || group
+}
+
+/**
+ * Description in a UI language, or null to keep the Spanish one.
+ */
+export function localizedDescription(canonical, lang) {
+  return LANGUAGES.includes(lang) ? DESCRIPTIONS_EN[canonical] || null : null
+}
+
+export function localizedParam(param, lang) {
+  return LANGUAGES.includes(lang) ? PARAMS_EN[param] || param : param
+}
+
+/**
+ * Rewrite the function names in an example such as "SUMAR_DIAS(HOY(), 30)"
+ * for a UI language.
+ */
+export function localizeTemplate(template, lang) {
+  return template.replace(/[\p{L}_][\p{L}\p{N}_]*(?=\()/gu, name =>
+    NAMES[name] ? localizedFunctionName(name, lang) : name)
+}
@@ -0,0 +1,455 @@
+/**
+ * GS1 Utilities
+ * Application Identifier table, mod-10 check digits, element string building,
+ * parsing and per-AI validation, mirroring QrLabelSystem.Compliance.Gs1.Checksum
+ * on the server.
+ *
+ * Used by: expression_engine (GS1, GS1_CRUDO, DIGITO_CONTROL, SSCC functions,
+ *          GS1 Digital Link QR codes), barcode_generator (GS1-128 / DataBar
+ *          Expanded validation and HRI), canvas_designer, digital_link_preview,
+ *          zpl_generator (GS1 DataMatrix / GS1 QR data)
+ *
+ * @module gs1
+ */
+
+// ASCII 29 (Group Separator), encodes FNC1 inside raw GS1 data
+export const GS = '\x1D'
+
+/**
+ * Application Identifier definitions.
+ *   length    - fixed data length (no FNC1 separator needed after it)
+ *   maxLength - variable data length (FNC1 separator needed unless last)
+ *   numeric   - digits only
+ *   date      - YYMMDD
+ *   check     - last digit is a GS1 mod-10 check digit
+ */
+const AI_TABLE = {
+  '00': { title: 'SSCC', length: 18, numeric: true, check: true },
+  '01': { title: 'GTIN', length: 14, numeric: true, check: true },
+  '02': { title: 'CONTENT', length: 14, numeric: true, check: true },
+  '10': { title: 'BATCH/LOT', maxLength: 20 },
+  '11': { title: 'PROD DATE', length: 6, numeric: true, date: true },
+  '12': { title: 'DUE DATE', length: 6, numeric: true, date: true },
+  '13': { title: 'PACK DATE', length: 6, numeric: true, date: true },
+  '15': { title: 'BEST BEFORE', length: 6, numeric: true, date: true },
+  '16': { title: 'SELL BY', length: 6, numeric: true, date: true },
+  '17': { title: 'USE BY', length: 6, numeric: true, date: true },
+  '20': { title: 'VARIANT', length: 2, numeric: true },
+  '21': { title: 'SERIAL', maxLength: 20 },
+  '22': { title: 'CPV', maxLength: 20 },
+  '240': { title: 'ADDITIONAL ID', maxLength: 30 },
+  '241': { title: 'CUST. PART No.', maxLength: 30 },
+  '242': { title: 'MTO VARIANT', maxLength: 6, numeric: true },
+  '243': { title: 'PCN', maxLength: 20 },
+  '250': { title: 'SECONDARY SERIAL', maxLength: 30 },
+  '251': { title: 'REF. TO SOURCE', maxLength: 30 },
+  '253': { title: 'GDTI', maxLength: 30 },
+  '254': { title: 'GLN EXTENSION COMPONENT', maxLength: 20 },
+  '255': { title: 'GCN', maxLength: 25, numeric: true },
+  '30': { title: 'VAR. COUNT', maxLength: 8, numeric: true },
+  '37': { title: 'COUNT', maxLength: 8, numeric: true },
+  '400': { title: 'ORDER NUMBER', maxLength: 30 },
+  '401': { title: 'GINC', maxLength: 30 },
+  '402': { title: 'GSIN', length: 17, numeric: true, check: true },
+  '403': { title: 'ROUTE', maxLength: 30 },
+  '410': { title: 'SHIP TO LOC', length: 13, numeric: true, check: true },
+  '411': { title: 'BILL TO', length: 13, numeric: true, check: true },
+  '412': { title: 'PURCHASE FROM', length: 13, numeric: true, check: true },
+  '413': { title: 'SHIP FOR LOC', length: 13, numeric: true, check: true },
+  '414': { title: 'LOC No.', length: 13, numeric: true, check: true },
+  '415': { title: 'PAY TO', length: 13, numeric: true, check: true },
+  '416': { title: 'PROD/SERV LOC', length: 13, numeric: true, check: true },
+  '417': { title: 'PARTY', length: 13, numeric: true, check: true },
+  '420': { title: 'SHIP TO POST', maxLength: 20 },
+  '421': { title: 'SHIP TO POST', maxLength: 12 },
+  '422': { title: 'ORIGIN', length: 3, numeric: true },
+  '423': { title: 'COUNTRY - INITIAL PROCESS.', maxLength: 15, numeric: true },
+  '424': { title: 'COUNTRY - PROCESS.', length: 3, numeric: true },
+  '425': { title: 'COUNTRY - DISASSEMBLY', maxLength: 15, numeric: true },
+  '426': { title: 'COUNTRY - FULL PROCESS', length: 3, numeric: true },
+  '427': { title: 'ORIGIN SUBDIVISION', maxLength: 3 },
+  '7001': { title: 'NSN', length: 13, numeric: true },
+  '7002': { title: 'MEAT CUT', maxLength: 30 },
+  '7003': { title: 'EXPIRY TIME', length: 10, numeric: true },
+  '7004': { title: 'ACTIVE POTENCY', maxLength: 4, numeric: true },
+  '7005': { title: 'CATCH AREA', maxLength: 12 },
+  '7006': { title: 'FIRST FREEZE DATE', length: 6, numeric: true, date: true },
+  '7007': { title: 'HARVEST DATE', maxLength: 12, numeric: true },
+  '7008': { title: 'AQUATIC SPECIES', maxLength: 3 },
+  '7009': { title: 'FISHING GEAR TYPE', maxLength: 10 },
+  '7010': { title: 'PROD METHOD', maxLength: 2 },
+  '8001': { title: 'DIMENSIONS', length: 14, numeric: true },
+  '8002': { title: 'CMT No.', maxLength: 20 },
+  '8003': { title: 'GRAI', maxLength: 30 },
+  '8004': { title: 'GIAI', maxLength: 30 },
+  '8005': { title: 'PRICE PER UNIT', length: 6, numeric: true },
+  '8006': { title: 'ITIP', length: 18, numeric: true },
+  '8007': { title: 'IBAN', maxLength: 34 },
+  '8008': { title: 'PROD TIME', maxLength: 12, numeric: true },
+  '8010': { title: 'CPID', maxLength: 30 },
+  '8011': { title: 'CPID SERIAL', maxLength: 12, numeric: true },
+  '8012': { title: 'VERSION', maxLength: 20 },
+  '8013': { title: 'GMN', maxLength: 25 },
+  '8017': { title: 'GSRN - PROVIDER', length: 18, numeric: true, check: true },
+  '8018': { title: 'GSRN - RECIPIENT', length: 18, numeric: true, check: true },
+  '8019': { title: 'SRIN', maxLength: 10, numeric: true },
+  '8020': { title: 'REF No.', maxLength: 25 },
+  '8026': { title: 'ITIP CONTENT', length: 18, numeric: true },
+  '8110': { title: 'COUPON', maxLength: 70 },
+  '8111': { title: 'POINTS', length: 4, numeric: true },
+  '8112': { title: 'PAPERLESS COUPON', maxLength: 70 },
+  '8200': { title: 'PRODUCT URL', maxLength: 70 },
+  '90': { title: 'INTERNAL', maxLength: 30 },
+  '91': { title: 'INTERNAL', maxLength: 90 },
+  '92': { title: 'INTERNAL', maxLength: 90 },
+  '93': { title: 'INTERNAL', maxLength: 90 },
+  '94': { title: 'INTERNAL', maxLength: 90 },
+  '95': { title: 'INTERNAL', maxLength: 90 },
+  '96': { title: 'INTERNAL', maxLength: 90 },
+  '97': { title: 'INTERNAL', maxLength: 90 },
+  '98': { title: 'INTERNAL', maxLength: 90 },
+  '99': { title: 'INTERNAL', maxLength: 90 }
+}
+
+/**
+ * Look up an Application Identifier.
+ * Measure AIs (310n-369n) are fixed 6 digits with n implied decimals;
+ * amount AIs (390n, 392n) are variable up to 15 digits.
+ * @param {string} ai - e.g. "01", "3103"
+ * @returns {Object|null} definition, with `decimals` for measure/amount AIs
+ */
+export function getAI(ai) {
+  const code = String(ai || '')
+  if (AI_TABLE[code]) return AI_TABLE[code]
+  if (/^3[1-6]\d\d$/.test(code)) {
+    return { title: 'MEASURE', length: 6, numeric: true, decimals: parseInt(code[3]) }
+  }
+  if (/^39[02]\d$/.test(code)) {
+    return { title: 'AMOUNT', maxLength: 15, numeric: true, decimals: parseInt(code[3]) }
+  }
+  // ISO 4217 currency code + amount/price
+  if (/^39[13]\d$/.test(code)) {
+    return { title: code[2] === '1' ? 'AMOUNT' : 'PRICE', maxLength: 18, numeric: true }
+  }
+  if (/^394\d$/.test(code)) return { title: 'PRCNT OFF', length: 4, numeric: true }
+  if (/^395\d$/.test(code)) return { title: 'PRICE/UoM', length: 6, numeric: true }
+  if (/^71[0-5]$/.test(code)) return { title: 'NHRN', maxLength: 20 }
+  if (/^723\d$/.test(code)) return { title: 'CERT #', maxLength: 30 }
+  return null
+}
+
+// AIs starting with these digits have a predefined length and never need an
+// FNC1 after them. Other fixed-length AIs (e.g. 422, 7003) still do.
+const PREDEFINED_LENGTH = /^(0[0-4]|1[1-9]|20|3[1-6]|41)/
+
+function needsSeparator(ai) {
+  return !PREDEFINED_LENGTH.test(ai)
+}
+
+/**
+ * Calculate the GS1 mod-10 check digit for a digit string (without the check digit).
+ * From the rightmost digit, weights alternate 3, 1, 3, 1...
+ * @param {string} digits
+ * @returns {number}
+ */
+export function calculateCheckDigit(digits) {
+  const str = String(digits)
+  if (!/^\d+$/.test(str)) throw new Error('Dígito de control: solo dígitos')
+  let sum = 0
+  for (let i = 0; i < str.length; i++) {
+    const d = parseInt(str[str.length - 1 - i])
+    sum += d * (i % 2 === 0 ? 3 : 1)
+  }
+  return (10 - (sum % 10)) % 10
+}
+
+/**
+ * Normalize a value for an AI: fixed-length numeric padding, implied decimals.
+ * Dates must already be YYMMDD (the expression engine converts them).
+ * @param {string} ai
+ * @param {string} value
+ * @returns {string}
+ * @throws {Error} on unknown AI, bad characters or excess length
+ */
+export function formatAIValue(ai, value) {
+  const def = getAI(ai)
+  if (!def) throw new Error(`AI GS1 desconocido: ${ai}`)
+
+  let val = String(value == null ? '' : value).trim()
+
+  // Measures/amounts: "1.5" with AI 3103 → "001500"
+  if (def.decimals !== undefined && /^\d+([.,]\d+)?$/.test(val) && /[.,]/.test(val)) {
+    const [int, frac = ''] = val.replace(',', '.').split('.')
+    val = int + frac.padEnd(def.decimals, '0').slice(0, def.decimals)
+    val = val.replace(/^0+(?=\d)/, '')
+  }
+
+  if (def.numeric && !/^\d*$/.test(val)) {
+    throw new Error(`AI (${ai}): solo dígitos`)
+  }
+
+  if (def.length) {
+    if (val.length > def.length) throw new Error(`AI (${ai}): máximo ${def.length} caracteres`)
+    return def.numeric ? val.padStart(def.length, '0') : val
+  }
+
+  if (val.length > def.maxLength) throw new Error(`AI (${ai}): máximo ${def.maxLength} caracteres`)
+  return val
+}
+
+// GS1 AI encodable character set 82 (alphanumeric AIs)
+const CSET_82 = /^[!"%&'()*+,\-./0-9:;<=>?A-Z_a-z]*$/
+
+function daysInMonth(yy, mm) {
+  return new Date(2000 + yy, mm, 0).getDate()
+}
+
+/**
+ * Format an AI value and check what formatAIValue doesn't: the mod-10
+ * check digit, calendar dates (day 00 = end of month) and the CSet 82
+ * characters of alphanumeric AIs.
+ * @returns {string} formatted value
+ * @throws {Error} naming the AI and the problem
+ */
+export function validateAIValue(ai, value) {
+  const def = getAI(ai)
+  const val = formatAIValue(ai, value)
+
+  if (!def.numeric && !CSET_82.test(val)) {
+    throw new Error(`AI (${ai}): carácter no permitido`)
+  }
+  if (def.check) {
+    const expected = calculateCheckDigit(val.slice(0, -1))
+    if (parseInt(val.slice(-1)) !== expected) {
+      throw new Error(`AI (${ai}): dígito de control incorrecto, debería ser ${expected}`)
+    }
+  }
+  if (def.date) {
+    const [yy, mm, dd] = [0, 2, 4].map(i => parseInt(val.slice(i, i + 2)))
+    if (mm < 1 || mm > 12 || dd > daysInMonth(yy, mm)) {
+      throw new Error(`AI (${ai}): fecha no válida`)
+    }
+  }
+  return val
+}
+
+/**
+ * Build a GS1 element string from AI/value pairs.
+ * @param {Array<[string, string]>} pairs - [["01", "09506000134352"], ["10", "ABC"]]
+ * @param {Object} [options]
+ * @param {boolean} [options.raw=false] - false: "(01)...(10)..." bracketed form
+ *   (accepted by bwip-js for GS1 symbologies); true: concatenated data with a
+ *   GS separator after every variable-length AI except the last
+ * @returns {string}
+ */
+export function buildElementString(pairs, options = {}) {
+  const parts = pairs.map(([ai, value]) => ({ ai: String(ai), value: formatAIValue(ai, value) }))
+
+  if (!options.raw) {
+    return parts.map(p => `(${p.ai})${p.value}`).join('')
+  }
+
+  return parts.map((p, idx) => {
+    const isLast = idx === parts.length - 1
+    return p.ai + p.value + (needsSeparator(p.ai) && !isLast ? GS : '')
+  }).join('')
+}
+
+// ─── Element string parsing ───────────────────────────────────
+
+// The AI starting at `pos`; GS1 AI codes are prefix-free, so the first match is it
+function readAI(data, pos) {
+  for (const size of [2, 3, 4]) {
+    const ai = data.substr(pos, size)
+    if (ai.length === size && /^\d+$/.test(ai) && getAI(ai)) return ai
+  }
+  return null
+}
+
+/**
+ * Split a GS1 element string into AI/value pairs. Accepts the bracketed
+ * form "(01)09506000134352(17)271231(10)ABC" and raw data with GS
+ * separators, optionally led by GS, "FNC1" or the "]C1"/"]e0"/"]d2"/"]Q3"
+ * symbology identifiers - the same input QrLabelSystem.Compliance.Gs1.Checksum
+ * parses on the server.
+ * @param {string} text
+ * @returns {Array<[string, string]>}
+ * @throws {Error} on an unknown AI or missing data
+ */
+export function parseElementString(text) {
+  const data = String(text == null ? '' : text).trim().replace(/^(\][A-Za-z]\d|FNC1|\x1D)/, '')
+  if (data === '') throw new Error('GS1: sin datos')
+
+  if (data.startsWith('(')) {
+    const parts = data.split(/\((\d{2,4})\)/)
+    if (parts[0] !== '') throw new Error('GS1: se esperaba (AI) al inicio')
+    const pairs = []
+    for (let i = 1; i < parts.length; i += 2) {
+      if (!getAI(parts[i])) throw new Error(`AI GS1 desconocido: ${parts[i]}`)
+      pairs.push([parts[i], parts[i + 1]])
+    }
+    return pairs
+  }
+
+  const pairs = []
+  let pos = 0
+  while (pos < data.length) {
+    const ai = readAI(data, pos)
+    if (!ai) throw new Error(`AI GS1 desconocido: ${data.substr(pos, 4)}`)
+    pos += ai.length
+    const def = getAI(ai)
+    let end
+    if (def.length && !needsSeparator(ai)) {
+      end = Math.min(pos + def.length, data.length)
+    } else {
+      end = data.indexOf(GS, pos)
+      if (end === -1) end = data.length
+    }
+    pairs.push([ai, data.slice(pos, end)])
+    pos = data[end] === GS ? end + 1 : end
+  }
+  return pairs
+}
+
+/**
+ * Parse and validate a GS1 element string, collecting one error per AI:
+ * exact length of fixed-length AIs, maximum length, characters, check
+ * digit and date (see validateAIValue).
+ * @param {string} text - bracketed or raw element string
+ * @returns {{pairs: Array<[string, string]>, errors: Array<{ai: string|null, message: string}>}}
+ */
+export function validateElementString(text) {
+  let pairs
+  try {
+    pairs = parseElementString(text)
+  } catch (e) {
+    return { pairs: [], errors: [{ ai: null, message: e.message }] }
+  }
+
+  const errors = []
+  const seen = new Set()
+  for (const [ai, value] of pairs) {
+    const def = getAI(ai)
+    try {
+      if (seen.has(ai)) throw new Error(`AI (${ai}) repetido`)
+      seen.add(ai)
+      if (value === '') throw new Error(`AI (${ai}): sin datos`)
+      if (def.length && value.length !== def.length) {
+        throw new Error(`AI (${ai}): se esperan ${def.length} caracteres (tiene ${value.length})`)
+      }
+      validateAIValue(ai, value)
+    } catch (e) {
+      errors.push({ ai, message: e.message })
+    }
+  }
+  return { pairs, errors }
+}
+
+/**
+ * Human-readable interpretation printed under a GS1 symbol:
+ * "(01)09506000134352(17)271231(10)ABC".
+ * @param {Array<[string, string]>} pairs
+ * @returns {string}
+ */
+export function formatHRI(pairs) {
+  return pairs.map(([ai, value]) => `(${ai})${value}`).join('')
+}
+
+// ─── GS1 Digital Link ─────────────────────────────────────────
+
+export const DEFAULT_RESOLVER = 'https://id.gs1.org'
+
+// Primary keys with their key qualifiers, in the order they go in the path
+const DIGITAL_LINK_KEYS = {
+  '01': ['22', '10', '21'],
+  '00': [],
+  '414': [],
+  '8003': [],
+  '8004': []
+}
+
+// encodeURIComponent leaves !'()* alone; Digital Link escapes them too
+function encodeSegment(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, ch => '%' + ch.charCodeAt(0).toString(16).toUpperCase())
+}
+
+/**
+ * Normalize a resolver domain: "https://" is added when missing, a trailing
+ * slash is dropped and a path prefix is kept ("https://example.com/dl").
+ * @throws {Error} if it is not an http(s) address without query or fragment
+ */
+export function normalizeResolver(domain) {
+  let url = String(domain || '').trim() || DEFAULT_RESOLVER
+  if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(url)) url = `https://${url}`
+  url = url.replace(/\/+$/, '')
+  if (!/^https?:\/\/[a-z0-9-]+(\.[a-z0-9-]+)*(:\d+)?(\/[A-Za-z0-9._~%!$&'()*+,;=:@/-]*)?$/i.test(url)) {
+    throw new Error(`Dominio de resolución no válido: ${domain}`)
+  }
+  return url
+}
+
+/**
+ * Build a GS1 Digital Link URI:
+ *   https://id.gs1.org/01/09506000134352/10/ABC/21/123?17=271231
+ * The primary key (GTIN, SSCC, GLN...) and its qualifiers (CPV, lot, serial)
+ * form the path; every other AI goes in the query string. Values are
+ * validated (validateAIValue) and percent-encoded.
+ * @param {string} domain - resolver, e.g. "https://id.example.com"
+ * @param {Array<[string, string]>} pairs - [["01", "09506000134352"], ["10", "ABC"]]
+ * @returns {string}
+ * @throws {Error} on a missing/duplicate primary key, misplaced qualifier or invalid value
+ */
+export function buildDigitalLink(domain, pairs) {
+  const resolver = normalizeResolver(domain)
+  const values = new Map()
+  for (const [ai, value] of pairs) {
+    const code = String(ai)
+    if (values.has(code)) throw new Error(`AI (${code}) repetido`)
+    values.set(code, validateAIValue(code, value))
+  }
+
+  const keys = [...values.keys()].filter(ai => DIGITAL_LINK_KEYS[ai])
+  if (keys.length === 0) throw new Error('Digital Link: falta la clave primaria (GTIN, SSCC, GLN...)')
+  if (keys.length > 1) throw new Error(`Digital Link: una sola clave primaria (${keys.join(', ')})`)
+
+  const primary = keys[0]
+  const qualifiers = DIGITAL_LINK_KEYS[primary].filter(ai => values.has(ai))
+  const inPath = new Set([primary, ...qualifiers])
+  const misplaced = Object.values(DIGITAL_LINK_KEYS).flat().find(ai => values.has(ai) && !inPath.has(ai))
+  if (misplaced) throw new Error(`AI (${misplaced}) solo se admite con GTIN (01)`)
+
+  const path = [primary, ...qualifiers].map(ai => `/${ai}/${encodeSegment(values.get(ai))}`).join('')
+  const query = [...values.keys()]
+    .filter(ai => !inPath.has(ai))
+    .map(ai => `${ai}=${encodeSegment(values.get(ai))}`)
+    .join('&')
+  return resolver + path + (query ? `?${query}` : '')
+}
+
+/**
+ * Decode a GS1 Digital Link URI into its resolver and AI/value pairs, path
+ * first. Query parameters that are not AIs (e.g. linkType) are ignored.
+ * @returns {{resolver: string, pairs: Array<[string, string]>}}
+ * @throws {Error} if the URI has no Digital Link path
+ */
+export function parseDigitalLink(uri) {
+  const match = String(uri || '').trim().match(/^(https?:\/\/[^/?#]+)([^?#]*)(?:\?([^#]*))?/i)
+  if (!match) throw new Error('No es un enlace GS1 Digital Link')
+
+  const [, origin, path, query = ''] = match
+  const segments = path.split('/').filter(Boolean)
+  const start = segments.findIndex((segment, i) => DIGITAL_LINK_KEYS[segment] && (segments.length - i) % 2 === 0)
+  if (start === -1) throw new Error('No es un enlace GS1 Digital Link')
+
+  const pairs = []
+  for (let i = start; i < segments.length; i += 2) {
+    pairs.push([segments[i], decodeURIComponent(segments[i + 1])])
+  }
+  for (const param of query.split('&')) {
+    const [ai, value = ''] = param.split('=')
+    if (getAI(ai)) pairs.push([ai, decodeURIComponent(value.replace(/\+/g, ' '))])
+  }
+
+  const prefix = segments.slice(0, start).map(s => `/${s}`).join('')
+  return { resolver: origin + prefix, pairs }
+}
@@ -16,6 +16,8 @@ import ScrollTo from "./scroll_to"
 import QRLogoUpload from "./qr_logo_upload"
 import LangDropdown from "./lang_dropdown"
 import TemplateDownload from "./template_download"
+import ExpressionEditor from "./expression_editor"
+import DigitalLinkPreview from "./digital_link_preview"
 
 const Hooks = {
   CanvasDesigner,
@@ -35,7 +37,9 @@ const Hooks = {
   ScrollTo,
   QRLogoUpload,
   LangDropdown,
-  TemplateDownload
+  TemplateDownload,
+  ExpressionEditor,
+  DigitalLinkPreview
 }
 
 export default Hooks
@@ -6,8 +6,10 @@
  */
 
 import { generateQR, generateBarcode } from './barcode_generator'
-import { resolveText, resolveCodeValue } from './expression_engine'
+import { resolveText, resolveCodeValue, isElementVisible, applyStyleBindings, createLookups, createHolidays } from './expression_engine'
 import { calcAutoFitFontSize } from './text_utils'
+import { hasMarkup, stripMarkup, appendRichText } from './rich_text'
+import { getLookupTables, getMetadata } from './data_store'
 
 const MM_TO_PX = 3.78
 
@@ -20,6 +22,12 @@ const LabelPreview = {
     this._totalRows = 1
     this._language = null
     this._defaultLanguage = 'es'
+    this._holidays = createHolidays()
+    this._timeZone = null
+    this._lookups = null
+    this._lookupsDesignId = null
+    this._dateFormat = null
+    this._dateFormatKey = null
     this._ready = true
 
     this.handleEvent("update_preview", (data) => {
@@ -30,6 +38,8 @@ const LabelPreview = {
       this._totalRows = data.total_rows || 1
       this._language = data.language || null
       this._defaultLanguage = data.default_language || 'es'
+      this._holidays = createHolidays(data.holidays)
+      this._timeZone = data.time_zone || null
       this.renderPreview()
     })
 
@@ -67,6 +77,10 @@ const LabelPreview = {
       rowIndex: this._previewIndex,
       batchSize: this._totalRows,
       now: new Date(),
+      lookups: await this.loadLookups(design.id),
+      holidays: this._holidays,
+      dateFormat: await this.loadDateFormat(design.id),
+      timeZone: this._timeZone,
       language: this._language,
       defaultLanguage: this._defaultLanguage
     }
@@ -89,10 +103,11 @@ const LabelPreview = {
     // Render elements (sorted by z_index, skip invisible)
     const sortedElements = [...(design.elements || [])].sort((a, b) => (a.z_index || 0) - (b.z_index || 0))
     for (const element of sortedElements) {
-      // Skip invisible elements
-      if (element.visible === false) continue
+      // Skip hidden elements (static flag or visible_if for this row)
+      if (!isElementVisible(element, row, context)) continue
 
-      const elementDiv = this.renderElement(element, row, mapping, codes, scale, labelType, context)
+      const styled = applyStyleBindings(element, row, context)
+      const elementDiv = this.renderElement(styled, row, mapping, codes, scale, labelType, context)
       if (elementDiv) {
         labelDiv.appendChild(elementDiv)
       }
@@ -101,11 +116,34 @@ const LabelPreview = {
     this.el.appendChild(labelDiv)
   },
 
+  // Lookup tables for BUSCARV(), read from IndexedDB once per design
+  async loadLookups(designId) {
+    if (this._lookupsDesignId !== designId) {
+      const userId = parseInt(this.el.dataset.userId)
+      this._lookups = createLookups(await getLookupTables(userId, designId))
+      this._lookupsDesignId = designId
+    }
+    return this._lookups
+  },
+
+  // Input date format of the dataset, re-read when a new dataset is loaded
+  async loadDateFormat(designId) {
+    const key = `${designId}|${this._totalRows}`
+    if (this._dateFormatKey !== key) {
+      const userId = parseInt(this.el.dataset.userId)
+      const meta = await getMetadata(userId, designId)
+      this._dateFormat = meta ? meta.dateFormat : null
+      this._dateFormatKey = key
+    }
+    return this._dateFormat
+  },
+
   async generateCodes(elements, row, mapping, scale, labelType, context) {
     const codes = {}
 
     for (const element of elements) {
       if (element.type !== 'qr' && element.type !== 'barcode') continue
+      if (!isElementVisible(element, row, context)) continue
 
       const value = resolveCodeValue(element, row, mapping, context)
       if (!value) continue
@@ -167,9 +205,14 @@ const LabelPreview = {
         break
 
       case 'text':
-        const textContent = resolveText(element, row || {}, mapping, context || {})
+        const richText = resolveText(element, row || {}, mapping, context || {})
+        const textContent = stripMarkup(richText)
 
-        div.textContent = textContent || '[Texto]'
+        if (hasMarkup(richText)) {
+          appendRichText(div, richText)
+        } else {
+          div.textContent = textContent || '[Texto]'
+        }
         div.style.width = `${element.width * scale * MM_TO_PX}px`
 
         let previewFontSize = (element.font_size || 12) * (MM_TO_PX / 6) * scale
@@ -195,6 +238,10 @@ const LabelPreview = {
         div.style.fontFamily = element.font_family || 'Arial'
         div.style.fontWeight = element.font_weight || 'normal'
         div.style.color = element.color || '#000000'
+        // Text background only comes from style bindings (e.g. hazard bands)
+        if (element.background_color && element.background_color !== 'transparent') {
+          div.style.backgroundColor = element.background_color
+        }
         div.style.textAlign = element.text_align || 'left'
         div.style.whiteSpace = 'normal'
         div.style.wordBreak = 'break-word'
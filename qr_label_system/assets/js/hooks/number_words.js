@@ -0,0 +1,315 @@
+/**
+ * Number Words
+ * Spells numbers and amounts for NUMERO_A_LETRAS in Spanish, English,
+ * French and German:
+ *   1234.5           → "mil doscientos treinta y cuatro coma cinco"
+ *   12.5, "en", EUR  → "twelve euros and fifty cents"
+ *   2000000, "fr", € → "deux millions d'euros"
+ *
+ * Integers up to 999 999 999 999 999. Amounts with a currency are rounded to
+ * cents; plain decimals are read as written ("1,50" → "uno coma cincuenta").
+ *
+ * Used by: expression_engine (NUMERO_A_LETRAS)
+ *
+ * @module number_words
+ */
+
+import { parseDecimal, round, toFixedString } from './decimal'
+
+const MAX_INTEGER = 1e15
+
+// ─── Spanish ──────────────────────────────────────────────────
+
+const ES_UNITS = [
+  'cero', 'uno', 'dos', 'tres', 'cuatro', 'cinco', 'seis', 'siete', 'ocho', 'nueve',
+  'diez', 'once', 'doce', 'trece', 'catorce', 'quince', 'dieciséis', 'diecisiete', 'dieciocho', 'diecinueve',
+  'veinte', 'veintiuno', 'veintidós', 'veintitrés', 'veinticuatro', 'veinticinco', 'veintiséis', 'veintisiete',
+  'veintiocho', 'veintinueve'
+]
+const ES_TENS = ['', '', '', 'treinta', 'cuarenta', 'cincuenta', 'sesenta', 'setenta', 'ochenta', 'noventa']
+const ES_HUNDREDS = [
+  '', 'ciento', 'doscientos', 'trescientos', 'cuatrocientos', 'quinientos', 'seiscientos', 'setecientos',
+  'ochocientos', 'novecientos'
+]
+
+// gender: null when the number stands alone ("uno"), 'm' before a
+// masculine noun ("veintiún euros"), 'f' before a feminine one ("una libra")
+function esBelowThousand(n, gender) {
+  if (n === 100) return 'cien'
+  const hundreds = Math.floor(n / 100)
+  const rest = n % 100
+  const words = []
+  if (hundreds) words.push(gender === 'f' && hundreds > 1 ? ES_HUNDREDS[hundreds].replace(/os$/, 'as') : ES_HUNDREDS[hundreds])
+  if (rest) {
+    let word = rest < 30 ? ES_UNITS[rest] : ES_TENS[Math.floor(rest / 10)] + (rest % 10 ? ` y ${ES_UNITS[rest % 10]}` : '')
+    if (gender && rest % 10 === 1 && rest !== 11) {
+      word = word.replace(/uno$/, gender === 'f' ? 'una' : (rest === 21 ? 'ún' : 'un'))
+    }
+    words.push(word)
+  }
+  return words.join(' ')
+}
+
+function esBelowMillion(n, gender) {
+  const thousands = Math.floor(n / 1000)
+  const rest = n % 1000
+  const words = []
+  if (thousands === 1) words.push('mil')
+  else if (thousands) words.push(`${esBelowThousand(thousands, gender || 'm')} mil`)
+  if (rest) words.push(esBelowThousand(rest, gender))
+  return words.join(' ')
+}
+
+// Long scale: 10^9 is "mil millones", 10^12 "un billón"
+function esInteger(n, gender) {
+  if (n === 0) return 'cero'
+  const billions = Math.floor(n / 1e12)
+  const millions = Math.floor((n % 1e12) / 1e6)
+  const rest = n % 1e6
+  const words = []
+  if (billions) words.push(billions === 1 ? 'un billón' : `${esBelowMillion(billions, 'm')} billones`)
+  if (millions) words.push(millions === 1 ? 'un millón' : `${esBelowMillion(millions, 'm')} millones`)
+  if (rest) words.push(esBelowMillion(rest, gender))
+  return words.join(' ')
+}
+
+// ─── English ──────────────────────────────────────────────────
+
+const EN_UNITS = [
+  'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine',
+  'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'
+]
+const EN_TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety']
+const EN_SCALES = [[1e12, 'trillion'], [1e9, 'billion'], [1e6, 'million'], [1e3, 'thousand']]
+
+function enBelowThousand(n) {
+  const hundreds = Math.floor(n / 100)
+  const rest = n % 100
+  const words = []
+  if (hundreds) words.push(`${EN_UNITS[hundreds]} hundred`)
+  if (rest) words.push(rest < 20 ? EN_UNITS[rest] : EN_TENS[Math.floor(rest / 10)] + (rest % 10 ? `-${EN_UNITS[rest % 10]}` : ''))
+  return words.join(' ')
+}
+
+function enInteger(n) {
+  if (n === 0) return 'zero'
+  const words = []
+  let rest = n
+  for (const [scale, name] of EN_SCALES) {
+    const count = Math.floor(rest / scale)
+    if (count) words.push(`${enBelowThousand(count)} ${name}`)
+    rest %= scale
+  }
+  if (rest) words.push(enBelowThousand(rest))
+  return words.join(' ')
+}
+
+// ─── French ───────────────────────────────────────────────────
+
+const FR_UNITS = [
+  'zéro', 'un', 'deux', 'trois', 'quatre', 'cinq', 'six', 'sept', 'huit', 'neuf',
+  'dix', 'onze', 'douze', 'treize', 'quatorze', 'quinze', 'seize', 'dix-sept', 'dix-huit', 'dix-neuf'
+]
+const FR_TENS = ['', '', 'vingt', 'trente', 'quarante', 'cinquante', 'soixante', 'soixante', 'quatre-vingt', 'quatre-vingt']
+
+function frUnit(n, gender) {
+  return n === 1 && gender === 'f' ? 'une' : FR_UNITS[n]
+}
+
+// `last`: nothing follows but a noun, so "vingts"/"cents" keep their plural
+// (they don't before the invariable "mille")
+function frBelowHundred(n, last, gender) {
+  if (n < 20) return frUnit(n, gender)
+  const tens = Math.floor(n / 10)
+  // 70-79 and 90-99 count on from 60 and 80: soixante-douze, quatre-vingt-dix
+  const unit = tens === 7 || tens === 9 ? 10 + n % 10 : n % 10
+  if (unit === 0) return tens === 8 && last ? 'quatre-vingts' : FR_TENS[tens]
+  if ((unit === 1 || unit === 11) && tens < 8) return `${FR_TENS[tens]} et ${frUnit(unit, gender)}`
+  return `${FR_TENS[tens]}-${frUnit(unit, gender)}`
+}
+
+function frBelowThousand(n, last, gender) {
+  const hundreds = Math.floor(n / 100)
+  const rest = n % 100
+  const words = []
+  if (hundreds === 1) words.push('cent')
+  else if (hundreds) words.push(`${FR_UNITS[hundreds]} cent${rest === 0 && last ? 's' : ''}`)
+  if (rest) words.push(frBelowHundred(rest, last, gender))
+  return words.join(' ')
+}
+
+function frBelowMillion(n, gender) {
+  const thousands = Math.floor(n / 1000)
+  const rest = n % 1000
+  const words = []
+  if (thousands === 1) words.push('mille')
+  else if (thousands) words.push(`${frBelowThousand(thousands, false)} mille`)
+  if (rest) words.push(frBelowThousand(rest, true, gender))
+  return words.join(' ')
+}
+
+function frInteger(n, gender) {
+  if (n === 0) return 'zéro'
+  const words = []
+  let rest = n
+  for (const [scale, name] of [[1e12, 'billion'], [1e9, 'milliard'], [1e6, 'million']]) {
+    const count = Math.floor(rest / scale)
+    if (count) words.push(`${frBelowThousand(count, true)} ${name}${count > 1 ? 's' : ''}`)
+    rest %= scale
+  }
+  if (rest) words.push(frBelowMillion(rest, gender))
+  return words.join(' ')
+}
+
+// ─── German ───────────────────────────────────────────────────
+
+const DE_UNITS = [
+  'null', 'eins', 'zwei', 'drei', 'vier', 'fünf', 'sechs', 'sieben', 'acht', 'neun',
+  'zehn', 'elf', 'zwölf', 'dreizehn', 'vierzehn', 'fünfzehn', 'sechzehn', 'siebzehn', 'achtzehn', 'neunzehn'
+]
+const DE_TENS = ['', '', 'zwanzig', 'dreißig', 'vierzig', 'fünfzig', 'sechzig', 'siebzig', 'achtzig', 'neunzig']
+
+// Compounds use "ein": einundzwanzig, einhundert, eintausend
+function deBelowThousand(n) {
+  const hundreds = Math.floor(n / 100)
+  const rest = n % 100
+  let word = hundreds ? `${hundreds === 1 ? 'ein' : DE_UNITS[hundreds]}hundert` : ''
+  if (rest < 20) {
+    if (rest) word += DE_UNITS[rest]
+  } else {
+    const unit = rest % 10
+    word += (unit ? `${unit === 1 ? 'ein' : DE_UNITS[unit]}und` : '') + DE_TENS[Math.floor(rest / 10)]
+  }
+  return word
+}
+
+function deBelowMillion(n) {
+  const thousands = Math.floor(n / 1000)
+  const rest = n % 1000
+  return (thousands ? `${thousands === 1 ? 'ein' : deBelowThousand(thousands)}tausend` : '') + (rest ? deBelowThousand(rest) : '')
+}
+
+// Million, Milliarde and Billion are separate, capitalized nouns
+function deInteger(n, gender) {
+  if (n === 0) return 'null'
+  const words = []
+  let rest = n
+  for (const [scale, one, many] of [[1e12, 'Billion', 'Billionen'], [1e9, 'Milliarde', 'Milliarden'], [1e6, 'Million', 'Millionen']]) {
+    const count = Math.floor(rest / scale)
+    if (count) words.push(count === 1 ? `eine ${one}` : `${deBelowThousand(count)} ${many}`)
+    rest %= scale
+  }
+  if (rest) {
+    const word = deBelowMillion(rest)
+    // "ein Euro", "eine Krone": a trailing "eins" is declined before a noun
+    words.push(gender && word.endsWith('eins') ? word.slice(0, -1) + (gender === 'f' ? 'e' : '') : word)
+  }
+  return words.join(' ')
+}
+
+// ─── Languages and currencies ─────────────────────────────────
+
+// Currency: [singular, plural, gender, cent singular, cent plural, cent gender]
+const LANGUAGES = {
+  es: {
+    integer: esInteger, point: 'coma', minus: 'menos', and: 'con', fraction: 'number',
+    // "un millón de euros"
+    of: () => 'de ',
+    currencies: {
+      EUR: ['euro', 'euros', 'm', 'céntimo', 'céntimos', 'm'],
+      USD: ['dólar', 'dólares', 'm', 'centavo', 'centavos', 'm'],
+      GBP: ['libra', 'libras', 'f', 'penique', 'peniques', 'm'],
+      MXN: ['peso', 'pesos', 'm', 'centavo', 'centavos', 'm']
+    }
+  },
+  en: {
+    integer: enInteger, point: 'point', minus: 'minus', and: 'and', fraction: 'digits',
+    of: () => '',
+    currencies: {
+      EUR: ['euro', 'euros', null, 'cent', 'cents', null],
+      USD: ['dollar', 'dollars', null, 'cent', 'cents', null],
+      GBP: ['pound', 'pounds', null, 'penny', 'pence', null],
+      MXN: ['peso', 'pesos', null, 'centavo', 'centavos', null]
+    }
+  },
+  fr: {
+    integer: frInteger, point: 'virgule', minus: 'moins', and: 'et', fraction: 'number',
+    // "zéro euro"
+    zeroSingular: true,
+    // "un million d'euros", "deux millions de livres"
+    of: noun => (/^[aeiouéh]/i.test(noun) ? "d'" : 'de '),
+    currencies: {
+      EUR: ['euro', 'euros', 'm', 'centime', 'centimes', 'm'],
+      USD: ['dollar', 'dollars', 'm', 'cent', 'cents', 'm'],
+      GBP: ['livre', 'livres', 'f', 'penny', 'pence', 'm'],
+      MXN: ['peso', 'pesos', 'm', 'centavo', 'centavos', 'm']
+    }
+  },
+  de: {
+    integer: deInteger, point: 'Komma', minus: 'minus', and: 'und', fraction: 'digits',
+    of: () => '',
+    currencies: {
+      EUR: ['Euro', 'Euro', 'm', 'Cent', 'Cent', 'm'],
+      USD: ['Dollar', 'Dollar', 'm', 'Cent', 'Cent', 'm'],
+      GBP: ['Pfund', 'Pfund', 'n', 'Penny', 'Pence', 'm'],
+      MXN: ['Peso', 'Pesos', 'm', 'Centavo', 'Centavos', 'm']
+    }
+  }
+}
+
+const CURRENCY_SYMBOLS = { '€': 'EUR', '$': 'USD', '£': 'GBP' }
+
+// Integer followed by its noun, with "de" after whole millions where the language needs it
+function countNoun(lang, n, singular, plural, gender) {
+  const noun = n === 1 || (n === 0 && lang.zeroSingular) ? singular : plural
+  const of = n >= 1e6 && n % 1e6 === 0 ? lang.of(noun) : ''
+  return `${lang.integer(n, gender)} ${of}${noun}`
+}
+
+// Decimals after the point: digit by digit (en, de) or as a number with
+// its leading zeros (es, fr: "coma cero cinco")
+function spellFraction(lang, fraction) {
+  if (lang.fraction === 'digits') return fraction.split('').map(d => lang.integer(Number(d))).join(' ')
+  const zeros = fraction.match(/^0*/)[0].length
+  const words = Array(Math.min(zeros, fraction.length)).fill(lang.integer(0))
+  if (zeros < fraction.length) words.push(lang.integer(Number(fraction.slice(zeros))))
+  return words.join(' ')
+}
+
+/**
+ * Spell a number, or an amount when `currency` (ISO code or €, $, £) is given.
+ * @param {*} value - number or numeric text ("1.234,50" is accepted)
+ * @param {string} language - es, en, fr or de (region suffixes are ignored)
+ * @param {string} [currency]
+ * @returns {string}
+ * @throws {Error} for unsupported languages or currencies and huge values
+ */
+export function spellNumber(value, language, currency) {
+  const code = String(language || '').toLowerCase().slice(0, 2)
+  const lang = LANGUAGES[code]
+  if (!lang) throw new Error(`Idioma no soportado para números en letras: ${language}`)
+
+  const currencyKey = String(currency || '').trim()
+  const money = currencyKey ? lang.currencies[CURRENCY_SYMBOLS[currencyKey] || currencyKey.toUpperCase()] : null
+  if (currencyKey && !money) throw new Error(`Moneda no soportada: ${currency}`)
+
+  let decimal = parseDecimal(value)
+  if (money) decimal = round(decimal, 2)
+  const text = toFixedString(decimal, Math.max(decimal.scale, 0))
+  const negative = text.startsWith('-')
+  const [whole, fraction = ''] = text.replace('-', '').split('.')
+  const integer = Number(whole)
+  if (integer >= MAX_INTEGER) throw new Error('Número demasiado grande para escribir en letras')
+
+  let words
+  if (money) {
+    const [one, many, gender, centOne, centMany, centGender] = money
+    const cents = Number(fraction)
+    words = countNoun(lang, integer, one, many, gender)
+    if (cents) words += ` ${lang.and} ${countNoun(lang, cents, centOne, centMany, centGender)}`
+  } else {
+    words = lang.integer(integer)
+    if (/[1-9]/.test(fraction)) words += ` ${lang.point} ${spellFraction(lang, fraction)}`
+  }
+  return negative ? `${lang.minus} ${words}` : words
+}
@@ -3,12 +3,16 @@
  * Handles label generation, printing and PDF export
  */
 
-import { generateQR, generateBarcode } from './barcode_generator'
-import { resolveText, resolveCodeValue } from './expression_engine'
+import { generateQR, generateBarcode, generateQRVector, generateBarcodeVector, drawCodePDF } from './barcode_generator'
+import { resolveText, resolveCodeValue, isElementVisible, applyStyleBindings, createBatch, createLookups, createHolidays, createClock } from './expression_engine'
 import { calcAutoFitFontSize } from './text_utils'
+import { hasMarkup, stripMarkup, appendRichText, drawRichTextPDF } from './rich_text'
 import { jsPDF } from 'jspdf'
-import { getDataset, getRow, associateDataset } from './data_store'
+import { getDataset, getRow, associateDataset, getLookupTables } from './data_store'
 import { generateBatchZpl } from './zpl_generator'
+import { reserveSerials } from './serial_counters'
+import { checkAndReserveSerials, buildCheckDigitReport } from './check_digits'
+import { createSeed } from './crypto_utils'
 
 const MM_TO_PX = 3.78
 // Canvas uses PX_PER_MM=6 for font sizes — convert to mm: font_size / PX_PER_MM
@@ -39,6 +43,7 @@ function printPdfBlob(blob) {
 const PrintEngine = {
   mounted() {
     this.labels = []
+    this._checkDigitReport = null
     this.design = null
     this.printConfig = null
     this.columnMapping = {}
@@ -46,19 +51,26 @@ const PrintEngine = {
   },
 
   setupEventListeners() {
-    this.handleEvent("generate_batch", async ({design, data, column_mapping, print_config, language, default_language}) => {
+    this.handleEvent("generate_batch", async ({design, data, column_mapping, print_config, language, default_language, holidays, time_zone, seed, now}) => {
       this.design = design
       this.printConfig = print_config
       this.columnMapping = column_mapping || {}
       this._language = language || null
       this._defaultLanguage = default_language || 'es'
+      this._holidays = createHolidays(holidays)
+      this._timeZone = time_zone || null
+      // Pass the seed and clock of a previous batch to reprint identical codes
+      this._seed = seed || createSeed()
+      this._now = createClock(now)
+      this._dateFormat = null
 
       try {
         this.labels = await this.generateAllLabels(design, data, column_mapping)
         this.renderPreview()
-        this.pushEvent("generation_complete", {})
+        this.pushEvent("generation_complete", { seed: this._seed, now: this._now.toISOString(), check_digits: this.checkDigitReport() })
       } catch (err) {
         console.error('Error generating labels:', err)
+        this.pushEvent("print_failed", { message: err.message })
       }
     })
 
@@ -71,12 +83,16 @@ const PrintEngine = {
     })
 
     // Generate batch reading data from IndexedDB instead of receiving from server
-    this.handleEvent("generate_batch_from_idb", async ({design, column_mapping, print_config, user_id, design_id, language, default_language}) => {
+    this.handleEvent("generate_batch_from_idb", async ({design, column_mapping, print_config, user_id, design_id, language, default_language, holidays, time_zone, seed, now}) => {
       this.design = design
       this.printConfig = print_config
       this.columnMapping = column_mapping || {}
       this._language = language || null
       this._defaultLanguage = default_language || 'es'
+      this._holidays = createHolidays(holidays)
+      this._timeZone = time_zone || null
+      this._seed = seed || createSeed()
+      this._now = createClock(now)
 
       try {
         let dataset = await getDataset(user_id, design_id)
@@ -91,16 +107,18 @@ const PrintEngine = {
         }
 
         const data = dataset && dataset.rows.length > 0 ? dataset.rows : [{}]
+        this._dateFormat = dataset ? dataset.dateFormat : null
         this.labels = await this.generateAllLabels(design, data, column_mapping)
         this.renderPreview()
-        this.pushEvent("generation_complete", {})
+        this.pushEvent("generation_complete", { seed: this._seed, now: this._now.toISOString(), check_digits: this.checkDigitReport() })
       } catch (err) {
         console.error('Error generating labels from IDB:', err)
+        this.pushEvent("print_failed", { message: err.message })
       }
     })
 
     // ZPL: generate entirely client-side (no server round-trip)
-    this.handleEvent("generate_zpl_client", async ({design, dpi, user_id, design_id, mapping, language, default_language}) => {
+    this.handleEvent("generate_zpl_client", async ({design, dpi, user_id, design_id, mapping, language, default_language, holidays, time_zone, seed, now: runNow}) => {
       try {
         let dataset = await getDataset(user_id, design_id)
 
@@ -114,7 +132,36 @@ const PrintEngine = {
         }
 
         const rows = (dataset && dataset.rows.length > 0) ? dataset.rows : [{}]
-        const zpl = generateBatchZpl(design, rows, { dpi, mapping: mapping || {}, language: language || null, defaultLanguage: default_language || 'es' })
+        const now = createClock(runNow)
+        const batchSeed = seed || createSeed()
+        const batch = createBatch(rows)
+        const lookups = await this.loadLookups(design)
+        const holidaySets = createHolidays(holidays)
+        const timeZone = time_zone || null
+        const dateFormat = dataset ? dataset.dateFormat : null
+        const context = { now, seed: batchSeed, batch, lookups, holidays: holidaySets, dateFormat, timeZone, language: language || null, defaultLanguage: default_language || 'es' }
+        // Same check digit check as the PDF batch, before anything is
+        // reserved or downloaded
+        const contexts = rows.map((_row, rowIndex) => ({ ...context, rowIndex, batchSize: rows.length }))
+        const report = await checkAndReserveSerials(design, rows, contexts, mapping || {},
+          () => this.reserveSerials(design, rows, context))
+        if (report.errors > 0 || report.fixed > 0) this.pushEvent("check_digit_report", { check_digits: report })
+        if (report.errors > 0) return
+
+        const zpl = generateBatchZpl(design, rows, {
+          dpi,
+          mapping: mapping || {},
+          language: language || null,
+          defaultLanguage: default_language || 'es',
+          now,
+          seed: batchSeed,
+          batch,
+          lookups,
+          holidays: holidaySets,
+          dateFormat,
+          timeZone,
+          rowSerials: contexts.map(rowContext => rowContext.serials)
+        })
         const blob = new Blob([zpl], { type: 'application/x-zpl' })
         const url = URL.createObjectURL(blob)
         const a = document.createElement('a')
@@ -122,9 +169,10 @@ const PrintEngine = {
         a.download = `${design.name || 'labels'}-${dpi}dpi.zpl`
         a.click()
         URL.revokeObjectURL(url)
-        this.pushEvent("zpl_download_complete", {})
+        this.pushEvent("zpl_download_complete", { seed: batchSeed, now: now.toISOString() })
       } catch (err) {
         console.error('Error generating ZPL client-side:', err)
+        this.pushEvent("print_failed", { message: err.message })
       }
     })
 
@@ -173,18 +221,34 @@ const PrintEngine = {
   async generateAllLabels(design, data, mapping) {
     const labels = []
     const batchSize = data.length
-    const now = new Date()
+    const now = this._now || new Date()
+    const batch = createBatch(data)
+    const lookups = await this.loadLookups(design)
+    const seed = this._seed || ''
+    const holidays = this._holidays
+    const dateFormat = this._dateFormat
+    const timeZone = this._timeZone
+    const base = { now, seed, batch, lookups, holidays, dateFormat, timeZone, language: this._language, defaultLanguage: this._defaultLanguage }
+    const contexts = data.map((_row, rowIndex) => ({ ...base, rowIndex, batchSize }))
+
+    // Wrong check digits stop the batch before its SERIE() values are reserved
+    this._checkDigitReport = await checkAndReserveSerials(design, data, contexts, mapping,
+      () => this.reserveSerials(design, data, base))
+    if (this._checkDigitReport.errors > 0) return labels
 
     for (let rowIndex = 0; rowIndex < data.length; rowIndex++) {
       const row = data[rowIndex]
-      const context = { rowIndex, batchSize, now, language: this._language, defaultLanguage: this._defaultLanguage }
+      const context = contexts[rowIndex]
       const labelCodes = {}
+      const labelValues = {}
 
       for (const element of design.elements || []) {
         if (element.type !== 'qr' && element.type !== 'barcode') continue
+        if (!isElementVisible(element, row, context)) continue
 
         const value = resolveCodeValue(element, row, mapping, context)
         if (!value) continue
+        labelValues[element.id] = value
 
         if (element.type === 'qr') {
           labelCodes[element.id] = await this.generateQR(value, element)
@@ -196,6 +260,7 @@ const PrintEngine = {
       labels.push({
         rowData: row,
         codes: labelCodes,
+        values: labelValues,
         context
       })
     }
@@ -203,6 +268,25 @@ const PrintEngine = {
     return labels
   },
 
+  /**
+   * Summary of the wrong check digits found by generateAllLabels: how many
+   * block printing, how many were corrected, and the first few of them.
+   */
+  checkDigitReport() {
+    return this._checkDigitReport || buildCheckDigitReport()
+  },
+
+  // Lookup tables attached to the design, indexed for BUSCARV()
+  async loadLookups(design) {
+    const userId = parseInt(this.el.dataset.userId)
+    return createLookups(await getLookupTables(userId, design.id))
+  },
+
+  // Reserve SERIE() values for the batch on the server (IndexedDB offline)
+  async reserveSerials(design, rows, context) {
+    return reserveSerials(this, design, rows, context)
+  },
+
   async generateQR(content, config) {
     return generateQR(content, config)
   },
@@ -211,6 +295,10 @@ const PrintEngine = {
     return generateBarcode(content, config)
   },
 
+  generateVector(content, config) {
+    return config.type === 'qr' ? generateQRVector(content, config) : generateBarcodeVector(content, config)
+  },
+
   renderPreview() {
     // Find or create a dedicated preview container (don't overwrite hook element children)
     let container = this.el.querySelector('[data-print-preview]')
@@ -334,8 +422,9 @@ const PrintEngine = {
     // Render elements sorted by z_index (lower = back, higher = front)
     const sortedElements = [...(design.elements || [])].sort((a, b) => (a.z_index || 0) - (b.z_index || 0))
     for (const element of sortedElements) {
-      if (element.visible === false) continue
-      const elementDiv = this.renderElement(element, label, scale)
+      if (!isElementVisible(element, label.rowData || {}, label.context || {})) continue
+      const styled = applyStyleBindings(element, label.rowData || {}, label.context || {})
+      const elementDiv = this.renderElement(styled, label, scale)
       if (elementDiv) {
         labelDiv.appendChild(elementDiv)
       }
@@ -378,9 +467,14 @@ const PrintEngine = {
         break
 
       case 'text':
-        const textContent = resolveText(element, label.rowData || {}, this.columnMapping, label.context || {})
+        const richText = resolveText(element, label.rowData || {}, this.columnMapping, label.context || {})
+        const textContent = stripMarkup(richText)
 
-        div.textContent = textContent
+        if (hasMarkup(richText)) {
+          appendRichText(div, richText)
+        } else {
+          div.textContent = textContent
+        }
         div.style.width = `${element.width * scale * MM_TO_PX}px`
 
         let printFontSize = (element.font_size || 12) * (MM_TO_PX / PX_PER_MM) * scale
@@ -403,6 +497,10 @@ const PrintEngine = {
         div.style.fontFamily = element.font_family || 'Arial'
         div.style.fontWeight = element.font_weight || 'normal'
         div.style.color = element.color || '#000000'
+        // Text background only comes from style bindings (e.g. hazard bands)
+        if (element.background_color && element.background_color !== 'transparent') {
+          div.style.backgroundColor = element.background_color
+        }
         div.style.textAlign = element.text_align || 'left'
         div.style.whiteSpace = 'normal'
         div.style.wordBreak = 'break-word'
@@ -495,7 +593,9 @@ const PrintEngine = {
 
     // Render elements
     for (const element of design.elements || []) {
-      await this.renderElementToPDF(pdf, element, label, offsetX, offsetY)
+      if (!isElementVisible(element, label.rowData || {}, label.context || {})) continue
+      const styled = applyStyleBindings(element, label.rowData || {}, label.context || {})
+      await this.renderElementToPDF(pdf, styled, label, offsetX, offsetY)
     }
   },
 
@@ -506,14 +606,19 @@ const PrintEngine = {
     switch (element.type) {
       case 'qr':
       case 'barcode':
-        const codeImg = label.codes[element.id]
-        if (codeImg) {
-          pdf.addImage(codeImg, 'PNG', x, y, element.width, element.height)
+        // Vector bars/modules for print; the preview PNG only as a fallback
+        const value = (label.values || {})[element.id]
+        const vector = value ? this.generateVector(value, element) : null
+        if (vector) {
+          drawCodePDF(pdf, vector, x, y)
+        } else if (label.codes[element.id]) {
+          pdf.addImage(label.codes[element.id], 'PNG', x, y, element.width, element.height)
         }
         break
 
       case 'text':
-        const pdfTextContent = resolveText(element, label.rowData || {}, this.columnMapping, label.context || {})
+        const pdfRichText = resolveText(element, label.rowData || {}, this.columnMapping, label.context || {})
+        const pdfTextContent = stripMarkup(pdfRichText)
 
         let pdfFontSizePx = element.font_size || 12
         if (element.text_auto_fit === true && pdfTextContent && element.width && element.height) {
@@ -529,6 +634,10 @@ const PrintEngine = {
 
         const fontSizePt = pdfFontSizePx * FONT_PX_TO_PT
         const fontSizeMM = pdfFontSizePx / PX_PER_MM
+        if (element.background_color && element.background_color !== 'transparent') {
+          pdf.setFillColor(element.background_color)
+          pdf.rect(x, y, element.width, element.height || fontSizeMM * 1.2, 'F')
+        }
         pdf.setFontSize(fontSizePt)
         pdf.setTextColor(element.color || '#000000')
 
@@ -545,6 +654,17 @@ const PrintEngine = {
           textX = x + element.width
         }
 
+        if (hasMarkup(pdfRichText)) {
+          // Styled runs: one font per run, wrapped to the element width
+          drawRichTextPDF(pdf, pdfRichText, {
+            x, y: y + fontSizeMM * 0.75, width: element.width,
+            align: element.text_align || 'left',
+            bold: element.font_weight === 'bold',
+            lineHeight: fontSizePt * pdf.getLineHeightFactor() * 25.4 / 72
+          })
+          break
+        }
+
         pdf.text(pdfTextContent, textX, y + fontSizeMM * 0.75, {
           align: element.text_align || 'left',
           maxWidth: element.width
@@ -0,0 +1,204 @@
+/**
+ * Rich Text Runs
+ * Lightweight inline markup for text elements: **bold** and __italic__.
+ * RESALTAR() emits the bold markup for allergens (EU 1169/2011). Renderers
+ * draw each run with its own font; auto-fit and other plain-text consumers
+ * use stripMarkup().
+ *
+ * Used by: canvas_designer, label_preview, print_engine, single_label_print,
+ *          zpl_generator
+ *
+ * @module rich_text
+ */
+
+const MARKERS = { '**': 'bold', '__': 'italic' }
+const MARKER_PATTERN = /(\*\*|__)/
+
+/**
+ * Check if a text contains markup markers.
+ */
+export function hasMarkup(text) {
+  return typeof text === 'string' && MARKER_PATTERN.test(text)
+}
+
+/**
+ * Split marked-up text into styled runs. A marker without a closing pair
+ * is kept as literal text.
+ * @param {string} text - e.g. "Harina de **trigo**, __ecológica__"
+ * @returns {Array<{text: string, bold: boolean, italic: boolean}>}
+ */
+export function parseRuns(text) {
+  const parts = String(text == null ? '' : text).split(MARKER_PATTERN)
+
+  // Markers that have a partner; an odd count leaves the last one literal
+  const remaining = { '**': 0, '__': 0 }
+  parts.forEach(p => { if (p in remaining) remaining[p]++ })
+  Object.keys(remaining).forEach(m => { remaining[m] -= remaining[m] % 2 })
+
+  const runs = []
+  const style = { bold: false, italic: false }
+  const push = (str) => {
+    if (!str) return
+    const last = runs[runs.length - 1]
+    if (last && last.bold === style.bold && last.italic === style.italic) {
+      last.text += str
+    } else {
+      runs.push({ text: str, bold: style.bold, italic: style.italic })
+    }
+  }
+
+  for (const part of parts) {
+    if (part in MARKERS && remaining[part] > 0) {
+      remaining[part]--
+      style[MARKERS[part]] = !style[MARKERS[part]]
+    } else {
+      push(part)
+    }
+  }
+  return runs
+}
+
+/**
+ * Text without markup markers.
+ */
+export function stripMarkup(text) {
+  if (!hasMarkup(text)) return text == null ? '' : String(text)
+  return parseRuns(text).map(r => r.text).join('')
+}
+
+/**
+ * Word-wrap runs into lines. Words are never split, even across runs
+ * ("**glu**ten" stays together); explicit newlines always break.
+ * @param {Array} runs - from parseRuns()
+ * @param {number} maxWidth - same unit as measure()
+ * @param {function(string, Object): number} measure - (text, run) => width
+ * @returns {Array<Array<{text, bold, italic, width}>>} lines of runs
+ */
+export function wrapRuns(runs, maxWidth, measure) {
+  // Tokens: words (one or more styled pieces), spaces and newlines
+  const tokens = []
+  let word = null
+  for (const run of runs) {
+    for (const piece of run.text.split(/(\n|[ \t]+)/)) {
+      if (!piece) continue
+      if (piece === '\n' || /^[ \t]+$/.test(piece)) {
+        word = null
+        tokens.push({ type: piece === '\n' ? 'newline' : 'space', pieces: [{ ...run, text: piece }] })
+      } else {
+        if (!word) {
+          word = { type: 'word', pieces: [] }
+          tokens.push(word)
+        }
+        word.pieces.push({ ...run, text: piece })
+      }
+    }
+  }
+
+  const lines = [[]]
+  let lineWidth = 0
+  let pendingSpace = null
+
+  const widthOf = (pieces) => pieces.reduce((sum, p) => sum + measure(p.text, p), 0)
+  const append = (pieces) => {
+    const line = lines[lines.length - 1]
+    for (const p of pieces) {
+      const last = line[line.length - 1]
+      if (last && last.bold === p.bold && last.italic === p.italic) {
+        last.text += p.text
+      } else {
+        line.push({ text: p.text, bold: p.bold, italic: p.italic })
+      }
+    }
+  }
+
+  for (const token of tokens) {
+    if (token.type === 'newline') {
+      lines.push([])
+      lineWidth = 0
+      pendingSpace = null
+    } else if (token.type === 'space') {
+      // Spaces are only drawn between words on the same line
+      if (lineWidth > 0) pendingSpace = token.pieces
+    } else {
+      const wordWidth = widthOf(token.pieces)
+      const spaceWidth = pendingSpace ? widthOf(pendingSpace) : 0
+      if (lineWidth > 0 && lineWidth + spaceWidth + wordWidth > maxWidth) {
+        lines.push([])
+        lineWidth = 0
+      } else if (pendingSpace) {
+        append(pendingSpace)
+        lineWidth += spaceWidth
+      }
+      append(token.pieces)
+      lineWidth += wordWidth
+      pendingSpace = null
+    }
+  }
+
+  return lines.map(line => line.map(run => ({ ...run, width: measure(run.text, run) })))
+}
+
+/**
+ * Fill a DOM element with the runs as <strong>/<em> spans.
+ * @param {HTMLElement} el
+ * @param {string} text - marked-up text
+ */
+export function appendRichText(el, text) {
+  for (const run of parseRuns(text)) {
+    let node = document.createTextNode(run.text)
+    if (run.italic) {
+      const em = document.createElement('em')
+      em.appendChild(node)
+      node = em
+    }
+    if (run.bold) {
+      const strong = document.createElement('strong')
+      strong.style.fontWeight = 'bold'
+      strong.appendChild(node)
+      node = strong
+    }
+    el.appendChild(node)
+  }
+}
+
+/**
+ * Draw marked-up text into a jsPDF document with one font style per run.
+ * The font size must already be set on `pdf`.
+ * @param {jsPDF} pdf
+ * @param {string} text - marked-up text
+ * @param {Object} opts
+ * @param {number} opts.x - left edge of the box (mm)
+ * @param {number} opts.y - baseline of the first line (mm)
+ * @param {number} opts.width - wrap width (mm)
+ * @param {string} [opts.align='left'] - left | center | right
+ * @param {boolean} [opts.bold=false] - element-level bold
+ * @param {number} opts.lineHeight - distance between baselines (mm)
+ */
+export function drawRichTextPDF(pdf, text, opts) {
+  const fontStyle = (run) => {
+    const bold = run.bold || opts.bold
+    if (bold && run.italic) return 'bolditalic'
+    if (bold) return 'bold'
+    return run.italic ? 'italic' : 'normal'
+  }
+  const measure = (str, run) => {
+    pdf.setFont(undefined, fontStyle(run))
+    return pdf.getTextWidth(str)
+  }
+
+  const lines = wrapRuns(parseRuns(text), opts.width, measure)
+  lines.forEach((line, i) => {
+    const lineWidth = line.reduce((sum, run) => sum + run.width, 0)
+    let cx = opts.x
+    if (opts.align === 'center') cx += (opts.width - lineWidth) / 2
+    else if (opts.align === 'right') cx += opts.width - lineWidth
+
+    const cy = opts.y + i * opts.lineHeight
+    for (const run of line) {
+      pdf.setFont(undefined, fontStyle(run))
+      pdf.text(run.text, cx, cy)
+      cx += run.width
+    }
+  })
+  pdf.setFont(undefined, opts.bold ? 'bold' : 'normal')
+}
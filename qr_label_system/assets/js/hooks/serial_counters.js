@@ -0,0 +1,73 @@
+/**
+ * Serial Counters
+ * Reserves SERIE() values before a batch is generated so serials continue
+ * across print runs instead of restarting at 1.
+ *
+ * Flow: collect the scopes each row consumes → ask the server to reserve
+ * that many values (Designs.reserve_serial_counters locks the design row,
+ * so two stations get disjoint ranges) → hand each row its values via
+ * context.serials. Without a connection the values are reserved in
+ * IndexedDB instead and reach the server as a floor on the next online run.
+ *
+ * Used by: print_engine, single_label_print
+ */
+
+import { collectSerialScopes } from './expression_engine'
+import { reserveCounters, mergeCounters } from './data_store'
+
+const RESERVE_TIMEOUT_MS = 15000
+
+/**
+ * @param {Object} hook - LiveView hook (pushEvent, liveSocket, el.dataset.userId)
+ * @param {Object} design - design JSON (uses id, elements, serial_counters)
+ * @param {Array<Object>} rows - batch rows
+ * @param {Object} context - batch context ({ now, language, ... })
+ * @returns {Promise<{rowSerials: Array<Object>, counters: Object}|null>}
+ *   per-row `{ scope: value }` maps, or null when the design has no SERIE()
+ * @throws {Error} when the server refuses or doesn't answer the reservation
+ */
+export async function reserveSerials(hook, design, rows, context) {
+  const scopesPerRow = collectSerialScopes(design, rows, context)
+  if (!scopesPerRow) return null
+
+  const counts = {}
+  scopesPerRow.forEach(scopes => scopes.forEach(scope => {
+    counts[scope] = (counts[scope] || 0) + 1
+  }))
+
+  const userId = parseInt(hook.el.dataset.userId)
+  const baseline = design.serial_counters || {}
+  let reservation
+  if (hook.liveSocket && hook.liveSocket.isConnected()) {
+    // Values handed out offline on this browser must not be reissued
+    const floors = await mergeCounters(userId, design.id, baseline)
+    reservation = await reserveOnServer(hook, counts, floors)
+    await mergeCounters(userId, design.id, reservation.counters)
+  } else {
+    reservation = await reserveCounters(userId, design.id, counts, baseline)
+  }
+
+  const next = { ...reservation.starts }
+  const rowSerials = scopesPerRow.map(scopes => {
+    const serials = {}
+    scopes.forEach(scope => { serials[scope] = next[scope]++ })
+    return serials
+  })
+
+  return { rowSerials, counters: reservation.counters }
+}
+
+// reserve_serials round-trip; generation waits for the reply
+function reserveOnServer(hook, counts, floors) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      reject(new Error('El servidor no respondió a la reserva de números de serie'))
+    }, RESERVE_TIMEOUT_MS)
+
+    hook.pushEvent("reserve_serials", { counts, floors }, (reply) => {
+      clearTimeout(timer)
+      if (reply && reply.starts) resolve(reply)
+      else reject(new Error((reply && reply.error) || 'No se pudieron reservar los números de serie'))
+    })
+  })
+}
@@ -3,10 +3,16 @@
  * Handles printing single labels (static content) without data binding
  */
 
-import { generateQR, generateBarcode } from './barcode_generator'
-import { resolveText, resolveCodeValue } from './expression_engine'
+import { generateQRVector, generateBarcodeVector, drawCodePDF } from './barcode_generator'
+import { resolveText, resolveCodeValue, isElementVisible, applyStyleBindings, createBatch, createLookups, createHolidays, createClock } from './expression_engine'
 import { calcAutoFitFontSize } from './text_utils'
+import { hasMarkup, stripMarkup, drawRichTextPDF } from './rich_text'
 import { jsPDF } from 'jspdf'
+import { reserveSerials } from './serial_counters'
+import { getLookupTables } from './data_store'
+import { createSeed } from './crypto_utils'
+import { checkAndReserveSerials } from './check_digits'
+import { generateBatchZpl } from './zpl_generator'
 
 const MM_TO_PX = 3.78
 const PX_PER_MM = 6
@@ -33,35 +39,55 @@ const SingleLabelPrint = {
   },
 
   setupEventListeners() {
-    this.handleEvent("print_single_labels", async ({design, quantity, language, default_language}) => {
+    this.handleEvent("print_single_labels", async ({design, quantity, language, default_language, holidays, time_zone, seed, now}) => {
       this._language = language || null
       this._defaultLanguage = default_language || 'es'
+      this._holidays = createHolidays(holidays)
+      this._timeZone = time_zone || null
+      this._seed = seed || createSeed()
+      this._now = createClock(now)
       try {
-        await this.printLabels(design, quantity)
-        this.pushEvent("print_complete", {})
+        if (await this.printLabels(design, quantity)) {
+          this.pushEvent("print_complete", { seed: this._seed, now: this._now.toISOString() })
+        }
       } catch (err) {
         console.error('Error printing labels:', err)
+        this.pushEvent("print_failed", { message: err.message })
       }
     })
 
-    this.handleEvent("download_single_pdf", async ({design, quantity, language, default_language}) => {
+    this.handleEvent("download_single_pdf", async ({design, quantity, language, default_language, holidays, time_zone, seed, now}) => {
       this._language = language || null
       this._defaultLanguage = default_language || 'es'
+      this._holidays = createHolidays(holidays)
+      this._timeZone = time_zone || null
+      this._seed = seed || createSeed()
+      this._now = createClock(now)
       try {
-        await this.exportPDF(design, quantity)
+        if (await this.exportPDF(design, quantity)) {
+          this.pushEvent("pdf_complete", { seed: this._seed, now: this._now.toISOString() })
+        }
       } catch (err) {
         console.error('Error exporting PDF:', err)
+        this.pushEvent("print_failed", { message: err.message })
       }
     })
 
-    this.handleEvent("download_file", ({content, filename, mime_type}) => {
-      const blob = new Blob([content], { type: mime_type })
-      const url = URL.createObjectURL(blob)
-      const a = document.createElement('a')
-      a.href = url
-      a.download = filename
-      a.click()
-      URL.revokeObjectURL(url)
+    this.handleEvent("download_single_zpl", async ({design, quantity, dpi, language, default_language, holidays, time_zone, seed, now}) => {
+      this._language = language || null
+      this._defaultLanguage = default_language || 'es'
+      this._holidays = createHolidays(holidays)
+      this._timeZone = time_zone || null
+      this._seed = seed || createSeed()
+      this._now = createClock(now)
+      try {
+        if (await this.exportZPL(design, quantity, dpi)) {
+          this.pushEvent("zpl_complete", { seed: this._seed, now: this._now.toISOString() })
+        }
+      } catch (err) {
+        console.error('Error exporting ZPL:', err)
+        this.pushEvent("print_failed", { message: err.message })
+      }
     })
   },
 
@@ -69,9 +95,10 @@ const SingleLabelPrint = {
     const codes = {}
 
     for (const element of design.elements || []) {
+      if (!isElementVisible(element, {}, context)) continue
       if (element.type === 'qr') {
         const content = resolveCodeValue(element, {}, null, context)
-        codes[element.id] = await this.generateQR(content || 'QR', element)
+        codes[element.id] = this.generateQR(content || 'QR', element)
       } else if (element.type === 'barcode') {
         const content = resolveCodeValue(element, {}, null, context)
         codes[element.id] = this.generateBarcode(content || '123456789', element)
@@ -81,18 +108,42 @@ const SingleLabelPrint = {
     return codes
   },
 
-  async generateQR(content, config) {
-    return generateQR(content, config)
+  // One expression context per label, with the design's lookup tables.
+  // The run's seed and clock drive UUID(), CODIGO_ALEATORIO() and HOY().
+  async buildContexts(design, quantity, now) {
+    const userId = parseInt(this.el.dataset.userId)
+    const rows = Array.from({ length: quantity }, () => ({}))
+    const lookups = createLookups(await getLookupTables(userId, design.id))
+    const base = { now, seed: this._seed || '', batch: createBatch(rows), lookups, holidays: this._holidays, timeZone: this._timeZone, language: this._language, defaultLanguage: this._defaultLanguage }
+
+    return rows.map((_row, i) => ({ ...base, rowIndex: i, batchSize: quantity }))
+  },
+
+  // SERIE() values are reserved for the whole run on the server, after the
+  // check digits of the codes that don't use them. Wrong check digits stop
+  // the output, as in the batch print; corrected ones are reported as a
+  // warning. Returns whether printing may go on.
+  async verifyAndReserve(design, contexts) {
+    const rows = contexts.map(() => ({}))
+    const report = await checkAndReserveSerials(design, rows, contexts, null,
+      () => reserveSerials(this, design, rows, contexts[0]))
+    if (report.errors > 0 || report.fixed > 0) this.pushEvent("check_digit_report", { check_digits: report })
+    return report.errors === 0
+  },
+
+  // Codes are only printed here, so they are drawn as vectors (no PNG)
+  generateQR(content, config) {
+    return generateQRVector(content, config)
   },
 
   generateBarcode(content, config) {
-    return generateBarcode(content, config)
+    return generateBarcodeVector(content, config)
   },
 
   async printLabels(design, quantity) {
     const w = design.width_mm
     const h = design.height_mm
-    const now = new Date()
+    const now = this._now || new Date()
 
     const pdf = new jsPDF({
       orientation: w > h ? 'l' : 'p',
@@ -100,20 +151,24 @@ const SingleLabelPrint = {
       format: [w, h]
     })
 
+    const contexts = await this.buildContexts(design, quantity, now)
+    if (!(await this.verifyAndReserve(design, contexts))) return false
+
     for (let i = 0; i < quantity; i++) {
       if (i > 0) pdf.addPage([w, h], w > h ? 'l' : 'p')
-      const context = { rowIndex: i, batchSize: quantity, now, language: this._language, defaultLanguage: this._defaultLanguage }
+      const context = contexts[i]
       const codes = await this.generateCodes(design, context)
       await this.renderLabelToPDF(pdf, design, codes, 0, 0, context)
     }
 
     printPdfBlob(pdf.output('blob'))
+    return true
   },
 
   async exportPDF(design, quantity) {
     const w = design.width_mm
     const h = design.height_mm
-    const now = new Date()
+    const now = this._now || new Date()
 
     const pdf = new jsPDF({
       orientation: w > h ? 'l' : 'p',
@@ -121,16 +176,43 @@ const SingleLabelPrint = {
       format: [w, h]
     })
 
+    const contexts = await this.buildContexts(design, quantity, now)
+    if (!(await this.verifyAndReserve(design, contexts))) return false
+
     for (let i = 0; i < quantity; i++) {
       if (i > 0) {
         pdf.addPage([w, h], w > h ? 'l' : 'p')
       }
-      const context = { rowIndex: i, batchSize: quantity, now, language: this._language, defaultLanguage: this._defaultLanguage }
+      const context = contexts[i]
       const codes = await this.generateCodes(design, context)
       await this.renderLabelToPDF(pdf, design, codes, 0, 0, context)
     }
 
     pdf.save(`etiquetas-${design.name || 'label'}.pdf`)
+    return true
+  },
+
+  // Same contexts, check digit pass and SERIE() values as the PDF, so the
+  // printer gets the labels the PDF would show
+  async exportZPL(design, quantity, dpi) {
+    const now = this._now || new Date()
+    const contexts = await this.buildContexts(design, quantity, now)
+    if (!(await this.verifyAndReserve(design, contexts))) return false
+
+    const { rowIndex, batchSize, ...base } = contexts[0]
+    const zpl = generateBatchZpl(design, contexts.map(() => ({})), {
+      ...base,
+      dpi,
+      rowSerials: contexts.map(context => context.serials)
+    })
+    const blob = new Blob([zpl], { type: 'application/x-zpl' })
+    const url = URL.createObjectURL(blob)
+    const a = document.createElement('a')
+    a.href = url
+    a.download = `${design.name || 'etiqueta'}-${dpi}dpi.zpl`
+    a.click()
+    URL.revokeObjectURL(url)
+    return true
   },
 
   async renderLabelToPDF(pdf, design, codes, offsetX, offsetY, context) {
@@ -148,8 +230,9 @@ const SingleLabelPrint = {
     // Render elements sorted by z_index (lower = back, higher = front)
     const sortedElements = [...(design.elements || [])].sort((a, b) => (a.z_index || 0) - (b.z_index || 0))
     for (const element of sortedElements) {
-      if (element.visible === false) continue
-      await this.renderElementToPDF(pdf, element, codes, offsetX, offsetY, context)
+      if (!isElementVisible(element, {}, context || {})) continue
+      const styled = applyStyleBindings(element, {}, context || {})
+      await this.renderElementToPDF(pdf, styled, codes, offsetX, offsetY, context)
     }
   },
 
@@ -160,14 +243,15 @@ const SingleLabelPrint = {
     switch (element.type) {
       case 'qr':
       case 'barcode':
-        const codeImg = codes[element.id]
-        if (codeImg) {
-          pdf.addImage(codeImg, 'PNG', x, y, element.width, element.height)
+        const codeVector = codes[element.id]
+        if (codeVector) {
+          drawCodePDF(pdf, codeVector, x, y)
         }
         break
 
       case 'text':
-        const textContent = resolveText(element, {}, null, context || {})
+        const richText = resolveText(element, {}, null, context || {})
+        const textContent = stripMarkup(richText)
 
         let singleFontSize = element.font_size || 12
         if (element.text_auto_fit === true && textContent && element.width && element.height) {
@@ -181,6 +265,11 @@ const SingleLabelPrint = {
           singleFontSize = result.fontSize
         }
 
+        if (element.background_color && element.background_color !== 'transparent') {
+          pdf.setFillColor(element.background_color)
+          pdf.rect(x, y, element.width, element.height || singleFontSize * 0.5, 'F')
+        }
+
         pdf.setFontSize(singleFontSize)
         pdf.setTextColor(element.color || '#000000')
 
@@ -197,6 +286,16 @@ const SingleLabelPrint = {
           textX = x + element.width
         }
 
+        if (hasMarkup(richText)) {
+          drawRichTextPDF(pdf, richText, {
+            x, y: y + singleFontSize * 0.35, width: element.width,
+            align: element.text_align || 'left',
+            bold: element.font_weight === 'bold',
+            lineHeight: singleFontSize * pdf.getLineHeightFactor() * 25.4 / 72
+          })
+          break
+        }
+
         pdf.text(textContent, textX, y + singleFontSize * 0.35, {
           align: element.text_align || 'left',
           maxWidth: element.width
@@ -7,6 +7,8 @@
  */
 
 import * as XLSX from 'xlsx'
+import { parse } from './expression_parser'
+import { elementExpressions } from './expression_engine'
 
 /**
  * Extract column references from an expression binding like "{{MAYUS(nombre)}}"
@@ -19,93 +21,62 @@ function extractColumnsFromExpression(binding) {
   if (!matches) return cols
 
   for (const m of matches) {
-    const inner = m.slice(2, -2).trim()
-    extractColumnsFromExpr(inner, cols)
+    collectExpressionColumns(m.slice(2, -2).trim(), cols)
   }
   return cols
 }
 
 /**
- * Recursively extract column names from a single expression.
- * Skips known function names, quoted strings, numbers, and operators.
+ * Add the column references of one bare expression (no braces) to `cols`.
  */
-function extractColumnsFromExpr(expr, cols) {
-  // Known function names (Spanish)
-  const FUNCTIONS = new Set([
-    'MAYUS', 'MINUS', 'RECORTAR', 'CONCAT', 'REEMPLAZAR', 'LARGO',
-    'HOY', 'AHORA', 'SUMAR_DIAS', 'SUMAR_MESES', 'FORMATO_FECHA',
-    'CONTADOR', 'LOTE', 'REDONDEAR', 'FORMATO_NUM',
-    'SI', 'VACIO', 'POR_DEFECTO', 'IDIOMA',
-    'IZQUIERDA', 'DERECHA', 'SUBCADENA', 'BUSCAR', 'POSICION'
-  ])
-
-  // Strip outer parens/whitespace
-  expr = expr.trim()
-
-  // Handle || operator
-  if (expr.includes('||')) {
-    expr.split('||').forEach(part => extractColumnsFromExpr(part.trim(), cols))
-    return
+function collectExpressionColumns(expr, cols) {
+  try {
+    collectColumns(parse(expr), cols)
+  } catch (_e) {
+    // Unparseable expression: nothing reliable to extract
   }
-
-  // Handle function call: NAME(args)
-  const fnMatch = expr.match(/^([A-Z_]+)\((.+)\)$/s)
-  if (fnMatch) {
-    // Parse args and recurse
-    const argsStr = fnMatch[2]
-    splitArgs(argsStr).forEach(arg => extractColumnsFromExpr(arg.trim(), cols))
-    return
-  }
-
-  // Skip quoted strings
-  if (/^["'].*["']$/.test(expr)) return
-  // Skip numbers
-  if (/^-?\d+(\.\d+)?$/.test(expr)) return
-  // Skip comparison operators
-  if (/^[<>=!]+$/.test(expr)) return
-  // Skip empty
-  if (!expr) return
-  // Skip function names alone
-  if (FUNCTIONS.has(expr.toUpperCase())) return
-
-  // It's a column reference
-  if (!cols.includes(expr)) cols.push(expr)
 }
 
+// Date format tokens used as unquoted arguments, e.g. FORMATO_FECHA(x, DD/MM/AAAA)
+const DATE_FORMAT_TOKEN = /^(AAAA|MMMM|DDDD|MMM|DDD|JJJ|AA|MM|DD|SS|hh|mm|ss)+$/
+
 /**
- * Split function arguments respecting nested parentheses and quotes.
+ * Recursively collect column names from an expression AST.
+ * Skips literals, callee names and legacy unquoted format arguments.
  */
-function splitArgs(argsStr) {
-  const args = []
-  let current = ''
-  let depth = 0
-  let inQuote = false
-  let quoteChar = ''
-
-  for (let i = 0; i < argsStr.length; i++) {
-    const ch = argsStr[i]
-    if (inQuote) {
-      current += ch
-      if (ch === quoteChar) inQuote = false
-      continue
-    }
-    if (ch === '"' || ch === "'") {
-      inQuote = true
-      quoteChar = ch
-      current += ch
-      continue
-    }
-    if (ch === '(') { depth++; current += ch; continue }
-    if (ch === ')') { depth--; current += ch; continue }
-    if (ch === ',' && depth === 0) {
-      args.push(current)
-      current = ''
-      continue
-    }
-    current += ch
+function collectColumns(node, cols) {
+  switch (node.type) {
+    case 'Column':
+      // A bare name is always a column lookup, even when it matches a
+      // function alias (serie, lot, iva...): only Call callees are functions
+      if (DATE_FORMAT_TOKEN.test(node.name)) return
+      if (!cols.includes(node.name)) cols.push(node.name)
+      return
+
+    case 'Raw':
+      // Unparsed text is either a column name with spaces or a literal
+      // such as AAMM-#### or DD MMM AAAA; only keep the former
+      if (node.text.split(/[\s.-]+/).every(word => DATE_FORMAT_TOKEN.test(word))) return
+      if (/^[\p{L}\p{N}_ .-]+$/u.test(node.text) && !cols.includes(node.text)) cols.push(node.text)
+      return
+
+    case 'Call':
+      node.args.forEach(arg => collectColumns(arg, cols))
+      return
+
+    case 'Binary':
+      collectColumns(node.left, cols)
+      collectColumns(node.right, cols)
+      return
+
+    case 'Unary':
+      collectColumns(node.operand, cols)
+      return
+
+    default:
+      // Number / String literals
+      return
   }
-  if (current.trim()) args.push(current)
-  return args
 }
 
 /**
@@ -134,25 +105,38 @@ export function downloadTemplate(design) {
   const defaultLang = design.default_language || 'es'
   const nonDefaultLangs = languages.filter(l => l !== defaultLang)
 
-  // 1. Collect unique column names from bound elements only
+  // 1. Collect unique column names from bound elements and from the
+  // visible_if conditions, style bindings and Digital Link AIs
   // Elements without binding use static translations (managed in the editor's Translate panel)
   const columnSet = new Set()
   const elementInfo = [] // Track which elements use which columns
 
   for (const el of elements) {
-    if (!el.binding || el.binding.trim() === '') continue
-
-    if (el.binding.includes('{{')) {
-      // Expression mode — extract column references
-      const cols = extractColumnsFromExpression(el.binding)
-      for (const c of cols) {
-        columnSet.add(c)
-        elementInfo.push({ column: c, element: el.name || el.id, type: 'expresión' })
+    const bindingCols = []
+    if (el.binding && el.binding.trim() !== '') {
+      if (el.binding.includes('{{')) {
+        // Expression mode — extract column references
+        const cols = extractColumnsFromExpression(el.binding)
+        for (const c of cols) {
+          columnSet.add(c)
+          bindingCols.push(c)
+          elementInfo.push({ column: c, element: el.name || el.id, type: 'expresión' })
+        }
+      } else {
+        // Direct column binding
+        columnSet.add(el.binding)
+        bindingCols.push(el.binding)
+        elementInfo.push({ column: el.binding, element: el.name || el.id, type: 'columna' })
       }
-    } else {
-      // Direct column binding
-      columnSet.add(el.binding)
-      elementInfo.push({ column: el.binding, element: el.name || el.id, type: 'columna' })
+    }
+
+    // Columns read only by the element's condition, styles or Digital Link
+    const cols = []
+    elementExpressions(el).forEach(expr => collectExpressionColumns(expr, cols))
+    for (const c of cols) {
+      if (bindingCols.includes(c)) continue
+      columnSet.add(c)
+      elementInfo.push({ column: c, element: el.name || el.id, type: 'expresión' })
     }
   }
 
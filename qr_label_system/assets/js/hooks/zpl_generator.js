@@ -5,7 +5,10 @@
  * Uses expression_engine.js for resolving bindings and expressions.
  */
 
-import { resolveText, resolveCodeValue } from './expression_engine'
+import { resolveText, resolveCodeValue, isElementVisible, applyStyleBindings, createBatch } from './expression_engine'
+import { hasMarkup, parseRuns, stripMarkup, wrapRuns } from './rich_text'
+import { barcodeContent } from './barcode_generator'
+import { GS, buildElementString, parseElementString } from './gs1'
 
 // Dots per mm for each DPI setting
 const DPI_MAP = { 203: 8, 300: 12, 600: 24 }
@@ -17,7 +20,7 @@ const AVG_CHAR_WIDTH_RATIO = 0.6
  * Generate ZPL for a single label.
  * @param {object} design - Design object with elements, width_mm, height_mm
  * @param {object} row - Data row (column name → value)
- * @param {object} opts - Options: { dpi, rowIndex, batchSize, mapping }
+ * @param {object} opts - Options: { dpi, rowIndex, batchSize, mapping, now, seed, batch, lookups, holidays, dateFormat, timeZone, serials }
  * @returns {string} ZPL code for one label
  */
 export function generateZpl(design, row = {}, opts = {}) {
@@ -28,13 +31,17 @@ export function generateZpl(design, row = {}, opts = {}) {
   const mapping = opts.mapping || {}
   const language = opts.language || null
   const defaultLanguage = opts.defaultLanguage || 'es'
-  const context = { rowIndex, batchSize, now: new Date(), language, defaultLanguage }
+  const context = {
+    rowIndex, batchSize, now: opts.now || new Date(), seed: opts.seed, batch: opts.batch, lookups: opts.lookups, holidays: opts.holidays,
+    dateFormat: opts.dateFormat, timeZone: opts.timeZone, language, defaultLanguage, serials: opts.serials
+  }
 
   const wDots = mmToDots(design.width_mm, dpmm)
   const hDots = mmToDots(design.height_mm, dpmm)
 
   const elements = (design.elements || [])
-    .slice()
+    .filter(el => isElementVisible(el, row, context))
+    .map(el => applyStyleBindings(el, row, context))
     .sort((a, b) => (a.z_index || 0) - (b.z_index || 0))
 
   const elementsZpl = elements
@@ -49,13 +56,21 @@ export function generateZpl(design, row = {}, opts = {}) {
  * Generate ZPL for a batch of labels (concatenated).
  * @param {object} design - Design object
  * @param {Array} rows - Array of data rows
- * @param {object} opts - Options: { dpi, mapping }
+ * @param {object} opts - Options: { dpi, mapping, now, seed, batch, lookups, holidays, dateFormat, timeZone, rowSerials }
+ *   batch: createBatch(rows), created here when not given
+ *   lookups: createLookups(tables) for BUSCARV()
+ *   rowSerials: per-row SERIE() values reserved by serial_counters.js
  * @returns {string} Concatenated ZPL
  */
 export function generateBatchZpl(design, rows, opts = {}) {
   const batchSize = rows.length
+  const now = opts.now || new Date()
+  const batch = opts.batch || createBatch(rows)
   return rows
-    .map((row, idx) => generateZpl(design, row, { ...opts, rowIndex: idx, batchSize }))
+    .map((row, idx) => generateZpl(design, row, {
+      ...opts, rowIndex: idx, batchSize, now, batch,
+      serials: opts.rowSerials ? opts.rowSerials[idx] : undefined
+    }))
     .join('\n')
 }
 
@@ -80,8 +95,8 @@ function elementToZpl(element, row, context, dpmm, mapping) {
 // ── Text ─────────────────────────────────────────────────────
 
 function textToZpl(element, row, context, x, y, dpmm, mapping) {
-  let text = resolveText(element, row, mapping, context)
-  text = escapeZpl(text)
+  const richText = resolveText(element, row, mapping, context)
+  const text = escapeZpl(stripMarkup(richText))
 
   // Font height in dots (canvas font_size is in px at 6px/mm)
   let fontH = mmToDots((element.font_size || 10) / 6, dpmm)
@@ -97,7 +112,56 @@ function textToZpl(element, row, context, x, y, dpmm, mapping) {
   const fontW = fontH
   const rot = rotationToZpl(element.rotation)
 
-  return `^FO${x},${y}^A0${rot},${fontH},${fontW}^FD${text}^FS`
+  // Monochrome: a dark background prints as a black box with the text
+  // reversed (^FR) out of it
+  const reverse = isDarkColor(element.background_color)
+  let box = ''
+  if (reverse) {
+    const boxW = mmToDots(element.width || 60, dpmm)
+    const boxH = element.height ? mmToDots(element.height, dpmm) : Math.round(fontH * 1.2)
+    box = `^FO${x},${y}^GB${boxW},${boxH},${Math.min(boxW, boxH)}^FS\n`
+  }
+
+  // Styled runs (unrotated only): one field per run
+  if (hasMarkup(richText) && rot === 'N') {
+    return box + richTextToZpl(richText, element, x, y, fontH, dpmm, reverse)
+  }
+
+  return box + `^FO${x},${y}^A0${rot},${fontH},${fontW}${reverse ? '^FR' : ''}^FD${text}^FS`
+}
+
+/**
+ * Marked-up text as one ^FO field per run, wrapped with the average
+ * character width. Font 0 has no bold variant, so bold runs are printed
+ * twice with a small offset; reversed text can't be double-struck (the
+ * second ^FR pass would undo the first) and stays regular.
+ */
+function richTextToZpl(richText, element, x, y, fontH, dpmm, reverse) {
+  const charW = Math.max(Math.round(fontH * AVG_CHAR_WIDTH_RATIO), 1)
+  const boxW = mmToDots(element.width || 60, dpmm)
+  const lineH = Math.round(fontH * 1.2)
+  const strike = Math.max(Math.round(fontH / 20), 1)
+  const allBold = element.font_weight === 'bold'
+  const lines = wrapRuns(parseRuns(richText), boxW, text => text.length * charW)
+
+  const fields = []
+  lines.forEach((line, i) => {
+    const lineW = line.reduce((sum, run) => sum + run.width, 0)
+    let cx = x
+    if (element.text_align === 'center') cx += Math.round((boxW - lineW) / 2)
+    else if (element.text_align === 'right') cx += boxW - lineW
+
+    const cy = y + i * lineH
+    for (const run of line) {
+      const data = escapeZpl(run.text)
+      fields.push(`^FO${cx},${cy}^A0N,${fontH},${fontH}${reverse ? '^FR' : ''}^FD${data}^FS`)
+      if ((run.bold || allBold) && !reverse) {
+        fields.push(`^FO${cx + strike},${cy}^A0N,${fontH},${fontH}^FD${data}^FS`)
+      }
+      cx += run.width
+    }
+  })
+  return fields.join('\n')
 }
 
 function calcAutoFitFontDots(text, boxW, boxH, fontH, minFontH) {
@@ -118,7 +182,8 @@ function calcAutoFitFontDots(text, boxW, boxH, fontH, minFontH) {
 // ── Barcodes ─────────────────────────────────────────────────
 
 function barcodeToZpl(element, row, context, x, y, dpmm, mapping) {
-  let data = resolveCodeValue(element, row, mapping, context)
+  const value = resolveCodeValue(element, row, mapping, context)
+  let data = barcodeContent(value, element)
   data = escapeZpl(data)
   const h = mmToDots(element.height || 10, dpmm)
   const rot = rotationToZpl(element.rotation)
@@ -158,6 +223,17 @@ function barcodeToZpl(element, row, context, x, y, dpmm, mapping) {
     }
     case 'MAXICODE':
       return `^FO${x},${y}^BD${rot},1,Y^FD${data}^FS`
+    case 'GS1_DATAMATRIX': {
+      // ECC 200 with "_" as escape character: "_1" is FNC1, both leading
+      // (GS1 mode) and as separator after variable-length AIs
+      const mag = Math.max(Math.floor(h / 20), 1)
+      const gs1 = escapeZpl(gs1RawData(value)).replace(/_/g, '_d095').split(GS).join('_1')
+      return `^FO${x},${y}^BXN,${mag},200,,,,_^FD_1${gs1}^FS`
+    }
+    case 'GS1_QR':
+      // ^BQ has no FNC1 mode: the symbol would be a plain QR that GS1
+      // scanners reject. The LiveViews refuse ZPL for these designs first.
+      throw new Error('GS1 QR no se puede generar en ZPL: descarga el PDF o usa GS1 DataMatrix')
     case 'POSTNET':
       return `^FO${x},${y}^BZ${rot},${h},${showText},N^FD${data}^FS`
     case 'PLANET':
@@ -173,6 +249,16 @@ function barcodeToZpl(element, row, context, x, y, dpmm, mapping) {
   }
 }
 
+// GS1 element string (bracketed or raw) as raw AI data with GS separators;
+// content that doesn't parse is sent unchanged
+function gs1RawData(value) {
+  try {
+    return buildElementString(parseElementString(value), { raw: true })
+  } catch (_e) {
+    return String(value == null ? '' : value)
+  }
+}
+
 // ── QR Code ──────────────────────────────────────────────────
 
 function qrToZpl(element, row, context, x, y, dpmm, mapping) {
@@ -200,6 +286,9 @@ function rectangleToZpl(element, x, y, dpmm) {
   let border = mmToDots(element.border_width || 0.5, dpmm)
   border = Math.max(border, 1)
 
+  // Dark fill: a border as thick as the box fills it
+  if (isDarkColor(element.background_color)) border = Math.min(w, h)
+
   return `^FO${x},${y}^GB${w},${h},${border}^FS`
 }
 
@@ -234,6 +323,15 @@ function mmToDots(mm, dpmm) {
   return Math.round(mm * dpmm)
 }
 
+// Colors that a thermal printer should print black (relative luminance < 0.5)
+function isDarkColor(color) {
+  const match = /^#([0-9a-f]{3}|[0-9a-f]{6})([0-9a-f]{2})?$/i.exec(color || '')
+  if (!match) return false
+  const hex = match[1].length === 3 ? match[1].replace(/./g, c => c + c) : match[1]
+  const [r, g, b] = [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16) / 255)
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b < 0.5
+}
+
 function rotationToZpl(deg) {
   if (deg == null || typeof deg !== 'number') return 'N'
   let normalized = Math.round(deg) % 360
@@ -45,6 +45,54 @@ defmodule QrLabelSystem.Audit do
     :ok
   end
 
+  @print_actions ~w(print_batch export_pdf)
+
+  @doc """
+  Records a finished print run of a design with its batch seed, the seed of
+  UUID(), CODIGO_ALEATORIO() and the other random codes, and the run's clock
+  `now` (ISO 8601, read by HOY() and the UUID v7 timestamp), so the run can
+  be reprinted with identical codes. `output` is "print", "pdf" or "zpl".
+  Seeds that aren't hex strings of up to 64 characters and clocks that
+  aren't ISO 8601 datetimes are not stored.
+
+  Returns the run as last_print_run/1 will return it, or nil when the seed
+  was not stored.
+  """
+  def log_print(design_id, user_id, seed, output, now \\ nil) do
+    action = if output == "pdf", do: "export_pdf", else: "print_batch"
+    now = if valid_now?(now), do: now
+
+    metadata =
+      cond do
+        not valid_seed?(seed) -> %{"output" => output}
+        now -> %{"seed" => seed, "now" => now, "output" => output}
+        true -> %{"seed" => seed, "output" => output}
+      end
+
+    log_async(action, "design", design_id, user_id: user_id, metadata: metadata)
+    if valid_seed?(seed), do: %{seed: seed, now: now}
+  end
+
+  @doc """
+  Seed and clock (`now`, nil for runs logged without one) of the latest
+  print run of a design recorded by log_print/5, or nil.
+  """
+  def last_print_run(design_id) do
+    Repo.one(
+      from l in Log,
+        where:
+          l.resource_type == "design" and l.resource_id == ^design_id and
+            l.action in @print_actions and not is_nil(l.metadata["seed"]),
+        order_by: [desc: l.inserted_at, desc: l.id],
+        limit: 1,
+        select: %{seed: l.metadata["seed"], now: l.metadata["now"]}
+    )
+  end
+
+  defp valid_seed?(seed), do: is_binary(seed) and Regex.match?(~r/^[0-9a-f]{1,64}$/, seed)
+
+  defp valid_now?(now), do: is_binary(now) and match?({:ok, _, _}, DateTime.from_iso8601(now))
+
   @doc """
   Returns audit logs with pagination and filters.
   """
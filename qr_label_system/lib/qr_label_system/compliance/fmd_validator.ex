@@ -55,6 +55,7 @@ defmodule QrLabelSystem.Compliance.FmdValidator do
   defp text_like_element?(_), do: false
 
   defp datamatrix?(%{barcode_format: "DATAMATRIX"}), do: true
+  defp datamatrix?(%{barcode_format: "GS1_DATAMATRIX"}), do: true
   defp datamatrix?(_), do: false
 
   defp detect_fields(text_elements) do
@@ -144,8 +145,8 @@ defmodule QrLabelSystem.Compliance.FmdValidator do
   defp validate_datamatrix([]) do
     [Issue.error("FMD_MISSING_DATAMATRIX",
       "Falta código DataMatrix (obligatorio para FMD)",
-      fix_hint: "Agregue un código DataMatrix con datos GS1 (GTIN + serial + lote + caducidad)",
-      fix_action: %{type: "barcode", name: "DataMatrix FMD", barcode_format: "DATAMATRIX", text_content: "(01)03453120000011(17)261231(10)ABC123(21)SN456789", compliance_role: "datamatrix_fmd"})]
+      fix_hint: "Agregue un código GS1 DataMatrix (GTIN + serial + lote + caducidad)",
+      fix_action: %{type: "barcode", name: "DataMatrix FMD", barcode_format: "GS1_DATAMATRIX", text_content: "(01)03453120000011(17)261231(10)ABC123(21)SN456789", compliance_role: "datamatrix_fmd"})]
   end
 
   defp validate_datamatrix(datamatrix_elements) do
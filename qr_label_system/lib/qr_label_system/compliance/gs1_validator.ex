@@ -18,9 +18,9 @@ defmodule QrLabelSystem.Compliance.Gs1Validator do
   def standard_code, do: "gs1"
 
   @impl true
-  def standard_description, do: "Estándares GS1 para códigos de barras (EAN-13, EAN-8, UPC-A, ITF-14, GS1-128, DataMatrix)"
+  def standard_description, do: "Estándares GS1 para códigos de barras (EAN-13, EAN-8, UPC-A, ITF-14, GS1-128, DataMatrix, GS1 QR)"
 
-  @gs1_barcode_formats ~w(EAN13 EAN8 UPC ITF14 GS1_128 GS1_DATABAR GS1_DATABAR_STACKED GS1_DATABAR_EXPANDED DATAMATRIX)
+  @gs1_barcode_formats ~w(EAN13 EAN8 UPC ITF14 GS1_128 GS1_DATABAR GS1_DATABAR_STACKED GS1_DATABAR_EXPANDED DATAMATRIX GS1_DATAMATRIX GS1_QR)
 
   @impl true
   def validate(%Design{} = design) do
@@ -97,7 +97,15 @@ defmodule QrLabelSystem.Compliance.Gs1Validator do
   end
 
   defp validate_by_format("GS1_128", value, element_id) do
-    validate_gs1_128(value, element_id)
+    validate_gs1_128(value, element_id, "GS1-128")
+  end
+
+  defp validate_by_format("GS1_DATAMATRIX", value, element_id) do
+    validate_gs1_128(value, element_id, "GS1 DataMatrix")
+  end
+
+  defp validate_by_format("GS1_QR", value, element_id) do
+    validate_gs1_128(value, element_id, "GS1 QR")
   end
 
   defp validate_by_format("DATAMATRIX", value, element_id) do
@@ -218,12 +226,12 @@ defmodule QrLabelSystem.Compliance.Gs1Validator do
     end
   end
 
-  # GS1-128 validation
-  defp validate_gs1_128(value, element_id) do
+  # GS1 element string validation (GS1-128, GS1 DataMatrix, GS1 QR)
+  defp validate_gs1_128(value, element_id, label) do
     case Checksum.parse_gs1_128(value) do
       {:ok, []} ->
         [Issue.warning("GS1_128_AI_MANDATORY",
-          "El código GS1-128 debería contener al menos un Application Identifier",
+          "El código #{label} debería contener al menos un Application Identifier",
           element_id: element_id,
           fix_hint: "Agregue datos con formato GS1 AI (ej: 01 + GTIN-14)")]
 
@@ -238,9 +246,9 @@ defmodule QrLabelSystem.Compliance.Gs1Validator do
 
       {:error, _} ->
         [Issue.error("GS1_128_AI_INVALID",
-          "No se pudo parsear el contenido GS1-128",
+          "No se pudo parsear el contenido #{label}",
           element_id: element_id,
-          fix_hint: "Verifique el formato del código GS1-128")]
+          fix_hint: "Verifique el formato del código #{label}")]
     end
   end
 
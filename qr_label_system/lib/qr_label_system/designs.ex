@@ -16,6 +16,7 @@ defmodule QrLabelSystem.Designs do
   alias QrLabelSystem.Compliance
 
   @cache_ttl 30_000  # 30 seconds - reduced to prevent stale data issues
+  @max_serial_reservation 1_000_000  # SERIE() values a single print run may reserve per scope
 
   @doc """
   Returns the list of designs.
@@ -265,6 +266,69 @@ defmodule QrLabelSystem.Designs do
     end
   end
 
+  @doc """
+  Reserves SERIE() values for a print run. `counts` maps each counter scope
+  to the number of values the run consumes; they are added to the design's
+  counters under a row lock, so concurrent callers get disjoint ranges.
+
+  `floors` are counter values the client handed out offline: a counter
+  below its floor is raised to it before reserving.
+
+  Returns `{:ok, starts, design}` with the first reserved value per scope,
+  or `{:error, :invalid_counts}` for scopes that aren't non-empty strings of
+  at most 200 bytes or counts that aren't positive integers.
+  """
+  def reserve_serial_counters(%Design{} = design, counts, floors \\ %{}) do
+    if valid_serial_counts?(counts) do
+      floors = if is_map(floors), do: sanitize_serial_counters(floors), else: %{}
+
+      result =
+        Repo.transaction(fn ->
+          current = Repo.one!(from d in Design, where: d.id == ^design.id, lock: "FOR UPDATE")
+          counters = Map.merge(current.serial_counters || %{}, floors, fn _key, a, b -> max(a, b) end)
+          starts = Map.new(counts, fn {scope, _count} -> {scope, Map.get(counters, scope, 0) + 1} end)
+          counters = Enum.reduce(counts, counters, fn {scope, count}, acc ->
+            Map.update(acc, scope, count, &(&1 + count))
+          end)
+
+          updated =
+            current
+            |> Design.serial_counters_changeset(counters)
+            |> Repo.update!()
+
+          {starts, updated}
+        end)
+
+      case result do
+        {:ok, {starts, updated_design}} ->
+          Cache.delete(:designs, {:design, design.id})
+          Cache.put(:designs, {:design, updated_design.id}, updated_design, ttl: @cache_ttl)
+          {:ok, starts, updated_design}
+
+        error ->
+          error
+      end
+    else
+      {:error, :invalid_counts}
+    end
+  end
+
+  defp valid_serial_counts?(counts) when is_map(counts) and map_size(counts) > 0 do
+    Enum.all?(counts, fn {key, value} ->
+      valid_serial_scope?(key) && is_integer(value) && value > 0 && value <= @max_serial_reservation
+    end)
+  end
+
+  defp valid_serial_counts?(_counts), do: false
+
+  defp valid_serial_scope?(key), do: is_binary(key) && key != "" && byte_size(key) <= 200
+
+  defp sanitize_serial_counters(counters) do
+    counters
+    |> Enum.filter(fn {key, value} -> valid_serial_scope?(key) && is_integer(value) && value >= 0 end)
+    |> Map.new()
+  end
+
   defp content_changed?(attrs) do
     content_keys = ~w(elements groups name description width_mm height_mm
       background_color border_width border_color border_radius)a
@@ -597,8 +661,11 @@ defmodule QrLabelSystem.Designs do
       binding: element.binding,
       qr_error_level: element.qr_error_level,
       qr_logo_size: element.qr_logo_size,
+      qr_mode: element.qr_mode || "text",
+      digital_link: element.digital_link || %{},
       barcode_format: element.barcode_format,
       barcode_show_text: element.barcode_show_text,
+      barcode_fix_check_digit: element.barcode_fix_check_digit || false,
       font_size: element.font_size,
       font_family: element.font_family,
       font_weight: element.font_weight,
@@ -611,10 +678,12 @@ defmodule QrLabelSystem.Designs do
       border_width: element.border_width,
       border_color: element.border_color,
       border_radius: element.border_radius,
+      style_bindings: element.style_bindings || %{},
       image_url: element.image_url,
       image_filename: element.image_filename,
       z_index: element.z_index,
       visible: element.visible,
+      visible_if: element.visible_if,
       locked: element.locked,
       name: element.name,
       group_id: element.group_id,
@@ -709,8 +778,11 @@ defmodule QrLabelSystem.Designs do
       binding: element_data["binding"],
       qr_error_level: element_data["qr_error_level"] || "M",
       qr_logo_size: element_data["qr_logo_size"],
+      qr_mode: element_data["qr_mode"] || "text",
+      digital_link: element_data["digital_link"] || %{},
       barcode_format: element_data["barcode_format"] || "CODE128",
       barcode_show_text: element_data["barcode_show_text"] || false,
+      barcode_fix_check_digit: element_data["barcode_fix_check_digit"] || false,
       font_size: element_data["font_size"] || 10,
       font_family: element_data["font_family"] || "Arial",
       font_weight: element_data["font_weight"] || "normal",
@@ -723,10 +795,12 @@ defmodule QrLabelSystem.Designs do
       border_width: element_data["border_width"] || 0,
       border_color: element_data["border_color"] || "#000000",
       border_radius: element_data["border_radius"],
+      style_bindings: element_data["style_bindings"] || %{},
       image_url: element_data["image_url"],
       image_filename: element_data["image_filename"],
       z_index: element_data["z_index"] || 0,
       visible: if(is_nil(element_data["visible"]), do: true, else: element_data["visible"]),
+      visible_if: element_data["visible_if"],
       locked: element_data["locked"] || false,
       name: element_data["name"],
       group_id: element_data["group_id"],
@@ -50,6 +50,10 @@ defmodule QrLabelSystem.Designs.Design do
     field :languages, {:array, :string}, default: ["es"]
     field :default_language, :string, default: "es"
 
+    # Last reserved value per SERIE() counter scope, e.g. %{"caja" => 120}.
+    # Only written through serial_counters_changeset/2, never by editor saves.
+    field :serial_counters, :map, default: %{}
+
     # Elements on the label
     # IMPORTANT: Using :delete means elements not in the new data will be removed
     # This requires the client to ALWAYS send ALL elements, even unchanged ones
@@ -161,6 +165,7 @@ defmodule QrLabelSystem.Designs.Design do
       compliance_standard: design.compliance_standard,
       languages: design.languages || ["es"],
       default_language: design.default_language || "es",
+      serial_counters: design.serial_counters || %{},
       elements: Enum.map(design.elements || [], &element_to_json/1),
       groups: Enum.map(design.groups || [], &group_to_json/1)
     }
@@ -187,6 +192,7 @@ defmodule QrLabelSystem.Designs.Design do
       compliance_standard: design.compliance_standard,
       languages: design.languages || ["es"],
       default_language: design.default_language || "es",
+      serial_counters: design.serial_counters || %{},
       elements: Enum.map(design.elements || [], &element_to_json_light/1),
       groups: Enum.map(design.groups || [], &group_to_json/1)
     }
@@ -199,6 +205,13 @@ defmodule QrLabelSystem.Designs.Design do
     |> Map.put(:qr_logo_data, nil)
   end
 
+  @doc """
+  Changeset for storing reserved serial counter values.
+  """
+  def serial_counters_changeset(design, counters) when is_map(counters) do
+    change(design, serial_counters: counters)
+  end
+
   def status_changeset(design, status) when status in @valid_statuses do
     design
     |> cast(%{status: status}, [:status])
@@ -228,8 +241,11 @@ defmodule QrLabelSystem.Designs.Design do
       qr_error_level: element.qr_error_level,
       qr_logo_data: element.qr_logo_data,
       qr_logo_size: element.qr_logo_size,
+      qr_mode: element.qr_mode || "text",
+      digital_link: element.digital_link || %{},
       barcode_format: element.barcode_format,
       barcode_show_text: element.barcode_show_text,
+      barcode_fix_check_digit: element.barcode_fix_check_digit || false,
       font_size: element.font_size,
       font_family: element.font_family,
       font_weight: element.font_weight,
@@ -242,10 +258,12 @@ defmodule QrLabelSystem.Designs.Design do
       border_width: element.border_width,
       border_color: element.border_color,
       border_radius: element.border_radius,
+      style_bindings: element.style_bindings || %{},
       image_url: element.image_url,
       # Layer management fields - CRITICAL for persistence
       z_index: element.z_index,
       visible: element.visible,
+      visible_if: element.visible_if,
       locked: element.locked,
       name: element.name,
       # Image data fields
@@ -20,8 +20,9 @@ defmodule QrLabelSystem.Designs.Element do
   @barcode_formats ~w(CODE128 CODE39 EAN13 EAN8 UPC ITF14 pharmacode
     GS1_128 GS1_DATABAR GS1_DATABAR_STACKED GS1_DATABAR_EXPANDED
     CODE93 MSI CODABAR
-    DATAMATRIX PDF417 AZTEC MAXICODE
+    DATAMATRIX PDF417 AZTEC MAXICODE GS1_DATAMATRIX GS1_QR
     POSTNET PLANET ROYALMAIL)
+  @qr_modes ~w(text digital_link)
 
   @primary_key false
   embedded_schema do
@@ -40,10 +41,15 @@ defmodule QrLabelSystem.Designs.Element do
     field :qr_error_level, :string, default: "M"
     field :qr_logo_data, :string       # Base64 encoded logo for QR overlay
     field :qr_logo_size, :float, default: 25.0  # Logo size as % of QR area (5-30)
+    field :qr_mode, :string, default: "text"  # "text" or "digital_link"
+    # GS1 Digital Link: resolver and one expression per AI
+    # %{"domain" => "https://id.gs1.org", "01" => "gtin", "10" => "lote", "17" => "caducidad"}
+    field :digital_link, :map, default: %{}
 
     # Barcode specific
     field :barcode_format, :string, default: "CODE128"
     field :barcode_show_text, :boolean, default: false
+    field :barcode_fix_check_digit, :boolean, default: false  # Replace a wrong EAN/UPC/ITF check digit
 
     # Text specific
     field :font_size, :float, default: 10.0
@@ -61,6 +67,9 @@ defmodule QrLabelSystem.Designs.Element do
     field :border_color, :string, default: "#000000"
     field :border_radius, :float, default: 0.0  # 0=rectangle, 100=ellipse (circle default set in create_default_element)
 
+    # Per-row style expressions: %{"color" => "SI(peligroso == 'si', '#FF0000', '#000000')"}
+    field :style_bindings, :map, default: %{}
+
     # Image specific
     field :image_url, :string
     field :image_data, :string      # Base64 encoded image data
@@ -69,6 +78,7 @@ defmodule QrLabelSystem.Designs.Element do
     # Layer management
     field :z_index, :integer, default: 0
     field :visible, :boolean, default: true
+    field :visible_if, :string  # Expression evaluated per row; falsy hides the element
     field :locked, :boolean, default: false
     field :name, :string  # Friendly name for layer panel
     field :group_id, :string  # Group membership (nil = ungrouped)
@@ -88,13 +98,13 @@ defmodule QrLabelSystem.Designs.Element do
     |> cast(attrs, [
       :id, :type, :x, :y, :width, :height, :rotation,
       :binding,
-      :qr_error_level, :qr_logo_data, :qr_logo_size,
-      :barcode_format, :barcode_show_text,
+      :qr_error_level, :qr_logo_data, :qr_logo_size, :qr_mode, :digital_link,
+      :barcode_format, :barcode_show_text, :barcode_fix_check_digit,
       :font_size, :font_family, :font_weight, :text_align, :text_content,
       :text_auto_fit, :text_min_font_size,
-      :color, :background_color, :border_width, :border_color, :border_radius,
+      :color, :background_color, :border_width, :border_color, :border_radius, :style_bindings,
       :image_url, :image_data, :image_filename,
-      :z_index, :visible, :locked, :name, :group_id, :compliance_role,
+      :z_index, :visible, :visible_if, :locked, :name, :group_id, :compliance_role,
       :translations
     ])
     |> generate_id_if_missing()
@@ -103,6 +113,7 @@ defmodule QrLabelSystem.Designs.Element do
     |> validate_inclusion(:type, @element_types)
     |> validate_barcode_format()
     |> validate_qr_error_level()
+    |> validate_inclusion(:qr_mode, @qr_modes)
     |> validate_qr_logo()
     |> validate_image_data_size()
   end
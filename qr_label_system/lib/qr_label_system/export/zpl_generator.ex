@@ -10,10 +10,19 @@ defmodule QrLabelSystem.Export.ZplGenerator do
   """
 
   alias QrLabelSystem.Export.ExpressionEvaluator
+  alias QrLabelSystem.Compliance.Gs1.Checksum
 
   # Dots per mm for each DPI setting
   @dpi_map %{203 => 8, 300 => 12, 600 => 24}
 
+  # Barcode formats ZPL can't encode: ^BQ has no FNC1 mode, so a GS1 QR
+  # would print as a plain QR that GS1 scanners reject
+  @unsupported_formats ~w(GS1_QR)
+
+  # AIs starting with these digits have a predefined length and never need
+  # an FNC1 separator after them (same table as gs1.js)
+  @predefined_length_ai ~r/^(0[0-4]|1[1-9]|20|3[1-6]|41)/
+
   @doc """
   Generate ZPL for a single label.
 
@@ -50,6 +59,25 @@ defmodule QrLabelSystem.Export.ZplGenerator do
     """
   end
 
+  @doc """
+  Barcode formats used by the design that ZPL can't encode. Callers must
+  refuse the ZPL download when this isn't empty (the design prints as PDF).
+  """
+  def unsupported_formats(design) do
+    (design.elements || [])
+    |> Enum.filter(&(&1.type == "barcode" and &1.barcode_format in @unsupported_formats))
+    |> Enum.map(& &1.barcode_format)
+    |> Enum.uniq()
+  end
+
+  @doc """
+  Error shown when the ZPL download is refused for `unsupported_formats/1`.
+  """
+  def unsupported_message(formats) do
+    "ZPL no admite #{Enum.join(formats, ", ")} (la impresora no codifica FNC1): " <>
+      "descarga el PDF o usa GS1 DataMatrix."
+  end
+
   @doc """
   Generate ZPL for a batch of labels (concatenated).
   """
@@ -133,8 +161,8 @@ defmodule QrLabelSystem.Export.ZplGenerator do
   # ── Barcodes ─────────────────────────────────────────────────
 
   defp barcode_to_zpl(element, row, context, x, y, dpmm) do
-    data = ExpressionEvaluator.resolve_code_value(element, row, context)
-    data = escape_zpl(data)
+    value = ExpressionEvaluator.resolve_code_value(element, row, context)
+    data = escape_zpl(value)
     h = mm_to_dots(element.height || 10, dpmm)
     rot = rotation_to_zpl(element.rotation)
     show_text = if element.barcode_show_text, do: "Y", else: "N"
@@ -172,6 +200,12 @@ defmodule QrLabelSystem.Export.ZplGenerator do
         mag = max(div(h, 20), 1)
         "^FO#{x},#{y}^BXN,#{mag},200^FD#{data}^FS"
 
+      "GS1_DATAMATRIX" ->
+        # ECC 200 with "_" as escape character: "_1" is FNC1, both leading
+        # (GS1 mode) and as separator after variable-length AIs
+        mag = max(div(h, 20), 1)
+        "^FO#{x},#{y}^BXN,#{mag},200,,,,_^FD_1#{gs1_zpl_data(value)}^FS"
+
       "PDF417" ->
         cols = max(div(h, 10), 1)
         "^FO#{x},#{y}^B7#{rot},#{cols},0,0,0,N^FD#{data}^FS"
@@ -183,6 +217,9 @@ defmodule QrLabelSystem.Export.ZplGenerator do
       "MAXICODE" ->
         "^FO#{x},#{y}^BD#{rot},1,Y^FD#{data}^FS"
 
+      f when f in @unsupported_formats ->
+        raise ArgumentError, "#{f} can't be encoded in ZPL (see unsupported_formats/1)"
+
       "POSTNET" ->
         "^FO#{x},#{y}^BZ#{rot},#{h},#{show_text},N^FD#{data}^FS"
 
@@ -198,6 +235,31 @@ defmodule QrLabelSystem.Export.ZplGenerator do
     end
   end
 
+  # GS1 element string as ^BX data with "_" escapes: "(01)…(10)ABC" is sent
+  # raw, with "_1" after variable-length AIs that aren't last
+  defp gs1_zpl_data(value) do
+    raw =
+      case Checksum.parse_gs1_128(to_string(value || "")) do
+        {:ok, [_ | _] = pairs} ->
+          last = length(pairs) - 1
+
+          pairs
+          |> Enum.with_index()
+          |> Enum.map_join(fn {{ai, ai_value}, index} ->
+            variable? = not Regex.match?(@predefined_length_ai, ai)
+            if index < last and variable?, do: ai <> ai_value <> "\x1D", else: ai <> ai_value
+          end)
+
+        _ ->
+          to_string(value || "")
+      end
+
+    raw
+    |> escape_zpl()
+    |> String.replace("_", "_d095")
+    |> String.replace("\x1D", "_1")
+  end
+
   # ── QR Code ──────────────────────────────────────────────────
 
   defp qr_to_zpl(element, row, context, x, y, dpmm) do
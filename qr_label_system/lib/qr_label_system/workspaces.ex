@@ -136,6 +136,34 @@ defmodule QrLabelSystem.Workspaces do
     |> Repo.update()
   end
 
+  @doc """
+  Updates the holiday calendars of a team workspace from their text form
+  (see `Workspace.holidays_changeset/2`).
+  """
+  def update_holiday_calendars(%Workspace{type: "personal"}, _text) do
+    {:error, :personal_workspace_immutable}
+  end
+
+  def update_holiday_calendars(%Workspace{} = workspace, text) do
+    workspace
+    |> Workspace.holidays_changeset(text)
+    |> Repo.update()
+  end
+
+  @doc """
+  Sets the plant time zone of a team workspace
+  (see `Workspace.time_zone_changeset/2`).
+  """
+  def update_time_zone(%Workspace{type: "personal"}, _time_zone) do
+    {:error, :personal_workspace_immutable}
+  end
+
+  def update_time_zone(%Workspace{} = workspace, time_zone) do
+    workspace
+    |> Workspace.time_zone_changeset(%{time_zone: time_zone})
+    |> Repo.update()
+  end
+
   @doc """
   Soft-deletes a team workspace. Personal workspaces cannot be deleted.
   """
@@ -11,6 +11,15 @@ defmodule QrLabelSystem.Workspaces.Workspace do
 
   @types ~w(personal team)
 
+  # IANA zone names shipped with the app (priv/time_zones.txt)
+  @time_zones_path Path.expand("../../../priv/time_zones.txt", __DIR__)
+  @external_resource @time_zones_path
+  @time_zones @time_zones_path
+              |> File.read!()
+              |> String.split("\n", trim: true)
+              |> Enum.reject(&String.starts_with?(&1, "#"))
+              |> MapSet.new()
+
   schema "workspaces" do
     field :name, :string
     field :slug, :string
@@ -18,6 +27,12 @@ defmodule QrLabelSystem.Workspaces.Workspace do
     field :description, :string
     field :deleted_at, :utc_datetime
 
+    # Holiday calendars for SUMAR_DIAS_HABILES: %{"NAME" => ["2026-01-01", ...]}
+    field :holiday_calendars, :map, default: %{}
+
+    # Plant time zone for HOY/AHORA (IANA name); nil uses the browser's clock
+    field :time_zone, :string
+
     belongs_to :owner, QrLabelSystem.Accounts.User
     has_many :memberships, QrLabelSystem.Workspaces.Membership
     has_many :invitations, QrLabelSystem.Workspaces.Invitation
@@ -49,12 +64,88 @@ defmodule QrLabelSystem.Workspaces.Workspace do
     |> validate_length(:description, max: 500)
   end
 
+  @doc """
+  Changeset for holiday calendars, given as text with one calendar per line:
+
+      ES: 2026-01-01, 2026-01-06, 2026-12-25
+      MADRID: 2026-05-02, 2026-05-15
+
+  Calendar names are upper-cased; dates must be YYYY-MM-DD.
+  """
+  def holidays_changeset(workspace, text) when is_binary(text) do
+    case parse_holiday_calendars(text) do
+      {:ok, calendars} ->
+        change(workspace, holiday_calendars: calendars)
+
+      {:error, message} ->
+        workspace
+        |> change()
+        |> add_error(:holiday_calendars, message)
+    end
+  end
+
+  @doc """
+  Changeset for the plant time zone, an IANA name such as "Europe/Madrid"
+  listed in priv/time_zones.txt. A blank value clears it so labels use the
+  printing computer's clock.
+  """
+  def time_zone_changeset(workspace, attrs) do
+    workspace
+    |> cast(attrs, [:time_zone])
+    |> update_change(:time_zone, &(&1 && String.trim(&1)))
+    |> validate_inclusion(:time_zone, @time_zones,
+      message: "no es una zona horaria IANA (p. ej. Europe/Madrid)"
+    )
+  end
+
+  @doc "Holiday calendars as editable text (inverse of holidays_changeset/2)."
+  def holiday_calendars_text(%__MODULE__{holiday_calendars: calendars}) when is_map(calendars) do
+    calendars
+    |> Enum.sort_by(fn {name, _} -> name end)
+    |> Enum.map_join("\n", fn {name, dates} -> "#{name}: #{Enum.join(dates, ", ")}" end)
+  end
+
+  def holiday_calendars_text(_), do: ""
+
   def personal?(%__MODULE__{type: "personal"}), do: true
   def personal?(_), do: false
 
   def team?(%__MODULE__{type: "team"}), do: true
   def team?(_), do: false
 
+  defp parse_holiday_calendars(text) do
+    text
+    |> String.split(~r/\R/, trim: true)
+    |> Enum.map(&String.trim/1)
+    |> Enum.reject(&(&1 == ""))
+    |> Enum.reduce_while({:ok, %{}}, fn line, {:ok, acc} ->
+      with [name, dates] <- String.split(line, ":", parts: 2),
+           name = name |> String.trim() |> String.upcase(),
+           true <- Regex.match?(~r/^[\p{L}\p{N}_]+$/u, name),
+           {:ok, dates} <- parse_holiday_dates(dates) do
+        {:cont, {:ok, Map.update(acc, name, dates, &(Enum.sort(Enum.uniq(&1 ++ dates))))}}
+      else
+        {:error, _} = error -> {:halt, error}
+        _ -> {:halt, {:error, "linea no valida: #{line}"}}
+      end
+    end)
+  end
+
+  defp parse_holiday_dates(text) do
+    text
+    |> String.split(~r/[,;\s]+/, trim: true)
+    |> Enum.reduce_while({:ok, []}, fn value, {:ok, acc} ->
+      case Date.from_iso8601(value) do
+        {:ok, date} -> {:cont, {:ok, [Date.to_iso8601(date) | acc]}}
+        {:error, _} -> {:halt, {:error, "fecha no valida: #{value}"}}
+      end
+    end)
+    |> case do
+      {:ok, dates} -> {:ok, dates |> Enum.uniq() |> Enum.sort()}
+      error -> error
+    end
+  end
+
   defp maybe_generate_slug(changeset) do
     case get_field(changeset, :slug) do
       nil ->
@@ -0,0 +1,45 @@
+defmodule QrLabelSystemWeb.CheckDigitFlash do
+  @moduledoc """
+  Flash for the EAN/UPC/ITF check digit report the print hooks send before
+  printing or downloading. Uncorrected check digits stop the output and are
+  shown as an error; corrected ones are listed as a warning.
+  """
+
+  import Phoenix.LiveView, only: [put_flash: 3]
+
+  @doc """
+  Puts the report's flash on the socket, if there is anything to report.
+  `unit` names what the sample numbers count ("fila" in a data batch,
+  "etiqueta" for single labels).
+  """
+  def put(socket, report, unit \\ "fila")
+
+  def put(socket, %{"errors" => errors} = report, unit) when is_integer(errors) and errors > 0 do
+    put_flash(socket, :error,
+      "#{errors} #{if errors == 1, do: "código tiene", else: "códigos tienen"} un dígito de control incorrecto: " <>
+        samples(report, unit) <>
+        ". Corrige el valor o activa «Corregir dígito de control» en el código de barras.")
+  end
+
+  def put(socket, %{"fixed" => fixed} = report, unit) when is_integer(fixed) and fixed > 0 do
+    put_flash(socket, :info,
+      "Dígito de control corregido en #{fixed} #{if fixed == 1, do: "código", else: "códigos"}: " <> samples(report, unit))
+  end
+
+  def put(socket, _report, _unit), do: socket
+
+  @doc """
+  Whether the report stops the output.
+  """
+  def errors?(%{"errors" => errors}) when is_integer(errors), do: errors > 0
+  def errors?(_report), do: false
+
+  # "fila 3 (EAN) 4006381333932 → 4006381333931; ..."
+  defp samples(%{"samples" => samples}, unit) when is_list(samples) do
+    Enum.map_join(samples, "; ", fn sample ->
+      "#{unit} #{sample["row"]} (#{sample["element"]}) #{sample["value"]} → #{sample["expected"]}"
+    end)
+  end
+
+  defp samples(_report, _unit), do: ""
+end
@@ -7,10 +7,14 @@ defmodule QrLabelSystemWeb.DesignLive.Editor do
   alias QrLabelSystem.Designs.Design
   alias QrLabelSystem.Designs.Versioning
   alias QrLabelSystem.Export.ExpressionEvaluator
+  alias QrLabelSystem.Export.ZplGenerator
   alias QrLabelSystem.Security.FileSanitizer
   alias QrLabelSystem.Settings
   alias QrLabelSystem.Accounts.User
+  alias QrLabelSystem.Audit
   alias QrLabelSystem.Compliance
+  alias QrLabelSystem.Compliance.Gs1.Checksum
+  alias QrLabelSystemWeb.CheckDigitFlash
 
   # Expression pattern definitions for visual builder
   @expression_patterns [
@@ -59,11 +63,23 @@ defmodule QrLabelSystemWeb.DesignLive.Editor do
 
   # Whitelist of allowed fields for element updates (security)
   @allowed_element_fields ~w(x y width height rotation binding qr_error_level
-    qr_logo_data qr_logo_size
-    barcode_format barcode_show_text font_size font_family font_weight
+    qr_logo_data qr_logo_size qr_mode
+    barcode_format barcode_show_text barcode_fix_check_digit font_size font_family font_weight
     text_align text_content text_auto_fit text_min_font_size
     color background_color border_width border_color border_radius
-    z_index visible locked name image_data image_filename group_id compliance_role translations)
+    z_index visible visible_if locked name image_data image_filename group_id compliance_role translations)
+
+  @style_binding_properties ~w(color background_color border_color font_size font_weight)
+
+  # GS1 Digital Link QR: resolver domain and the AIs that can be mapped
+  @digital_link_ais [
+    {"01", "GTIN"},
+    {"10", "Lote"},
+    {"21", "Número de serie"},
+    {"17", "Caducidad"},
+    {"15", "Consumo preferente"}
+  ]
+  @digital_link_keys ["domain" | Enum.map(@digital_link_ais, &elem(&1, 0))]
 
   @impl true
   def mount(%{"id" => id} = params, _session, socket) do
@@ -144,12 +160,15 @@ defmodule QrLabelSystemWeb.DesignLive.Editor do
        |> assign(:expression_visual_mode, :cards)
        |> assign(:expression_builder, %{})
        |> assign(:expression_applied, false)
+       |> assign(:expression_diagnostics, %{})
        |> assign(:collapsed_sections, MapSet.new())
        |> assign(:collapsed_groups, MapSet.new())
        |> assign(:editing_group_id, nil)
        |> assign(:pending_deletes, MapSet.new())
        |> assign(:pending_print_action, nil)
        |> assign(:zpl_dpi, 203)
+       |> assign(:last_print_run, Audit.last_print_run(design.id))
+       |> assign(:reprint_last_seed, false)
        |> assign(:show_versions, false)
        |> assign(:versions, [])
        |> then(fn s ->
@@ -191,7 +210,10 @@ defmodule QrLabelSystemWeb.DesignLive.Editor do
     else
       socket = socket
         |> assign(:canvas_loaded, true)
-        |> push_event("load_design", %{design: Design.to_json(socket.assigns.design)})
+        |> push_event("load_design", %{
+          design: Design.to_json(socket.assigns.design),
+          columns: socket.assigns.available_columns
+        })
 
       # If ETS has no data (e.g. server restarted), ask browser to check IndexedDB
       socket = if socket.assigns.upload_total_rows == 0 do
@@ -207,6 +229,13 @@ defmodule QrLabelSystemWeb.DesignLive.Editor do
     end
   end
 
+  # Expression lint results computed client-side by CanvasDesigner (analyze/2 in
+  # expression_engine.js), keyed by element id
+  @impl true
+  def handle_event("expression_diagnostics", %{"diagnostics" => diagnostics}, socket) when is_map(diagnostics) do
+    {:noreply, assign(socket, :expression_diagnostics, diagnostics)}
+  end
+
   @valid_element_types ~w(qr barcode text line rectangle image circle)
 
   @impl true
@@ -432,7 +461,7 @@ defmodule QrLabelSystemWeb.DesignLive.Editor do
           |> Map.put("height", value)
 
         # When switching barcode format to 2D, force square dimensions
-        field == "barcode_format" and value in ~w(DATAMATRIX AZTEC MAXICODE) ->
+        field == "barcode_format" and value in ~w(DATAMATRIX AZTEC MAXICODE GS1_DATAMATRIX GS1_QR) ->
           current_w = Map.get(socket.assigns.selected_element, :width) || Map.get(socket.assigns.selected_element, "width") || 20.0
           current_h = Map.get(socket.assigns.selected_element, :height) || Map.get(socket.assigns.selected_element, "height") || 20.0
           side = max(min(current_w, current_h), 20.0)
@@ -457,8 +486,8 @@ defmodule QrLabelSystemWeb.DesignLive.Editor do
       # Fields that cause element recreation in canvas (QR/barcode regeneration)
       # For these, we need to preserve selection through the save cycle
       recreating_fields = ["binding", "color", "background_color", "text_content",
-                          "qr_error_level", "qr_logo_data", "qr_logo_size",
-                          "barcode_show_text", "barcode_format"]
+                          "qr_error_level", "qr_logo_data", "qr_logo_size", "qr_mode",
+                          "barcode_show_text", "barcode_fix_check_digit", "barcode_format"]
 
       # For QR, push both width and height updates
       socket = cond do
@@ -493,7 +522,7 @@ defmodule QrLabelSystemWeb.DesignLive.Editor do
 
           socket = cond do
             # When switching to 2D format, push square dimensions before the format change
-            field == "barcode_format" and value in ~w(DATAMATRIX AZTEC MAXICODE) ->
+            field == "barcode_format" and value in ~w(DATAMATRIX AZTEC MAXICODE GS1_DATAMATRIX GS1_QR) ->
               side = Map.get(updated_element, :width) || Map.get(updated_element, "width") || 20.0
               socket
               |> push_event("update_element_property", %{id: element_id, field: "width", value: side})
@@ -530,6 +559,65 @@ defmodule QrLabelSystemWeb.DesignLive.Editor do
     {:noreply, socket}
   end
 
+  # Style bindings: one expression per style property, evaluated per row by
+  # the renderers. An empty value removes the binding.
+  @impl true
+  def handle_event("update_style_binding", %{"property" => property, "value" => value}, socket)
+      when property in @style_binding_properties do
+    if socket.assigns.selected_element do
+      element = socket.assigns.selected_element
+      element_id = Map.get(element, :id) || Map.get(element, "id")
+      current = Map.get(element, :style_bindings) || Map.get(element, "style_bindings") || %{}
+
+      bindings =
+        case String.trim(value) do
+          "" -> Map.delete(current, property)
+          expression -> Map.put(current, property, expression)
+        end
+
+      {:noreply,
+       socket
+       |> assign(:selected_element, Map.put(element, :style_bindings, bindings))
+       |> push_event("update_element_property", %{id: element_id, field: "style_bindings", value: bindings})}
+    else
+      {:noreply, socket}
+    end
+  end
+
+  def handle_event("update_style_binding", _params, socket) do
+    {:noreply, socket}
+  end
+
+  # GS1 Digital Link mapping of a QR element: the resolver domain and one
+  # expression per AI. An empty value removes the key.
+  @impl true
+  def handle_event("update_digital_link", %{"key" => key, "value" => value}, socket)
+      when key in @digital_link_keys do
+    if socket.assigns.selected_element do
+      element = socket.assigns.selected_element
+      element_id = Map.get(element, :id) || Map.get(element, "id")
+      current = Map.get(element, :digital_link) || Map.get(element, "digital_link") || %{}
+
+      mapping =
+        case String.trim(value) do
+          "" -> Map.delete(current, key)
+          trimmed -> Map.put(current, key, trimmed)
+        end
+
+      {:noreply,
+       socket
+       |> assign(:selected_element, Map.put(element, :digital_link, mapping))
+       |> assign(:pending_selection_id, element_id)
+       |> push_event("update_element_property", %{id: element_id, field: "digital_link", value: mapping})}
+    else
+      {:noreply, socket}
+    end
+  end
+
+  def handle_event("update_digital_link", _params, socket) do
+    {:noreply, socket}
+  end
+
   @impl true
   def handle_event("set_content_mode", %{"mode" => mode}, socket) do
     # Tabs are UI-only: no binding changes, no push_event to canvas.
@@ -1406,8 +1494,11 @@ defmodule QrLabelSystemWeb.DesignLive.Editor do
      |> push_event("set_preview_language", %{
        language: socket.assigns.preview_language,
        default_language: design.default_language || "es",
+       holidays: workspace_holidays(socket),
+       time_zone: workspace_time_zone(socket),
        row: preview_data,
-       mapping: mapping
+       mapping: mapping,
+       columns: cols
      })
 
     {:noreply, socket}
@@ -1570,8 +1661,11 @@ defmodule QrLabelSystemWeb.DesignLive.Editor do
      |> push_event("set_preview_language", %{
        language: lang,
        default_language: socket.assigns.design.default_language || "es",
+       holidays: workspace_holidays(socket),
+       time_zone: workspace_time_zone(socket),
        row: socket.assigns.preview_data,
-       mapping: build_auto_mapping(socket.assigns.design.elements || [], socket.assigns.preview_data)
+       mapping: build_auto_mapping(socket.assigns.design.elements || [], socket.assigns.preview_data),
+       columns: socket.assigns.available_columns
      })}
   end
 
@@ -1698,7 +1792,7 @@ defmodule QrLabelSystemWeb.DesignLive.Editor do
               |> maybe_put(params, "compliance_role")
 
             # 2D barcode formats (DataMatrix, PDF417, etc.) need square dimensions
-            new_el = if params["barcode_format"] in ~w(DATAMATRIX AZTEC MAXICODE) do
+            new_el = if params["barcode_format"] in ~w(DATAMATRIX AZTEC MAXICODE GS1_DATAMATRIX GS1_QR) do
               %{new_el | width: 20.0, height: 20.0}
             else
               new_el
@@ -1762,13 +1856,29 @@ defmodule QrLabelSystemWeb.DesignLive.Editor do
     end
   end
 
+  # The print hook reports wrong EAN/UPC/ITF check digits found in the batch.
+  # Uncorrected ones stop the print; corrected ones are listed as a warning.
   @impl true
-  def handle_event("generation_complete", _params, socket) do
+  def handle_event("generation_complete", %{"check_digits" => %{"errors" => errors} = report}, socket)
+      when is_integer(errors) and errors > 0 do
+    {:noreply,
+     socket
+     |> assign(:pending_print_action, nil)
+     |> CheckDigitFlash.put(report)}
+  end
+
+  def handle_event("generation_complete", %{"check_digits" => %{"fixed" => fixed} = report} = params, socket)
+      when is_integer(fixed) and fixed > 0 do
+    handle_event("generation_complete", Map.delete(params, "check_digits"), CheckDigitFlash.put(socket, report))
+  end
+
+  def handle_event("generation_complete", params, socket) do
     case socket.assigns[:pending_print_action] do
       :print ->
         {:noreply,
          socket
          |> assign(:pending_print_action, nil)
+         |> record_print(params, "print")
          |> push_event("print_labels", %{})}
 
       :pdf ->
@@ -1776,6 +1886,7 @@ defmodule QrLabelSystemWeb.DesignLive.Editor do
         {:noreply,
          socket
          |> assign(:pending_print_action, nil)
+         |> record_print(params, "pdf")
          |> push_event("export_pdf", %{filename: "etiquetas-#{design.name}.pdf"})}
 
       _ ->
@@ -1783,11 +1894,37 @@ defmodule QrLabelSystemWeb.DesignLive.Editor do
     end
   end
 
+  # The print hook couldn't generate the batch or the ZPL file (e.g. the
+  # SERIE() reservation failed or timed out)
+  @impl true
+  def handle_event("print_failed", params, socket) do
+    {:noreply,
+     socket
+     |> assign(:pending_print_action, nil)
+     |> put_flash(:error, print_failed_message(params))}
+  end
+
   @impl true
   def handle_event("print_recorded", %{"count" => count}, socket) do
     {:noreply, put_flash(socket, :info, "#{count} etiquetas enviadas a impresión")}
   end
 
+  # Called by the print hook before generating a batch: reserves the SERIE()
+  # values it will print and replies with the first value of each range
+  @impl true
+  def handle_event("reserve_serials", %{"counts" => counts} = params, socket) do
+    case Designs.reserve_serial_counters(socket.assigns.design, counts, Map.get(params, "floors", %{})) do
+      {:ok, starts, updated} ->
+        # Only take the counters; the editor's design may hold unsaved changes
+        {:reply, %{starts: starts, counters: updated.serial_counters},
+         assign(socket, :design, %{socket.assigns.design | serial_counters: updated.serial_counters})}
+
+      {:error, _} ->
+        message = "No se pudieron reservar los números de serie"
+        {:reply, %{error: message}, put_flash(socket, :error, message)}
+    end
+  end
+
   @impl true
   def handle_event("set_zpl_dpi", %{"dpi" => dpi_str}, socket) do
     dpi = case Integer.parse(dpi_str) do
@@ -1799,31 +1936,54 @@ defmodule QrLabelSystemWeb.DesignLive.Editor do
 
   @impl true
   def handle_event("download_zpl", _params, socket) do
-    if print_blocked?(socket) do
-      {:noreply, put_flash(socket, :error, "Este diseno requiere aprobacion antes de generar ZPL.")}
-    else
-    design = socket.assigns.design
-    user_id = socket.assigns.current_user.id
-    dpi = socket.assigns.zpl_dpi
+    unsupported = ZplGenerator.unsupported_formats(socket.assigns.design)
 
-    # Generate ZPL entirely client-side — no data round-trip through server
-    {:noreply,
-     push_event(socket, "generate_zpl_client", %{
-       design: Design.to_json_light(design),
-       dpi: dpi,
-       user_id: user_id,
-       design_id: design.id,
-       mapping: build_auto_mapping(design.elements || [], socket.assigns.preview_data),
-       language: socket.assigns.preview_language,
-       default_language: design.default_language || "es"
-     })}
+    cond do
+      print_blocked?(socket) ->
+        {:noreply, put_flash(socket, :error, "Este diseno requiere aprobacion antes de generar ZPL.")}
+
+      unsupported != [] ->
+        {:noreply, put_flash(socket, :error, ZplGenerator.unsupported_message(unsupported))}
+
+      true ->
+        design = socket.assigns.design
+        user_id = socket.assigns.current_user.id
+        dpi = socket.assigns.zpl_dpi
+
+        # Generate ZPL entirely client-side — no data round-trip through server
+        {:noreply,
+         push_event(socket, "generate_zpl_client", Map.merge(%{
+           design: Design.to_json_light(design),
+           dpi: dpi,
+           user_id: user_id,
+           design_id: design.id,
+           mapping: build_auto_mapping(design.elements || [], socket.assigns.preview_data),
+           language: socket.assigns.preview_language,
+           default_language: design.default_language || "es",
+           holidays: workspace_holidays(socket),
+           time_zone: workspace_time_zone(socket)
+         }, print_run(socket)))}
     end
   end
 
-  # Called by JS when ZPL download completes (for UI feedback)
+  # The ZPL download checks the batch's check digits before writing the file
+  # and stops on uncorrected ones
   @impl true
-  def handle_event("zpl_download_complete", _params, socket) do
-    {:noreply, socket}
+  def handle_event("check_digit_report", %{"check_digits" => report}, socket) when is_map(report) do
+    {:noreply, CheckDigitFlash.put(socket, report)}
+  end
+
+  # Called by JS when ZPL download completes
+  @impl true
+  def handle_event("zpl_download_complete", params, socket) do
+    {:noreply, record_print(socket, params, "zpl")}
+  end
+
+  # The next print run reuses the last run's seed and clock, so its UUID(),
+  # CODIGO_ALEATORIO() and HOY() values come out identical
+  @impl true
+  def handle_event("toggle_reprint_seed", _params, socket) do
+    {:noreply, assign(socket, :reprint_last_seed, !socket.assigns.reprint_last_seed && socket.assigns.last_print_run != nil)}
   end
 
   @impl true
@@ -1855,6 +2015,31 @@ defmodule QrLabelSystemWeb.DesignLive.Editor do
     socket.assigns.approval_required && socket.assigns.design.status != "approved"
   end
 
+  # Seed and clock sent with a print run: the last run's when reprinting,
+  # otherwise nil and the hook creates new ones
+  defp print_run(socket) do
+    case socket.assigns.reprint_last_seed && socket.assigns.last_print_run do
+      %{seed: seed, now: now} -> %{seed: seed, now: now}
+      _ -> %{seed: nil, now: nil}
+    end
+  end
+
+  defp print_failed_message(%{"message" => message}) when is_binary(message) and message != "" do
+    "No se pudo generar la impresión: #{String.slice(message, 0, 200)}"
+  end
+
+  defp print_failed_message(_params), do: "No se pudo generar la impresión"
+
+  # Logs a finished run with its seed and clock, which become the ones
+  # offered for reprints
+  defp record_print(socket, params, output) do
+    run = Audit.log_print(socket.assigns.design.id, socket.assigns.current_user.id, params["seed"], output, params["now"])
+
+    socket
+    |> assign(:last_print_run, run || socket.assigns.last_print_run)
+    |> assign(:reprint_last_seed, false)
+  end
+
   defp push_generate_batch(socket) do
     design = socket.assigns.design
     preview_data = socket.assigns.preview_data
@@ -1879,15 +2064,17 @@ defmodule QrLabelSystemWeb.DesignLive.Editor do
     }
 
     # JS hook reads data from IndexedDB instead of receiving it from server
-    push_event(socket, "generate_batch_from_idb", %{
+    push_event(socket, "generate_batch_from_idb", Map.merge(%{
       design: Design.to_json_light(design),
       column_mapping: column_mapping,
       print_config: print_config,
       user_id: user_id,
       design_id: design.id,
       language: socket.assigns.preview_language,
-      default_language: design.default_language || "es"
-    })
+      default_language: design.default_language || "es",
+      holidays: workspace_holidays(socket),
+      time_zone: workspace_time_zone(socket)
+    }, print_run(socket)))
   end
 
   # ============================================================================
@@ -2031,6 +2218,18 @@ defmodule QrLabelSystemWeb.DesignLive.Editor do
 
   defp compliance_roles_for(_), do: []
 
+  # Style properties that can be bound to expressions, per element type
+  defp style_binding_properties_for("text") do
+    [{"color", "Color"}, {"background_color", "Fondo"}, {"font_size", "Tamaño"}, {"font_weight", "Peso"}]
+  end
+
+  defp style_binding_properties_for(type) when type in ["rectangle", "circle"] do
+    [{"background_color", "Relleno"}, {"border_color", "Borde"}]
+  end
+
+  defp style_binding_properties_for("line"), do: [{"color", "Color"}]
+  defp style_binding_properties_for(_), do: []
+
   defp parse_number(value) when is_binary(value) do
     case Float.parse(value) do
       {num, _} -> num
@@ -2291,6 +2490,7 @@ defmodule QrLabelSystemWeb.DesignLive.Editor do
       "GS1_DATABAR_STACKED" -> digits_only and len in 13..14
       "GS1_DATABAR_EXPANDED" -> len >= 2
       "GS1_128" -> len >= 2
+      f when f in ~w(GS1_DATAMATRIX GS1_QR) -> Checksum.looks_like_gs1?(content)
       "POSTNET" -> digits_only and len in [5, 9, 11]
       "PLANET" -> digits_only and len in [11, 13]
       "ROYALMAIL" -> Regex.match?(~r/^[A-Z0-9]+$/i, content)
@@ -2325,7 +2525,12 @@ defmodule QrLabelSystemWeb.DesignLive.Editor do
           not digits_only -> %{valid: false, hint: "Solo dígitos"}
           len < min -> %{valid: false, hint: "Llevas #{len}, #{falta_n(min - len)} para el mínimo de #{min}"}
           len > max -> %{valid: false, hint: "Llevas #{len}, #{sobra_n(len - max)} del máximo de #{max}"}
-          true -> %{valid: true, hint: "#{len} dígitos ✓"}
+          len == min -> %{valid: true, hint: "#{len} dígitos ✓ · dígito de control: #{Checksum.calculate_check_digit(content)}"}
+          true ->
+            case Checksum.verify_check_digit(content) do
+              :ok -> %{valid: true, hint: "#{len} dígitos ✓ · dígito de control correcto"}
+              {:error, expected} -> %{valid: false, hint: "Dígito de control incorrecto, debería ser #{expected}"}
+            end
         end
 
       "POSTNET" ->
@@ -2346,11 +2551,12 @@ defmodule QrLabelSystemWeb.DesignLive.Editor do
             %{valid: false, hint: "Llevas #{len}, #{falta_n(target - len)} para #{target} dígitos"}
         end
 
-      f when f in ~w(GS1_DATABAR_EXPANDED GS1_128) ->
-        if len < 2 do
-          %{valid: false, hint: "Llevas #{len}, #{falta_n(2 - len)} para el mínimo de 2"}
-        else
-          %{valid: true, hint: "#{len} caracteres ✓"}
+      # Per-AI checks (length, check digit, date) come from the canvas linter
+      f when f in ~w(GS1_DATABAR_EXPANDED GS1_128 GS1_DATAMATRIX GS1_QR) ->
+        case Checksum.parse_gs1_128(content) do
+          {:ok, [_ | _] = ais} -> %{valid: true, hint: "AIs: " <> Enum.map_join(ais, " ", fn {ai, _} -> "(#{ai})" end)}
+          {:error, {:invalid_ai, ai}} -> %{valid: false, hint: "AI no reconocido: #{ai}"}
+          _ -> %{valid: false, hint: "Formato: (01)GTIN(17)AAMMDD(10)lote"}
         end
 
       "MSI" ->
@@ -2448,6 +2654,8 @@ defmodule QrLabelSystemWeb.DesignLive.Editor do
       "PDF417" -> %{name: "PDF417", category: "2D", color: "amber", type: "Código 2D apilado", length: "1 – 1850 caracteres", chars: "Texto libre", usage: "Documentos de identidad, boarding passes"}
       "AZTEC" -> %{name: "Aztec", category: "2D", color: "amber", type: "Código 2D matricial", length: "1 – 3832 caracteres", chars: "Texto libre", usage: "Billetes de transporte, boletos"}
       "MAXICODE" -> %{name: "MaxiCode", category: "2D", color: "amber", type: "Código 2D hexagonal", length: "1 – 93 caracteres", chars: "Texto libre", usage: "Paquetería (UPS), clasificación automática"}
+      "GS1_DATAMATRIX" -> %{name: "GS1 DataMatrix", category: "2D", color: "amber", type: "Código 2D matricial GS1 (FNC1)", length: "Hasta ~2335 caracteres", chars: "AI + datos (FMD: 01, 21, 10, 17)", usage: "Medicamentos (FMD), dispositivos médicos (UDI)"}
+      "GS1_QR" -> %{name: "GS1 QR", category: "2D", color: "amber", type: "Código QR GS1 (FNC1)", length: "Hasta ~4296 caracteres", chars: "AI + datos", usage: "Trazabilidad, información extendida de producto"}
       "POSTNET" -> %{name: "POSTNET", category: "Postal", color: "pink", type: "Código postal de barras", length: "5, 9 u 11 dígitos", chars: "Solo dígitos", usage: "Correo de EE.UU. (USPS)"}
       "PLANET" -> %{name: "PLANET", category: "Postal", color: "pink", type: "Código postal de barras", length: "11 o 13 dígitos", chars: "Solo dígitos", usage: "Rastreo de correo USPS"}
       "ROYALMAIL" -> %{name: "Royal Mail", category: "Postal", color: "pink", type: "Código postal 4-state", length: "Variable", chars: "Alfanumérico (A-Z, 0-9)", usage: "Correo de Reino Unido (Royal Mail)"}
@@ -2863,10 +3071,33 @@ defmodule QrLabelSystemWeb.DesignLive.Editor do
       preview_index: socket.assigns.preview_row_index,
       total_rows: max(socket.assigns.upload_total_rows, 1),
       language: socket.assigns.preview_language,
-      default_language: design.default_language || "es"
+      default_language: design.default_language || "es",
+      holidays: workspace_holidays(socket),
+      time_zone: workspace_time_zone(socket)
     })
   end
 
+  # Holiday calendars of the current workspace, for SUMAR_DIAS_HABILES.
+  # Accepts the socket or the render assigns.
+  defp workspace_holidays(%Phoenix.LiveView.Socket{assigns: assigns}), do: workspace_holidays(assigns)
+
+  defp workspace_holidays(assigns) do
+    case assigns[:current_workspace] do
+      %{holiday_calendars: calendars} when is_map(calendars) -> calendars
+      _ -> %{}
+    end
+  end
+
+  # Plant time zone of the current workspace for HOY/AHORA (nil = browser clock)
+  defp workspace_time_zone(%Phoenix.LiveView.Socket{assigns: assigns}), do: workspace_time_zone(assigns)
+
+  defp workspace_time_zone(assigns) do
+    case assigns[:current_workspace] do
+      %{time_zone: time_zone} when is_binary(time_zone) -> time_zone
+      _ -> nil
+    end
+  end
+
   defp build_auto_mapping(elements, preview_data) do
     columns = Map.keys(preview_data)
 
@@ -3139,6 +3370,7 @@ defmodule QrLabelSystemWeb.DesignLive.Editor do
                     <p class="text-xs text-gray-500">Enviar al navegador</p>
                   </div>
                 </button>
+                <.reprint_toggle last_print_seed={@last_print_run && @last_print_run.seed} active={@reprint_last_seed} class="px-4 py-3 border-t border-gray-100" />
                 <button
                   phx-click="generate_and_download_pdf"
                   class="w-full flex items-center space-x-3 px-4 py-3 hover:bg-red-50 transition text-left border-t border-gray-100"
@@ -3421,7 +3653,7 @@ defmodule QrLabelSystemWeb.DesignLive.Editor do
                     <%= String.capitalize(@selected_element.type) %>
                   </span>
                 </div>
-                <.element_properties element={@selected_element} uploads={@uploads} available_columns={@available_columns} label_type={@design.label_type} design_id={@design.id} show_binding_mode={@show_binding_mode} show_expression_mode={@show_expression_mode} expression_visual_mode={@expression_visual_mode} expression_builder={@expression_builder} expression_applied={@expression_applied} preview_data={@preview_data} collapsed_sections={@collapsed_sections} compliance_standard={@design.compliance_standard} all_elements={@design.elements || []} design={@design} available_languages={@available_languages} preview_language={@preview_language} />
+                <.element_properties element={@selected_element} uploads={@uploads} available_columns={@available_columns} label_type={@design.label_type} design_id={@design.id} show_binding_mode={@show_binding_mode} show_expression_mode={@show_expression_mode} expression_visual_mode={@expression_visual_mode} expression_builder={@expression_builder} expression_applied={@expression_applied} preview_data={@preview_data} collapsed_sections={@collapsed_sections} compliance_standard={@design.compliance_standard} all_elements={@design.elements || []} design={@design} available_languages={@available_languages} preview_language={@preview_language} user_id={@current_user.id} preview_row_index={@preview_row_index} total_rows={@upload_total_rows} holidays={workspace_holidays(assigns)} time_zone={workspace_time_zone(assigns)} expression_diagnostics={Map.get(@expression_diagnostics, Map.get(@selected_element, :id), %{})} />
 
                 <div class="mt-6 pt-4 border-t">
                   <button
@@ -4006,6 +4238,7 @@ defmodule QrLabelSystemWeb.DesignLive.Editor do
             <div
               id="live-preview"
               phx-hook="LabelPreview"
+              data-user-id={@current_user.id}
               phx-update="ignore"
               class="inline-block"
             >
@@ -4047,6 +4280,7 @@ defmodule QrLabelSystemWeb.DesignLive.Editor do
                 <span class="text-gray-400 text-xs"><%= @zpl_dpi %></span>
               </button>
             </div>
+            <.reprint_toggle last_print_seed={@last_print_run && @last_print_run.seed} active={@reprint_last_seed} class="mt-2 px-1 py-1 rounded-lg" />
           </div>
         </div>
       </div>
@@ -4056,6 +4290,25 @@ defmodule QrLabelSystemWeb.DesignLive.Editor do
     """
   end
 
+  # Offers the last print run's seed for the next run (reprint with identical codes)
+  defp reprint_toggle(assigns) do
+    ~H"""
+    <button
+      :if={@last_print_seed}
+      type="button"
+      phx-click="toggle_reprint_seed"
+      class={"w-full flex items-center space-x-3 hover:bg-emerald-50 transition text-left #{@class}"}
+      title={"Semilla #{@last_print_seed}"}
+    >
+      <input type="checkbox" checked={@active} tabindex="-1" class="rounded border-gray-300 text-emerald-600 pointer-events-none" />
+      <div>
+        <p class="text-sm font-medium text-gray-900">Reimprimir última tanda</p>
+        <p class="text-xs text-gray-500">Mismos UUID y códigos aleatorios (semilla <%= String.slice(@last_print_seed, 0, 8) %>…)</p>
+      </div>
+    </button>
+    """
+  end
+
   defp section_header(assigns) do
     ~H"""
     <button type="button" phx-click="toggle_section" phx-value-section={@id}
@@ -4068,6 +4321,33 @@ defmodule QrLabelSystemWeb.DesignLive.Editor do
     """
   end
 
+  # Diagnostics from the client-side expression linter for one field of the
+  # selected element. Offsets are character positions in that field's text
+  # (`binding`), used to quote the fragment.
+  defp expression_diagnostics(assigns) do
+    ~H"""
+    <ul :if={@diagnostics != []} class="space-y-1">
+      <li
+        :for={diag <- @diagnostics}
+        class={"flex items-start gap-1.5 text-xs rounded px-2 py-1 border #{if diag["severity"] == "error", do: "bg-red-50 text-red-700 border-red-200", else: "bg-amber-50 text-amber-700 border-amber-200"}"}
+      >
+        <span class="font-bold">!</span>
+        <span>
+          <%= diag["message"] %>
+          <code :if={diagnostic_fragment(@binding, diag) != ""} class="ml-1 font-mono bg-white/60 rounded px-1"><%= diagnostic_fragment(@binding, diag) %></code>
+        </span>
+      </li>
+    </ul>
+    """
+  end
+
+  defp diagnostic_fragment(binding, %{"start" => start, "end" => stop})
+       when is_binary(binding) and is_integer(start) and is_integer(stop) and stop > start do
+    String.slice(binding, start, stop - start)
+  end
+
+  defp diagnostic_fragment(_binding, _diag), do: ""
+
   defp layer_row(assigns) do
     ~H"""
     <div
@@ -4222,6 +4502,45 @@ defmodule QrLabelSystemWeb.DesignLive.Editor do
               </form>
             </div>
           <% end %>
+          <div>
+            <label class="block text-sm font-medium text-gray-700">Visible si</label>
+            <input
+              type="text"
+              name="value"
+              value={Map.get(@element, :visible_if) || ""}
+              phx-blur="update_element"
+              phx-value-field="visible_if"
+              placeholder="Siempre (ej. alergenos != &quot;&quot;)"
+              class="mt-1 block w-full rounded-md border-gray-300 shadow-sm text-sm font-mono"
+            />
+            <p class="mt-1 text-xs text-gray-500">Expresión evaluada en cada fila; si es falsa el elemento no se imprime</p>
+            <.expression_diagnostics diagnostics={Map.get(@expression_diagnostics, "visible_if", [])} binding={Map.get(@element, :visible_if) || ""} />
+          </div>
+          <% style_props = style_binding_properties_for(@element.type) %>
+          <%= if style_props != [] do %>
+            <% bindings = Map.get(@element, :style_bindings) || %{} %>
+            <div>
+              <label class="block text-sm font-medium text-gray-700">Estilo por datos</label>
+              <div class="mt-1 space-y-1">
+                <%= for {property, label} <- style_props do %>
+                  <div class="flex items-center gap-2">
+                    <span class="w-14 text-xs text-gray-500"><%= label %></span>
+                    <input
+                      type="text"
+                      name="value"
+                      value={Map.get(bindings, property) || ""}
+                      phx-blur="update_style_binding"
+                      phx-value-property={property}
+                      placeholder="Fijo"
+                      class="flex-1 rounded-md border-gray-300 shadow-sm text-xs font-mono py-1"
+                    />
+                  </div>
+                  <.expression_diagnostics diagnostics={Map.get(@expression_diagnostics, "style_bindings.#{property}", [])} binding={Map.get(bindings, property) || ""} />
+                <% end %>
+              </div>
+              <p class="mt-1 text-xs text-gray-500">Ej. SI(peligroso == "si", "#FF0000", "#000000")</p>
+            </div>
+          <% end %>
           <div class="grid grid-cols-3 gap-2">
             <div>
               <label class="block text-xs font-medium text-gray-500">X (mm)</label>
@@ -4364,6 +4683,73 @@ defmodule QrLabelSystemWeb.DesignLive.Editor do
         <div class="border-b border-gray-200">
           <.section_header id="content" title="Contenido" collapsed={MapSet.member?(@collapsed_sections, "content")} />
           <div class={if MapSet.member?(@collapsed_sections, "content"), do: "hidden", else: "pb-3 space-y-3"}>
+            <%= if @element.type == "qr" do %>
+              <% qr_mode = Map.get(@element, :qr_mode) || "text" %>
+              <div class="flex rounded-lg border border-gray-300 overflow-hidden">
+                <%= for {mode, label} <- [{"text", "Texto"}, {"digital_link", "GS1 Digital Link"}] do %>
+                  <button
+                    type="button"
+                    phx-click="update_element"
+                    phx-value-field="qr_mode"
+                    phx-value-value={mode}
+                    class={"flex-1 px-2 py-2 text-xs font-medium transition-colors #{if mode != "text", do: "border-l border-gray-300"} #{if qr_mode == mode, do: "bg-indigo-600 text-white", else: "bg-white text-gray-700 hover:bg-gray-50"}"}
+                  >
+                    <%= label %>
+                  </button>
+                <% end %>
+              </div>
+            <% end %>
+            <%= if @element.type == "qr" and Map.get(@element, :qr_mode) == "digital_link" do %>
+              <% mapping = Map.get(@element, :digital_link) || %{} %>
+              <div>
+                <label class="block text-sm font-medium text-gray-700">Dominio de resolución</label>
+                <input
+                  type="text"
+                  name="value"
+                  value={Map.get(mapping, "domain") || ""}
+                  phx-blur="update_digital_link"
+                  phx-value-key="domain"
+                  placeholder="https://id.gs1.org"
+                  class="mt-1 block w-full rounded-md border-gray-300 shadow-sm text-sm font-mono"
+                />
+              </div>
+              <div>
+                <label class="block text-sm font-medium text-gray-700">Identificadores (AI)</label>
+                <div class="mt-1 space-y-1">
+                  <%= for {ai, label} <- digital_link_ais() do %>
+                    <div class="flex items-center gap-2">
+                      <span class="w-24 text-xs text-gray-500">(<%= ai %>) <%= label %></span>
+                      <input
+                        type="text"
+                        name="value"
+                        value={Map.get(mapping, ai) || ""}
+                        phx-blur="update_digital_link"
+                        phx-value-key={ai}
+                        placeholder={if ai == "01", do: "Obligatorio", else: "Sin usar"}
+                        class="flex-1 rounded-md border-gray-300 shadow-sm text-xs font-mono py-1"
+                      />
+                    </div>
+                  <% end %>
+                </div>
+                <p class="mt-1 text-xs text-gray-500">Columna o expresión, ej. gtin, lote o "L-001"; las fechas se convierten a AAMMDD</p>
+              </div>
+              <div
+                id={"digital-link-preview-#{@element.id}"}
+                phx-hook="DigitalLinkPreview"
+                data-user-id={@user_id}
+                data-design-id={@design_id}
+                data-preview-index={@preview_row_index}
+                data-total-rows={@total_rows}
+                data-language={@preview_language}
+                data-default-language={@design.default_language || "es"}
+                data-holidays={Jason.encode!(@holidays)}
+                data-time-zone={@time_zone}
+                data-digital-link={Jason.encode!(mapping)}
+                class="rounded-md bg-gray-50 border border-gray-200 p-2"
+              >
+                <div id={"digital-link-result-#{@element.id}"} phx-update="ignore" data-role="result"></div>
+              </div>
+            <% else %>
             <%= if @label_type == "multiple" do %>
               <% cm = content_mode(@element, @show_binding_mode, @show_expression_mode) %>
               <!-- Selector de modo (3 tabs) -->
@@ -4464,6 +4850,9 @@ defmodule QrLabelSystemWeb.DesignLive.Editor do
                       Este contenido sera igual en todas las etiquetas
                     </p>
                   <% end %>
+                  <%= if @element.type == "barcode" do %>
+                    <.expression_diagnostics diagnostics={Map.get(@expression_diagnostics, "text_content", [])} binding="" />
+                  <% end %>
 
                 <% :expression -> %>
                   <%= case @expression_visual_mode do %>
@@ -4641,16 +5030,63 @@ defmodule QrLabelSystemWeb.DesignLive.Editor do
                       <% end %>
 
                     <% :advanced -> %>
-                      <form phx-change="update_element">
-                        <input type="hidden" name="field" value="binding" />
-                        <textarea
-                          name="value"
-                          rows="3"
-                          phx-debounce="500"
-                          placeholder={"Ej: Lote: {{lote}} - {{HOY()}}"}
-                          class="block w-full rounded-md border-gray-300 shadow-sm text-sm font-mono"
-                        ><%= Map.get(@element, :binding) || "" %></textarea>
-                      </form>
+                      <div
+                        id={"expression-editor-#{@element.id}"}
+                        phx-hook="ExpressionEditor"
+                        data-user-id={@user_id}
+                        data-design-id={@design_id}
+                        data-preview-index={@preview_row_index}
+                        data-total-rows={@total_rows}
+                        data-language={@preview_language}
+                        data-default-language={@design.default_language || "es"}
+                        data-holidays={Jason.encode!(@holidays)}
+                        data-time-zone={@time_zone}
+                        class="space-y-1"
+                      >
+                        <form phx-change="update_element">
+                          <input type="hidden" name="field" value="binding" />
+                          <div class="relative">
+                            <pre
+                              id={"expression-highlight-#{@element.id}"}
+                              phx-update="ignore"
+                              data-role="highlight"
+                              aria-hidden="true"
+                              class="absolute inset-0 m-0 overflow-hidden pointer-events-none whitespace-pre-wrap break-words rounded-md bg-white border"
+                            ></pre>
+                            <textarea
+                              name="value"
+                              rows="3"
+                              phx-debounce="500"
+                              data-role="input"
+                              spellcheck="false"
+                              autocomplete="off"
+                              placeholder={"Ej: Lote: {{lote}} - {{HOY()}}"}
+                              class="relative block w-full rounded-md border-gray-300 shadow-sm text-sm font-mono"
+                            ><%= Map.get(@element, :binding) || "" %></textarea>
+                          </div>
+                        </form>
+                        <div
+                          id={"expression-suggestions-#{@element.id}"}
+                          phx-update="ignore"
+                          data-role="suggestions"
+                          class="hidden max-h-48 overflow-y-auto bg-white border border-gray-200 rounded-md shadow-sm"
+                        ></div>
+                        <div
+                          id={"expression-signature-#{@element.id}"}
+                          phx-update="ignore"
+                          data-role="signature"
+                          class="hidden px-2 py-1 bg-indigo-50/60 border border-indigo-100 rounded-md"
+                        ></div>
+                        <div
+                          id={"expression-samples-#{@element.id}"}
+                          phx-update="ignore"
+                          data-role="samples"
+                          class="space-y-0.5 px-2 py-1 bg-gray-50 border border-gray-200 rounded-md empty:hidden"
+                        ></div>
+                        <p class="text-[10px] text-gray-400">Ctrl+Espacio: columnas y funciones</p>
+                      </div>
+
+                      <.expression_diagnostics diagnostics={Map.get(@expression_diagnostics, "binding", [])} binding={Map.get(@element, :binding) || ""} />
 
                       <div class="space-y-2">
                         <p class="text-xs font-medium text-gray-500">Insertar funcion:</p>
@@ -4772,6 +5208,7 @@ defmodule QrLabelSystemWeb.DesignLive.Editor do
                         if(not validation.valid, do: "text-red-500 font-medium", else: "text-gray-400")
                       ]}><%= validation.hint %></p>
                     <% end %>
+                    <.expression_diagnostics diagnostics={Map.get(@expression_diagnostics, "text_content", [])} binding="" />
                   </div>
                 <% "text" -> %>
                   <div>
@@ -4792,6 +5229,7 @@ defmodule QrLabelSystemWeb.DesignLive.Editor do
                 <% _ -> %>
               <% end %>
             <% end %>
+            <% end %>
           </div>
         </div>
       <% end %>
@@ -5078,7 +5516,7 @@ defmodule QrLabelSystemWeb.DesignLive.Editor do
                       <% end %>
                     </optgroup>
                     <optgroup label="2D">
-                      <%= for {value, label} <- [{"DATAMATRIX", "DataMatrix"}, {"PDF417", "PDF417"}, {"AZTEC", "Aztec"}, {"MAXICODE", "MaxiCode"}] do %>
+                      <%= for {value, label} <- [{"DATAMATRIX", "DataMatrix"}, {"PDF417", "PDF417"}, {"AZTEC", "Aztec"}, {"MAXICODE", "MaxiCode"}, {"GS1_DATAMATRIX", "GS1 DataMatrix"}, {"GS1_QR", "GS1 QR"}] do %>
                         <% compatible = barcode_format_compatible?(@element.text_content, value) %>
                         <option value={value} selected={@element.barcode_format == value} disabled={not compatible}>
                           <%= label %><%= if not compatible, do: " ✗", else: "" %>
@@ -5132,7 +5570,7 @@ defmodule QrLabelSystemWeb.DesignLive.Editor do
                     </div>
                   </div>
                 <% end %>
-                <%= unless @element.barcode_format in ~w(DATAMATRIX PDF417 AZTEC MAXICODE) do %>
+                <%= unless @element.barcode_format in ~w(DATAMATRIX PDF417 AZTEC MAXICODE GS1_DATAMATRIX GS1_QR) do %>
                   <div class="flex items-center">
                     <form phx-change="update_element">
                       <input type="hidden" name="field" value="barcode_show_text" />
@@ -5149,6 +5587,53 @@ defmodule QrLabelSystemWeb.DesignLive.Editor do
                     </form>
                   </div>
                 <% end %>
+                <%= if @element.barcode_format in ~w(EAN13 EAN8 UPC ITF14 GS1_DATABAR GS1_DATABAR_STACKED) do %>
+                  <div>
+                    <form phx-change="update_element" class="flex items-center">
+                      <input type="hidden" name="field" value="barcode_fix_check_digit" />
+                      <input type="hidden" name="value" value="false" />
+                      <input
+                        type="checkbox"
+                        id="barcode_fix_check_digit"
+                        name="value"
+                        value="true"
+                        checked={Map.get(@element, :barcode_fix_check_digit) in [true, "true"]}
+                        class="rounded border-gray-300"
+                      />
+                      <label for="barcode_fix_check_digit" class="ml-2 text-sm text-gray-700">Corregir dígito de control</label>
+                    </form>
+                    <p class="mt-1 text-xs text-gray-500">Si falta se calcula siempre; si es incorrecto se sustituye y se avisa al imprimir</p>
+                  </div>
+                <% end %>
+                <%= if @element.barcode_format in ~w(GS1_128 GS1_DATABAR_EXPANDED) and @element.barcode_show_text in [true, "true"] do %>
+                  <div>
+                    <label class="block text-sm font-medium text-gray-700">Fuente del texto (HRI)</label>
+                    <div class="mt-1 flex gap-2">
+                      <form phx-change="update_element" class="flex-1">
+                        <input type="hidden" name="field" value="font_family" />
+                        <select name="value" class="block w-full rounded-md border-gray-300 shadow-sm text-sm py-1.5">
+                          <%= for family <- ~w(monospace Arial Helvetica Verdana) ++ ["Courier New"] do %>
+                            <option value={family} selected={@element.font_family == family}><%= family %></option>
+                          <% end %>
+                        </select>
+                      </form>
+                      <form phx-change="update_element">
+                        <input type="hidden" name="field" value="font_size" />
+                        <input
+                          type="number"
+                          name="value"
+                          value={@element.font_size || 10}
+                          min="6"
+                          max="48"
+                          step="1"
+                          phx-debounce="300"
+                          class="w-16 rounded-md border-gray-300 shadow-sm text-sm py-1.5 text-center"
+                        />
+                      </form>
+                    </div>
+                    <p class="mt-1 text-xs text-gray-500">Línea (01)…(17)…(10)… bajo el código</p>
+                  </div>
+                <% end %>
                 <div>
                   <label class="block text-sm font-medium text-gray-700">Color del codigo</label>
                   <input
@@ -5514,6 +5999,7 @@ defmodule QrLabelSystemWeb.DesignLive.Editor do
   # --- Expression visual builder helpers ---
 
   defp expression_patterns, do: @expression_patterns
+  defp digital_link_ais, do: @digital_link_ais
 
   defp get_pattern(id) do
     Enum.find(@expression_patterns, fn p -> p.id == id end)
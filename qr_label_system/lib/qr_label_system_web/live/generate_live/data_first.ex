@@ -57,7 +57,9 @@ defmodule QrLabelSystemWeb.GenerateLive.DataFirst do
      |> assign(:upload_sample_rows, [])
      |> assign(:upload_error, nil)
      |> assign(:pasted_text, "")
-     |> assign(:processing, false)}
+     |> assign(:processing, false)
+     |> assign(:lookup_tables, [])
+     |> assign(:lookup_error, nil)}
   end
 
   defp mount_without_design(socket) do
@@ -74,7 +76,9 @@ defmodule QrLabelSystemWeb.GenerateLive.DataFirst do
      |> assign(:upload_sample_rows, [])
      |> assign(:upload_error, nil)
      |> assign(:pasted_text, "")
-     |> assign(:processing, false)}
+     |> assign(:processing, false)
+     |> assign(:lookup_tables, [])
+     |> assign(:lookup_error, nil)}
   end
 
   @impl true
@@ -112,6 +116,25 @@ defmodule QrLabelSystemWeb.GenerateLive.DataFirst do
     {:noreply, assign(socket, :upload_error, error)}
   end
 
+  # Lookup tables for BUSCARV() live only in IndexedDB; the hook reports them
+  @impl true
+  def handle_event("lookup_tables_loaded", %{"tables" => tables}, socket) do
+    {:noreply,
+     socket
+     |> assign(:lookup_tables, tables)
+     |> assign(:lookup_error, nil)}
+  end
+
+  @impl true
+  def handle_event("lookup_error", %{"error" => error}, socket) do
+    {:noreply, assign(socket, :lookup_error, error)}
+  end
+
+  @impl true
+  def handle_event("remove_lookup_table", %{"name" => name}, socket) do
+    {:noreply, push_event(socket, "delete_lookup_table", %{name: name})}
+  end
+
   @impl true
   def handle_event("update_pasted_text", %{"value" => text}, socket) do
     {:noreply, assign(socket, :pasted_text, text)}
@@ -350,6 +373,8 @@ defmodule QrLabelSystemWeb.GenerateLive.DataFirst do
             </p>
             <input type="file" accept=".xlsx,.xls,.csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet,application/vnd.ms-excel,text/csv,text/plain" class="sr-only" />
           </label>
+
+          <.date_format_select id="data-file-date-format" />
         </div>
 
         <!-- No Data Area -->
@@ -390,6 +415,8 @@ defmodule QrLabelSystemWeb.GenerateLive.DataFirst do
             Pega tus datos aquí. Se detectan automáticamente tabuladores, comas, punto y coma, o espacios como separadores.
           </p>
 
+          <.date_format_select id="data-paste-date-format" />
+
           <form phx-submit="parse_pasted">
             <textarea
               name="value"
@@ -420,6 +447,60 @@ defmodule QrLabelSystemWeb.GenerateLive.DataFirst do
           </div>
         <% end %>
 
+        <!-- Lookup tables for BUSCARV() — client-side via DataFileReader hook -->
+        <div
+          :if={@design_id}
+          id="lookup-table-reader"
+          phx-hook="DataFileReader"
+          data-user-id={@current_user.id}
+          data-design-id={@design_id}
+          data-lookup="true"
+          class="mt-8 bg-white rounded-xl shadow-sm border border-gray-200 p-6"
+        >
+          <h3 class="text-lg font-medium text-gray-900 mb-2">Tablas de búsqueda</h3>
+          <p class="text-sm text-gray-600 mb-4">
+            Datos maestros (productos, alérgenos, caducidades...) que las etiquetas consultan con
+            <code class="font-mono text-indigo-700">BUSCARV("tabla", clave, "columna")</code>.
+            La primera columna de la tabla es la clave.
+          </p>
+
+          <ul :if={@lookup_tables != []} class="mb-4 divide-y divide-gray-100 rounded-lg border border-gray-200">
+            <%= for table <- @lookup_tables do %>
+              <li class="px-4 py-3 flex items-center justify-between">
+                <div>
+                  <span class="font-mono font-medium text-gray-900"><%= table["name"] %></span>
+                  <span class="ml-2 text-sm text-gray-500">
+                    <%= table["total_rows"] %> filas · clave: <%= List.first(table["columns"] || []) %>
+                  </span>
+                </div>
+                <button
+                  type="button"
+                  phx-click="remove_lookup_table"
+                  phx-value-name={table["name"]}
+                  class="text-sm text-red-600 hover:text-red-800"
+                >
+                  Quitar
+                </button>
+              </li>
+            <% end %>
+          </ul>
+
+          <div id="lookup-table-inputs" phx-update="ignore" class="flex items-center gap-3">
+            <input
+              type="text"
+              name="lookup_name"
+              placeholder="Nombre (p. ej. productos)"
+              class="flex-1 rounded-lg border-gray-300 shadow-sm text-sm"
+            />
+            <label class="px-4 py-2 rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 text-sm font-medium cursor-pointer transition">
+              Subir tabla
+              <input type="file" accept=".xlsx,.xls,.csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet,application/vnd.ms-excel,text/csv,text/plain" class="sr-only" />
+            </label>
+          </div>
+
+          <p :if={@lookup_error} class="mt-3 text-sm text-red-600"><%= @lookup_error %></p>
+        </div>
+
         <!-- Data Preview -->
         <%= if @upload_total_rows > 0 do %>
           <div id="data-preview" class="mt-8 bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
@@ -519,4 +600,24 @@ defmodule QrLabelSystemWeb.GenerateLive.DataFirst do
     </div>
     """
   end
+
+  # Read by the DataFileReader hook and stored with the dataset; "auto"
+  # decides the day/month order once for the whole file and accepts Excel
+  # serial numbers.
+  attr :id, :string, required: true
+
+  defp date_format_select(assigns) do
+    ~H"""
+    <div id={@id} phx-update="ignore" class="mt-4 mb-4 flex items-center gap-3">
+      <label for={"#{@id}-select"} class="text-sm font-medium text-gray-700">Formato de fechas</label>
+      <select id={"#{@id}-select"} name="date_format" class="rounded-lg border-gray-300 text-sm">
+        <option value="auto">Automático</option>
+        <option value="DD/MM/AAAA">DD/MM/AAAA</option>
+        <option value="MM/DD/AAAA">MM/DD/AAAA</option>
+        <option value="AAAA-MM-DD">AAAA-MM-DD</option>
+        <option value="DD.MM.AAAA">DD.MM.AAAA</option>
+      </select>
+    </div>
+    """
+  end
 end
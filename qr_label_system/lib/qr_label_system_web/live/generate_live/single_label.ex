@@ -1,9 +1,12 @@
 defmodule QrLabelSystemWeb.GenerateLive.SingleLabel do
   use QrLabelSystemWeb, :live_view
 
+  alias QrLabelSystem.Audit
   alias QrLabelSystem.Designs
   alias QrLabelSystem.Designs.Design
+  alias QrLabelSystem.Export.ZplGenerator
   alias QrLabelSystem.Settings
+  alias QrLabelSystemWeb.CheckDigitFlash
 
   @available_languages [
     {"es", "Español", "🇪🇸"}, {"en", "Inglés", "🇬🇧"}, {"fr", "Francés", "🇫🇷"},
@@ -32,6 +35,8 @@ defmodule QrLabelSystemWeb.GenerateLive.SingleLabel do
        |> assign(:quantity, 1)
        |> assign(:printing, false)
        |> assign(:zpl_dpi, 203)
+       |> assign(:last_print_run, Audit.last_print_run(design.id))
+       |> assign(:reprint_last_seed, false)
        |> assign(:approval_required, Settings.approval_required?())
        |> assign(:generate_language, design.default_language || "es")
        |> assign(:available_languages, @available_languages)
@@ -40,7 +45,9 @@ defmodule QrLabelSystemWeb.GenerateLive.SingleLabel do
          row: %{},
          mapping: %{},
          preview_index: 0,
-         total_rows: 1
+         total_rows: 1,
+         holidays: workspace_holidays(socket),
+         time_zone: workspace_time_zone(socket)
        })}
     end
   end
@@ -53,7 +60,9 @@ defmodule QrLabelSystemWeb.GenerateLive.SingleLabel do
        row: %{},
        mapping: %{},
        preview_index: 0,
-       total_rows: 1
+       total_rows: 1,
+       holidays: workspace_holidays(socket),
+       time_zone: workspace_time_zone(socket)
      })}
   end
 
@@ -74,35 +83,86 @@ defmodule QrLabelSystemWeb.GenerateLive.SingleLabel do
       {:noreply,
        socket
        |> assign(:printing, true)
-       |> push_event("print_single_labels", %{
+       |> push_event("print_single_labels", Map.merge(%{
          design: Design.to_json(socket.assigns.design),
          quantity: socket.assigns.quantity,
          language: socket.assigns.generate_language,
-         default_language: socket.assigns.design.default_language || "es"
-       })}
+         default_language: socket.assigns.design.default_language || "es",
+         holidays: workspace_holidays(socket),
+         time_zone: workspace_time_zone(socket)
+       }, print_run(socket)))}
     end
   end
 
   @impl true
-  def handle_event("print_complete", _params, socket) do
+  def handle_event("print_complete", params, socket) do
     {:noreply,
      socket
      |> assign(:printing, false)
+     |> record_print(params, "print")
      |> put_flash(:info, "Etiquetas generadas correctamente")}
   end
 
+  # The print hook couldn't generate the labels (e.g. the SERIE()
+  # reservation failed or timed out)
+  @impl true
+  def handle_event("print_failed", params, socket) do
+    {:noreply,
+     socket
+     |> assign(:printing, false)
+     |> put_flash(:error, print_failed_message(params))}
+  end
+
+  @impl true
+  def handle_event("pdf_complete", params, socket) do
+    {:noreply, record_print(socket, params, "pdf")}
+  end
+
+  # The next print run reuses the last run's seed and clock, so its UUID(),
+  # CODIGO_ALEATORIO() and HOY() values come out identical
+  @impl true
+  def handle_event("toggle_reprint_seed", _params, socket) do
+    {:noreply, assign(socket, :reprint_last_seed, !socket.assigns.reprint_last_seed && socket.assigns.last_print_run != nil)}
+  end
+
   @impl true
   def handle_event("download_pdf", _params, socket) do
     if print_blocked?(socket) do
       {:noreply, put_flash(socket, :error, "Este diseno requiere aprobacion antes de descargar")}
     else
       {:noreply,
-       push_event(socket, "download_single_pdf", %{
+       push_event(socket, "download_single_pdf", Map.merge(%{
          design: Design.to_json(socket.assigns.design),
          quantity: socket.assigns.quantity,
          language: socket.assigns.generate_language,
-         default_language: socket.assigns.design.default_language || "es"
-       })}
+         default_language: socket.assigns.design.default_language || "es",
+         holidays: workspace_holidays(socket),
+         time_zone: workspace_time_zone(socket)
+       }, print_run(socket)))}
+    end
+  end
+
+  # The print hook checks EAN/UPC/ITF check digits before printing or
+  # downloading; uncorrected ones stop it, corrected ones are a warning
+  @impl true
+  def handle_event("check_digit_report", %{"check_digits" => report}, socket) when is_map(report) do
+    socket = if CheckDigitFlash.errors?(report), do: assign(socket, :printing, false), else: socket
+    {:noreply, CheckDigitFlash.put(socket, report, "etiqueta")}
+  end
+
+  def handle_event("check_digit_report", _params, socket), do: {:noreply, socket}
+
+  # Called by the print hook before generating a batch: reserves the SERIE()
+  # values it will print and replies with the first value of each range
+  @impl true
+  def handle_event("reserve_serials", %{"counts" => counts} = params, socket) do
+    case Designs.reserve_serial_counters(socket.assigns.design, counts, Map.get(params, "floors", %{})) do
+      {:ok, starts, updated} ->
+        {:reply, %{starts: starts, counters: updated.serial_counters}, assign(socket, :design, updated)}
+
+      {:error, _} ->
+        message = "No se pudieron reservar los números de serie"
+        {:reply, %{error: message}, put_flash(socket, :error, message)}
     end
   end
 
@@ -117,26 +177,34 @@ defmodule QrLabelSystemWeb.GenerateLive.SingleLabel do
 
   @impl true
   def handle_event("download_zpl", _params, socket) do
-    if print_blocked?(socket) do
-      {:noreply, put_flash(socket, :error, "Este diseno requiere aprobacion antes de descargar")}
-    else
-      design = socket.assigns.design
-      dpi = socket.assigns.zpl_dpi
-      quantity = socket.assigns.quantity
+    unsupported = ZplGenerator.unsupported_formats(socket.assigns.design)
 
-      rows = List.duplicate(%{}, quantity)
-      zpl_content = QrLabelSystem.Export.ZplGenerator.generate_batch(design, rows, dpi: dpi)
-      filename = "#{design.name || "etiqueta"}-#{dpi}dpi.zpl"
+    cond do
+      print_blocked?(socket) ->
+        {:noreply, put_flash(socket, :error, "Este diseno requiere aprobacion antes de descargar")}
 
-      {:noreply,
-       push_event(socket, "download_file", %{
-         content: zpl_content,
-         filename: filename,
-         mime_type: "application/x-zpl"
-       })}
+      unsupported != [] ->
+        {:noreply, put_flash(socket, :error, ZplGenerator.unsupported_message(unsupported))}
+
+      true ->
+        {:noreply,
+         push_event(socket, "download_single_zpl", Map.merge(%{
+           design: Design.to_json(socket.assigns.design),
+           quantity: socket.assigns.quantity,
+           dpi: socket.assigns.zpl_dpi,
+           language: socket.assigns.generate_language,
+           default_language: socket.assigns.design.default_language || "es",
+           holidays: workspace_holidays(socket),
+           time_zone: workspace_time_zone(socket)
+         }, print_run(socket)))}
     end
   end
 
+  @impl true
+  def handle_event("zpl_complete", params, socket) do
+    {:noreply, record_print(socket, params, "zpl")}
+  end
+
   @impl true
   def handle_event("set_generate_language", %{"lang" => lang}, socket) do
     {:noreply, assign(socket, :generate_language, lang)}
@@ -146,10 +214,51 @@ defmodule QrLabelSystemWeb.GenerateLive.SingleLabel do
     socket.assigns.approval_required && socket.assigns.design.status != "approved"
   end
 
+  # Seed and clock sent with a print run: the last run's when reprinting,
+  # otherwise nil and the hook creates new ones
+  defp print_run(socket) do
+    case socket.assigns.reprint_last_seed && socket.assigns.last_print_run do
+      %{seed: seed, now: now} -> %{seed: seed, now: now}
+      _ -> %{seed: nil, now: nil}
+    end
+  end
+
+  defp print_failed_message(%{"message" => message}) when is_binary(message) and message != "" do
+    "No se pudo generar la impresión: #{String.slice(message, 0, 200)}"
+  end
+
+  defp print_failed_message(_params), do: "No se pudo generar la impresión"
+
+  # Logs a finished run with its seed and clock, which become the ones
+  # offered for reprints
+  defp record_print(socket, params, output) do
+    run = Audit.log_print(socket.assigns.design.id, socket.assigns.current_user.id, params["seed"], output, params["now"])
+
+    socket
+    |> assign(:last_print_run, run || socket.assigns.last_print_run)
+    |> assign(:reprint_last_seed, false)
+  end
+
+  # Holiday calendars of the current workspace, for SUMAR_DIAS_HABILES
+  defp workspace_holidays(socket) do
+    case socket.assigns[:current_workspace] do
+      %{holiday_calendars: calendars} when is_map(calendars) -> calendars
+      _ -> %{}
+    end
+  end
+
+  # Plant time zone of the current workspace for HOY/AHORA (nil = browser clock)
+  defp workspace_time_zone(socket) do
+    case socket.assigns[:current_workspace] do
+      %{time_zone: time_zone} when is_binary(time_zone) -> time_zone
+      _ -> nil
+    end
+  end
+
   @impl true
   def render(assigns) do
     ~H"""
-    <div class="max-w-4xl mx-auto" id="single-label-page" phx-hook="SingleLabelPrint">
+    <div class="max-w-4xl mx-auto" id="single-label-page" phx-hook="SingleLabelPrint" data-user-id={@current_user.id}>
       <.header>
         Imprimir Etiqueta
         <:subtitle>
@@ -186,6 +295,7 @@ defmodule QrLabelSystemWeb.GenerateLive.SingleLabel do
               <div
                 id="label-preview"
                 phx-hook="LabelPreview"
+                data-user-id={@current_user.id}
                 phx-update="ignore"
                 class="inline-block"
               >
@@ -287,6 +397,21 @@ defmodule QrLabelSystemWeb.GenerateLive.SingleLabel do
               </div>
             <% end %>
 
+            <!-- Reprint with the last run's seed -->
+            <button
+              :if={@last_print_run}
+              type="button"
+              phx-click="toggle_reprint_seed"
+              class="w-full flex items-center space-x-3 mb-4 p-3 rounded-xl bg-gray-50 hover:bg-gray-100 transition text-left"
+              title={"Semilla #{@last_print_run.seed}"}
+            >
+              <input type="checkbox" checked={@reprint_last_seed} tabindex="-1" class="rounded border-gray-300 text-indigo-600 pointer-events-none" />
+              <div>
+                <p class="text-sm font-medium text-gray-900">Reimprimir última tanda</p>
+                <p class="text-xs text-gray-500">Mismos UUID y códigos aleatorios (semilla <%= String.slice(@last_print_run.seed, 0, 8) %>…)</p>
+              </div>
+            </button>
+
             <!-- Action Buttons -->
             <div class="space-y-3">
               <button
@@ -1,6 +1,12 @@
 defmodule QrLabelSystemWeb.WorkspaceLive.Settings do
   use QrLabelSystemWeb, :live_view
 
+  @time_zone_options ~w(
+    UTC Europe/Madrid Atlantic/Canary Europe/Lisbon Europe/London Europe/Paris Europe/Berlin
+    America/Mexico_City America/Bogota America/Lima America/Santiago America/Argentina/Buenos_Aires
+    America/New_York America/Chicago America/Los_Angeles Asia/Shanghai
+  )
+
   alias QrLabelSystem.Workspaces
   alias QrLabelSystem.Accounts.UserNotifier
 
@@ -35,6 +41,10 @@ defmodule QrLabelSystemWeb.WorkspaceLive.Settings do
            |> assign(:invitations, invitations)
            |> assign(:invite_email, "")
            |> assign(:invite_role, "operator")
+           |> assign(:holidays_text, Workspaces.Workspace.holiday_calendars_text(workspace))
+           |> assign(:holidays_error, nil)
+           |> assign(:time_zone_error, nil)
+           |> assign(:time_zone_options, @time_zone_options)
            |> assign_form(changeset)}
         else
           {:ok,
@@ -80,6 +90,54 @@ defmodule QrLabelSystemWeb.WorkspaceLive.Settings do
     end
   end
 
+  @impl true
+  def handle_event("save_time_zone", %{"time_zone" => time_zone}, socket) do
+    if not verify_still_admin(socket) do
+      {:noreply, socket |> put_flash(:error, "Ya no tienes permisos de administrador") |> push_navigate(to: ~p"/workspaces")}
+    else
+      case Workspaces.update_time_zone(socket.assigns.workspace, time_zone) do
+        {:ok, workspace} ->
+          {:noreply,
+           socket
+           |> assign(:workspace, workspace)
+           |> assign(:time_zone_error, nil)
+           |> put_flash(:info, "Zona horaria actualizada")}
+
+        {:error, %Ecto.Changeset{} = changeset} ->
+          {:noreply, assign(socket, :time_zone_error, changeset_error_message(changeset))}
+
+        {:error, :personal_workspace_immutable} ->
+          {:noreply, put_flash(socket, :error, "No se puede modificar el espacio personal")}
+      end
+    end
+  end
+
+  @impl true
+  def handle_event("save_holidays", %{"holidays" => text}, socket) do
+    if not verify_still_admin(socket) do
+      {:noreply, socket |> put_flash(:error, "Ya no tienes permisos de administrador") |> push_navigate(to: ~p"/workspaces")}
+    else
+      case Workspaces.update_holiday_calendars(socket.assigns.workspace, text) do
+        {:ok, workspace} ->
+          {:noreply,
+           socket
+           |> assign(:workspace, workspace)
+           |> assign(:holidays_text, Workspaces.Workspace.holiday_calendars_text(workspace))
+           |> assign(:holidays_error, nil)
+           |> put_flash(:info, "Calendarios de festivos actualizados")}
+
+        {:error, %Ecto.Changeset{} = changeset} ->
+          {:noreply,
+           socket
+           |> assign(:holidays_text, text)
+           |> assign(:holidays_error, changeset_error_message(changeset))}
+
+        {:error, :personal_workspace_immutable} ->
+          {:noreply, put_flash(socket, :error, "No se puede modificar el espacio personal")}
+      end
+    end
+  end
+
   @impl true
   def handle_event("update_invite_email", %{"value" => email}, socket) do
     {:noreply, assign(socket, :invite_email, email)}
@@ -280,6 +338,58 @@ defmodule QrLabelSystemWeb.WorkspaceLive.Settings do
           </div>
         </section>
 
+        <!-- Holiday Calendars Section -->
+        <section>
+          <h2 class="text-lg font-semibold text-gray-900 mb-4">Calendarios de festivos</h2>
+          <div class="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+            <p class="text-sm text-gray-500 mb-3">
+              Usados por <code class="text-xs bg-gray-100 px-1 rounded">SUMAR_DIAS_HABILES</code>.
+              Un calendario por linea: <code class="text-xs bg-gray-100 px-1 rounded">NOMBRE: AAAA-MM-DD, AAAA-MM-DD</code>
+            </p>
+            <form id="holidays-form" phx-submit="save_holidays" class="space-y-3">
+              <textarea
+                name="holidays"
+                rows="5"
+                placeholder="ES: 2026-01-01, 2026-01-06, 2026-12-25"
+                class="block w-full rounded-lg border-gray-300 shadow-sm focus:ring-blue-500 focus:border-blue-500 font-mono text-sm"
+              ><%= @holidays_text %></textarea>
+              <p :if={@holidays_error} class="text-sm text-red-600"><%= @holidays_error %></p>
+              <div class="flex justify-end">
+                <.button phx-disable-with="Guardando...">Guardar festivos</.button>
+              </div>
+            </form>
+          </div>
+        </section>
+
+        <!-- Time Zone Section -->
+        <section>
+          <h2 class="text-lg font-semibold text-gray-900 mb-4">Zona horaria de la planta</h2>
+          <div class="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+            <p class="text-sm text-gray-500 mb-3">
+              Usada por <code class="text-xs bg-gray-100 px-1 rounded">HOY</code>, <code class="text-xs bg-gray-100 px-1 rounded">AHORA</code>
+              y el resto de funciones de fecha, sea cual sea el reloj del equipo que imprime.
+              Vacío = hora del navegador.
+            </p>
+            <form id="time-zone-form" phx-submit="save_time_zone" class="space-y-3">
+              <input
+                type="text"
+                name="time_zone"
+                value={@workspace.time_zone}
+                list="time-zone-options"
+                placeholder="Europe/Madrid"
+                class="block w-full rounded-lg border-gray-300 shadow-sm focus:ring-blue-500 focus:border-blue-500 font-mono text-sm"
+              />
+              <datalist id="time-zone-options">
+                <option :for={zone <- @time_zone_options} value={zone} />
+              </datalist>
+              <p :if={@time_zone_error} class="text-sm text-red-600"><%= @time_zone_error %></p>
+              <div class="flex justify-end">
+                <.button phx-disable-with="Guardando...">Guardar zona horaria</.button>
+              </div>
+            </form>
+          </div>
+        </section>
+
         <!-- Members Section -->
         <section>
           <h2 class="text-lg font-semibold text-gray-900 mb-4">
@@ -0,0 +1,9 @@
+defmodule QrLabelSystem.Repo.Migrations.AddSerialCountersToDesigns do
+  use Ecto.Migration
+
+  def change do
+    alter table(:label_designs) do
+      add :serial_counters, :map, default: %{}
+    end
+  end
+end
@@ -0,0 +1,9 @@
+defmodule QrLabelSystem.Repo.Migrations.AddHolidayCalendarsToWorkspaces do
+  use Ecto.Migration
+
+  def change do
+    alter table(:workspaces) do
+      add :holiday_calendars, :map, default: %{}
+    end
+  end
+end
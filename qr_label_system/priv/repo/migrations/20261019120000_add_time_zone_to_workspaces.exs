@@ -0,0 +1,9 @@
+defmodule QrLabelSystem.Repo.Migrations.AddTimeZoneToWorkspaces do
+  use Ecto.Migration
+
+  def change do
+    alter table(:workspaces) do
+      add :time_zone, :string
+    end
+  end
+end
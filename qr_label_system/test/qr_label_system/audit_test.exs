@@ -236,6 +236,63 @@ defmodule QrLabelSystem.AuditTest do
     end
   end
 
+  describe "log_print/5 and last_print_run/1" do
+    test "records the seed of a print run" do
+      user = user_fixture()
+      assert %{seed: "0f1e2d3c4b5a69788796a5b4c3d2e1f0", now: nil} =
+               Audit.log_print(1, user.id, "0f1e2d3c4b5a69788796a5b4c3d2e1f0", "print")
+
+      [log] = Audit.logs_for_resource("design", 1)
+      assert log.action == "print_batch"
+      assert log.user_id == user.id
+      assert log.metadata == %{"seed" => "0f1e2d3c4b5a69788796a5b4c3d2e1f0", "output" => "print"}
+    end
+
+    test "records the run's clock with the seed" do
+      assert %{seed: "abc123", now: "2026-03-05T08:30:00.000Z"} =
+               Audit.log_print(1, nil, "abc123", "zpl", "2026-03-05T08:30:00.000Z")
+
+      assert Audit.last_print_run(1) == %{seed: "abc123", now: "2026-03-05T08:30:00.000Z"}
+    end
+
+    test "does not store invalid clocks" do
+      assert %{seed: "abc123", now: nil} = Audit.log_print(1, nil, "abc123", "print", "ayer")
+
+      [log] = Audit.logs_for_resource("design", 1)
+      refute Map.has_key?(log.metadata, "now")
+    end
+
+    test "PDF downloads are logged as export_pdf" do
+      Audit.log_print(1, nil, "abc123", "pdf")
+
+      assert [%Log{action: "export_pdf"}] = Audit.logs_for_resource("design", 1)
+    end
+
+    test "returns the latest run of the design" do
+      Audit.log_print(1, nil, "aaaa", "print")
+      Audit.log_print(1, nil, "bbbb", "zpl")
+      Audit.log_print(2, nil, "cccc", "pdf")
+
+      assert Audit.last_print_run(1) == %{seed: "bbbb", now: nil}
+      assert Audit.last_print_run(2) == %{seed: "cccc", now: nil}
+      assert Audit.last_print_run(3) == nil
+    end
+
+    test "does not store invalid seeds" do
+      Audit.log_print(1, nil, "aaaa", "print")
+      assert Audit.log_print(1, nil, "<script>", "print") == nil
+      assert Audit.log_print(1, nil, nil, "zpl") == nil
+
+      assert Audit.last_print_run(1) == %{seed: "aaaa", now: nil}
+    end
+
+    test "ignores other actions on the design" do
+      audit_log_fixture(%{action: "update_design", resource_type: "design", resource_id: 1, metadata: %{"seed" => "ffff"}})
+
+      assert Audit.last_print_run(1) == nil
+    end
+  end
+
   describe "logs_for_user/2" do
     test "returns logs for specific user" do
       user = user_fixture()
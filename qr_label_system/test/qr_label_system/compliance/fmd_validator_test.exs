@@ -155,6 +155,13 @@ defmodule QrLabelSystem.Compliance.FmdValidatorTest do
       assert Enum.any?(issues, &(&1.code == "FMD_DATAMATRIX_NO_GS1"))
     end
 
+    test "GS1 DataMatrix counts as the FMD DataMatrix" do
+      elements = [%{datamatrix("(01)03453120000011(17)261231(10)ABC123(21)SN456789") | barcode_format: "GS1_DATAMATRIX"}]
+      design = make_design(elements)
+      issues = FmdValidator.validate(design)
+      refute Enum.any?(issues, &(&1.code in ["FMD_MISSING_DATAMATRIX", "FMD_DATAMATRIX_NO_GS1"]))
+    end
+
     test "DataMatrix with incomplete GS1 AIs produces warning about missing AIs" do
       # Only has AI 01 (GTIN), missing 17, 10, 21
       elements = [datamatrix("0112345678901234")]
@@ -171,6 +171,20 @@ defmodule QrLabelSystem.Compliance.Gs1ValidatorTest do
     end
   end
 
+  describe "GS1 DataMatrix and GS1 QR validation" do
+    test "GS1 DataMatrix with valid AIs produces no errors" do
+      design = make_design([barcode("GS1_DATAMATRIX", "(01)03453120000011(17)261231(10)ABC123(21)SN456789")])
+      issues = Gs1Validator.validate(design)
+      assert issues == []
+    end
+
+    test "GS1 QR with invalid AI produces error" do
+      design = make_design([barcode("GS1_QR", "XXXINVALID")])
+      issues = Gs1Validator.validate(design)
+      assert Enum.any?(issues, &(&1.code == "GS1_128_AI_INVALID"))
+    end
+  end
+
   describe "dynamic bindings" do
     test "element with binding produces info about dynamic skip" do
       design = make_design([barcode("EAN13", nil, binding: "ean_code")])
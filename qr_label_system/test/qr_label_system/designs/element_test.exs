@@ -204,6 +204,18 @@ defmodule QrLabelSystem.Designs.ElementTest do
       assert changeset.valid?
     end
 
+    test "accepts GS1_DATAMATRIX format" do
+      attrs = %{id: "el_1", type: "barcode", x: 10.0, y: 20.0, barcode_format: "GS1_DATAMATRIX"}
+      changeset = Element.changeset(%Element{}, attrs)
+      assert changeset.valid?
+    end
+
+    test "accepts GS1_QR format" do
+      attrs = %{id: "el_1", type: "barcode", x: 10.0, y: 20.0, barcode_format: "GS1_QR"}
+      changeset = Element.changeset(%Element{}, attrs)
+      assert changeset.valid?
+    end
+
     test "accepts POSTNET format" do
       attrs = %{id: "el_1", type: "barcode", x: 10.0, y: 20.0, barcode_format: "POSTNET"}
       changeset = Element.changeset(%Element{}, attrs)
@@ -460,10 +472,13 @@ defmodule QrLabelSystem.Designs.ElementTest do
       assert "POSTNET" in formats
       assert "PLANET" in formats
       assert "ROYALMAIL" in formats
+      # GS1 2D
+      assert "GS1_DATAMATRIX" in formats
+      assert "GS1_QR" in formats
     end
 
-    test "returns exactly 21 formats" do
-      assert length(Element.barcode_formats()) == 21
+    test "returns exactly 23 formats" do
+      assert length(Element.barcode_formats()) == 23
     end
   end
 end
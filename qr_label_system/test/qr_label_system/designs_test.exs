@@ -266,6 +266,84 @@ defmodule QrLabelSystem.DesignsTest do
     end
   end
 
+  describe "reserve_serial_counters/3" do
+    test "returns the first value of each range and adds the counts" do
+      design = design_fixture()
+
+      assert {:ok, starts, updated} = Designs.reserve_serial_counters(design, %{"caja" => 5, "lote|L1" => 2})
+      assert starts == %{"caja" => 1, "lote|L1" => 1}
+      assert updated.serial_counters == %{"caja" => 5, "lote|L1" => 2}
+
+      assert {:ok, %{"caja" => 6}, updated} = Designs.reserve_serial_counters(design, %{"caja" => 3})
+      assert updated.serial_counters == %{"caja" => 8, "lote|L1" => 2}
+      assert Repo.get!(Design, design.id).serial_counters == %{"caja" => 8, "lote|L1" => 2}
+    end
+
+    test "continues from the stored counter even with a stale design" do
+      design = design_fixture()
+      {:ok, _, _} = Designs.reserve_serial_counters(design, %{"caja" => 10})
+
+      assert {:ok, %{"caja" => 11}, _} = Designs.reserve_serial_counters(design, %{"caja" => 1})
+    end
+
+    test "raises counters to the client's offline floors before reserving" do
+      design = design_fixture()
+      {:ok, _, _} = Designs.reserve_serial_counters(design, %{"caja" => 4})
+
+      assert {:ok, %{"caja" => 21}, updated} =
+               Designs.reserve_serial_counters(design, %{"caja" => 2}, %{"caja" => 20, "otro" => 3})
+
+      assert updated.serial_counters == %{"caja" => 22, "otro" => 3}
+
+      # Floors below the stored value don't move it back
+      assert {:ok, %{"caja" => 23}, _} = Designs.reserve_serial_counters(design, %{"caja" => 1}, %{"caja" => 5})
+    end
+
+    test "successive callers with the same stale design get disjoint ranges" do
+      design = design_fixture()
+
+      ranges =
+        Enum.flat_map(1..5, fn _ ->
+          {:ok, %{"caja" => start}, _} = Designs.reserve_serial_counters(design, %{"caja" => 10})
+          Enum.to_list(start..(start + 9))
+        end)
+
+      assert Enum.sort(ranges) == Enum.to_list(1..50)
+      assert Repo.get!(Design, design.id).serial_counters == %{"caja" => 50}
+    end
+
+    test "rejects invalid scopes and counts" do
+      design = design_fixture()
+
+      for counts <- [
+            %{},
+            %{"" => 1},
+            %{String.duplicate("a", 201) => 1},
+            %{"caja" => 0},
+            %{"caja" => -3},
+            %{"caja" => "5"},
+            %{"caja" => 1.5},
+            %{"caja" => 1_000_001},
+            %{1 => 1},
+            ["caja"],
+            nil
+          ] do
+        assert {:error, :invalid_counts} = Designs.reserve_serial_counters(design, counts)
+      end
+
+      assert Repo.get!(Design, design.id).serial_counters == %{}
+    end
+
+    test "ignores invalid floors" do
+      design = design_fixture()
+
+      assert {:ok, %{"caja" => 1}, updated} =
+               Designs.reserve_serial_counters(design, %{"caja" => 1}, %{"caja" => "99", "" => 5, "otro" => -1})
+
+      assert updated.serial_counters == %{"caja" => 1}
+    end
+  end
+
   describe "delete_design/1" do
     test "deletes the design" do
       design = design_fixture()
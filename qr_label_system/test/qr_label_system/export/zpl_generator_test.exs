@@ -162,6 +162,27 @@ defmodule QrLabelSystem.Export.ZplGeneratorTest do
       assert String.contains?(zpl, "^B7")
     end
 
+    test "GS1_QR is refused instead of printed as a plain QR" do
+      el = build_element("barcode", barcode_format: "GS1_QR", text_content: "(01)09501101530003")
+      design = build_design(elements: [el])
+
+      assert_raise ArgumentError, fn -> ZplGenerator.generate(design) end
+    end
+
+    test "GS1_DATAMATRIX is encoded in GS1 mode with FNC1 separators" do
+      el =
+        build_element("barcode",
+          barcode_format: "GS1_DATAMATRIX",
+          text_content: "(01)09501101530003(10)AB_1(17)271231"
+        )
+
+      design = build_design(elements: [el])
+      zpl = ZplGenerator.generate(design)
+
+      assert String.contains?(zpl, ",200,,,,_^FD_10109501101530003" <> "10AB_d0951_117271231^FS")
+      refute String.contains?(zpl, "^BC")
+    end
+
     test "barcode with expression binding" do
       el = build_element("barcode", barcode_format: "CODE128", binding: "{{CONTADOR(1, 1, 6)}}")
       design = build_design(elements: [el])
@@ -258,6 +279,40 @@ defmodule QrLabelSystem.Export.ZplGeneratorTest do
     end
   end
 
+  describe "unsupported_formats/1" do
+    test "lists GS1 QR codes once" do
+      design =
+        build_design(
+          elements: [
+            build_element("barcode", id: "a", barcode_format: "GS1_QR"),
+            build_element("barcode", id: "b", barcode_format: "GS1_QR"),
+            build_element("barcode", id: "c", barcode_format: "GS1_DATAMATRIX")
+          ]
+        )
+
+      assert ZplGenerator.unsupported_formats(design) == ["GS1_QR"]
+    end
+
+    test "is empty for designs ZPL can encode" do
+      design =
+        build_design(
+          elements: [
+            build_element("barcode", barcode_format: "CODE128"),
+            build_element("qr", text_content: "https://example.com")
+          ]
+        )
+
+      assert ZplGenerator.unsupported_formats(design) == []
+    end
+
+    test "unsupported_message/1 names the formats and the way out" do
+      message = ZplGenerator.unsupported_message(["GS1_QR"])
+
+      assert message =~ "ZPL no admite GS1_QR"
+      assert message =~ "descarga el PDF"
+    end
+  end
+
   describe "generate_batch/3" do
     test "generates multiple labels" do
       el = build_element("text", binding: "nombre")
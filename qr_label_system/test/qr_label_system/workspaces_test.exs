@@ -248,6 +248,140 @@ defmodule QrLabelSystem.WorkspacesTest do
     end
   end
 
+  describe "update_holiday_calendars/2" do
+    test "stores calendars parsed from text" do
+      workspace = workspace_fixture(user_fixture())
+
+      assert {:ok, updated} =
+               Workspaces.update_holiday_calendars(workspace, """
+               es: 2026-12-25, 2026-01-01; 2026-01-06
+               Madrid: 2026-05-15 2026-05-02
+               """)
+
+      assert updated.holiday_calendars == %{
+               "ES" => ["2026-01-01", "2026-01-06", "2026-12-25"],
+               "MADRID" => ["2026-05-02", "2026-05-15"]
+             }
+
+      assert Workspaces.get_workspace!(workspace.id).holiday_calendars == updated.holiday_calendars
+    end
+
+    test "blank text clears the calendars" do
+      workspace = workspace_fixture(user_fixture())
+      {:ok, workspace} = Workspaces.update_holiday_calendars(workspace, "ES: 2026-01-01")
+
+      assert {:ok, updated} = Workspaces.update_holiday_calendars(workspace, "  \n")
+      assert updated.holiday_calendars == %{}
+    end
+
+    test "rejects invalid text without changing the calendars" do
+      workspace = workspace_fixture(user_fixture())
+      {:ok, workspace} = Workspaces.update_holiday_calendars(workspace, "ES: 2026-01-01")
+
+      assert {:error, %Ecto.Changeset{}} = Workspaces.update_holiday_calendars(workspace, "ES: 2026-13-01")
+      assert Workspaces.get_workspace!(workspace.id).holiday_calendars == %{"ES" => ["2026-01-01"]}
+    end
+
+    test "rejects updating personal workspace" do
+      personal = get_personal_workspace!(user_fixture())
+
+      assert {:error, :personal_workspace_immutable} =
+               Workspaces.update_holiday_calendars(personal, "ES: 2026-01-01")
+    end
+  end
+
+  describe "Workspace.holidays_changeset/2" do
+    test "merges duplicate calendar lines, sorted and without repeated dates" do
+      changeset =
+        Workspace.holidays_changeset(%Workspace{}, """
+        ES: 2026-12-25, 2026-01-01
+        es: 2026-01-06, 2026-01-01
+        """)
+
+      assert changeset.valid?
+      assert get_change(changeset, :holiday_calendars) == %{"ES" => ["2026-01-01", "2026-01-06", "2026-12-25"]}
+    end
+
+    test "accepts accented names, digits and underscores" do
+      changeset = Workspace.holidays_changeset(%Workspace{}, "Cataluña_2: 2026-09-11")
+
+      assert get_change(changeset, :holiday_calendars) == %{"CATALUÑA_2" => ["2026-09-11"]}
+    end
+
+    test "rejects invalid dates" do
+      for text <- ["ES: 2026-02-30", "ES: 25/12/2026", "ES: 2026-01-01, mañana"] do
+        changeset = Workspace.holidays_changeset(%Workspace{}, text)
+
+        refute changeset.valid?, text
+        assert [message] = errors_on(changeset).holiday_calendars
+        assert message =~ "fecha no valida"
+      end
+    end
+
+    test "rejects bad calendar names and lines without a name" do
+      for text <- ["LA RIOJA: 2026-06-09", "ES-MD: 2026-05-02", ": 2026-01-01", "2026-01-01"] do
+        changeset = Workspace.holidays_changeset(%Workspace{}, text)
+
+        refute changeset.valid?, text
+        assert [message] = errors_on(changeset).holiday_calendars
+        assert message =~ "linea no valida"
+      end
+    end
+
+    test "holiday_calendars_text/1 is its inverse" do
+      workspace = %Workspace{holiday_calendars: %{"MADRID" => ["2026-05-02"], "ES" => ["2026-01-01", "2026-12-25"]}}
+      text = Workspace.holiday_calendars_text(workspace)
+
+      assert text == "ES: 2026-01-01, 2026-12-25\nMADRID: 2026-05-02"
+      assert get_change(Workspace.holidays_changeset(%Workspace{}, text), :holiday_calendars) == workspace.holiday_calendars
+    end
+  end
+
+  describe "update_time_zone/2" do
+    test "sets the plant time zone of a team workspace" do
+      workspace = workspace_fixture(user_fixture())
+
+      assert {:ok, updated} = Workspaces.update_time_zone(workspace, " Europe/Madrid ")
+      assert updated.time_zone == "Europe/Madrid"
+    end
+
+    test "a blank value clears it" do
+      workspace = workspace_fixture(user_fixture())
+      {:ok, workspace} = Workspaces.update_time_zone(workspace, "America/Mexico_City")
+
+      assert {:ok, updated} = Workspaces.update_time_zone(workspace, "  ")
+      assert updated.time_zone == nil
+    end
+
+    test "rejects unknown zones" do
+      workspace = workspace_fixture(user_fixture())
+
+      assert {:error, changeset} = Workspaces.update_time_zone(workspace, "Europe/Atlantis")
+      assert errors_on(changeset).time_zone == ["no es una zona horaria IANA (p. ej. Europe/Madrid)"]
+    end
+
+    test "rejects updating personal workspace" do
+      personal = get_personal_workspace!(user_fixture())
+
+      assert {:error, :personal_workspace_immutable} =
+               Workspaces.update_time_zone(personal, "Europe/Madrid")
+    end
+  end
+
+  describe "Workspace.time_zone_changeset/2" do
+    test "accepts IANA zones and links" do
+      for zone <- ~w(UTC Europe/Madrid Atlantic/Canary America/Argentina/Buenos_Aires Etc/GMT+5 Europe/Kiev) do
+        assert Workspace.time_zone_changeset(%Workspace{}, %{time_zone: zone}).valid?, zone
+      end
+    end
+
+    test "rejects names that only look like zones" do
+      for zone <- ~w(Europe/Nowhere Mars/Olympus_Mons europe/madrid Factory UTC+2) do
+        refute Workspace.time_zone_changeset(%Workspace{}, %{time_zone: zone}).valid?, zone
+      end
+    end
+  end
+
   # ==========================================
   # MEMBERSHIPS
   # ==========================================